@@ -0,0 +1,20 @@
+require('dotenv').config();
+
+const { createStorage } = require('./storage');
+const { logger } = require('./services/logger');
+const { runBot } = require('./telegramBot');
+
+// Бот завершает текущий запрос к Telegram и останавливается
+let stopping = false;
+for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, () => {
+        logger.info('Получен сигнал остановки, бот завершит работу после текущего запроса...');
+        stopping = true;
+    });
+}
+
+// --- ЗАПУСК БОТА ---
+runBot(createStorage(), { shouldStop: () => stopping }).catch(error => {
+    logger.error('КРИТИЧЕСКАЯ ОШИБКА БОТА:', error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,272 @@
+const { readPosition } = require('../services/positionModel');
+const { SERIES_COLUMNS, TREND_COLUMNS, loadPositionSeries, computeCompanyTrends } = require('../services/trendService');
+const { isBaseQuery, queryVariantLabel, loadQueryVariantsForRows } = require('../services/queryVariantService');
+const { isVacancyInScope, loadProfileAccess, listAccessibleVacancies } = require('../services/organisationService');
+const { LIFECYCLE_COLUMNS, computeLifecycleReport } = require('../services/lifecycleService');
+
+const VACANCY_COLUMNS = [
+    'id', 'hh_vacancy_id', 'raw_title', 'normalized_title', 'status', 'area_name', 'schedule_id', 'url',
+    'published_at', 'salary_from', 'salary_to', 'salary_currency', 'salary_gross', 'key_skills',
+    'quality_score', 'quality_issues', 'closed_at', 'lifetime_days', 'reposted_from_id',
+];
+const VACANCY_POSITION_COLUMNS = [
+    'report_id', 'report_created_at', 'query_variant_id', 'query_variant_label', 'position_rank', 'position_status', 'searched_depth', 'search_exhausted',
+    'competitors_count', 'salary_position',
+];
+const REPORT_POSITION_COLUMNS = [
+    'vacancy_id', 'hh_vacancy_id', 'raw_title', 'normalized_title', 'status', 'url',
+    'query_variant_id', 'query_variant_label', 'position_rank', 'position_status', 'searched_depth', 'search_exhausted', 'competitors_count', 'salary_position',
+];
+const QUERY_VARIANT_COLUMNS = [
+    'id', 'label', 'vacancy_id', 'normalized_title', 'extra_keywords', 'order_by', 'salary', 'experience', 'enabled',
+];
+const MAX_SERIES_DAYS = 365;
+
+// Идентификаторы строк в базе — UUID; по другим значениям искать нечего
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Ошибка с HTTP-статусом ответа.
+ * @param {number} status - HTTP-статус.
+ * @param {string} message - Текст ошибки для клиента.
+ * @returns {Error}
+ */
+function httpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * Компании, к данным которых дает доступ ключ API: компания профиля и работодатели организаций владельца ключа.
+ * @param {object} storage - Хранилище данных.
+ * @param {object} profile - Профиль владельца ключа.
+ * @returns {Promise<Map<string, object>>} - ID компании -> доступ к ее вакансиям (см. organisationService).
+ */
+async function loadAccess(storage, profile) {
+    const access = await loadProfileAccess(storage, profile);
+    if (access.size === 0) throw httpError(403, 'К профилю не привязана ни одна компания');
+    return access;
+}
+
+/**
+ * Вакансии компании, доступные владельцу ключа. Участник организации с ролью member видит
+ * только назначенные ему вакансии.
+ * @param {object} storage - Хранилище данных.
+ * @param {object} profile - Профиль владельца ключа.
+ * @param {string} companyId - ID компании на hh.ru из пути запроса.
+ * @returns {Promise<Array>}
+ */
+async function loadCompanyVacancies(storage, profile, companyId) {
+    const scope = (await loadAccess(storage, profile)).get(companyId);
+    if (!scope) throw httpError(403, 'Нет доступа к этой компании');
+    return (await storage.vacancies.listByCompany(companyId)).filter(v => isVacancyInScope(scope, v));
+}
+
+/**
+ * Фильтрует вакансии по параметрам запроса status и normalized_title (точное совпадение без учета регистра).
+ * @param {Array} vacancies - Строки vacancies.
+ * @param {URLSearchParams} query - Параметры запроса.
+ * @returns {Array}
+ */
+function filterVacancies(vacancies, query) {
+    const status = query.get('status');
+    const normalizedTitle = query.get('normalized_title');
+    return vacancies.filter(v => (!status || v.status === status)
+        && (!normalizedTitle || (v.normalized_title || '').toLowerCase() === normalizedTitle.toLowerCase()));
+}
+
+/**
+ * Фильтрует замеры по параметру запроса query_variant: base — только основной запрос,
+ * id варианта — только этот вариант. Без параметра возвращаются все замеры.
+ * @param {Array} rows - Строки position_reports.
+ * @param {URLSearchParams} query - Параметры запроса.
+ * @returns {Array}
+ */
+function filterQueryVariant(rows, query) {
+    const queryVariant = query.get('query_variant');
+    if (!queryVariant) return rows;
+    if (queryVariant === 'base') return rows.filter(isBaseQuery);
+    return rows.filter(row => row.query_variant_id === queryVariant);
+}
+
+/**
+ * Поля замера позиции для ответа API.
+ * @param {object} row - Строка position_reports.
+ * @param {Map<string, object>} variantsById - Варианты запроса по id.
+ * @returns {object}
+ */
+function positionFields(row, variantsById) {
+    return {
+        query_variant_id: row.query_variant_id || null,
+        query_variant_label: queryVariantLabel(row, variantsById),
+        ...readPosition(row),
+        competitors_count: row.competitors_count,
+        salary_position: row.salary_position === undefined ? null : row.salary_position,
+    };
+}
+
+/**
+ * Строки position_reports отчета по вакансиям, доступным владельцу ключа, дополненные полями вакансий.
+ * У каждой вакансии сначала идет замер по основному запросу, затем по вариантам запроса.
+ * @param {object} storage - Хранилище данных.
+ * @param {object} report - Отчет.
+ * @param {object} profile - Профиль владельца ключа.
+ * @param {URLSearchParams} query - Параметры запроса (фильтры вакансий).
+ * @returns {Promise<object>} - Результат обработчика.
+ */
+async function reportResult(storage, report, profile, query) {
+    const vacancies = filterVacancies(await listAccessibleVacancies(storage, await loadAccess(storage, profile)), query)
+        .sort((a, b) => a.raw_title.localeCompare(b.raw_title));
+    const rows = filterQueryVariant(await storage.positionReports.listByReports([report.id], vacancies.map(v => v.id)), query);
+    const variantsById = await loadQueryVariantsForRows(storage, rows);
+
+    const items = vacancies.flatMap(vacancy => rows
+        .filter(row => row.vacancy_id === vacancy.id)
+        .sort((a, b) => Number(!isBaseQuery(a)) - Number(!isBaseQuery(b)))
+        .map(row => ({
+            vacancy_id: vacancy.id,
+            hh_vacancy_id: vacancy.hh_vacancy_id,
+            raw_title: vacancy.raw_title,
+            normalized_title: vacancy.normalized_title,
+            status: vacancy.status,
+            url: vacancy.url,
+            ...positionFields(row, variantsById),
+        })));
+    return { items, columns: REPORT_POSITION_COLUMNS, extra: { report }, fileName: `report-${report.id}` };
+}
+
+/**
+ * GET /companies/:hhId/vacancies — вакансии компании. При полном доступе фильтры и страница
+ * выбираются в хранилище; участнику организации назначенные вакансии отбираются после загрузки.
+ */
+async function listCompanyVacancies({ storage, profile, query, pagination }, [companyId]) {
+    const result = { columns: VACANCY_COLUMNS, fileName: `vacancies-${companyId}` };
+    const scope = (await loadAccess(storage, profile)).get(companyId);
+    if (!scope) throw httpError(403, 'Нет доступа к этой компании');
+
+    if (scope.all) {
+        const { rows, total } = await storage.vacancies.listPageByCompany(companyId, {
+            status: query.get('status'), normalizedTitle: query.get('normalized_title'), ...pagination,
+        });
+        return { ...result, items: rows, total };
+    }
+    const vacancies = filterVacancies(await loadCompanyVacancies(storage, profile, companyId), query)
+        .sort((a, b) => a.raw_title.localeCompare(b.raw_title));
+    return { ...result, items: vacancies };
+}
+
+/**
+ * GET /companies/:hhId/positions?days=30 — временной ряд позиций вакансий компании.
+ */
+async function listCompanyPositions({ storage, profile, query }, [companyId]) {
+    const vacancyIds = new Set((await loadCompanyVacancies(storage, profile, companyId)).map(v => v.id));
+    const days = query.has('days') ? Number(query.get('days')) : 30;
+    if (!Number.isInteger(days) || days < 1 || days > MAX_SERIES_DAYS) {
+        throw httpError(400, `days должен быть целым числом от 1 до ${MAX_SERIES_DAYS}`);
+    }
+    const series = (await loadPositionSeries(storage, companyId, { days })).filter(row => vacancyIds.has(row.vacancy_id));
+    return { items: series, columns: SERIES_COLUMNS, fileName: `positions-${companyId}` };
+}
+
+/**
+ * GET /companies/:hhId/trends — средние позиции за 7 и 30 дней, волатильность и лучшее время суток по вакансиям.
+ */
+async function listCompanyTrends({ storage, profile }, [companyId]) {
+    const vacancyIds = new Set((await loadCompanyVacancies(storage, profile, companyId)).map(v => v.id));
+    const trends = (await computeCompanyTrends(storage, companyId)).filter(row => vacancyIds.has(row.vacancy_id));
+    return { items: trends, columns: TREND_COLUMNS, fileName: `trends-${companyId}` };
+}
+
+/**
+ * GET /companies/:hhId/lifecycle?days=90 — время до заполнения и повторные публикации по нормализованным названиям.
+ */
+async function getCompanyLifecycle({ storage, profile, query }, [companyId]) {
+    const vacancies = await loadCompanyVacancies(storage, profile, companyId);
+    const days = query.has('days') ? Number(query.get('days')) : 90;
+    if (!Number.isInteger(days) || days < 1 || days > MAX_SERIES_DAYS) {
+        throw httpError(400, `days должен быть целым числом от 1 до ${MAX_SERIES_DAYS}`);
+    }
+    const { summary, titles, reposts } = computeLifecycleReport(vacancies, { days });
+    return { items: titles, columns: LIFECYCLE_COLUMNS, extra: { summary, reposts }, fileName: `lifecycle-${companyId}` };
+}
+
+/**
+ * GET /companies/:hhId/query-variants — варианты поискового запроса, по которым отслеживаются позиции.
+ */
+async function listCompanyQueryVariants({ storage, profile }, [companyId]) {
+    if (!(await loadAccess(storage, profile)).has(companyId)) throw httpError(403, 'Нет доступа к этой компании');
+    const variants = await storage.queryVariants.listByCompany(companyId);
+    return { items: variants, columns: QUERY_VARIANT_COLUMNS, fileName: `query-variants-${companyId}` };
+}
+
+/**
+ * GET /vacancies/:id/positions — история позиций вакансии по отчетам, от новых к старым.
+ */
+async function listVacancyPositions({ storage, profile, query }, [vacancyId]) {
+    const access = await loadAccess(storage, profile);
+    const [vacancy] = UUID_PATTERN.test(vacancyId) ? await storage.vacancies.listByIds([vacancyId]) : [];
+    const scope = vacancy ? access.get(String(vacancy.company_hh_id)) : null;
+    // Чужая или не назначенная участнику вакансия неотличима от несуществующей
+    if (!scope || !isVacancyInScope(scope, vacancy)) throw httpError(404, 'Вакансия не найдена');
+
+    const rows = filterQueryVariant(await storage.positionReports.listByVacancy(vacancyId), query);
+    const variantsById = await loadQueryVariantsForRows(storage, rows);
+    const reports = await storage.reports.listByIds([...new Set(rows.map(row => row.report_id))]);
+    const reportById = new Map(reports.map(report => [report.id, report]));
+
+    const items = rows
+        .filter(row => reportById.has(row.report_id))
+        .map(row => ({
+            report_id: row.report_id,
+            report_created_at: reportById.get(row.report_id).created_at,
+            ...positionFields(row, variantsById),
+        }))
+        .sort((a, b) => b.report_created_at.localeCompare(a.report_created_at));
+    return { items, columns: VACANCY_POSITION_COLUMNS, extra: { vacancy }, fileName: `positions-${vacancyId}` };
+}
+
+/**
+ * GET /reports/latest — последний завершенный полный отчет (не по одной компании) с позициями доступных вакансий.
+ */
+async function getLatestReport({ storage, profile, query }) {
+    await loadAccess(storage, profile);
+    const report = await storage.reports.findLatestCompleted();
+    if (!report) throw httpError(404, 'Завершенных отчетов еще нет');
+    return reportResult(storage, report, profile, query);
+}
+
+/**
+ * GET /reports/:id — отчет с позициями доступных вакансий. Отчет по одной компании доступен
+ * только тем, у кого есть доступ к этой компании, для остальных он не найден.
+ */
+async function getReport({ storage, profile, query }, [reportId]) {
+    const access = await loadAccess(storage, profile);
+    const report = UUID_PATTERN.test(reportId) ? await storage.reports.findById(reportId) : null;
+    if (!report || (report.company_hh_id && !access.has(String(report.company_hh_id)))) {
+        throw httpError(404, 'Отчет не найден');
+    }
+    return reportResult(storage, report, profile, query);
+}
+
+/**
+ * Маршруты API (только GET). Обработчик получает контекст запроса ({ storage, profile, query, pagination })
+ * и параметры пути, а возвращает { items, columns, extra, fileName }: список отдается постранично в JSON
+ * или целиком в CSV (см. httpApi/server.js). Обработчик, который сам выбрал страницу по pagination
+ * ({ offset, limit }, в CSV — не задан), возвращает в items только ее, а в total — общее число строк.
+ */
+const ROUTES = [
+    { pattern: /^\/companies\/([^/]+)\/vacancies$/, handler: listCompanyVacancies },
+    { pattern: /^\/companies\/([^/]+)\/positions$/, handler: listCompanyPositions },
+    { pattern: /^\/companies\/([^/]+)\/trends$/, handler: listCompanyTrends },
+    { pattern: /^\/companies\/([^/]+)\/lifecycle$/, handler: getCompanyLifecycle },
+    { pattern: /^\/companies\/([^/]+)\/query-variants$/, handler: listCompanyQueryVariants },
+    { pattern: /^\/vacancies\/([^/]+)\/positions$/, handler: listVacancyPositions },
+    { pattern: /^\/reports\/latest$/, handler: getLatestReport },
+    { pattern: /^\/reports\/([^/]+)$/, handler: getReport },
+];
+
+module.exports = {
+    ROUTES,
+    httpError
+};
@@ -0,0 +1,148 @@
+const http = require('http');
+const { logger } = require('../services/logger');
+const { authenticateApiKey } = require('../services/apiKeyService');
+const { ROUTES, httpError } = require('./routes');
+const { toCsv } = require('../services/csv');
+
+const DEFAULT_PER_PAGE = 50;
+const MAX_PER_PAGE = 500;
+
+/**
+ * Ключ API из заголовка Authorization: Bearer <ключ> или X-API-Key.
+ * @param {http.IncomingMessage} req
+ * @returns {string|null}
+ */
+function readApiKey(req) {
+    const authorization = req.headers.authorization || '';
+    if (authorization.startsWith('Bearer ')) return authorization.slice('Bearer '.length).trim();
+    return req.headers['x-api-key'] || null;
+}
+
+/**
+ * Разбирает параметры постраничного вывода page (с 1) и per_page.
+ * @param {URLSearchParams} query
+ * @returns {{page: number, perPage: number}}
+ */
+function parsePagination(query) {
+    const page = query.has('page') ? Number(query.get('page')) : 1;
+    const perPage = query.has('per_page') ? Number(query.get('per_page')) : DEFAULT_PER_PAGE;
+    if (!Number.isInteger(page) || page < 1) {
+        throw httpError(400, 'page должен быть целым числом не меньше 1');
+    }
+    if (!Number.isInteger(perPage) || perPage < 1 || perPage > MAX_PER_PAGE) {
+        throw httpError(400, `per_page должен быть целым числом от 1 до ${MAX_PER_PAGE}`);
+    }
+    return { page, perPage };
+}
+
+/**
+ * Заголовки CORS для фронтенда, если его адрес задан в API_CORS_ORIGIN.
+ * @returns {object}
+ */
+function corsHeaders() {
+    if (!process.env.API_CORS_ORIGIN) return {};
+    return {
+        'Access-Control-Allow-Origin': process.env.API_CORS_ORIGIN,
+        'Access-Control-Allow-Headers': 'Authorization, X-API-Key',
+        'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    };
+}
+
+/**
+ * Отправляет JSON-ответ.
+ * @param {http.ServerResponse} res
+ * @param {number} status - HTTP-статус.
+ * @param {object} body - Тело ответа.
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...corsHeaders() });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Находит маршрут запроса и параметры пути.
+ * @param {string} pathname - Путь запроса.
+ * @returns {{handler: Function, params: Array<string>}}
+ */
+function matchRoute(pathname) {
+    for (const route of ROUTES) {
+        const match = pathname.match(route.pattern);
+        if (!match) continue;
+        try {
+            return { handler: route.handler, params: match.slice(1).map(decodeURIComponent) };
+        } catch (error) {
+            throw httpError(400, 'Некорректный путь запроса');
+        }
+    }
+    throw httpError(404, 'Неизвестный адрес');
+}
+
+/**
+ * Обрабатывает запрос: проверяет ключ API, вызывает обработчик маршрута и отдает результат
+ * постранично в JSON ({ ...extra, data, page, per_page, total }) или целиком в CSV (?format=csv).
+ * @param {object} storage - Хранилище данных.
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ */
+async function handleRequest(storage, req, res) {
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, corsHeaders());
+        res.end();
+        return;
+    }
+    if (req.method !== 'GET') throw httpError(405, 'Поддерживаются только GET-запросы');
+
+    const url = new URL(req.url, 'http://localhost');
+    const { handler, params } = matchRoute(url.pathname.replace(/\/+$/, ''));
+    const profile = await authenticateApiKey(storage, readApiKey(req));
+    if (!profile) throw httpError(401, 'Ключ API не указан или недействителен');
+
+    const query = url.searchParams;
+    const format = query.get('format') || 'json';
+    if (format !== 'json' && format !== 'csv') throw httpError(400, 'format должен быть json или csv');
+    const pagination = format === 'json' ? parsePagination(query) : null;
+    const offset = pagination ? (pagination.page - 1) * pagination.perPage : 0;
+
+    const result = await handler({ storage, profile, query, pagination: pagination && { offset, limit: pagination.perPage } }, params);
+    if (format === 'csv') {
+        res.writeHead(200, {
+            'Content-Type': 'text/csv; charset=utf-8',
+            'Content-Disposition': `attachment; filename="${result.fileName}.csv"`,
+            ...corsHeaders(),
+        });
+        res.end(toCsv(result.items, result.columns));
+        return;
+    }
+
+    // Обработчик, вернувший total, уже выбрал страницу в хранилище
+    const paged = result.total !== undefined;
+    sendJson(res, 200, {
+        ...result.extra,
+        data: paged ? result.items : result.items.slice(offset, offset + pagination.perPage),
+        page: pagination.page,
+        per_page: pagination.perPage,
+        total: paged ? result.total : result.items.length,
+    });
+}
+
+/**
+ * Создает HTTP-сервер API только для чтения. Доступ — по ключу API (см. services/apiKeyService.js),
+ * и только к данным компании профиля, которому выдан ключ.
+ * @param {object} storage - Хранилище данных.
+ * @returns {http.Server}
+ */
+function createApiServer(storage) {
+    return http.createServer((req, res) => {
+        handleRequest(storage, req, res).catch(error => {
+            const status = error.status || 500;
+            if (status === 500) {
+                logger.error(`Ошибка обработки запроса ${req.method} ${req.url}:`, error.message);
+            }
+            sendJson(res, status, { error: status === 500 ? 'Внутренняя ошибка сервера' : error.message });
+        });
+    });
+}
+
+module.exports = {
+    createApiServer
+};
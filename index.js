@@ -1,32 +1,355 @@
 require('dotenv').config();
-const { createClient } = require('@supabase/supabase-js');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { parseArgs } = require('util');
 
 // Импортируем наши модули
+const { createStorage, createDryRunStorage, createMeteredStorage } = require('./storage');
+const { createNormalizer } = require('./normalizers');
+const { logger, setLevel, withLogContext } = require('./services/logger');
+const { metrics, saveMetricsFile } = require('./services/metrics');
 const { syncAllCompanies, archiveOrphanedVacancies } = require('./services/syncService');
-const { normalizeAllPending } = require('./services/normalizationService');
+const { normalizeAllPending, pinTitleMapping } = require('./services/normalizationService');
 const { trackPositionsAndCompetitorsTransactional } = require('./services/trackingService');
+const { sendPositionAlerts } = require('./services/alertService');
+const { sendWeeklyDigests } = require('./services/digestService');
+const { printCompetitorReports } = require('./services/competitorService');
+const { exportPositionTrends } = require('./services/trendService');
+const { exportLifecycleReports } = require('./services/lifecycleService');
+const { deliverPendingNotifications } = require('./services/outboxService');
+const { createLinkCode } = require('./services/profileService');
+const { createApiKey } = require('./services/apiKeyService');
+const { createQueryVariant, disableQueryVariant, printQueryVariants } = require('./services/queryVariantService');
+const { createTrackingTarget, disableTrackingTarget, printTrackingTargets } = require('./services/trackingTargetService');
+const {
+    createOrganisation,
+    addOrganisationEmployer,
+    removeOrganisationEmployer,
+    setOrganisationMember,
+    removeOrganisationMember,
+    printOrganisations
+} = require('./services/organisationService');
+const { NO_CHECKPOINT, startOrResumeRun } = require('./services/runService');
 
-// --- ИНИЦИАЛИЗАЦИЯ КЛИЕНТОВ ---
-const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-const geminiModel = genAI.getGenerativeModel({ model: "gemini-2.5-flash-lite" });
+// Коды завершения процесса, на которые может реагировать воркфлоу
+const EXIT_OK = 0;
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+const USAGE = `Использование: node index.js [команда] [параметры]
+
+Команды:
+  sync        Синхронизировать вакансии с hh.ru (компании из профилей и организаций, цели отслеживания)
+  archive     Закрыть вакансии компаний, за которыми больше никто не следит
+  normalize   Нормализовать названия вакансий
+  track       Отследить позиции вакансий в поиске
+  alert       Оповестить о падении позиций по сравнению с предыдущим отчетом
+  notify      Повторить отправку уведомлений, которые не удалось отправить раньше
+  all         Выполнить все этапы по порядку (по умолчанию)
+  digest      Сформировать и разослать недельные сводки (не входит в all)
+  competitors Показать главных работодателей-конкурентов компании по последнему отчету
+  trends      Выгрузить позиции вакансий за 30 дней и их тренды в CSV и JSON
+  lifecycle   Выгрузить время до заполнения вакансий и их повторные публикации за 90 дней в CSV и JSON
+  pin <исходное> <нормализованное>
+              Закрепить ручное соответствие названий, которое модель не перезапишет
+  link <id профиля>
+              Создать одноразовый код привязки чата Telegram к профилю (бот: node bot.js)
+  api-key <id профиля>
+              Создать ключ HTTP API с доступом к данным компаний профиля (сервер: node server.js)
+  variants    Показать варианты поисковых запросов, по которым отслеживаются позиции
+  variant-add <id вакансии или нормализованное название>
+              Добавить вариант запроса компании (-c): --keywords, --order-by, --salary, --experience
+  variant-disable <id варианта>
+              Отключить вариант запроса (замеры по нему сохраняются)
+  targets     Показать цели отслеживания помимо компаний из профилей
+  target-add <id работодателя или текст поиска>
+              Отслеживать вакансии работодателя или поиска hh.ru: --area, --schedule, --experience, --salary
+  target-disable <id цели>
+              Отключить цель отслеживания (ее вакансии закроет этап archive)
+  orgs        Показать организации, их работодателей и участников
+  org-create <название>
+              Создать организацию (агентство или HR-отдел с несколькими работодателями)
+  org-employer-add <id организации> <id работодателя>
+              Следить за работодателем hh.ru от имени организации
+  org-employer-remove <id организации> <id работодателя>
+              Перестать следить за работодателем от имени организации
+  org-member-add <id организации> <id профиля>
+              Добавить профиль в организацию или изменить его роль и назначение: --role, --areas, --titles
+  org-member-remove <id организации> <id профиля>
+              Убрать профиль из организации
+
+Параметры:
+  -c, --company <id>  Обработать только одну компанию (ID работодателя на hh.ru)
+  -n, --dry-run       Не записывать изменения в базу и не отправлять уведомления, только вывести их в лог
+  -f, --fresh         Начать запуск заново, не продолжая прерванный (запуск старше RUN_RESUME_HOURS,
+                      по умолчанию 6 ч., или упавший после сбора данных не продолжается и так)
+      --retry-failed  Повторить нормализацию названий, отмеченных normalization_failed
+      --keywords <слова>
+                      variant-add: слова, добавляемые к названию в запросе
+      --order-by <сортировка>
+                      variant-add: relevance, publication_time, salary_desc или salary_asc
+      --salary <сумма>
+                      variant-add, target-add: фильтр «уровень дохода от» (только вакансии с зарплатой)
+      --experience <опыт>
+                      variant-add, target-add: noExperience, between1And3, between3And6 или moreThan6
+      --area <id региона>
+                      target-add: регион поиска hh.ru (1 — Москва, 2 — Санкт-Петербург)
+      --schedule <график>
+                      target-add: fullDay, shift, flexible, remote или flyInFlyOut
+      --label <подпись>
+                      variant-add, target-add: подпись в уведомлениях, логах и выгрузках
+      --role <роль>   org-member-add: admin (все вакансии организации и сводки) или member (по умолчанию;
+                      только назначенные вакансии)
+      --areas <id,id> org-member-add: регионы hh.ru вакансий, назначенных участнику
+      --titles <названия>
+                      org-member-add: нормализованные названия вакансий, назначенных участнику (через запятую)
+  -v, --verbose       Подробный вывод
+  -q, --quiet         Выводить только предупреждения и ошибки
+  -h, --help          Показать эту справку`;
+
+// Этапы конвейера в порядке выполнения команды all
+const STAGES = {
+    sync: (storage, options) => syncAllCompanies(storage, options),
+    archive: (storage, options) => archiveOrphanedVacancies(storage, options),
+    // Нормализатор создается, только если есть названия не из словаря: провайдер выбирается NORMALIZER_PROVIDER
+    normalize: (storage, options) => normalizeAllPending(storage, () => createNormalizer(), options),
+    track: (storage, options) => trackPositionsAndCompetitorsTransactional(storage, options),
+    alert: (storage, options) => sendPositionAlerts(storage, options),
+    notify: (storage, options) => deliverPendingNotifications(storage, options),
+};
+
+// Этапы отправки: запуск, упавший на них, не продолжается, а начинается заново со сбора данных (см. runService)
+const DELIVERY_STAGES = ['alert', 'notify'];
+
+// Отдельные команды, которые не входят в all и запускаются по своему расписанию
+const COMMANDS = {
+    ...STAGES,
+    digest: (storage, options) => sendWeeklyDigests(storage, options),
+    competitors: (storage, options) => printCompetitorReports(storage, options),
+    trends: (storage, options) => exportPositionTrends(storage, options),
+    lifecycle: (storage, options) => exportLifecycleReports(storage, options),
+    pin: (storage, options) => pinTitleMapping(storage, options),
+    link: (storage, options) => createLinkCode(storage, options),
+    'api-key': (storage, options) => createApiKey(storage, options),
+    variants: (storage, options) => printQueryVariants(storage, options),
+    'variant-add': (storage, options) => createQueryVariant(storage, options),
+    'variant-disable': (storage, options) => disableQueryVariant(storage, options),
+    targets: (storage) => printTrackingTargets(storage),
+    'target-add': (storage, options) => createTrackingTarget(storage, options),
+    'target-disable': (storage, options) => disableTrackingTarget(storage, options),
+    orgs: (storage) => printOrganisations(storage),
+    'org-create': (storage, options) => createOrganisation(storage, options),
+    'org-employer-add': (storage, options) => addOrganisationEmployer(storage, options),
+    'org-employer-remove': (storage, options) => removeOrganisationEmployer(storage, options),
+    'org-member-add': (storage, options) => setOrganisationMember(storage, options),
+    'org-member-remove': (storage, options) => removeOrganisationMember(storage, options),
+};
+
+// Сколько позиционных аргументов принимает команда после своего имени
+const COMMAND_ARGUMENTS = {
+    pin: ['rawTitle', 'normalizedTitle'],
+    link: ['profileId'],
+    'api-key': ['profileId'],
+    'variant-add': ['target'],
+    'variant-disable': ['variantId'],
+    'target-add': ['target'],
+    'target-disable': ['targetId'],
+    'org-create': ['name'],
+    'org-employer-add': ['organisationId', 'employerId'],
+    'org-employer-remove': ['organisationId', 'employerId'],
+    'org-member-add': ['organisationId', 'profileId'],
+    'org-member-remove': ['organisationId', 'profileId'],
+};
+
+/**
+ * Разбирает аргументы командной строки.
+ * @param {Array<string>} argv - Аргументы без node и имени скрипта.
+ * @returns {{command: string, options: object, help: boolean, verbose: boolean, quiet: boolean}}
+ */
+function parseCommandLine(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            company: { type: 'string', short: 'c' },
+            'dry-run': { type: 'boolean', short: 'n', default: false },
+            fresh: { type: 'boolean', short: 'f', default: false },
+            'retry-failed': { type: 'boolean', default: false },
+            keywords: { type: 'string' },
+            'order-by': { type: 'string' },
+            salary: { type: 'string' },
+            experience: { type: 'string' },
+            area: { type: 'string' },
+            schedule: { type: 'string' },
+            label: { type: 'string' },
+            role: { type: 'string' },
+            areas: { type: 'string' },
+            titles: { type: 'string' },
+            verbose: { type: 'boolean', short: 'v', default: false },
+            quiet: { type: 'boolean', short: 'q', default: false },
+            help: { type: 'boolean', short: 'h', default: false },
+        },
+    });
+
+    const command = positionals[0] || 'all';
+    if (command !== 'all' && !COMMANDS[command]) {
+        throw new Error(`Неизвестная команда: ${command}`);
+    }
+    const argumentNames = COMMAND_ARGUMENTS[command] || [];
+    const commandArguments = positionals.slice(1);
+    if (commandArguments.length !== argumentNames.length) {
+        throw argumentNames.length === 0
+            ? new Error(`Ожидается одна команда, получено: ${positionals.join(' ')}`)
+            : new Error(`Команда ${command} ожидает аргументов: ${argumentNames.length}, получено: ${commandArguments.length}`);
+    }
+    if (values.verbose && values.quiet) {
+        throw new Error('Параметры --verbose и --quiet нельзя использовать вместе');
+    }
+
+    return {
+        command,
+        options: {
+            companyId: values.company,
+            dryRun: values['dry-run'],
+            fresh: values.fresh,
+            retryFailed: values['retry-failed'],
+            keywords: values.keywords,
+            orderBy: values['order-by'],
+            salary: values.salary,
+            experience: values.experience,
+            area: values.area,
+            schedule: values.schedule,
+            label: values.label,
+            role: values.role,
+            areas: values.areas,
+            titles: values.titles,
+            ...Object.fromEntries(argumentNames.map((name, i) => [name, commandArguments[i]])),
+        },
+        help: values.help,
+        verbose: values.verbose,
+        quiet: values.quiet,
+    };
+}
 
 /**
- * Главная функция, запускающая все этапы работы скрипта.
+ * Выполняет этапы запуска по порядку. Этапы, завершенные в прерванном ранее запуске, пропускаются.
+ * Длительность и исход каждого этапа попадают в метрики запуска.
+ * @param {object} storage - Хранилище данных.
+ * @param {Array<string>} stageNames - Этапы.
+ * @param {object} options - Параметры запуска.
+ * @param {object} run - Трекер запуска.
  */
-async function main() {
-    console.log('Скрипт запущен...');
+async function runStages(storage, stageNames, options, run) {
+    for (const stageName of stageNames) {
+        metrics.startStage(stageName);
+        if (run.isStageCompleted(stageName)) {
+            logger.info(`\nЭтап ${stageName} уже выполнен в этом запуске. Пропускаем.`);
+            metrics.finishStage(stageName, 'skipped');
+            continue;
+        }
+        await withLogContext({ stage: stageName }, async () => {
+            try {
+                await run.startStage(stageName);
+                await COMMANDS[stageName](storage, { ...options, run });
+                await run.completeStage(stageName);
+            } catch (error) {
+                metrics.finishStage(stageName, 'failed');
+                throw error;
+            }
+        });
+        metrics.finishStage(stageName, 'completed');
+    }
+}
+
+/**
+ * Сохраняет статус запуска и его метрики: в pipeline_runs и в файл (см. saveMetricsFile).
+ * @param {object} run - Трекер запуска.
+ * @param {string} command - Команда CLI.
+ * @param {string} status - completed или failed.
+ * @param {string|null} errorMessage - Текст ошибки.
+ * @returns {Promise<boolean>} - false, если статус запуска сохранить не удалось.
+ */
+async function finishRun(run, command, status, errorMessage) {
+    const summary = metrics.summary();
+    try {
+        const filePath = saveMetricsFile(summary, { command, runId: run.id });
+        logger.info(`Метрики запуска сохранены: ${filePath}`);
+    } catch (error) {
+        logger.error('Не удалось сохранить метрики запуска в файл:', error.message);
+    }
+    try {
+        await run.finish(status, errorMessage, summary);
+        return true;
+    } catch (finishError) {
+        logger.error('Не удалось сохранить статус запуска:', finishError.message);
+        return false;
+    }
+}
+
+/**
+ * Главная функция, запускающая выбранные этапы работы скрипта.
+ * Прогресс и метрики запуска этапов конвейера сохраняются в pipeline_runs: после сбоя следующий запуск той же команды
+ * (не позже RUN_RESUME_HOURS) пропускает завершенные этапы и продолжает прерванный с места остановки,
+ * если сбой случился до завершения сбора данных.
+ * @param {Array<string>} argv - Аргументы командной строки.
+ * @returns {Promise<number>} - Код завершения процесса.
+ */
+async function main(argv) {
+    let cli;
     try {
-        await syncAllCompanies(supabase);
-        await archiveOrphanedVacancies(supabase);
-        await normalizeAllPending(supabase, geminiModel);
-        await trackPositionsAndCompetitorsTransactional(supabase);
-        console.log('\nСкрипт успешно завершил работу!');
+        cli = parseCommandLine(argv);
     } catch (error) {
-        console.error('КРИТИЧЕСКАЯ ОШИБКА В main:', error.message, error.stack);
+        console.error(`${error.message}\n\n${USAGE}`);
+        return EXIT_USAGE;
     }
+    if (cli.help) {
+        console.log(USAGE);
+        return EXIT_OK;
+    }
+    if (cli.verbose) setLevel('debug');
+    if (cli.quiet) setLevel('warn');
+
+    const stageNames = cli.command === 'all' ? Object.keys(STAGES) : [cli.command];
+    logger.info(`Скрипт запущен: ${stageNames.join(', ')}${cli.options.companyId ? ` (компания ${cli.options.companyId})` : ''}${cli.options.dryRun ? ' [DRY RUN]' : ''}`);
+
+    let run = NO_CHECKPOINT;
+    let status = 'completed';
+    let errorMessage = null;
+    // Поля, которые получают все сообщения лога запуска
+    const logContext = { runId: null, command: cli.command, ...(cli.options.companyId ? { companyId: cli.options.companyId } : {}) };
+    try {
+        // Хранилище выбирается переменной STORAGE_BACKEND: 'supabase' (по умолчанию) или 'local'.
+        // Учет записей стоит под пробным режимом: несостоявшиеся записи в метрики не попадают
+        const baseStorage = createMeteredStorage(createStorage());
+        const storage = cli.options.dryRun ? createDryRunStorage(baseStorage) : baseStorage;
+
+        // Контрольные точки нужны только этапам конвейера; пробный запуск ничего не записывает,
+        // а разовые команды (отчеты, настройка) при повторе просто выполняются заново
+        const checkpointed = stageNames.every(stageName => STAGES[stageName]);
+        if (!cli.options.dryRun && checkpointed) {
+            run = await startOrResumeRun(storage, {
+                command: cli.command,
+                stages: stageNames,
+                dataStages: stageNames.filter(stageName => !DELIVERY_STAGES.includes(stageName)),
+                companyId: cli.options.companyId,
+                fresh: cli.options.fresh,
+            });
+        }
+
+        logContext.runId = run.id;
+        await withLogContext(logContext, () => runStages(storage, stageNames, cli.options, run));
+    } catch (error) {
+        withLogContext(logContext, () => logger.error('КРИТИЧЕСКАЯ ОШИБКА В main:', error));
+        status = 'failed';
+        errorMessage = error.message;
+    }
+
+    const saved = await withLogContext(logContext, async () => {
+        if (status === 'completed') logger.info('\nСкрипт успешно завершил работу!');
+        return finishRun(run, cli.command, status, errorMessage);
+    });
+    return status === 'completed' && saved ? EXIT_OK : EXIT_FAILURE;
 }
 
 // --- ЗАПУСК СКРИПТА ---
-main();
\ No newline at end of file
+main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+});
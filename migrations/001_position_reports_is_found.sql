@@ -0,0 +1,12 @@
+-- Признак того, что вакансия действительно найдена в выдаче.
+-- Если is_found = false, а position числовая, вакансия находится глубже просмотренных позиций.
+alter table position_reports
+    add column if not exists is_found boolean not null default false;
+
+-- Старый код писал число, если вакансия есть на первой странице выдачи (100 позиций), 'Не найдено',
+-- если выдача пуста, и 100, если вакансии нет на непустой первой странице. Настоящую 100-ю позицию
+-- от этой отметки не отличить, а отметка встречается гораздо чаще, поэтому 100 считается «не найдена»:
+-- лучше потерять редкий замер на 100-м месте, чем получить ложные позиции в трендах и оповещениях.
+update position_reports
+set is_found = true
+where position ~ '^[0-9]+$' and position <> '100';
@@ -0,0 +1,15 @@
+-- История изменений полей вакансий, которую пишет синхронизация.
+create table if not exists vacancy_changes (
+    id uuid primary key default gen_random_uuid(),
+    vacancy_id uuid not null references vacancies(id) on delete cascade,
+    field text not null,
+    old_value jsonb,
+    new_value jsonb,
+    changed_at timestamptz not null default now()
+);
+
+create index if not exists vacancy_changes_vacancy_id_idx on vacancy_changes (vacancy_id, changed_at);
+
+-- При начальной синхронизации детали не загружаются, и key_skills остаются неизвестными (null)
+alter table vacancies alter column key_skills drop not null;
+alter table vacancies alter column key_skills drop default;
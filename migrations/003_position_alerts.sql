@@ -0,0 +1,9 @@
+-- Пороги оповещений о позициях. null — значение по умолчанию, 0 — оповещение отключено.
+alter table profiles
+    add column if not exists alert_position_drop integer,
+    add column if not exists alert_competitors_jump_pct integer,
+    add column if not exists alert_on_depth_exit boolean not null default true;
+
+-- Отметка о том, что оповещения по отчету уже разосланы
+alter table reports
+    add column if not exists alerts_sent_at timestamptz;
@@ -0,0 +1,3 @@
+-- Подписка на недельную сводку по компании
+alter table profiles
+    add column if not exists notify_weekly_digest boolean not null default true;
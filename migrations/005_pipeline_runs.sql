@@ -0,0 +1,18 @@
+-- Запуски конвейера с контрольными точками, по которым прерванный запуск продолжается с места остановки
+create table if not exists pipeline_runs (
+    id uuid primary key default gen_random_uuid(),
+    command text not null,
+    stages text[] not null,
+    company_hh_id text,
+    -- running, completed, failed или abandoned
+    status text not null default 'running',
+    current_stage text,
+    -- { [этап]: { status, done: [ключи обработанных компаний/групп], ...данные этапа } }
+    state jsonb not null default '{}'::jsonb,
+    error_message text,
+    started_at timestamptz not null default now(),
+    updated_at timestamptz not null default now(),
+    finished_at timestamptz
+);
+
+create index if not exists pipeline_runs_status_idx on pipeline_runs (status, started_at desc);
@@ -0,0 +1,17 @@
+-- Словарь нормализованных названий: одно исходное название отправляется модели только один раз.
+-- source: провайдер нормализации (gemini, openai) или manual — ручные соответствия модель не перезаписывает.
+create table if not exists title_mappings (
+    raw_title text primary key,
+    normalized_title text not null,
+    source text not null,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+-- Заполняем словарь уже нормализованными названиями (до этой миграции их нормализовал только Gemini)
+insert into title_mappings (raw_title, normalized_title, source)
+select distinct on (raw_title) raw_title, normalized_title, 'gemini'
+from vacancies
+where raw_title is not null and normalized_title is not null
+order by raw_title
+on conflict (raw_title) do nothing;
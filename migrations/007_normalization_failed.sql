@@ -0,0 +1,5 @@
+-- Названия, которые нормализатор так и не смог обработать: они больше не отправляются модели,
+-- пока не изменится raw_title или не будет запущен normalize --retry-failed
+alter table vacancies
+    add column if not exists normalization_failed boolean not null default false,
+    add column if not exists normalization_error text;
@@ -0,0 +1,28 @@
+-- Статистика зарплат конкурентов по поисковой группе (название, регион, график) в каждом отчете.
+-- Зарплаты приведены к одной валюте (currency) и к сумме «на руки».
+create table if not exists salary_benchmarks (
+    id uuid primary key default gen_random_uuid(),
+    report_id uuid not null references reports(id) on delete cascade,
+    normalized_title text not null,
+    area_id text,
+    schedule_id text,
+    sample_size integer not null,
+    with_salary_count integer not null,
+    salary_share numeric not null,
+    salary_q1 integer,
+    salary_median integer,
+    salary_q3 integer,
+    currency text not null,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists salary_benchmarks_report_id_idx on salary_benchmarks (report_id);
+
+-- Положение зарплаты вакансии относительно рынка: below, within, above или null (зарплата не указана)
+alter table position_reports
+    add column if not exists salary_benchmark_id uuid references salary_benchmarks(id) on delete set null,
+    add column if not exists salary_position text;
+
+-- Уведомления о смене положения зарплаты относительно рынка
+alter table profiles
+    add column if not exists alert_on_salary_position boolean not null default true;
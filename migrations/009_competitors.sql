@@ -0,0 +1,32 @@
+-- Работодатели на первой странице выдачи каждой поисковой группы в отчете
+create table if not exists group_competitors (
+    id uuid primary key default gen_random_uuid(),
+    report_id uuid not null references reports(id) on delete cascade,
+    group_key text not null,
+    normalized_title text not null,
+    area_id text,
+    schedule_id text,
+    employer_hh_id text not null,
+    employer_name text,
+    best_position integer not null,
+    vacancies_count integer not null,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists group_competitors_report_id_idx on group_competitors (report_id, group_key);
+
+-- Сводка по работодателю за отчет: в скольких группах он встречается и сколько у него там вакансий.
+-- Сравнение сводок разных отчетов показывает, как меняется его присутствие в выдаче.
+create table if not exists competitor_snapshots (
+    id uuid primary key default gen_random_uuid(),
+    report_id uuid not null references reports(id) on delete cascade,
+    employer_hh_id text not null,
+    employer_name text,
+    groups_count integer not null,
+    vacancies_count integer not null,
+    best_position integer not null,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists competitor_snapshots_report_id_idx on competitor_snapshots (report_id);
+create index if not exists competitor_snapshots_employer_idx on competitor_snapshots (employer_hh_id, created_at);
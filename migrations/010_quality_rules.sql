@@ -0,0 +1,35 @@
+-- Данные для правил качества и сама оценка качества вакансии
+alter table vacancies
+    add column if not exists experience_id text,
+    add column if not exists description_length integer,
+    add column if not exists last_published_at timestamptz,
+    -- 100 минус веса нарушенных правил (см. services/qualityService.js)
+    add column if not exists quality_score integer,
+    -- Идентификаторы нарушенных правил
+    add column if not exists quality_issues text[];
+
+-- Настройки уведомлений о недостатках вакансий по идентификаторам правил: { "no_salary": true, ... }.
+-- Правила, которых нет в настройках, используют значение по умолчанию из правила.
+alter table profiles
+    add column if not exists quality_notifications jsonb not null default '{}'::jsonb;
+
+-- Переносим старые флаги notify_no_* (миграцию можно запускать повторно: после удаления колонок перенос пропускается)
+-- Правило no_salary срабатывает не так, как старый notify_no_salary: тот считал зарплату не указанной без нижней
+-- границы (salary_from), а правило — только когда не указаны обе. Подписчики no_salary больше не получают
+-- уведомлений о вакансиях с одной верхней границей («до 100 000»), и такие вакансии не теряют баллы качества.
+do $$
+begin
+    if exists (select 1 from information_schema.columns where table_name = 'profiles' and column_name = 'notify_no_salary') then
+        update profiles
+        set quality_notifications = jsonb_build_object(
+            'no_salary', coalesce(notify_no_salary, false),
+            'no_skills', coalesce(notify_no_skills, false),
+            'hidden_contacts', coalesce(notify_no_contacts, false)
+        );
+
+        alter table profiles
+            drop column notify_no_salary,
+            drop column notify_no_skills,
+            drop column notify_no_contacts;
+    end if;
+end $$;
@@ -0,0 +1,33 @@
+-- Канал уведомлений пользователя и адреса в каналах
+alter table profiles
+    -- telegram, email или webhook
+    add column if not exists notification_channel text not null default 'telegram',
+    add column if not exists email text,
+    add column if not exists webhook_url text;
+
+-- Очередь исходящих уведомлений. Сообщение сначала записывается сюда, затем отправляется;
+-- неотправленные повторяются с растущей паузой (см. services/outboxService.js)
+create table if not exists notification_outbox (
+    id uuid primary key default gen_random_uuid(),
+    -- Части одного длинного сообщения имеют общий message_id и отправляются по порядку part_index
+    message_id uuid not null,
+    part_index integer not null default 0,
+    profile_id uuid,
+    company_hh_id text,
+    channel text not null,
+    address text not null,
+    subject text,
+    text text not null,
+    -- Ключи того, о чем сообщение (например, new_vacancy:<профиль>:<вакансия>): повторно об этом не сообщается
+    dedup_keys text[] not null default '{}',
+    -- pending, sent или failed
+    status text not null default 'pending',
+    attempts integer not null default 0,
+    last_error text,
+    next_attempt_at timestamptz not null default now(),
+    created_at timestamptz not null default now(),
+    sent_at timestamptz
+);
+
+create index if not exists notification_outbox_due_idx on notification_outbox (status, next_attempt_at);
+create index if not exists notification_outbox_dedup_keys_idx on notification_outbox using gin (dedup_keys);
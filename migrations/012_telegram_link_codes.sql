@@ -0,0 +1,12 @@
+-- Одноразовые коды, по которым Telegram-бот привязывает чат к профилю (profiles.telegram_chat_id)
+create table if not exists telegram_link_codes (
+    code text primary key,
+    profile_id uuid not null,
+    expires_at timestamptz not null,
+    used_at timestamptz,
+    -- Чат, к которому привязан профиль по коду
+    telegram_chat_id bigint,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists telegram_link_codes_profile_id_idx on telegram_link_codes (profile_id);
@@ -0,0 +1,13 @@
+-- Ключи доступа к HTTP API. Хранится только SHA-256 ключа, сам ключ показывается один раз при создании.
+-- Ключ дает доступ к данным компании профиля (profiles.company_hh_id).
+create table if not exists api_keys (
+    id uuid primary key default gen_random_uuid(),
+    key_hash text not null unique,
+    profile_id uuid not null,
+    name text,
+    created_at timestamptz not null default now(),
+    last_used_at timestamptz,
+    revoked_at timestamptz
+);
+
+create index if not exists api_keys_profile_id_idx on api_keys (profile_id);
@@ -0,0 +1,25 @@
+-- Типизированный замер позиции вместо колонки position, в которой числа смешаны со строками
+-- 'Не найдено' и 'Ошибка'. Колонка position по-прежнему заполняется для совместимости.
+alter table position_reports
+    -- Позиция в выдаче, если вакансия найдена
+    add column if not exists position_rank integer,
+    -- found, not_found или error
+    add column if not exists position_status text,
+    -- Сколько позиций выдачи просмотрено
+    add column if not exists searched_depth integer,
+    -- Выдача закончилась раньше лимита глубины (вакансии в ней нет совсем, а не «глубже просмотренного»)
+    add column if not exists search_exhausted boolean not null default false;
+
+-- Переносим старые замеры: число при is_found — позиция, число без is_found — глубина поиска
+update position_reports
+set position_status = case
+        when error_message is not null or position = 'Ошибка' then 'error'
+        when is_found then 'found'
+        else 'not_found'
+    end,
+    position_rank = case when is_found and position ~ '^\d+$' then position::integer end,
+    searched_depth = case when not is_found and position ~ '^\d+$' then position::integer end,
+    search_exhausted = (position = 'Не найдено')
+where position_status is null;
+
+create index if not exists position_reports_vacancy_id_idx on position_reports (vacancy_id, report_id);
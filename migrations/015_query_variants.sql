@@ -0,0 +1,31 @@
+-- Дополнительные варианты поискового запроса, по которым отслеживаются позиции вакансий компании.
+-- Основной запрос (text = normalized_title, сортировка по соответствию) отслеживается всегда.
+-- Вариант относится либо к одной вакансии (vacancy_id), либо ко всем вакансиям компании
+-- с нормализованным названием normalized_title.
+create table if not exists query_variants (
+    id uuid primary key default gen_random_uuid(),
+    company_hh_id text not null,
+    vacancy_id uuid,
+    normalized_title text,
+    -- Подпись варианта для уведомлений и выгрузок
+    label text not null,
+    -- Слова, которые добавляются к нормализованному названию в запросе
+    extra_keywords text,
+    -- relevance, publication_time, salary_desc или salary_asc
+    order_by text not null default 'relevance',
+    -- Фильтр «уровень дохода от» (в запросе также включается only_with_salary)
+    salary integer,
+    -- Фильтр по опыту: noExperience, between1And3, between3And6 или moreThan6
+    experience text,
+    enabled boolean not null default true,
+    created_at timestamptz not null default now(),
+    check (vacancy_id is not null or normalized_title is not null)
+);
+
+create index if not exists query_variants_company_hh_id_idx on query_variants (company_hh_id);
+
+-- Замер по варианту запроса; null — основной запрос
+alter table position_reports
+    add column if not exists query_variant_id uuid;
+
+create index if not exists position_reports_query_variant_id_idx on position_reports (query_variant_id);
@@ -0,0 +1,3 @@
+-- Метрики запуска конвейера: запросы к API, повторы, партии и токены нормализатора, записи в БД,
+-- отправленные уведомления и длительности этапов. Продолженный запуск дописывает сводку каждого процесса в конец списка.
+alter table pipeline_runs add column if not exists metrics jsonb not null default '[]'::jsonb;
@@ -0,0 +1,35 @@
+-- Цели отслеживания помимо компаний из профилей: работодатель (например, конкурент без своего профиля)
+-- или сохраненный поиск hh.ru по сегменту рынка. Вакансии цели синхронизируются в vacancies
+-- с source_target_id; у вакансий из поиска company_hh_id не заполняется, поэтому они не смешиваются
+-- с вакансиями компаний и не попадают в замеры позиций, оповещения и сводки.
+create table if not exists tracking_targets (
+    id uuid primary key default gen_random_uuid(),
+    -- employer или search
+    kind text not null,
+    -- Подпись цели в логах и выгрузках
+    label text not null,
+    -- employer: ID работодателя на hh.ru
+    company_hh_id text,
+    -- search: параметры поиска hh.ru
+    search_text text,
+    area_id integer,
+    schedule_id text,
+    -- noExperience, between1And3, between3And6 или moreThan6
+    experience text,
+    -- Фильтр «уровень дохода от» (в запросе также включается only_with_salary)
+    salary integer,
+    enabled boolean not null default true,
+    created_at timestamptz not null default now(),
+    check ((kind = 'employer' and company_hh_id is not null) or (kind = 'search' and search_text is not null))
+);
+
+-- Цель, из которой пришла вакансия; null — компания из профилей
+alter table vacancies
+    add column if not exists source_target_id uuid references tracking_targets (id),
+    -- Работодатель вакансии из поиска (у вакансий компаний он совпадает с company_hh_id и не заполняется)
+    add column if not exists employer_hh_id text,
+    add column if not exists employer_name text;
+
+alter table vacancies alter column company_hh_id drop not null;
+
+create index if not exists vacancies_source_target_id_idx on vacancies (source_target_id);
@@ -0,0 +1,36 @@
+-- Организации (кадровое агентство, HR-отдел компании): несколько работодателей и команда участников.
+-- Участник организации следит за всеми ее работодателями наравне с компанией своего профиля
+-- (profiles.company_hh_id). Роль участника определяет, какие вакансии он видит в боте и API
+-- и о каких получает уведомления:
+--   admin  — все вакансии работодателей организации и недельные сводки;
+--   member — только назначенные ему вакансии: по региону (area_ids) или нормализованному названию (normalized_titles).
+create table if not exists organisations (
+    id uuid primary key default gen_random_uuid(),
+    name text not null,
+    created_at timestamptz not null default now()
+);
+
+create table if not exists organisation_employers (
+    id uuid primary key default gen_random_uuid(),
+    organisation_id uuid not null references organisations (id) on delete cascade,
+    -- ID работодателя на hh.ru
+    company_hh_id text not null,
+    created_at timestamptz not null default now(),
+    unique (organisation_id, company_hh_id)
+);
+
+create index if not exists organisation_employers_company_hh_id_idx on organisation_employers (company_hh_id);
+
+create table if not exists organisation_members (
+    id uuid primary key default gen_random_uuid(),
+    organisation_id uuid not null references organisations (id) on delete cascade,
+    profile_id uuid not null,
+    role text not null default 'member' check (role in ('admin', 'member')),
+    -- Назначение участника с ролью member: регионы hh.ru и нормализованные названия вакансий
+    area_ids integer[] not null default '{}',
+    normalized_titles text[] not null default '{}',
+    created_at timestamptz not null default now(),
+    unique (organisation_id, profile_id)
+);
+
+create index if not exists organisation_members_profile_id_idx on organisation_members (profile_id);
@@ -0,0 +1,23 @@
+-- Жизненный цикл вакансий. Переходы открытия, закрытия и реактивации пишутся в vacancy_changes
+-- (field = 'status'; у открытия old_value = null). В самой вакансии хранится время последнего закрытия
+-- и срок жизни: дни от первой публикации на hh.ru (published_at) до закрытия. При реактивации оба поля очищаются.
+alter table vacancies
+    add column if not exists closed_at timestamptz,
+    add column if not exists lifetime_days numeric(8, 1),
+    -- Закрытая вакансия того же работодателя с тем же названием и регионом, которую эта вакансия
+    -- заменила (повторная публикация под новым ID)
+    add column if not exists reposted_from_id uuid references vacancies (id);
+
+create index if not exists vacancies_reposted_from_id_idx on vacancies (reposted_from_id);
+
+-- Уже закрытые вакансии получают время закрытия из истории статусов
+update vacancies v
+set closed_at = c.changed_at,
+    lifetime_days = round((extract(epoch from c.changed_at - v.published_at) / 86400)::numeric, 1)
+from (
+    select vacancy_id, max(changed_at) as changed_at
+    from vacancy_changes
+    where field = 'status' and new_value = '"closed"'::jsonb
+    group by vacancy_id
+) c
+where v.id = c.vacancy_id and v.status = 'closed' and v.closed_at is null;
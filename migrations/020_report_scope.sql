@@ -0,0 +1,6 @@
+-- Отчет о позициях, снятый по одной компании (track -c <id>), покрывает только ее вакансии.
+-- null — полный запуск по всем компаниям. Последний и предыдущий отчеты для сравнения выбираются
+-- только среди отчетов, покрывающих нужную компанию, чтобы частичный отчет не сравнивался с полным.
+alter table reports add column if not exists company_hh_id text;
+
+create index if not exists reports_company_hh_id_idx on reports (company_hh_id, status, created_at);
@@ -0,0 +1,4 @@
+-- Когда детали вакансии (навыки, описание) последний раз загружались с hh.ru. Детали активной вакансии
+-- перезагружаются, только если по краткой информации из списка вакансий она изменилась,
+-- детали еще не загружались или прошло DETAILS_REFRESH_HOURS с прошлой загрузки.
+alter table vacancies add column if not exists details_checked_at timestamptz;
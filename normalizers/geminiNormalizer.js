@@ -0,0 +1,45 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { buildNormalizationPrompt, parseNormalizationResponse } = require('./prompt');
+const { metrics } = require('../services/metrics');
+
+/**
+ * Нормализатор на Gemini.
+ * @param {object} [options]
+ * @param {string} [options.apiKey] - Ключ API. По умолчанию GEMINI_API_KEY.
+ * @param {string} [options.model] - Модель. По умолчанию GEMINI_MODEL или gemini-2.5-flash-lite.
+ * @param {string} [options.baseUrl] - Адрес API. По умолчанию GEMINI_API_URL, а если он не задан — адрес Google.
+ * @returns {object} - Нормализатор.
+ */
+function createGeminiNormalizer(options = {}) {
+    const apiKey = options.apiKey || process.env.GEMINI_API_KEY;
+    if (!apiKey) throw new Error('Для нормализатора gemini нужен GEMINI_API_KEY');
+    const modelName = options.model || process.env.GEMINI_MODEL || 'gemini-2.5-flash-lite';
+    const baseUrl = options.baseUrl || process.env.GEMINI_API_URL;
+    const model = new GoogleGenerativeAI(apiKey).getGenerativeModel({ model: modelName }, baseUrl ? { baseUrl } : undefined);
+
+    return {
+        name: 'gemini',
+        batchSize: 150,
+        // Пауза для соблюдения лимитов free-tier Gemini (3 запроса в минуту)
+        pauseMs: 20000,
+
+        async normalizeBatch(items) {
+            metrics.increment('api_calls', 'gemini generateContent');
+            const result = await model.generateContent(buildNormalizationPrompt(items));
+            const usage = result.response.usageMetadata || {};
+            metrics.increment('normalizer', 'gemini.prompt_tokens', usage.promptTokenCount || 0);
+            metrics.increment('normalizer', 'gemini.output_tokens', usage.candidatesTokenCount || 0);
+            const text = result.response.text();
+            try {
+                return parseNormalizationResponse(text);
+            } catch (error) {
+                error.responseText = text;
+                throw error;
+            }
+        },
+    };
+}
+
+module.exports = {
+    createGeminiNormalizer
+};
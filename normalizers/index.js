@@ -0,0 +1,44 @@
+const { logger } = require('../services/logger');
+const { createGeminiNormalizer } = require('./geminiNormalizer');
+const { createOpenAiNormalizer } = require('./openaiNormalizer');
+const { createRulesNormalizer } = require('./rulesNormalizer');
+
+const PROVIDERS = {
+    gemini: createGeminiNormalizer,
+    openai: createOpenAiNormalizer,
+    rules: createRulesNormalizer,
+};
+
+/**
+ * Создает нормализатор названий вакансий.
+ *
+ * Интерфейс нормализатора:
+ *  - name: имя провайдера для логов
+ *  - batchSize: сколько названий отправлять за один вызов
+ *  - pauseMs: пауза между вызовами (лимиты API)
+ *  - deterministic: результат зависит только от названия (такие результаты не кэшируются в title_mappings)
+ *  - normalizeBatch([{ id, title }]) -> Promise<[{ id, title }]>; выбрасывает ошибку, если ответ не получен или не разобран.
+ *    Содержимое ответа проверяется отдельно (см. normalizers/validation.js)
+ *
+ * @param {object} [options]
+ * @param {string} [options.provider] - 'gemini', 'openai' или 'rules'. По умолчанию NORMALIZER_PROVIDER,
+ *   а если он не задан — gemini при наличии GEMINI_API_KEY, иначе rules.
+ * @returns {object} - Нормализатор.
+ */
+function createNormalizer(options = {}) {
+    let provider = options.provider || process.env.NORMALIZER_PROVIDER;
+    if (!provider) {
+        provider = process.env.GEMINI_API_KEY ? 'gemini' : 'rules';
+        if (provider === 'rules') {
+            logger.warn('GEMINI_API_KEY не задан: названия будут нормализованы по правилам, без LLM.');
+        }
+    }
+
+    const createProvider = PROVIDERS[provider];
+    if (!createProvider) throw new Error(`Неизвестный провайдер нормализации: ${provider}`);
+    return createProvider(options);
+}
+
+module.exports = {
+    createNormalizer
+};
@@ -0,0 +1,51 @@
+const axios = require('axios');
+const { buildNormalizationPrompt, parseNormalizationResponse } = require('./prompt');
+const { metrics } = require('../services/metrics');
+
+// Сколько ждать ответа модели, прежде чем считать вызов неудавшимся
+const REQUEST_TIMEOUT = parseInt(process.env.OPENAI_TIMEOUT_MS) || 120000;
+
+/**
+ * Нормализатор для любого сервера с OpenAI-совместимым API (/chat/completions):
+ * OpenAI, локальные Ollama, LM Studio, vLLM и т.п.
+ * @param {object} [options]
+ * @param {string} [options.baseUrl] - Адрес API. По умолчанию OPENAI_BASE_URL или https://api.openai.com/v1.
+ * @param {string} [options.apiKey] - Ключ API. По умолчанию OPENAI_API_KEY; локальным серверам обычно не нужен.
+ * @param {string} [options.model] - Модель. По умолчанию OPENAI_MODEL или gpt-4o-mini.
+ * @returns {object} - Нормализатор.
+ */
+function createOpenAiNormalizer(options = {}) {
+    const baseUrl = (options.baseUrl || process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    const apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+    const model = options.model || process.env.OPENAI_MODEL || 'gpt-4o-mini';
+    const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+
+    return {
+        name: 'openai',
+        batchSize: parseInt(process.env.OPENAI_BATCH_SIZE) || 150,
+        pauseMs: parseInt(process.env.OPENAI_PAUSE_MS) || 0,
+
+        async normalizeBatch(items) {
+            metrics.increment('api_calls', 'openai POST /chat/completions');
+            const response = await axios.post(`${baseUrl}/chat/completions`, {
+                model,
+                temperature: 0,
+                messages: [{ role: 'user', content: buildNormalizationPrompt(items) }],
+            }, { headers, timeout: REQUEST_TIMEOUT });
+            const usage = response.data.usage || {};
+            metrics.increment('normalizer', 'openai.prompt_tokens', usage.prompt_tokens || 0);
+            metrics.increment('normalizer', 'openai.output_tokens', usage.completion_tokens || 0);
+            const text = response.data.choices[0].message.content;
+            try {
+                return parseNormalizationResponse(text);
+            } catch (error) {
+                error.responseText = text;
+                throw error;
+            }
+        },
+    };
+}
+
+module.exports = {
+    createOpenAiNormalizer
+};
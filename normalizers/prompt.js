@@ -0,0 +1,24 @@
+/**
+ * Формирует запрос на нормализацию названий вакансий. Общий для всех LLM-провайдеров.
+ * @param {Array<{id: string, title: string}>} items - Названия для нормализации.
+ * @returns {string}
+ */
+function buildNormalizationPrompt(items) {
+    return `Твоя задача - максимально агрессивно нормализовать названия вакансий, оставив только самую суть профессии. Правила: 1. Удаляй уровни должностей. 2. Удаляй уточнения в скобках. 3. Если несколько должностей через слэш (/), оставляй первую. 4. Убирай лишние специализации. 5. Сокращай длинные названия. Примеры: "Монтажник РЭА и приборов" -> "Монтажник РЭА", "Токарь на оборонный завод" -> "Токарь", "Ведущий (старший) бухгалтер" -> "Бухгалтер", "Казначей/финансовый менеджер" -> "Казначей", "Наладчик станков и манипуляторов с программным управлением" -> "Наладчик станков", "Подручный (помощник станочника)" -> "Подручный", "Токарь-карусельщик / расточник" -> "Токарь-карусельщик". КРАЙНЕ ВАЖНО: Твой ответ должен быть только и исключительно валидным JSON-массивом объектов, где каждый объект имеет вид {"id": "uuid_вакансии", "title": "нормализованное_название"}. Не добавляй ничего лишнего. Вот список: ${JSON.stringify(items)}`;
+}
+
+/**
+ * Извлекает JSON-массив из ответа модели (модели любят оборачивать его в текст или markdown).
+ * @param {string} text - Ответ модели.
+ * @returns {Array<{id: string, title: string}>}
+ */
+function parseNormalizationResponse(text) {
+    const jsonMatch = text.match(/\[[\s\S]*\]/);
+    if (!jsonMatch) throw new Error('В ответе модели не найден JSON-массив.');
+    return JSON.parse(jsonMatch[0]);
+}
+
+module.exports = {
+    buildNormalizationPrompt,
+    parseNormalizationResponse
+};
@@ -0,0 +1,51 @@
+// Слова, обозначающие уровень должности, во всех встречающихся формах
+const GRADE_WORDS = new Set([
+    'ведущий', 'ведущая', 'ведущего', 'ведущей',
+    'старший', 'старшая', 'старшего', 'старшей',
+    'младший', 'младшая', 'младшего', 'младшей',
+    'главный', 'главная', 'главного', 'главной',
+    'senior', 'middle', 'junior', 'lead',
+]);
+
+/**
+ * Нормализует название без обращения к модели: отбрасывает все после слэша, уточнения в скобках
+ * и слова уровня должности. Результат всегда один и тот же для одного названия.
+ * @param {string} rawTitle - Исходное название вакансии.
+ * @returns {string}
+ */
+function normalizeTitleByRules(rawTitle) {
+    const original = String(rawTitle || '').trim();
+    const withoutAlternatives = original.split('/')[0];
+    const withoutParentheses = withoutAlternatives.replace(/\([^)]*\)?/g, ' ');
+    const words = withoutParentheses
+        .split(/\s+/)
+        .filter(word => word && !GRADE_WORDS.has(word.toLowerCase().replace(/[.,;:]+$/, '')));
+    const title = words.join(' ').replace(/^[\s,.;:\-–—]+|[\s,.;:\-–—]+$/g, '');
+
+    // Если от названия ничего не осталось (например, "Ведущий / Senior"), оставляем исходное
+    if (!title) return original;
+    return title.charAt(0).toUpperCase() + title.slice(1);
+}
+
+/**
+ * Детерминированный нормализатор на правилах. Не требует ключей API и сети,
+ * поэтому используется в тестах и как запасной вариант при запуске без LLM.
+ * @returns {object} - Нормализатор.
+ */
+function createRulesNormalizer() {
+    return {
+        name: 'rules',
+        batchSize: 1000,
+        pauseMs: 0,
+        deterministic: true,
+
+        async normalizeBatch(items) {
+            return items.map(item => ({ id: item.id, title: normalizeTitleByRules(item.title) }));
+        },
+    };
+}
+
+module.exports = {
+    createRulesNormalizer,
+    normalizeTitleByRules
+};
@@ -0,0 +1,49 @@
+/**
+ * Строго проверяет ответ нормализатора на пакет названий.
+ * Каждый элемент ответа должен иметь id из пакета и непустое название не длиннее исходного.
+ * @param {Array<{id: string, title: string}>} items - Отправленный пакет.
+ * @param {any} response - Разобранный ответ нормализатора.
+ * @returns {{valid: Array<{id: string, title: string}>, invalid: Array<{id: string, reason: string}>, unknownIds: Array}}
+ *   valid — принятые названия; invalid — элементы пакета, которые нужно повторить, с причиной;
+ *   unknownIds — id из ответа, которых не было в пакете.
+ */
+function validateNormalizedTitles(items, response) {
+    if (!Array.isArray(response)) {
+        return { valid: [], invalid: items.map(item => ({ id: item.id, reason: 'ответ не является массивом' })), unknownIds: [] };
+    }
+
+    const sourceById = new Map(items.map(item => [item.id, item.title]));
+    const accepted = new Map();
+    const reasons = new Map();
+    const unknownIds = [];
+
+    for (const entry of response) {
+        const id = entry && typeof entry === 'object' ? entry.id : undefined;
+        if (!sourceById.has(id)) {
+            unknownIds.push(id);
+            continue;
+        }
+        if (accepted.has(id)) continue;
+
+        const title = typeof entry.title === 'string' ? entry.title.trim() : '';
+        const source = sourceById.get(id);
+        if (!title) {
+            reasons.set(id, 'пустое название');
+        } else if (title.length > source.length) {
+            reasons.set(id, `название длиннее исходного: "${title}"`);
+        } else {
+            accepted.set(id, title);
+            reasons.delete(id);
+        }
+    }
+
+    const invalid = items
+        .filter(item => !accepted.has(item.id))
+        .map(item => ({ id: item.id, reason: reasons.get(item.id) || 'нет в ответе' }));
+    const valid = [...accepted].map(([id, title]) => ({ id, title }));
+    return { valid, invalid, unknownIds };
+}
+
+module.exports = {
+    validateNormalizedTitles
+};
@@ -0,0 +1,42 @@
+const nodemailer = require('nodemailer');
+const { stripHtml } = require('../services/utils');
+
+/**
+ * Создает отправителя писем через SMTP.
+ * Настройки: SMTP_HOST, SMTP_PORT (по умолчанию 587), SMTP_SECURE (по умолчанию true только для порта 465),
+ * SMTP_USER, SMTP_PASS и SMTP_FROM (по умолчанию SMTP_USER).
+ * @returns {object} - Отправитель (см. notifiers/index.js).
+ */
+function createEmailNotifier() {
+    const host = process.env.SMTP_HOST;
+    if (!host) {
+        throw new Error('Переменная окружения SMTP_HOST не задана.');
+    }
+    const port = parseInt(process.env.SMTP_PORT) || 587;
+    const transport = nodemailer.createTransport({
+        host,
+        port,
+        secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+    });
+    const from = process.env.SMTP_FROM || process.env.SMTP_USER;
+
+    return {
+        name: 'email',
+
+        async send(address, message) {
+            await transport.sendMail({
+                from,
+                to: address,
+                subject: message.subject,
+                text: stripHtml(message.text),
+                // Разметка сообщений рассчитана на Telegram: переносы строк заменяются на <br>
+                html: message.text.replace(/\n/g, '<br>\n'),
+            });
+        },
+    };
+}
+
+module.exports = {
+    createEmailNotifier
+};
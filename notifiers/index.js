@@ -0,0 +1,67 @@
+const { TELEGRAM_MAX_LENGTH, createTelegramNotifier } = require('./telegramNotifier');
+const { createEmailNotifier } = require('./emailNotifier');
+const { createWebhookNotifier } = require('./webhookNotifier');
+
+const DEFAULT_CHANNEL = 'telegram';
+
+/**
+ * Каналы уведомлений:
+ *  - addressField: поле профиля с адресом получателя в этом канале
+ *  - maxLength: максимальная длина одного сообщения (более длинные делятся на части); null — без ограничения
+ *  - create: фабрика отправителя
+ */
+const CHANNELS = {
+    telegram: { addressField: 'telegram_chat_id', maxLength: TELEGRAM_MAX_LENGTH, create: createTelegramNotifier },
+    email: { addressField: 'email', maxLength: null, create: createEmailNotifier },
+    webhook: { addressField: 'webhook_url', maxLength: null, create: createWebhookNotifier },
+};
+
+const notifiers = new Map();
+
+/**
+ * Описание канала по имени.
+ * @param {string} channel - 'telegram', 'email' или 'webhook'.
+ * @returns {object}
+ */
+function getChannel(channel) {
+    const description = CHANNELS[channel];
+    if (!description) throw new Error(`Неизвестный канал уведомлений: ${channel}`);
+    return description;
+}
+
+/**
+ * Определяет, куда отправлять уведомления пользователю: канал из profiles.notification_channel
+ * (по умолчанию telegram) и адрес из соответствующего поля профиля.
+ * @param {object} profile - Профиль пользователя.
+ * @returns {{channel: string, address: string|null, maxLength: number|null}}
+ */
+function resolveRecipient(profile) {
+    const channel = profile.notification_channel || DEFAULT_CHANNEL;
+    const { addressField, maxLength } = getChannel(channel);
+    const address = profile[addressField];
+    return { channel, address: address == null || address === '' ? null : String(address), maxLength };
+}
+
+/**
+ * Возвращает отправителя канала. Отправитель создается при первом обращении, поэтому
+ * настройки неиспользуемых каналов (SMTP, токен бота) не обязательны.
+ *
+ * Интерфейс отправителя:
+ *  - name: имя канала для логов
+ *  - send(address, message) -> Promise; message — строка notification_outbox (subject, text в HTML Telegram и т.д.).
+ *    Выбрасывает ошибку, если сообщение не доставлено
+ *
+ * @param {string} channel - Имя канала.
+ * @returns {object}
+ */
+function getNotifier(channel) {
+    if (!notifiers.has(channel)) {
+        notifiers.set(channel, getChannel(channel).create());
+    }
+    return notifiers.get(channel);
+}
+
+module.exports = {
+    resolveRecipient,
+    getNotifier
+};
@@ -0,0 +1,30 @@
+const { createTelegramClient } = require('../services/telegramClient');
+
+// Ограничение Telegram на длину текста одного сообщения
+const TELEGRAM_MAX_LENGTH = 4096;
+
+/**
+ * Создает отправителя сообщений в Telegram через Bot API.
+ * @returns {object} - Отправитель (см. notifiers/index.js).
+ */
+function createTelegramNotifier() {
+    const client = createTelegramClient();
+
+    return {
+        name: 'telegram',
+
+        async send(chatId, message) {
+            await client.call('sendMessage', {
+                chat_id: chatId,
+                text: message.text,
+                parse_mode: 'HTML',
+                disable_web_page_preview: true
+            });
+        },
+    };
+}
+
+module.exports = {
+    TELEGRAM_MAX_LENGTH,
+    createTelegramNotifier
+};
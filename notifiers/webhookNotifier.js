@@ -0,0 +1,47 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { stripHtml } = require('../services/utils');
+
+const REQUEST_TIMEOUT = 15000;
+
+/**
+ * Создает отправителя уведомлений на произвольный URL POST-запросом с JSON:
+ * { id, subject, text, html, profile_id, company_hh_id, created_at }.
+ * id не меняется при повторных попытках, по нему получатель может отбросить дубликаты.
+ * Если задан WEBHOOK_SECRET, тело подписывается HMAC-SHA256 в заголовке X-Signature-256: sha256=<hex>.
+ * @returns {object} - Отправитель (см. notifiers/index.js).
+ */
+function createWebhookNotifier() {
+    const secret = process.env.WEBHOOK_SECRET;
+
+    return {
+        name: 'webhook',
+
+        async send(url, message) {
+            const body = JSON.stringify({
+                id: message.id,
+                subject: message.subject,
+                text: stripHtml(message.text),
+                html: message.text,
+                profile_id: message.profile_id,
+                company_hh_id: message.company_hh_id,
+                created_at: message.created_at,
+            });
+            const headers = { 'Content-Type': 'application/json' };
+            if (secret) {
+                headers['X-Signature-256'] = `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+            }
+
+            try {
+                await axios.post(url, body, { headers, timeout: REQUEST_TIMEOUT });
+            } catch (error) {
+                const status = error.response ? ` (HTTP ${error.response.status})` : '';
+                throw new Error(`Webhook ${url}${status}: ${error.message}`);
+            }
+        },
+    };
+}
+
+module.exports = {
+    createWebhookNotifier
+};
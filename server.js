@@ -0,0 +1,20 @@
+require('dotenv').config();
+
+const { createStorage } = require('./storage');
+const { logger } = require('./services/logger');
+const { createApiServer } = require('./httpApi/server');
+
+const port = parseInt(process.env.API_PORT) || 3000;
+
+// --- ЗАПУСК HTTP API ---
+const server = createApiServer(createStorage());
+server.listen(port, () => {
+    logger.info(`HTTP API запущен на порту ${port}.`);
+});
+
+for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, () => {
+        logger.info('Получен сигнал остановки, HTTP API завершает работу...');
+        server.close();
+    });
+}
@@ -0,0 +1,213 @@
+const { loadRecipients, deliverToProfile } = require('./notificationService');
+const { isVacancyInScope } = require('./organisationService');
+const { logger } = require('./logger');
+const { SALARY_POSITION_LABELS, formatSalary, toNetBaseSalary, vacancySalary } = require('./salaryService');
+const { POSITION_ERROR, readPosition } = require('./positionModel');
+const { isBaseQuery } = require('./queryVariantService');
+const { escapeHtml } = require('./utils');
+const { findUsedDedupKeys } = require('./outboxService');
+
+// Пороги по умолчанию. Пользователь переопределяет их в своем профиле,
+// значение 0 в профиле отключает соответствующий тип оповещений.
+const DEFAULT_POSITION_DROP = parseInt(process.env.ALERT_POSITION_DROP) || 10;
+const DEFAULT_COMPETITORS_JUMP_PCT = parseInt(process.env.ALERT_COMPETITORS_JUMP_PCT) || 50;
+
+/**
+ * Возвращает порог из профиля или значение по умолчанию, если в профиле он не задан.
+ * @param {number|null} value - Значение из профиля.
+ * @param {number} defaultValue - Значение по умолчанию.
+ * @returns {number}
+ */
+function thresholdOrDefault(value, defaultValue) {
+    return value === null || value === undefined ? defaultValue : value;
+}
+
+/**
+ * Сопоставляет строки position_reports текущего и предыдущего отчета по вакансиям.
+ * Ошибочные замеры (position_status = error) в сравнении не участвуют.
+ * @param {Array} currentRows - Строки текущего отчета.
+ * @param {Array} previousRows - Строки предыдущего отчета.
+ * @returns {Array<{vacancy_id: string, current: object, previous: object}>}
+ */
+function matchPositionReports(currentRows, previousRows) {
+    const isMeasured = row => readPosition(row).position_status !== POSITION_ERROR;
+    const previousByVacancy = new Map(previousRows.filter(isMeasured).map(row => [row.vacancy_id, row]));
+    return currentRows
+        .filter(row => isMeasured(row) && previousByVacancy.has(row.vacancy_id))
+        .map(row => ({ vacancy_id: row.vacancy_id, current: row, previous: previousByVacancy.get(row.vacancy_id) }));
+}
+
+/**
+ * Отбирает изменения позиций, о которых нужно оповестить пользователя, по его порогам.
+ * @param {Array} movements - Результат matchPositionReports, дополненный полем vacancy.
+ * @param {object} profile - Профиль с порогами alert_position_drop, alert_competitors_jump_pct, alert_on_depth_exit.
+ * @returns {Array<{vacancy: object, current: object, previous: object, reasons: Array<string>}>}
+ */
+function selectAlertsForProfile(movements, profile) {
+    const positionDrop = thresholdOrDefault(profile.alert_position_drop, DEFAULT_POSITION_DROP);
+    const competitorsJumpPct = thresholdOrDefault(profile.alert_competitors_jump_pct, DEFAULT_COMPETITORS_JUMP_PCT);
+    const notifyDepthExit = profile.alert_on_depth_exit !== false;
+
+    const alerts = [];
+    for (const { vacancy, current, previous } of movements) {
+        const reasons = [];
+
+        const currentRank = readPosition(current).position_rank;
+        const previousRank = readPosition(previous).position_rank;
+
+        if (currentRank !== null && previousRank !== null && positionDrop > 0) {
+            const drop = currentRank - previousRank;
+            if (drop > positionDrop) {
+                reasons.push(`позиция ${previousRank} → ${currentRank} (−${drop})`);
+            }
+        }
+
+        if (currentRank === null && previousRank !== null && notifyDepthExit) {
+            reasons.push(`выпала из выдачи (была на ${previousRank} месте)`);
+        }
+
+        if (competitorsJumpPct > 0 && previous.competitors_count > 0) {
+            const growthPct = (current.competitors_count - previous.competitors_count) / previous.competitors_count * 100;
+            if (growthPct >= competitorsJumpPct) {
+                reasons.push(`конкурентов ${previous.competitors_count} → ${current.competitors_count} (+${Math.round(growthPct)}%)`);
+            }
+        }
+
+        if (reasons.length > 0) {
+            alerts.push({ vacancy, current, previous, reasons });
+        }
+    }
+    return alerts;
+}
+
+/**
+ * Отбирает вакансии, зарплата которых сместилась относительно рынка (например, из «в рынке» в «ниже рынка»).
+ * Замеры без зарплаты или без статистики рынка не сравниваются.
+ * @param {Array} movements - Результат matchPositionReports, дополненный полем vacancy.
+ * @param {object} profile - Профиль с флагом alert_on_salary_position.
+ * @returns {Array<{vacancy: object, current: object, previous: object}>}
+ */
+function selectSalaryChangesForProfile(movements, profile) {
+    if (profile.alert_on_salary_position === false) return [];
+    return movements.filter(({ current, previous }) => current.salary_position && previous.salary_position
+        && current.salary_position !== previous.salary_position);
+}
+
+/**
+ * Строка о зарплате вакансии относительно рынка для уведомления.
+ * @param {object} change - Элемент selectSalaryChangesForProfile.
+ * @param {object|undefined} benchmark - Статистика зарплат группы вакансии в текущем отчете.
+ * @returns {string}
+ */
+function describeSalaryChange({ vacancy, current, previous }, benchmark) {
+    let text = `${SALARY_POSITION_LABELS[previous.salary_position]} → ${SALARY_POSITION_LABELS[current.salary_position]}`;
+    if (benchmark && benchmark.salary_median !== null) {
+        // Сумма показывается только для рублевых зарплат, остальные валюты — одним положением относительно рынка
+        const salary = toNetBaseSalary(vacancySalary(vacancy), { RUR: 1 });
+        if (salary !== null) {
+            text += `: ${formatSalary(salary)} на руки`;
+        }
+        text += ` при медиане ${formatSalary(benchmark.salary_median)} (25–75%: ${formatSalary(benchmark.salary_q1)}–${formatSalary(benchmark.salary_q3)}, зарплату указали ${Math.round(benchmark.salary_share * 100)}% конкурентов)`;
+    }
+    return text;
+}
+
+/**
+ * Сравнивает последний завершенный отчет с предыдущим и рассылает оповещения
+ * о падении позиций, выпадении из выдачи, росте числа конкурентов и смещении зарплаты относительно рынка.
+ * Отчет, по которому оповещения уже отправлены, повторно не обрабатывается. При запуске по одной компании
+ * (options.companyId) сравниваются отчеты, покрывающие ее, иначе — только полные отчеты. Каждый получатель
+ * получает оповещения по отчету и компании один раз: повторный запуск по тому же отчету (например, полный
+ * после запуска по одной компании) их не дублирует.
+ * @param {object} storage - Хранилище данных.
+ * @param {object} [options] - Параметры запуска (companyId, dryRun).
+ */
+async function sendPositionAlerts(storage, options = {}) {
+    logger.info('\n--- НАЧАЛО ШАГА 4: ОПОВЕЩЕНИЯ ОБ ИЗМЕНЕНИИ ПОЗИЦИЙ ---');
+
+    const currentReport = await storage.reports.findLatestCompleted({ companyId: options.companyId });
+    if (!currentReport) {
+        logger.info('Завершенных отчетов нет. Оповещения не требуются.');
+        return;
+    }
+    if (currentReport.alerts_sent_at) {
+        logger.info(`Оповещения по отчету ${currentReport.id} уже отправлены.`);
+        return;
+    }
+
+    const previousReport = await storage.reports.findLatestCompleted({ before: currentReport.created_at, companyId: options.companyId });
+    if (!previousReport) {
+        logger.info('Предыдущий завершенный отчет не найден. Сравнивать не с чем.');
+        return;
+    }
+    logger.info(`Сравнение отчета ${currentReport.id} с предыдущим отчетом ${previousReport.id}...`);
+
+    // Оповещения строятся по основному запросу; варианты запроса видны в боте, API и выгрузке трендов
+    const matched = matchPositionReports(
+        (await storage.positionReports.listByReport(currentReport.id)).filter(isBaseQuery),
+        (await storage.positionReports.listByReport(previousReport.id)).filter(isBaseQuery)
+    );
+    const vacancies = await storage.vacancies.listByIds(matched.map(m => m.vacancy_id));
+    const benchmarks = await storage.salaryBenchmarks.listByReport(currentReport.id);
+    const benchmarksById = new Map(benchmarks.map(b => [b.id, b]));
+    const vacanciesById = new Map(vacancies.map(v => [v.id, v]));
+
+    const movementsByCompany = new Map();
+    for (const movement of matched) {
+        const vacancy = vacanciesById.get(movement.vacancy_id);
+        if (!vacancy) continue;
+        if (options.companyId && String(vacancy.company_hh_id) !== String(options.companyId)) continue;
+        if (!movementsByCompany.has(vacancy.company_hh_id)) {
+            movementsByCompany.set(vacancy.company_hh_id, []);
+        }
+        movementsByCompany.get(vacancy.company_hh_id).push({ ...movement, vacancy });
+    }
+
+    for (const [companyId, movements] of movementsByCompany) {
+        const recipients = await loadRecipients(companyId, storage);
+        if (!recipients) continue;
+        const dedupKey = profile => `position_alert:${currentReport.id}:${companyId}:${profile.id}`;
+        const usedKeys = await findUsedDedupKeys(storage, recipients.map(({ profile }) => dedupKey(profile)));
+
+        for (const { profile, scope } of recipients) {
+            if (usedKeys.has(dedupKey(profile))) {
+                logger.info(`Компания ${companyId}: оповещения по отчету ${currentReport.id} пользователю ${profile.id} уже отправлены.`);
+                continue;
+            }
+            // Участник организации получает оповещения только по назначенным ему вакансиям
+            const profileMovements = movements.filter(movement => isVacancyInScope(scope, movement.vacancy));
+            const alerts = selectAlertsForProfile(profileMovements, profile);
+            const salaryChanges = selectSalaryChangesForProfile(profileMovements, profile);
+            if (alerts.length === 0 && salaryChanges.length === 0) continue;
+
+            let messageText = '';
+            if (alerts.length > 0) {
+                messageText += `<b>Изменения позиций вакансий:</b>\n\n`;
+                alerts.forEach(alert => {
+                    messageText += `<a href="${escapeHtml(alert.vacancy.url)}">${escapeHtml(alert.vacancy.raw_title)}</a>\n`;
+                    messageText += `<i>${alert.reasons.join(', ')}</i>\n\n`;
+                });
+            }
+            if (salaryChanges.length > 0) {
+                messageText += `<b>Зарплата относительно рынка:</b>\n\n`;
+                salaryChanges.forEach(change => {
+                    messageText += `<a href="${escapeHtml(change.vacancy.url)}">${escapeHtml(change.vacancy.raw_title)}</a>\n`;
+                    messageText += `<i>${describeSalaryChange(change, benchmarksById.get(change.current.salary_benchmark_id))}</i>\n\n`;
+                });
+            }
+            logger.info(`Компания ${companyId}: отправка ${alerts.length + salaryChanges.length} оповещений пользователю ${profile.id}.`);
+            await deliverToProfile(storage, profile, messageText, options, { dedupKeys: [dedupKey(profile)], companyId });
+        }
+    }
+
+    // Полный отчет при запуске по одной компании не помечается, чтобы остальные компании тоже получили оповещения;
+    // ее получатели при следующем полном запуске пропускаются по ключам в notification_outbox
+    if (!options.companyId || currentReport.company_hh_id) {
+        await storage.reports.update(currentReport.id, { alerts_sent_at: new Date().toISOString() });
+    }
+    logger.info('Оповещения об изменении позиций обработаны.');
+}
+
+module.exports = {
+    sendPositionAlerts
+};
@@ -0,0 +1,57 @@
+const crypto = require('crypto');
+const { logger } = require('./logger');
+const { loadProfileAccess } = require('./organisationService');
+
+// Префикс помогает узнать ключ этого API в конфигурации и логах
+const API_KEY_PREFIX = 'hha_';
+
+/**
+ * Хэш ключа, по которому он хранится и ищется в api_keys.
+ * @param {string} key - Ключ API.
+ * @returns {string}
+ */
+function hashApiKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Создает ключ HTTP API для профиля и выводит его в лог. В базе остается только хэш ключа,
+ * поэтому потерянный ключ восстановить нельзя — только создать новый.
+ * @param {object} storage - Хранилище данных.
+ * @param {object} options
+ * @param {string} options.profileId - ID профиля.
+ * @param {string} [options.name] - Описание ключа (например, для какой системы он выдан).
+ * @returns {Promise<string>} - Ключ API.
+ */
+async function createApiKey(storage, { profileId, name = null }) {
+    const profile = await storage.profiles.findById(profileId);
+    if (!profile) throw new Error(`Профиль ${profileId} не найден`);
+    if ((await loadProfileAccess(storage, profile)).size === 0) {
+        logger.warn(`У профиля ${profileId} нет ни компании, ни организации: запросы с этим ключом будут отклоняться, пока они не заданы.`);
+    }
+
+    const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+    await storage.apiKeys.create({ key_hash: hashApiKey(key), profile_id: profileId, name });
+    logger.info(`Ключ API для профиля ${profileId} (сохраните его, повторно он не показывается):\n${key}`);
+    return key;
+}
+
+/**
+ * Находит профиль по ключу API и отмечает время использования ключа.
+ * @param {object} storage - Хранилище данных.
+ * @param {string} key - Ключ API из запроса.
+ * @returns {Promise<object|null>} - Профиль или null, если ключ неизвестен или отозван.
+ */
+async function authenticateApiKey(storage, key) {
+    if (!key) return null;
+    const apiKey = await storage.apiKeys.findByHash(hashApiKey(key));
+    if (!apiKey || apiKey.revoked_at) return null;
+
+    await storage.apiKeys.update(apiKey.id, { last_used_at: new Date().toISOString() });
+    return storage.profiles.findById(apiKey.profile_id);
+}
+
+module.exports = {
+    createApiKey,
+    authenticateApiKey
+};
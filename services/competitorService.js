@@ -0,0 +1,180 @@
+const { logger } = require('./logger');
+const { escapeHtml } = require('./utils');
+const { listFollowedCompanyIds } = require('./organisationService');
+
+const TOP_EMPLOYERS_COUNT = 10;
+
+/**
+ * Ключ поисковой группы: вакансии с одинаковыми нормализованным названием, регионом и графиком
+ * ищутся одним запросом.
+ * @param {object} vacancy - Вакансия с полями normalized_title, area_id, schedule_id.
+ * @returns {string}
+ */
+function searchGroupKey(vacancy) {
+    return `${vacancy.normalized_title}_${vacancy.area_id}_${vacancy.schedule_id}`;
+}
+
+/**
+ * Собирает работодателей с первой страницы выдачи группы: лучшая позиция и число вакансий каждого.
+ * Вакансии анонимных работодателей (без employer.id) не учитываются.
+ * @param {Array} items - Вакансии первой страницы выдачи hh.ru в порядке позиций.
+ * @returns {Array<{employer_hh_id: string, employer_name: string, best_position: number, vacancies_count: number}>}
+ */
+function collectGroupEmployers(items) {
+    const employers = new Map();
+    items.forEach((item, index) => {
+        if (!item.employer || !item.employer.id) return;
+        const employerId = String(item.employer.id);
+        if (!employers.has(employerId)) {
+            employers.set(employerId, {
+                employer_hh_id: employerId,
+                employer_name: item.employer.name,
+                best_position: index + 1,
+                vacancies_count: 0,
+            });
+        }
+        employers.get(employerId).vacancies_count++;
+    });
+    return [...employers.values()];
+}
+
+/**
+ * Сводит строки group_competitors по работодателям: в скольких группах работодатель встречается,
+ * сколько у него там вакансий и его лучшая позиция.
+ * @param {Array} rows - Строки group_competitors.
+ * @returns {Array<{employer_hh_id: string, employer_name: string, groups_count: number, vacancies_count: number, best_position: number}>}
+ *   Отсортированы по числу групп, затем по числу вакансий.
+ */
+function summarizeEmployers(rows) {
+    const employers = new Map();
+    for (const row of rows) {
+        if (!employers.has(row.employer_hh_id)) {
+            employers.set(row.employer_hh_id, {
+                employer_hh_id: row.employer_hh_id,
+                employer_name: row.employer_name,
+                groups_count: 0,
+                vacancies_count: 0,
+                best_position: row.best_position,
+            });
+        }
+        const employer = employers.get(row.employer_hh_id);
+        employer.groups_count++;
+        employer.vacancies_count += row.vacancies_count;
+        employer.best_position = Math.min(employer.best_position, row.best_position);
+    }
+    return [...employers.values()].sort((a, b) => b.groups_count - a.groups_count
+        || b.vacancies_count - a.vacancies_count
+        || a.best_position - b.best_position);
+}
+
+/**
+ * Сохраняет сводку по работодателям-конкурентам за отчет (competitor_snapshots).
+ * По сводкам разных отчетов видно, как меняется присутствие работодателя в выдаче.
+ * Если сводка по отчету уже есть (продолжение прерванного запуска), повторно она не пишется.
+ * @param {object} storage - Хранилище данных.
+ * @param {string} reportId - ID отчета.
+ */
+async function saveCompetitorSnapshot(storage, reportId) {
+    const existing = await storage.competitorSnapshots.listByReport(reportId);
+    if (existing.length > 0) return;
+
+    const employers = summarizeEmployers(await storage.groupCompetitors.listByReport(reportId));
+    await storage.competitorSnapshots.insertMany(employers.map(employer => ({ report_id: reportId, ...employer })));
+    logger.info(`Сохранена сводка по ${employers.length} работодателям-конкурентам.`);
+}
+
+/**
+ * Строит отчет о главных работодателях-конкурентах компании по последнему завершенному отчету, покрывающему ее:
+ * только группы, в которых есть вакансии компании, без самой компании, с изменением числа вакансий
+ * по сравнению с предыдущим отчетом.
+ * @param {object} storage - Хранилище данных.
+ * @param {string} companyId - ID компании на hh.ru.
+ * @param {object} [options]
+ * @param {number} [options.limit] - Сколько работодателей включить в отчет.
+ * @returns {Promise<object|null>} - Отчет или null, если завершенных отчетов еще нет.
+ */
+async function buildCompetitorReport(storage, companyId, { limit = TOP_EMPLOYERS_COUNT } = {}) {
+    const currentReport = await storage.reports.findLatestCompleted({ companyId });
+    if (!currentReport) return null;
+    const previousReport = await storage.reports.findLatestCompleted({ before: currentReport.created_at, companyId });
+
+    const vacancies = await storage.vacancies.listTrackable({ companyId });
+    const companyGroups = new Set(vacancies.map(searchGroupKey));
+
+    const summarize = async (report) => {
+        const rows = await storage.groupCompetitors.listByReport(report.id);
+        return summarizeEmployers(rows.filter(row => companyGroups.has(row.group_key)
+            && String(row.employer_hh_id) !== String(companyId)));
+    };
+
+    const current = await summarize(currentReport);
+    const previousByEmployer = new Map(previousReport
+        ? (await summarize(previousReport)).map(e => [e.employer_hh_id, e])
+        : []);
+
+    return {
+        companyId,
+        reportId: currentReport.id,
+        createdAt: currentReport.created_at,
+        groupsCount: companyGroups.size,
+        employers: current.slice(0, limit).map(employer => {
+            const previous = previousByEmployer.get(employer.employer_hh_id);
+            return {
+                ...employer,
+                // null — в предыдущем отчете работодателя не было (или самого отчета нет)
+                vacanciesDelta: previous ? employer.vacancies_count - previous.vacancies_count : null,
+            };
+        }),
+    };
+}
+
+/**
+ * Форматирует отчет о конкурентах для Telegram (HTML).
+ * @param {object} report - Результат buildCompetitorReport.
+ * @returns {string}
+ */
+function renderCompetitorReport(report) {
+    let text = `<b>Главные конкуренты компании ${report.companyId}</b>\n`;
+    text += `Отчет от ${report.createdAt.slice(0, 10)}, поисковых групп с вашими вакансиями: ${report.groupsCount}\n\n`;
+    if (report.employers.length === 0) {
+        return `${text}Конкурентов в выдаче не найдено.`;
+    }
+
+    report.employers.forEach((employer, index) => {
+        let trend = ' (новый)';
+        if (employer.vacanciesDelta !== null) {
+            trend = employer.vacanciesDelta === 0 ? '' : ` (${employer.vacanciesDelta > 0 ? '+' : ''}${employer.vacanciesDelta})`;
+        }
+        text += `${index + 1}. <a href="https://hh.ru/employer/${employer.employer_hh_id}">${escapeHtml(employer.employer_name)}</a>\n`;
+        text += `<i>групп: ${employer.groups_count} из ${report.groupsCount}, вакансий в топе: ${employer.vacancies_count}${trend}, лучшая позиция: ${employer.best_position}</i>\n`;
+    });
+    return text;
+}
+
+/**
+ * Выводит отчеты о главных конкурентах для одной компании (options.companyId) или для всех компаний из профилей и организаций.
+ * @param {object} storage - Хранилище данных.
+ * @param {object} [options] - Параметры запуска (companyId).
+ */
+async function printCompetitorReports(storage, options = {}) {
+    logger.info('\n--- ОТЧЕТ О КОНКУРЕНТАХ ---');
+    const companyIds = options.companyId ? [options.companyId] : await listFollowedCompanyIds(storage);
+
+    for (const companyId of companyIds) {
+        const report = await buildCompetitorReport(storage, companyId);
+        if (!report) {
+            logger.info('Завершенных отчетов нет. Отчет о конкурентах построить не по чему.');
+            return;
+        }
+        logger.info(`\n${renderCompetitorReport(report)}`);
+    }
+}
+
+module.exports = {
+    searchGroupKey,
+    collectGroupEmployers,
+    saveCompetitorSnapshot,
+    buildCompetitorReport,
+    renderCompetitorReport,
+    printCompetitorReports
+};
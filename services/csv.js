@@ -0,0 +1,26 @@
+/**
+ * Экранирует значение для CSV: значения с запятыми, кавычками и переносами строк берутся в кавычки.
+ * Массивы записываются через "; ".
+ * @param {any} value
+ * @returns {string}
+ */
+function csvValue(value) {
+    if (value === null || value === undefined) return '';
+    const text = Array.isArray(value) ? value.join('; ') : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Формирует CSV с заголовком. В начало добавляется BOM, чтобы Excel открывал кириллицу в UTF-8.
+ * @param {Array<object>} rows - Строки.
+ * @param {Array<string>} columns - Колонки в порядке вывода.
+ * @returns {string}
+ */
+function toCsv(rows, columns) {
+    const lines = [columns.join(','), ...rows.map(row => columns.map(column => csvValue(row[column])).join(','))];
+    return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = {
+    toCsv
+};
@@ -0,0 +1,310 @@
+const fs = require('fs');
+const path = require('path');
+const { loadRecipients, deliverToProfile, sendTelegramDocument } = require('./notificationService');
+const { resolveRecipient } = require('../notifiers');
+const { detectVacancyIssues, RULE_NO_SALARY, RULE_NO_SKILLS } = require('./qualityService');
+const { logger, withLogContext } = require('./logger');
+const { escapeHtml } = require('./utils');
+const { readPosition } = require('./positionModel');
+const { isBaseQuery } = require('./queryVariantService');
+const { listFollowedCompanyIds } = require('./organisationService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DIGEST_PERIOD_DAYS = 7;
+const DIGEST_OUTPUT_DIR = process.env.DIGEST_OUTPUT_DIR || path.join(__dirname, '..', 'digests');
+const TOP_VACANCIES_COUNT = 3;
+
+/**
+ * Среднее значение массива чисел или null для пустого массива.
+ * @param {Array<number>} values
+ * @returns {number|null}
+ */
+function average(values) {
+    if (values.length === 0) return null;
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+/**
+ * Доля (в процентах) элементов, удовлетворяющих условию.
+ * @param {Array} items
+ * @param {Function} predicate
+ * @returns {number}
+ */
+function percentOf(items, predicate) {
+    if (items.length === 0) return 0;
+    return Math.round(items.filter(predicate).length / items.length * 100);
+}
+
+function formatNumber(value) {
+    return value === null ? '—' : String(Math.round(value * 10) / 10);
+}
+
+function formatDelta(current, previous) {
+    if (current === null || previous === null) return '';
+    const delta = Math.round((current - previous) * 10) / 10;
+    if (delta === 0) return ' (без изменений)';
+    // Меньшее число — более высокая позиция в выдаче
+    return delta < 0 ? ` (выше на ${-delta})` : ` (ниже на ${delta})`;
+}
+
+/**
+ * Средняя позиция каждой вакансии по найденным замерам.
+ * @param {Array} positionRows - Строки position_reports.
+ * @returns {Map<string, number>} - vacancy_id → средняя позиция.
+ */
+function averagePositionsByVacancy(positionRows) {
+    const positions = new Map();
+    for (const row of positionRows) {
+        const { position_rank: rank } = readPosition(row);
+        if (rank === null) continue;
+        if (!positions.has(row.vacancy_id)) positions.set(row.vacancy_id, []);
+        positions.get(row.vacancy_id).push(rank);
+    }
+    return new Map([...positions].map(([vacancyId, values]) => [vacancyId, average(values)]));
+}
+
+/**
+ * Собирает недельную сводку по компании из vacancies, vacancy_changes и position_reports.
+ * @param {object} storage - Хранилище данных.
+ * @param {string} companyId - ID компании на hh.ru.
+ * @param {Date} [now] - Конец периода.
+ * @returns {Promise<object>} - Данные сводки.
+ */
+async function buildCompanyDigest(storage, companyId, now = new Date()) {
+    const periodEnd = now.toISOString();
+    const periodStart = new Date(now.getTime() - DIGEST_PERIOD_DAYS * DAY_MS).toISOString();
+    const previousPeriodStart = new Date(now.getTime() - 2 * DIGEST_PERIOD_DAYS * DAY_MS).toISOString();
+
+    const vacancies = await storage.vacancies.listByCompany(companyId);
+    const vacancyIds = vacancies.map(v => v.id);
+    const vacanciesById = new Map(vacancies.map(v => [v.id, v]));
+    const activeVacancies = vacancies.filter(v => v.status === 'active');
+
+    const openedVacancies = vacancies.filter(v => v.published_at
+        && new Date(v.published_at) >= new Date(periodStart) && new Date(v.published_at) < now);
+    const statusChanges = await storage.vacancyChanges.listByVacancies(vacancyIds, { field: 'status', since: periodStart });
+    const closedVacancyIds = new Set(statusChanges.filter(c => c.new_value === 'closed').map(c => c.vacancy_id));
+
+    const currentReports = await storage.reports.listCompletedBetween(periodStart, periodEnd, { companyId });
+    const previousReports = await storage.reports.listCompletedBetween(previousPeriodStart, periodStart, { companyId });
+    // Средние позиции и конкуренты считаются по основному запросу, без вариантов запроса
+    const currentRows = (await storage.positionReports.listByReports(currentReports.map(r => r.id), vacancyIds)).filter(isBaseQuery);
+    const previousRows = (await storage.positionReports.listByReports(previousReports.map(r => r.id), vacancyIds)).filter(isBaseQuery);
+
+    const currentAverages = averagePositionsByVacancy(currentRows);
+    const previousAverages = averagePositionsByVacancy(previousRows);
+    const performance = [...currentAverages]
+        .map(([vacancyId, avgPosition]) => ({
+            vacancy: vacanciesById.get(vacancyId),
+            avgPosition,
+            previousAvgPosition: previousAverages.has(vacancyId) ? previousAverages.get(vacancyId) : null,
+        }))
+        .sort((a, b) => a.avgPosition - b.avgPosition);
+
+    // Конкуренты по нормализованному названию — по последнему отчету периода,
+    // суммируя разные поисковые группы (регион и график) одного названия
+    const competitorsByTitle = new Map();
+    const latestReport = currentReports[currentReports.length - 1];
+    if (latestReport) {
+        const countedGroups = new Set();
+        for (const row of currentRows.filter(r => r.report_id === latestReport.id && !r.error_message)) {
+            const vacancy = vacanciesById.get(row.vacancy_id);
+            if (!vacancy || !vacancy.normalized_title) continue;
+            const groupKey = `${vacancy.normalized_title}_${vacancy.area_id}_${vacancy.schedule_id}`;
+            if (countedGroups.has(groupKey)) continue;
+            countedGroups.add(groupKey);
+            competitorsByTitle.set(vacancy.normalized_title, (competitorsByTitle.get(vacancy.normalized_title) || 0) + row.competitors_count);
+        }
+    }
+
+    return {
+        companyId,
+        periodStart,
+        periodEnd,
+        activeCount: activeVacancies.length,
+        openedCount: openedVacancies.length,
+        closedCount: closedVacancyIds.size,
+        avgPosition: average([...currentAverages.values()]),
+        previousAvgPosition: average([...previousAverages.values()]),
+        bestVacancies: performance.slice(0, TOP_VACANCIES_COUNT),
+        worstVacancies: performance.slice(TOP_VACANCIES_COUNT).slice(-TOP_VACANCIES_COUNT).reverse(),
+        noSalaryPct: percentOf(activeVacancies, v => detectVacancyIssues(v).includes(RULE_NO_SALARY)),
+        noSkillsPct: percentOf(activeVacancies, v => detectVacancyIssues(v).includes(RULE_NO_SKILLS)),
+        competitorsByTitle: [...competitorsByTitle]
+            .map(([title, count]) => ({ title, count }))
+            .sort((a, b) => b.count - a.count),
+    };
+}
+
+function formatPeriod(digest) {
+    return `${digest.periodStart.slice(0, 10)} — ${digest.periodEnd.slice(0, 10)}`;
+}
+
+/**
+ * Короткая сводка для сообщения в Telegram (HTML).
+ * @param {object} digest - Результат buildCompanyDigest.
+ * @returns {string}
+ */
+function renderDigestTelegram(digest) {
+    let text = `<b>Сводка за неделю ${formatPeriod(digest)}</b>\n\n`;
+    text += `Активных вакансий: ${digest.activeCount}\n`;
+    text += `Открыто: ${digest.openedCount}, закрыто: ${digest.closedCount}\n`;
+    text += `Средняя позиция: ${formatNumber(digest.avgPosition)}${formatDelta(digest.avgPosition, digest.previousAvgPosition)}\n`;
+    text += `Без зарплаты: ${digest.noSalaryPct}%, без навыков: ${digest.noSkillsPct}%\n`;
+
+    if (digest.bestVacancies.length > 0) {
+        text += `\n<b>Лучшие позиции:</b>\n`;
+        digest.bestVacancies.forEach(item => {
+            text += `<a href="${escapeHtml(item.vacancy.url)}">${escapeHtml(item.vacancy.raw_title)}</a> — ${formatNumber(item.avgPosition)}\n`;
+        });
+    }
+    if (digest.worstVacancies.length > 0) {
+        text += `\n<b>Худшие позиции:</b>\n`;
+        digest.worstVacancies.forEach(item => {
+            text += `<a href="${escapeHtml(item.vacancy.url)}">${escapeHtml(item.vacancy.raw_title)}</a> — ${formatNumber(item.avgPosition)}\n`;
+        });
+    }
+    text += `\n<i>Полный отчет — в приложенном файле.</i>`;
+    return text;
+}
+
+/**
+ * Полная сводка в Markdown.
+ * @param {object} digest - Результат buildCompanyDigest.
+ * @returns {string}
+ */
+function renderDigestMarkdown(digest) {
+    const vacancyRow = item => `| [${item.vacancy.raw_title}](${item.vacancy.url}) | ${formatNumber(item.avgPosition)} | ${formatNumber(item.previousAvgPosition)} |`;
+    const lines = [
+        `# Сводка по компании ${digest.companyId}`,
+        '',
+        `Период: ${formatPeriod(digest)}`,
+        '',
+        '## Вакансии',
+        '',
+        `- Активных: ${digest.activeCount}`,
+        `- Открыто за неделю: ${digest.openedCount}`,
+        `- Закрыто за неделю: ${digest.closedCount}`,
+        `- Без зарплаты: ${digest.noSalaryPct}%`,
+        `- Без ключевых навыков: ${digest.noSkillsPct}%`,
+        '',
+        '## Позиции в поиске',
+        '',
+        `Средняя позиция: ${formatNumber(digest.avgPosition)}${formatDelta(digest.avgPosition, digest.previousAvgPosition)}`,
+        '',
+        '### Лучшие вакансии',
+        '',
+        '| Вакансия | Средняя позиция | Неделей ранее |',
+        '| --- | --- | --- |',
+        ...digest.bestVacancies.map(vacancyRow),
+        '',
+        '### Худшие вакансии',
+        '',
+        '| Вакансия | Средняя позиция | Неделей ранее |',
+        '| --- | --- | --- |',
+        ...digest.worstVacancies.map(vacancyRow),
+        '',
+        '## Конкуренты по названиям',
+        '',
+        '| Название | Вакансий в выдаче |',
+        '| --- | --- |',
+        ...digest.competitorsByTitle.map(item => `| ${item.title} | ${item.count} |`),
+        '',
+    ];
+    return lines.join('\n');
+}
+
+/**
+ * Полная сводка в виде HTML-страницы.
+ * @param {object} digest - Результат buildCompanyDigest.
+ * @returns {string}
+ */
+function renderDigestHtml(digest) {
+    const vacancyRow = item => `<tr><td><a href="${escapeHtml(item.vacancy.url)}">${escapeHtml(item.vacancy.raw_title)}</a></td>`
+        + `<td>${formatNumber(item.avgPosition)}</td><td>${formatNumber(item.previousAvgPosition)}</td></tr>`;
+    const vacancyTable = items => `<table><tr><th>Вакансия</th><th>Средняя позиция</th><th>Неделей ранее</th></tr>${items.map(vacancyRow).join('')}</table>`;
+
+    return `<!DOCTYPE html>
+<html lang="ru">
+<head>
+<meta charset="utf-8">
+<title>Сводка по компании ${escapeHtml(digest.companyId)}</title>
+<style>body{font-family:sans-serif;max-width:800px;margin:2em auto}table{border-collapse:collapse}td,th{border:1px solid #ccc;padding:4px 8px;text-align:left}</style>
+</head>
+<body>
+<h1>Сводка по компании ${escapeHtml(digest.companyId)}</h1>
+<p>Период: ${formatPeriod(digest)}</p>
+<h2>Вакансии</h2>
+<ul>
+<li>Активных: ${digest.activeCount}</li>
+<li>Открыто за неделю: ${digest.openedCount}</li>
+<li>Закрыто за неделю: ${digest.closedCount}</li>
+<li>Без зарплаты: ${digest.noSalaryPct}%</li>
+<li>Без ключевых навыков: ${digest.noSkillsPct}%</li>
+</ul>
+<h2>Позиции в поиске</h2>
+<p>Средняя позиция: ${formatNumber(digest.avgPosition)}${formatDelta(digest.avgPosition, digest.previousAvgPosition)}</p>
+<h3>Лучшие вакансии</h3>
+${vacancyTable(digest.bestVacancies)}
+<h3>Худшие вакансии</h3>
+${vacancyTable(digest.worstVacancies)}
+<h2>Конкуренты по названиям</h2>
+<table><tr><th>Название</th><th>Вакансий в выдаче</th></tr>${digest.competitorsByTitle.map(item => `<tr><td>${escapeHtml(item.title)}</td><td>${item.count}</td></tr>`).join('')}</table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Сохраняет сводку в файлы Markdown и HTML.
+ * @param {object} digest - Результат buildCompanyDigest.
+ * @returns {{markdownPath: string, htmlPath: string, htmlFileName: string, html: string}}
+ */
+function writeDigestFiles(digest) {
+    fs.mkdirSync(DIGEST_OUTPUT_DIR, { recursive: true });
+    const baseName = `digest-${digest.companyId}-${digest.periodEnd.slice(0, 10)}`;
+    const markdownPath = path.join(DIGEST_OUTPUT_DIR, `${baseName}.md`);
+    const htmlPath = path.join(DIGEST_OUTPUT_DIR, `${baseName}.html`);
+    const html = renderDigestHtml(digest);
+    fs.writeFileSync(markdownPath, renderDigestMarkdown(digest));
+    fs.writeFileSync(htmlPath, html);
+    return { markdownPath, htmlPath, htmlFileName: `${baseName}.html`, html };
+}
+
+/**
+ * Формирует недельные сводки по всем компаниям, сохраняет их в файлы
+ * и рассылает подписчикам (в Telegram — вместе с HTML-файлом). Сводка описывает все вакансии компании,
+ * поэтому участники организаций с ролью member, которым назначена часть вакансий, ее не получают.
+ * @param {object} storage - Хранилище данных.
+ * @param {object} [options] - Параметры запуска (companyId, dryRun).
+ */
+async function sendWeeklyDigests(storage, options = {}) {
+    logger.info('\n--- ФОРМИРОВАНИЕ НЕДЕЛЬНЫХ СВОДОК ---');
+    const companyIds = options.companyId ? [options.companyId] : await listFollowedCompanyIds(storage);
+    logger.info(`Сводки будут сформированы для ${companyIds.length} компаний.`);
+
+    for (const companyId of companyIds) {
+        await withLogContext({ companyId }, async () => {
+            const digest = await buildCompanyDigest(storage, companyId);
+            const files = writeDigestFiles(digest);
+            logger.info(`Сводка по компании ${companyId} сохранена: ${files.markdownPath}, ${files.htmlPath}`);
+
+            const recipients = await loadRecipients(companyId, storage);
+            if (!recipients) return;
+
+            const profiles = recipients.filter(({ scope }) => scope.all).map(({ profile }) => profile);
+            for (const profile of profiles.filter(p => p.notify_weekly_digest !== false)) {
+                await deliverToProfile(storage, profile, renderDigestTelegram(digest), options, { companyId });
+                // HTML-файл сводки прикладывается только в Telegram
+                if (!options.dryRun && resolveRecipient(profile).channel === 'telegram') {
+                    await sendTelegramDocument(profile.telegram_chat_id, files.htmlFileName, files.html);
+                }
+            }
+        });
+    }
+}
+
+module.exports = {
+    buildCompanyDigest,
+    sendWeeklyDigests
+};
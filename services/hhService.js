@@ -1,46 +1,246 @@
 const axios = require('axios');
+const { sleep } = require('./utils');
+const { logger } = require('./logger');
+const { metrics } = require('./metrics');
 
-const HH_API_URL = 'https://api.hh.ru/vacancies';
+const HH_API_URL = process.env.HH_API_URL || 'https://api.hh.ru';
 const USER_AGENT = process.env.HH_USER_AGENT || 'analyzer-script/1.0';
+const PER_PAGE = 100;
+// hh.ru не отдает результаты поиска глубже 2000 позиций (page * per_page < 2000)
+const MAX_SEARCH_DEPTH = 2000;
+const RETRYABLE_STATUSES = [403, 429, 500, 502, 503, 504];
+// Дольше Retry-After не соблюдается: повтор ждет в очереди запросов, и больший (или испорченный) заголовок
+// остановил бы синхронизацию на часы. Такое значение заменяется экспоненциальной паузой
+const MAX_RETRY_AFTER = 60000;
 
 /**
- * Загружает все страницы с активными вакансиями для одной компании.
- * @param {string} companyId - ID компании на hh.ru.
- * @returns {Promise<Array>} - Массив объектов вакансий.
+ * Ограничитель частоты запросов по алгоритму token bucket.
+ * @param {number} ratePerSecond - Сколько токенов восстанавливается в секунду.
+ * @param {number} capacity - Максимальный запас токенов (допустимый всплеск).
+ * @returns {{take: Function}} - take() ждет, пока не освободится токен.
  */
-async function fetchAllVacanciesForCompany(companyId) {
-    let allVacancies = [];
-    let page = 0;
-    const perPage = 100;
-    while (true) {
-        try {
-            const response = await axios.get(HH_API_URL, {
-                params: { 
-                    employer_id: companyId, 
-                    per_page: perPage, 
-                    page: page, 
-                    archived: false 
-                },
-                headers: { 'User-Agent': USER_AGENT },
-            });
-            const items = response.data.items;
-            if (items.length === 0) {
-                break;
+function createTokenBucket(ratePerSecond, capacity) {
+    let tokens = capacity;
+    let lastRefill = Date.now();
+    let queue = Promise.resolve();
+
+    const refill = () => {
+        const now = Date.now();
+        tokens = Math.min(capacity, tokens + (now - lastRefill) / 1000 * ratePerSecond);
+        lastRefill = now;
+    };
+
+    // Запросы на токены выстраиваются в очередь, чтобы их выдавали строго по порядку
+    const take = () => {
+        queue = queue.then(async () => {
+            refill();
+            if (tokens < 1) {
+                await sleep((1 - tokens) / ratePerSecond * 1000);
+                refill();
             }
-            
-            allVacancies = allVacancies.concat(items);
-            page++;
-            if (response.data.pages === page) {
-                break;
+            tokens -= 1;
+        });
+        return queue;
+    };
+
+    return { take };
+}
+
+/**
+ * Семафор, ограничивающий число одновременно выполняющихся запросов.
+ * @param {number} limit - Максимум одновременных задач.
+ * @returns {{run: Function}} - run(task) выполняет задачу, когда освободится слот.
+ */
+function createSemaphore(limit) {
+    let active = 0;
+    const waiting = [];
+
+    const run = async (task) => {
+        if (active >= limit) {
+            await new Promise(resolve => waiting.push(resolve));
+        }
+        active++;
+        try {
+            return await task();
+        } finally {
+            active--;
+            if (waiting.length > 0) waiting.shift()();
+        }
+    };
+
+    return { run };
+}
+
+/**
+ * Вычисляет задержку перед повтором: по заголовку Retry-After, если он есть и не больше MAX_RETRY_AFTER,
+ * иначе экспоненциально.
+ * @param {object} error - Ошибка axios.
+ * @param {number} attempt - Номер неудачной попытки (с 1).
+ * @param {number} baseDelay - Начальная задержка в мс.
+ * @returns {number} - Задержка в мс.
+ */
+function getRetryDelay(error, attempt, baseDelay) {
+    const retryAfter = error.response && error.response.headers && error.response.headers['retry-after'];
+    if (retryAfter) {
+        const seconds = Number(retryAfter);
+        const delay = Number.isNaN(seconds) ? Math.max(0, Date.parse(retryAfter) - Date.now()) : seconds * 1000;
+        if (delay >= 0 && delay <= MAX_RETRY_AFTER) return delay;
+    }
+    return baseDelay * (2 ** (attempt - 1));
+}
+
+/**
+ * Ключ запроса в метриках: ID в пути заменяются на :id, чтобы запросы к разным вакансиям считались вместе.
+ * @param {string} path - Путь запроса.
+ * @returns {string}
+ */
+function endpointKey(path) {
+    return `hh GET ${path.replace(/\/\d+/g, '/:id')}`;
+}
+
+/**
+ * Создает клиент API hh.ru с общим ограничением частоты, ограничением параллельности
+ * и повторами при временных ошибках. Все сервисы обращаются к hh.ru только через него.
+ * @param {object} [options]
+ * @param {string} [options.baseUrl] - Адрес API.
+ * @param {string} [options.userAgent] - Заголовок User-Agent (hh.ru требует его для всех запросов).
+ * @param {number} [options.requestsPerSecond] - Средняя частота запросов.
+ * @param {number} [options.concurrency] - Максимум одновременных запросов.
+ * @param {number} [options.retries] - Количество попыток.
+ * @param {number} [options.baseDelay] - Начальная задержка перед повтором в мс.
+ * @returns {object} - Клиент с методами searchVacancies, fetchEmployerVacancies, fetchSearchVacancies, getVacancy,
+ *   getDictionaries, getEmployer.
+ */
+function createHhClient(options = {}) {
+    const baseUrl = options.baseUrl || HH_API_URL;
+    const userAgent = options.userAgent || USER_AGENT;
+    const requestsPerSecond = options.requestsPerSecond || parseFloat(process.env.HH_REQUESTS_PER_SECOND) || 3;
+    const concurrency = options.concurrency || parseInt(process.env.HH_CONCURRENCY) || 4;
+    const retries = options.retries || 5;
+    const baseDelay = options.baseDelay || 2000;
+
+    const bucket = createTokenBucket(requestsPerSecond, Math.max(1, Math.ceil(requestsPerSecond)));
+    const semaphore = createSemaphore(concurrency);
+
+    /**
+     * Выполняет GET-запрос к API с повторами.
+     * @param {string} path - Путь относительно адреса API.
+     * @param {object} [params] - Параметры запроса.
+     * @returns {Promise<object>} - Тело ответа.
+     */
+    async function get(path, params) {
+        const endpoint = endpointKey(path);
+        for (let attempt = 1; attempt <= retries; attempt++) {
+            metrics.increment('api_calls', endpoint);
+            try {
+                const response = await semaphore.run(async () => {
+                    await bucket.take();
+                    return axios.get(`${baseUrl}${path}`, { params, headers: { 'User-Agent': userAgent } });
+                });
+                return response.data;
+            } catch (error) {
+                const status = error.response && error.response.status;
+                const isRetryable = !error.response || RETRYABLE_STATUSES.includes(status);
+                if (isRetryable && attempt < retries) {
+                    metrics.increment('retries', endpoint);
+                    const delay = getRetryDelay(error, attempt, baseDelay);
+                    logger.warn(` -> Попытка ${attempt} для ${path} не удалась (${status || error.message}). Повтор через ${delay / 1000} сек...`);
+                    await sleep(delay);
+                    continue;
+                }
+                metrics.increment('api_errors', endpoint);
+                logger.error(` -> Финальная ошибка после ${attempt} попыток для ${path}: ${status ? `статус ${status}` : error.message}`,
+                    error.response ? { status, responseBody: error.response.data } : {});
+                throw error;
             }
-        } catch (error) {
-            console.error(`Ошибка при получении вакансий для компании ${companyId}, стр. ${page}:`, error.message);
-            break;
         }
     }
-    return allVacancies;
+
+    return {
+        // Сколько запросов клиент выполняет одновременно — по нему вызывающий код может подбирать параллельность
+        concurrency,
+
+        /**
+         * Поиск вакансий (GET /vacancies).
+         * @param {object} params - Параметры поиска hh.ru (text, area, schedule, order_by, page, per_page...).
+         * @returns {Promise<{items: Array, found: number, pages: number}>}
+         */
+        searchVacancies(params) {
+            return get('/vacancies', params);
+        },
+
+        /**
+         * Загружает все страницы с активными вакансиями работодателя.
+         * При ошибке выбрасывает исключение, а не возвращает неполный список:
+         * по неполному списку синхронизация закрыла бы вакансии, которые на самом деле открыты.
+         * Как и поиск, список работодателя hh.ru отдает не глубже MAX_SEARCH_DEPTH: у работодателя
+         * с большим числом вакансий список неполный — это видно по found.
+         * @param {string} employerId - ID компании на hh.ru.
+         * @returns {Promise<{items: Array, found: number}>} - Вакансии и общее число найденных.
+         */
+        async fetchEmployerVacancies(employerId) {
+            const allVacancies = [];
+            let found = 0;
+            for (let page = 0; page * PER_PAGE < MAX_SEARCH_DEPTH; page++) {
+                const data = await get('/vacancies', { employer_id: employerId, per_page: PER_PAGE, page, archived: false });
+                allVacancies.push(...data.items);
+                found = data.found;
+                if (data.items.length === 0 || page + 1 >= data.pages) break;
+            }
+            return { items: allVacancies, found };
+        },
+
+        /**
+         * Загружает все доступные страницы выдачи поиска. hh.ru отдает не больше MAX_SEARCH_DEPTH вакансий,
+         * поэтому при большей выдаче список неполный — это видно по found.
+         * @param {object} params - Параметры поиска hh.ru (text, area, schedule, experience, salary...).
+         * @returns {Promise<{items: Array, found: number}>} - Вакансии без повторов и общее число найденных.
+         */
+        async fetchSearchVacancies(params) {
+            const itemsById = new Map();
+            let found = 0;
+            for (let page = 0; page * PER_PAGE < MAX_SEARCH_DEPTH; page++) {
+                const data = await get('/vacancies', { ...params, per_page: PER_PAGE, page });
+                // Выдача может сдвинуться между страницами, и вакансия попадет на две из них
+                for (const item of data.items) itemsById.set(item.id, item);
+                found = data.found;
+                if (data.items.length === 0 || page + 1 >= data.pages) break;
+            }
+            return { items: [...itemsById.values()], found };
+        },
+
+        /**
+         * Детальная информация о вакансии (GET /vacancies/:id).
+         * @param {string|number} vacancyId - ID вакансии на hh.ru.
+         * @returns {Promise<object>}
+         */
+        getVacancy(vacancyId) {
+            return get(`/vacancies/${vacancyId}`);
+        },
+
+        /**
+         * Справочники hh.ru (GET /dictionaries), в том числе курсы валют.
+         * @returns {Promise<object>}
+         */
+        getDictionaries() {
+            return get('/dictionaries');
+        },
+
+        /**
+         * Информация о работодателе (GET /employers/:id).
+         * @param {string|number} employerId - ID компании на hh.ru.
+         * @returns {Promise<object>}
+         */
+        getEmployer(employerId) {
+            return get(`/employers/${employerId}`);
+        },
+    };
 }
 
+// Общий клиент процесса: лимиты действуют на все сервисы сразу
+const hhClient = createHhClient();
+
 module.exports = {
-    fetchAllVacanciesForCompany
-};
\ No newline at end of file
+    createHhClient,
+    hhClient
+};
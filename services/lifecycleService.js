@@ -0,0 +1,199 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+const { toCsv } = require('./csv');
+const { listFollowedCompanyIds } = require('./organisationService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Сколько дней после закрытия вакансия с тем же названием и регионом считается ее повторной публикацией
+const REPOST_WINDOW_DAYS = parseInt(process.env.REPOST_WINDOW_DAYS) || 14;
+// Период отчета о жизненном цикле
+const LIFECYCLE_WINDOW_DAYS = 90;
+const EXPORT_OUTPUT_DIR = process.env.EXPORT_OUTPUT_DIR || path.join(__dirname, '..', 'exports');
+
+const LIFECYCLE_COLUMNS = [
+    'normalized_title', 'opened', 'reposts', 'repost_share', 'closed', 'filled',
+    'avg_time_to_fill_days', 'median_time_to_fill_days',
+];
+const REPOST_COLUMNS = [
+    'vacancy_id', 'hh_vacancy_id', 'raw_title', 'area_name', 'url', 'published_at',
+    'reposted_from_id', 'reposted_from_hh_vacancy_id', 'previous_lifetime_days',
+];
+
+const round1 = value => Math.round(value * 10) / 10;
+
+/**
+ * Срок жизни вакансии в днях: от первой публикации на hh.ru до закрытия.
+ * @param {string|null} publishedAt - published_at вакансии.
+ * @param {string} closedAt - Время закрытия.
+ * @returns {number|null} - null, если дата публикации неизвестна.
+ */
+function lifetimeDays(publishedAt, closedAt) {
+    if (!publishedAt) return null;
+    return round1(Math.max(0, Date.parse(closedAt) - Date.parse(publishedAt)) / DAY_MS);
+}
+
+/**
+ * Ключ, по которому новая вакансия сопоставляется с закрытой: название без учета регистра и регион.
+ * @param {object} vacancy - Вакансия с raw_title и area_id.
+ * @returns {string}
+ */
+function repostKey(vacancy) {
+    return `${(vacancy.raw_title || '').trim().toLowerCase()}_${vacancy.area_id}`;
+}
+
+/**
+ * Находит вакансии, повторной публикацией которых являются новые вакансии: закрытые не раньше
+ * чем REPOST_WINDOW_DAYS назад или закрываемые в этой же синхронизации, с тем же названием и регионом.
+ * Каждая закрытая вакансия сопоставляется не более чем с одной новой, в первую очередь — закрытая последней.
+ * @param {Array<object>} newRows - Строки новых вакансий (см. buildVacancyRow в syncService).
+ * @param {Array<object>} existingVacancies - Вакансии цели из БД.
+ * @param {object} options
+ * @param {Set<string>} options.closingIds - ID вакансий из БД, которые закрываются в этой синхронизации.
+ * @param {Date} [options.now] - Текущее время.
+ * @returns {Map<number, object>} - hh_vacancy_id новой вакансии -> закрытая вакансия из БД.
+ */
+function findRepostSources(newRows, existingVacancies, { closingIds, now = new Date() }) {
+    const windowStart = now.getTime() - REPOST_WINDOW_DAYS * DAY_MS;
+    // Закрываемые сейчас — самые свежие, остальные по убыванию времени закрытия
+    const closedAtOf = v => (closingIds.has(v.id) ? now.getTime() : Date.parse(v.closed_at));
+    const candidates = existingVacancies
+        .filter(v => closingIds.has(v.id) || (v.status === 'closed' && v.closed_at && Date.parse(v.closed_at) >= windowStart))
+        .sort((a, b) => closedAtOf(b) - closedAtOf(a));
+    // Очереди кандидатов по ключу сопоставления, в порядке сортировки
+    const candidatesByKey = new Map();
+    for (const candidate of candidates) {
+        const key = repostKey(candidate);
+        if (!candidatesByKey.has(key)) candidatesByKey.set(key, []);
+        candidatesByKey.get(key).push(candidate);
+    }
+
+    const sources = new Map();
+    for (const row of newRows) {
+        const queue = candidatesByKey.get(repostKey(row));
+        if (!queue || queue.length === 0) continue;
+        sources.set(row.hh_vacancy_id, queue.shift());
+    }
+    return sources;
+}
+
+/**
+ * Среднее и медиана.
+ * @param {Array<number>} values
+ * @returns {{average: number|null, median: number|null}}
+ */
+function averageAndMedian(values) {
+    if (values.length === 0) return { average: null, median: null };
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return {
+        average: round1(sorted.reduce((sum, v) => sum + v, 0) / sorted.length),
+        median: round1(sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2),
+    };
+}
+
+/**
+ * Считает показатели жизненного цикла вакансий компании за период по нормализованным названиям.
+ * Закрытая вакансия, замененная повторной публикацией, не считается заполненной: время до заполнения
+ * считается только по вакансиям, закрытым без повторной публикации.
+ * @param {Array<object>} vacancies - Все вакансии компании из БД (их повторные публикации ищутся среди них же).
+ * @param {object} [options]
+ * @param {number} [options.days] - Длина периода в днях.
+ * @param {Date} [options.now] - Конец периода.
+ * @returns {{summary: object, titles: Array<object>, reposts: Array<object>}} - titles — колонки LIFECYCLE_COLUMNS
+ *   от самых частых повторных публикаций, reposts — колонки REPOST_COLUMNS от новых к старым.
+ */
+function computeLifecycleReport(vacancies, { days = LIFECYCLE_WINDOW_DAYS, now = new Date() } = {}) {
+    // published_at приходит с hh.ru со смещением часового пояса, поэтому даты сравниваются как время, а не строки
+    const since = now.getTime() - days * DAY_MS;
+    const vacanciesById = new Map(vacancies.map(v => [v.id, v]));
+    const repostedIds = new Set(vacancies.map(v => v.reposted_from_id).filter(id => id));
+    const opened = vacancies.filter(v => v.published_at && Date.parse(v.published_at) >= since);
+    const closed = vacancies.filter(v => v.status === 'closed' && v.closed_at && Date.parse(v.closed_at) >= since);
+    const titleOf = v => v.normalized_title || v.raw_title;
+
+    const describe = (openedRows, closedRows) => {
+        const reposts = openedRows.filter(v => v.reposted_from_id).length;
+        const filled = closedRows.filter(v => !repostedIds.has(v.id));
+        const timeToFill = averageAndMedian(filled.filter(v => v.lifetime_days != null).map(v => Number(v.lifetime_days)));
+        return {
+            opened: openedRows.length,
+            reposts,
+            repost_share: openedRows.length > 0 ? Math.round(reposts / openedRows.length * 100) / 100 : null,
+            closed: closedRows.length,
+            filled: filled.length,
+            avg_time_to_fill_days: timeToFill.average,
+            median_time_to_fill_days: timeToFill.median,
+        };
+    };
+
+    const titles = [...new Set([...opened, ...closed].map(titleOf))]
+        .map(title => ({
+            normalized_title: title,
+            ...describe(opened.filter(v => titleOf(v) === title), closed.filter(v => titleOf(v) === title)),
+        }))
+        .sort((a, b) => b.reposts - a.reposts || b.opened - a.opened || a.normalized_title.localeCompare(b.normalized_title));
+
+    const reposts = opened
+        .filter(v => v.reposted_from_id)
+        .map(v => {
+            const source = vacanciesById.get(v.reposted_from_id);
+            return {
+                vacancy_id: v.id,
+                hh_vacancy_id: v.hh_vacancy_id,
+                raw_title: v.raw_title,
+                area_name: v.area_name,
+                url: v.url,
+                published_at: v.published_at,
+                reposted_from_id: v.reposted_from_id,
+                reposted_from_hh_vacancy_id: source ? source.hh_vacancy_id : null,
+                previous_lifetime_days: source && source.lifetime_days != null ? Number(source.lifetime_days) : null,
+            };
+        })
+        .sort((a, b) => Date.parse(b.published_at) - Date.parse(a.published_at));
+
+    return { summary: { period_days: days, ...describe(opened, closed) }, titles, reposts };
+}
+
+/**
+ * Выгружает отчеты о жизненном цикле вакансий (время до заполнения и повторные публикации)
+ * в файлы CSV и JSON для одной компании (options.companyId) или для всех компаний из профилей и организаций.
+ * Файлы пишутся в EXPORT_OUTPUT_DIR.
+ * @param {object} storage - Хранилище данных.
+ * @param {object} [options] - Параметры запуска (companyId).
+ */
+async function exportLifecycleReports(storage, options = {}) {
+    logger.info('\n--- ЖИЗНЕННЫЙ ЦИКЛ ВАКАНСИЙ ---');
+    const companyIds = options.companyId ? [options.companyId] : await listFollowedCompanyIds(storage);
+    fs.mkdirSync(EXPORT_OUTPUT_DIR, { recursive: true });
+    const date = new Date().toISOString().slice(0, 10);
+
+    for (const companyId of companyIds) {
+        const report = computeLifecycleReport(await storage.vacancies.listByCompany(companyId));
+        const baseName = path.join(EXPORT_OUTPUT_DIR, `${companyId}-${date}`);
+
+        fs.writeFileSync(`${baseName}-lifecycle.csv`, toCsv(report.titles, LIFECYCLE_COLUMNS));
+        fs.writeFileSync(`${baseName}-lifecycle.json`, JSON.stringify(report, null, 2));
+        fs.writeFileSync(`${baseName}-reposts.csv`, toCsv(report.reposts, REPOST_COLUMNS));
+
+        const { summary } = report;
+        const timeToFill = summary.avg_time_to_fill_days === null
+            ? 'нет данных'
+            : `в среднем ${summary.avg_time_to_fill_days} дн., медиана ${summary.median_time_to_fill_days} дн.`;
+        logger.info(`\nКомпания ${companyId} за ${summary.period_days} дней: опубликовано ${summary.opened}, `
+            + `из них повторно ${summary.reposts}; закрыто ${summary.closed}, заполнено ${summary.filled} (${timeToFill}).`);
+        for (const title of report.titles.filter(t => t.reposts > 0)) {
+            logger.info(`  ${title.normalized_title}: повторных публикаций ${title.reposts} из ${title.opened}`);
+        }
+        logger.info(`Файлы: ${baseName}-lifecycle.csv, -lifecycle.json, -reposts.csv`);
+    }
+}
+
+module.exports = {
+    REPOST_WINDOW_DAYS,
+    LIFECYCLE_COLUMNS,
+    lifetimeDays,
+    findRepostSources,
+    computeLifecycleReport,
+    exportLifecycleReports
+};
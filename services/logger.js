@@ -0,0 +1,158 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const FORMATS = ['json', 'text'];
+
+// Переменные окружения с секретами: их значения вырезаются из всех сообщений
+const SECRET_VARIABLES = [
+    'TELEGRAM_BOT_TOKEN', 'GEMINI_API_KEY', 'OPENAI_API_KEY', 'SUPABASE_SERVICE_KEY', 'SMTP_PASS', 'WEBHOOK_SECRET',
+];
+// Секреты, которые попадают в текст ошибок вместе с адресом или заголовком запроса
+const SECRET_PATTERNS = [
+    // Токен бота в пути запроса к Bot API
+    [/\/bot\d+:[\w-]+/g, '/bot[REDACTED]'],
+    [/([?&](?:key|api_key|token|access_token)=)[^&\s"]+/gi, '$1[REDACTED]'],
+    [/(Bearer\s+)[^\s"]+/gi, '$1[REDACTED]'],
+];
+// Короткие значения не вырезаются: они слишком легко совпадают с обычным текстом
+const MIN_SECRET_LENGTH = 8;
+
+let currentLevel = LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+// JSON — для запусков по расписанию, где лог читают программы; в терминале по умолчанию обычный текст
+let currentFormat = FORMATS.includes(process.env.LOG_FORMAT) ? process.env.LOG_FORMAT : (process.stdout.isTTY ? 'text' : 'json');
+
+// Поля, которые добавляются ко всем сообщениям внутри withLogContext (runId, stage, companyId, vacancyId)
+const contextStorage = new AsyncLocalStorage();
+
+/**
+ * Устанавливает минимальный уровень сообщений, которые попадут в вывод.
+ * @param {string} level - 'debug', 'info', 'warn', 'error' или 'silent'.
+ */
+function setLevel(level) {
+    if (!(level in LEVELS)) throw new Error(`Неизвестный уровень логирования: ${level}`);
+    currentLevel = LEVELS[level];
+}
+
+/**
+ * Устанавливает формат вывода.
+ * @param {string} format - 'json' (одна JSON-строка на сообщение) или 'text'.
+ */
+function setFormat(format) {
+    if (!FORMATS.includes(format)) throw new Error(`Неизвестный формат логирования: ${format}`);
+    currentFormat = format;
+}
+
+/**
+ * Выполняет функцию так, что все сообщения лога внутри нее (в том числе в асинхронных вызовах)
+ * получают указанные поля. Вложенные контексты дополняют внешний.
+ * @param {object} fields - Поля контекста, например { runId, stage, companyId, vacancyId }.
+ * @param {Function} fn - Выполняемая функция.
+ * @returns {any} - Результат fn.
+ */
+function withLogContext(fields, fn) {
+    return contextStorage.run({ ...getLogContext(), ...fields }, fn);
+}
+
+/**
+ * Поля текущего контекста лога.
+ * @returns {object}
+ */
+function getLogContext() {
+    return contextStorage.getStore() || {};
+}
+
+/**
+ * Вырезает из текста значения секретов из окружения и секреты в адресах и заголовках запросов.
+ * @param {string} text
+ * @returns {string}
+ */
+function redact(text) {
+    let result = text;
+    for (const name of SECRET_VARIABLES) {
+        const value = process.env[name];
+        if (value && value.length >= MIN_SECRET_LENGTH) result = result.split(value).join('[REDACTED]');
+    }
+    for (const [pattern, replacement] of SECRET_PATTERNS) {
+        result = result.replace(pattern, replacement);
+    }
+    return result;
+}
+
+/**
+ * Описание ошибки для лога. Ошибки axios целиком не выводятся: в их config лежат адрес запроса с токеном и заголовки.
+ * @param {Error} error
+ * @returns {object}
+ */
+function describeError(error) {
+    const description = { message: error.message };
+    if (error.response && error.response.status) description.status = error.response.status;
+    if (error.code) description.code = error.code;
+    if (error.stack) description.stack = error.stack;
+    return description;
+}
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value)
+    && Object.getPrototypeOf(value) === Object.prototype;
+
+/**
+ * Собирает запись лога из аргументов вызова: строки и числа составляют текст сообщения,
+ * простые объекты дополняют поля записи, ошибки попадают в текст и в поле error.
+ * @param {Array} args
+ * @returns {{msg: string, fields: object}}
+ */
+function buildRecord(args) {
+    const parts = [];
+    const fields = {};
+    for (const arg of args) {
+        if (arg instanceof Error) {
+            parts.push(arg.message);
+            fields.error = describeError(arg);
+        } else if (isPlainObject(arg)) {
+            Object.assign(fields, arg);
+        } else if (typeof arg === 'string') {
+            parts.push(arg);
+        } else {
+            parts.push(JSON.stringify(arg));
+        }
+    }
+    return { msg: parts.join(' '), fields };
+}
+
+function write(level, args) {
+    if (currentLevel > LEVELS[level]) return;
+    const { msg, fields } = buildRecord(args);
+    const output = level === 'warn' || level === 'error' ? console.error : console.log;
+
+    if (currentFormat === 'text') {
+        // Текст ошибки уже есть в сообщении, стек в терминале выводится только в подробном режиме
+        const { error, ...rest } = fields;
+        const extra = Object.keys(rest).length > 0 ? ` ${JSON.stringify(rest)}` : '';
+        const stack = error && error.stack && currentLevel <= LEVELS.debug ? `\n${error.stack}` : '';
+        output(redact(`${msg}${extra}${stack}`));
+        return;
+    }
+    // Пустые строки и отступы, которыми текстовый вывод разделяет этапы, в JSON не нужны
+    output(redact(JSON.stringify({
+        time: new Date().toISOString(),
+        level,
+        msg: msg.trim(),
+        ...getLogContext(),
+        ...fields,
+    })));
+}
+
+const logger = {
+    debug: (...args) => write('debug', args),
+    info: (...args) => write('info', args),
+    warn: (...args) => write('warn', args),
+    error: (...args) => write('error', args),
+};
+
+module.exports = {
+    logger,
+    setLevel,
+    setFormat,
+    withLogContext,
+    getLogContext,
+    redact
+};
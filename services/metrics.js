@@ -0,0 +1,93 @@
+const fs = require('fs');
+const path = require('path');
+
+const METRICS_OUTPUT_DIR = process.env.METRICS_OUTPUT_DIR || path.join(__dirname, '..', 'metrics');
+
+/**
+ * Создает сборщик метрик запуска: счетчики по группам и длительности этапов.
+ * Группы счетчиков:
+ *   api_calls, api_errors, retries — запросы к внешним API по ключу «сервис метод/путь»;
+ *   normalizer — партии и токены нормализатора ('<имя>.batches', '<имя>.prompt_tokens'...);
+ *   db_writes, db_rows — операции записи в хранилище и записанные строки по ключу «репозиторий.метод»;
+ *   notifications_sent, notifications_failed — уведомления по каналам.
+ * @returns {object}
+ */
+function createMetrics() {
+    let startedAt = new Date();
+    let counters = {};
+    let stages = {};
+
+    return {
+        /**
+         * Увеличивает счетчик.
+         * @param {string} group - Группа счетчиков.
+         * @param {string} key - Счетчик в группе.
+         * @param {number} [amount] - На сколько увеличить.
+         */
+        increment(group, key, amount = 1) {
+            if (!amount) return;
+            if (!counters[group]) counters[group] = {};
+            counters[group][key] = (counters[group][key] || 0) + amount;
+        },
+
+        startStage(stage) {
+            stages[stage] = { status: 'running', started_at: new Date().toISOString() };
+        },
+
+        /**
+         * Отмечает окончание этапа и записывает его длительность.
+         * @param {string} stage
+         * @param {string} status - completed, failed или skipped.
+         */
+        finishStage(stage, status) {
+            const current = stages[stage] || { started_at: new Date().toISOString() };
+            stages[stage] = { ...current, status, duration_ms: Date.now() - Date.parse(current.started_at) };
+        },
+
+        /**
+         * Сводка метрик с начала процесса (или последнего reset).
+         * @returns {object}
+         */
+        summary() {
+            const finishedAt = new Date();
+            return {
+                started_at: startedAt.toISOString(),
+                finished_at: finishedAt.toISOString(),
+                duration_ms: finishedAt - startedAt,
+                stages: structuredClone(stages),
+                ...structuredClone(counters),
+            };
+        },
+
+        reset() {
+            startedAt = new Date();
+            counters = {};
+            stages = {};
+        },
+    };
+}
+
+/**
+ * Сохраняет сводку метрик в METRICS_OUTPUT_DIR: один файл на процесс запуска.
+ * @param {object} summary - Сводка (metrics.summary()).
+ * @param {object} params
+ * @param {string} params.command - Команда CLI.
+ * @param {string|null} [params.runId] - ID запуска в pipeline_runs (у пробного запуска его нет).
+ * @returns {string} - Путь к файлу.
+ */
+function saveMetricsFile(summary, { command, runId = null }) {
+    fs.mkdirSync(METRICS_OUTPUT_DIR, { recursive: true });
+    const timestamp = summary.started_at.replace(/[:.]/g, '-');
+    const filePath = path.join(METRICS_OUTPUT_DIR, `${timestamp}-${command}.json`);
+    fs.writeFileSync(filePath, JSON.stringify({ run_id: runId, command, ...summary }, null, 2));
+    return filePath;
+}
+
+// Общий сборщик процесса: в него пишут все сервисы и клиенты API
+const metrics = createMetrics();
+
+module.exports = {
+    createMetrics,
+    saveMetricsFile,
+    metrics
+};
@@ -1,67 +1,246 @@
 const { sleep } = require('./utils');
+const { logger } = require('./logger');
+const { metrics } = require('./metrics');
+const { validateNormalizedTitles } = require('../normalizers/validation');
+
+// Источник ручных соответствий: их никогда не перезаписывает модель
+const MANUAL_SOURCE = 'manual';
+// Сколько раз название отправляется нормализатору, прежде чем получить normalization_failed
+const MAX_ATTEMPTS = parseInt(process.env.NORMALIZATION_MAX_ATTEMPTS) || 3;
+const RETRY_BASE_DELAY = 2000;
+
+/**
+ * Изменения вакансии при успешной нормализации: заодно снимается отметка о прошлой неудаче.
+ * @param {string} normalizedTitle - Нормализованное название.
+ * @returns {object}
+ */
+function normalizedPatch(normalizedTitle) {
+    return { normalized_title: normalizedTitle, normalization_failed: false, normalization_error: null };
+}
+
+/**
+ * Группирует вакансии по исходному названию, чтобы каждое название нормализовалось один раз.
+ * @param {Array} vacancies - Вакансии с полями id и raw_title.
+ * @returns {Map<string, Array<string>>} - raw_title -> ID вакансий.
+ */
+function groupIdsByRawTitle(vacancies) {
+    const groups = new Map();
+    for (const vacancy of vacancies) {
+        if (!groups.has(vacancy.raw_title)) groups.set(vacancy.raw_title, []);
+        groups.get(vacancy.raw_title).push(vacancy.id);
+    }
+    return groups;
+}
 
 /**
- * Отправляет названия вакансий в Gemini для нормализации пакетами.
- * @param {object} supabase - Клиент Supabase.
- * @param {object} geminiModel - Клиент Gemini.
- * @param {Array} vacancies - Массив вакансий для обработки.
+ * Проставляет вакансиям названия из словаря title_mappings и возвращает названия, которых в словаре нет.
+ * @param {object} storage - Хранилище данных.
+ * @param {Map<string, Array<string>>} idsByRawTitle - raw_title -> ID вакансий.
+ * @returns {Promise<Array<string>>} - Исходные названия, которые нужно отправить нормализатору.
  */
-async function normalizeTitlesInBatches(supabase, geminiModel, vacancies) {
-    const BATCH_SIZE = 150;
-    for (let i = 0; i < vacancies.length; i += BATCH_SIZE) {
-        const batch = vacancies.slice(i, i + BATCH_SIZE);
-        console.log(`\nОбработка партии ${Math.floor(i / BATCH_SIZE) + 1} (вакансии с ${i + 1} по ${i + batch.length})...`);
-        const titlesToProcess = batch.map(v => ({ id: v.id, title: v.raw_title }));
-        const prompt = `Твоя задача - максимально агрессивно нормализовать названия вакансий, оставив только самую суть профессии. Правила: 1. Удаляй уровни должностей. 2. Удаляй уточнения в скобках. 3. Если несколько должностей через слэш (/), оставляй первую. 4. Убирай лишние специализации. 5. Сокращай длинные названия. Примеры: "Монтажник РЭА и приборов" -> "Монтажник РЭА", "Токарь на оборонный завод" -> "Токарь", "Ведущий (старший) бухгалтер" -> "Бухгалтер", "Казначей/финансовый менеджер" -> "Казначей", "Наладчик станков и манипуляторов с программным управлением" -> "Наладчик станков", "Подручный (помощник станочника)" -> "Подручный", "Токарь-карусельщик / расточник" -> "Токарь-карусельщик". КРАЙНЕ ВАЖНО: Твой ответ должен быть только и исключительно валидным JSON-массивом объектов, где каждый объект имеет вид {"id": "uuid_вакансии", "title": "нормализованное_название"}. Не добавляй ничего лишнего. Вот список: ${JSON.stringify(titlesToProcess)}`;
-        
-        let text = '';
-        try {
-            const result = await geminiModel.generateContent(prompt);
-            const response = result.response; 
-            text = response.text();
-            
-            const jsonMatch = text.match(/\[[\s\S]*\]/);
-            if (!jsonMatch) throw new Error("В ответе от Gemini не найден JSON-массив.");
-            
-            const cleanedJsonString = jsonMatch[0];
-            const normalizedDataArray = JSON.parse(cleanedJsonString);
-            console.log(`Gemini успешно обработал ${normalizedDataArray.length} названий.`);
-            
-            const updates = normalizedDataArray.map(item => supabase.from('vacancies').update({ normalized_title: item.title }).eq('id', item.id));
-            await Promise.all(updates);
-            console.log('Нормализованные названия сохранены в базе.');
-        } catch (error) {
-            console.error(`\n!!! Ошибка при обработке партии с Gemini: ${error.message}`);
-            console.error("--- НАЧАЛО ПРОБЛЕМНОГО ОТВЕТА ОТ GEMINI ---\n"); console.error(text);
-            console.error("--- КОНЕЦ ПРОБЛЕМНОГО ОТВETA OT GEMINI ---\n");
+async function applyKnownMappings(storage, idsByRawTitle) {
+    const mappings = await storage.titleMappings.listByRawTitles([...idsByRawTitle.keys()]);
+    for (const mapping of mappings) {
+        await storage.vacancies.updateMany(idsByRawTitle.get(mapping.raw_title), normalizedPatch(mapping.normalized_title));
+    }
+    if (mappings.length > 0) {
+        logger.info(`Из словаря взято ${mappings.length} названий, без обращения к нормализатору.`);
+    }
+
+    const known = new Set(mappings.map(m => m.raw_title));
+    return [...idsByRawTitle.keys()].filter(rawTitle => !known.has(rawTitle));
+}
+
+/**
+ * Один вызов нормализатора с проверкой ответа. Ответ модели, который не удалось разобрать, делает
+ * невалидными все элементы пакета. Ошибка самого вызова (сеть, 429, 5xx, нет ключа) — сбой провайдера,
+ * а не ответ модели: элементы пакета возвращаются в unavailable.
+ * @param {object} normalizer - Нормализатор.
+ * @param {Array<{id: string, title: string}>} items - Пакет названий.
+ * @returns {Promise<{valid: Array, invalid: Array, unavailable: Array}>}
+ */
+async function callNormalizer(normalizer, items) {
+    let response;
+    metrics.increment('normalizer', `${normalizer.name}.batches`);
+    try {
+        response = await normalizer.normalizeBatch(items);
+    } catch (error) {
+        metrics.increment('normalizer', `${normalizer.name}.failed_batches`);
+        logger.error(`\n!!! Ошибка при обработке партии нормализатором ${normalizer.name}: ${error.message}`,
+            error.responseText ? { responseText: error.responseText } : {});
+        // responseText есть только у ошибки разбора: ответ от модели получен, но он невалиден
+        const failed = items.map(item => ({ id: item.id, reason: error.message }));
+        return error.responseText === undefined
+            ? { valid: [], invalid: [], unavailable: failed }
+            : { valid: [], invalid: failed, unavailable: [] };
+    }
+
+    const { valid, invalid, unknownIds } = validateNormalizedTitles(items, response);
+    if (unknownIds.length > 0) {
+        logger.warn(`Нормализатор ${normalizer.name} вернул ${unknownIds.length} элементов с id не из пакета. Они отброшены.`);
+    }
+    if (invalid.length > 0) {
+        logger.warn(`Не принято ${invalid.length} из ${items.length} названий: ${invalid.slice(0, 3).map(i => i.reason).join('; ')}${invalid.length > 3 ? '; ...' : ''}`);
+    }
+    return { valid, invalid, unavailable: [] };
+}
+
+/**
+ * Нормализует пакет названий. Непринятые названия повторяются подпакетами вдвое меньшего размера
+ * с растущей паузой, пока не кончатся попытки; пакет, на котором упал вызов провайдера, повторяется целиком.
+ * @param {object} normalizer - Нормализатор.
+ * @param {Array<{id: string, title: string}>} items - Пакет названий.
+ * @returns {Promise<{results: Array<{id: string, title: string}>, failures: Array<{id: string, reason: string}>,
+ *   unavailable: Array<{id: string, reason: string}>}>} - failures — названия, которые модель так и не вернула валидными;
+ *   unavailable — названия, до которых не дошло из-за сбоев провайдера.
+ */
+async function normalizeWithRetries(normalizer, items) {
+    const results = [];
+    const failures = [];
+    const unavailable = [];
+    const queue = [{ items, attempt: 1 }];
+
+    while (queue.length > 0) {
+        const { items: batch, attempt } = queue.shift();
+        if (attempt > 1) {
+            const delay = Math.max(normalizer.pauseMs, RETRY_BASE_DELAY * (2 ** (attempt - 2)));
+            logger.info(`Повтор ${batch.length} названий (попытка ${attempt} из ${MAX_ATTEMPTS}) через ${delay / 1000} сек...`);
+            await sleep(delay);
         }
-        
-        if (i + BATCH_SIZE < vacancies.length) {
-            const pauseDuration = 20000; // Увеличена пауза для соблюдения лимитов free-tier Gemini (3 запроса в минуту)
-            console.log(`Пауза ${pauseDuration / 1000} секунд перед следующей партией...`);
-            await sleep(pauseDuration);
+
+        const { valid, invalid, unavailable: notProcessed } = await callNormalizer(normalizer, batch);
+        results.push(...valid);
+        if (notProcessed.length > 0) {
+            if (attempt >= MAX_ATTEMPTS) unavailable.push(...notProcessed);
+            else queue.push({ items: batch, attempt: attempt + 1 });
+            continue;
+        }
+        if (invalid.length === 0) continue;
+
+        if (attempt >= MAX_ATTEMPTS) {
+            failures.push(...invalid);
+            continue;
+        }
+        const sourceById = new Map(batch.map(item => [item.id, item]));
+        const retryItems = invalid.map(item => sourceById.get(item.id));
+        const subBatchSize = Math.max(1, Math.ceil(retryItems.length / 2));
+        for (let i = 0; i < retryItems.length; i += subBatchSize) {
+            queue.push({ items: retryItems.slice(i, i + subBatchSize), attempt: attempt + 1 });
+        }
+    }
+    return { results, failures, unavailable };
+}
+
+/**
+ * Отправляет названия вакансий нормализатору пакетами и сохраняет результат в вакансии и в словарь.
+ * Названия, которые модель за все попытки так и не вернула валидными, помечаются normalization_failed с причиной
+ * и больше не выбираются для нормализации, пока не изменятся (или пока не запущен --retry-failed).
+ * Если провайдер недоступен, названия остаются ожидающими, а оставшиеся партии откладываются до следующего запуска.
+ * @param {object} storage - Хранилище данных.
+ * @param {object} normalizer - Нормализатор (см. normalizers/index.js).
+ * @param {Map<string, Array<string>>} idsByRawTitle - raw_title -> ID вакансий.
+ * @param {Array<string>} rawTitles - Названия для нормализации.
+ */
+async function normalizeTitlesInBatches(storage, normalizer, idsByRawTitle, rawTitles) {
+    const batchSize = normalizer.batchSize;
+    for (let i = 0; i < rawTitles.length; i += batchSize) {
+        const batch = rawTitles.slice(i, i + batchSize);
+        logger.info(`\nОбработка партии ${Math.floor(i / batchSize) + 1} (названия с ${i + 1} по ${i + batch.length})...`);
+        // Название представляет первая вакансия с ним, результат затем проставляется всем
+        const rawTitleById = new Map(batch.map(rawTitle => [idsByRawTitle.get(rawTitle)[0], rawTitle]));
+        const titlesToProcess = [...rawTitleById].map(([id, title]) => ({ id, title }));
+
+        const { results, failures, unavailable } = await normalizeWithRetries(normalizer, titlesToProcess);
+        logger.info(`Нормализатор ${normalizer.name} обработал ${results.length} из ${titlesToProcess.length} названий.`);
+
+        const mappings = [];
+        for (const item of results) {
+            const rawTitle = rawTitleById.get(item.id);
+            await storage.vacancies.updateMany(idsByRawTitle.get(rawTitle), normalizedPatch(item.title));
+            mappings.push({ raw_title: rawTitle, normalized_title: item.title, source: normalizer.name });
+        }
+        // Результаты детерминированного нормализатора не запоминаются, чтобы позже их могла заменить модель
+        if (!normalizer.deterministic) {
+            await storage.titleMappings.insertMany(mappings);
+        }
+
+        for (const failure of failures) {
+            const rawTitle = rawTitleById.get(failure.id);
+            logger.warn(`Не удалось нормализовать "${rawTitle}": ${failure.reason}`);
+            await storage.vacancies.updateMany(idsByRawTitle.get(rawTitle), {
+                normalization_failed: true,
+                normalization_error: failure.reason,
+            });
+        }
+        logger.info('Результаты нормализации сохранены в базе.');
+
+        if (unavailable.length > 0) {
+            logger.error(`Нормализатор ${normalizer.name} недоступен (${unavailable[0].reason}): ${unavailable.length} названий этой партии `
+                + `и ${rawTitles.length - i - batch.length} названий следующих партий останутся ожидающими до следующего запуска.`);
+            return;
+        }
+
+        if (normalizer.pauseMs > 0 && i + batchSize < rawTitles.length) {
+            logger.info(`Пауза ${normalizer.pauseMs / 1000} секунд перед следующей партией...`);
+            await sleep(normalizer.pauseMs);
         }
     }
 }
 
 /**
  * Находит все вакансии, требующие нормализации, и запускает обработку.
- * @param {object} supabase - Клиент Supabase.
- * @param {object} geminiModel - Клиент Gemini.
+ * Названия, уже известные по словарю title_mappings, нормализатору не отправляются.
+ * @param {object} storage - Хранилище данных.
+ * @param {Function} createNormalizer - Фабрика нормализатора (см. normalizers/index.js). Вызывается,
+ *   только если в словаре нашлись не все названия.
+ * @param {object} [options] - Параметры запуска (companyId — нормализовать вакансии только одной компании,
+ *   retryFailed — повторить и вакансии с normalization_failed).
  */
-async function normalizeAllPending(supabase, geminiModel) {
-    console.log('\n--- НАЧАЛО ШАГА 2: НОРМАЛИЗАЦИЯ НАЗВАНИЙ ---');
-    const { data, error } = await supabase.from('vacancies').select('id, raw_title').is('normalized_title', null).eq('status', 'active');
-    if (error) throw error;
-    
-    if (data && data.length > 0) {
-        console.log(`Найдено ${data.length} активных вакансий для нормализации.`);
-        await normalizeTitlesInBatches(supabase, geminiModel, data);
-    } else {
-        console.log('Активных вакансий для нормализации не найдено.');
+async function normalizeAllPending(storage, createNormalizer, options = {}) {
+    logger.info('\n--- НАЧАЛО ШАГА 2: НОРМАЛИЗАЦИЯ НАЗВАНИЙ ---');
+    const data = await storage.vacancies.listPendingNormalization({
+        companyId: options.companyId,
+        includeFailed: options.retryFailed,
+    });
+
+    if (!data || data.length === 0) {
+        logger.info('Активных вакансий для нормализации не найдено.');
+        return;
     }
+
+    const idsByRawTitle = groupIdsByRawTitle(data);
+    logger.info(`Найдено ${data.length} активных вакансий для нормализации (уникальных названий: ${idsByRawTitle.size}).`);
+
+    const unknownTitles = await applyKnownMappings(storage, idsByRawTitle);
+    if (unknownTitles.length === 0) {
+        logger.info('Все названия найдены в словаре.');
+        return;
+    }
+    logger.info(`Новых названий для нормализатора: ${unknownTitles.length}.`);
+    await normalizeTitlesInBatches(storage, createNormalizer(), idsByRawTitle, unknownTitles);
+}
+
+/**
+ * Закрепляет ручное соответствие названий: словарь запоминает его с источником manual,
+ * и все вакансии с этим исходным названием сразу получают новое нормализованное название.
+ * @param {object} storage - Хранилище данных.
+ * @param {object} options
+ * @param {string} options.rawTitle - Исходное название вакансии, как на hh.ru.
+ * @param {string} options.normalizedTitle - Нормализованное название.
+ */
+async function pinTitleMapping(storage, { rawTitle, normalizedTitle }) {
+    logger.info(`\n--- РУЧНОЕ СООТВЕТСТВИЕ: "${rawTitle}" -> "${normalizedTitle}" ---`);
+    await storage.titleMappings.upsert({
+        raw_title: rawTitle,
+        normalized_title: normalizedTitle,
+        source: MANUAL_SOURCE,
+        updated_at: new Date().toISOString(),
+    });
+    await storage.vacancies.updateByRawTitle(rawTitle, normalizedPatch(normalizedTitle));
+    logger.info('Соответствие сохранено, вакансии обновлены.');
 }
 
-module.exports = { 
-    normalizeAllPending 
-};
\ No newline at end of file
+module.exports = {
+    normalizeAllPending,
+    pinTitleMapping
+};
@@ -1,62 +1,106 @@
-const axios = require('axios');
-const https = require('https');
+const { logger } = require('./logger');
+const { metrics } = require('./metrics');
+const { isIssueWanted, describeIssues } = require('./qualityService');
+const { enqueueNotification, sendQueuedMessages, findUsedDedupKeys } = require('./outboxService');
+const { resolveRecipient } = require('../notifiers');
+const { createTelegramClient } = require('./telegramClient');
+const { escapeHtml } = require('./utils');
+const { loadCompanyRecipients, isVacancyInScope } = require('./organisationService');
 
-const httpsAgent = new https.Agent({
-    family: 4
-});
+/**
+ * Отправляет файл в чат Telegram как документ.
+ * @param {string} chatId - ID чата
+ * @param {string} fileName - Имя файла, которое увидит пользователь
+ * @param {string} content - Содержимое файла
+ * @param {string} [caption] - Подпись к документу (HTML)
+ */
+async function sendTelegramDocument(chatId, fileName, content, caption) {
+    try {
+        const form = new FormData();
+        form.append('chat_id', String(chatId));
+        form.append('document', new Blob([content]), fileName);
+        if (caption) {
+            form.append('caption', caption);
+            form.append('parse_mode', 'HTML');
+        }
+        await createTelegramClient().call('sendDocument', form);
+        metrics.increment('notifications_sent', 'telegram_document');
+    } catch (error) {
+        metrics.increment('notifications_failed', 'telegram_document');
+        logger.error(`Ошибка отправки документа ${fileName} в чат ${chatId}:`, error.message);
+    }
+}
 
-async function sendTelegramMessage(chatId, text) {
-    const token = process.env.TELEGRAM_BOT_TOKEN;
-    if (!token) {
-        console.error('Ошибка: Переменная окружения TELEGRAM_BOT_TOKEN не задана.');
-        return;
+/**
+ * Отправляет сообщение пользователю в его канал (Telegram, email или webhook), а в режиме dryRun
+ * только выводит его в лог. Сообщение сначала записывается в очередь notification_outbox:
+ * если отправить его сразу не удалось, оно будет отправлено повторно (см. outboxService).
+ * Ошибки не прерывают работу вызывающего кода, а только логируются.
+ * @param {object} storage - Хранилище данных
+ * @param {object} profile - Профиль получателя
+ * @param {string} text - Текст сообщения (HTML)
+ * @param {object} [options] - Параметры запуска
+ * @param {object} [message]
+ * @param {Array<string>} [message.dedupKeys] - Ключи того, о чем сообщение; по ним оно не повторяется в следующих запусках
+ * @param {string} [message.companyId] - Компания, о вакансиях которой сообщение (по умолчанию компания профиля)
+ */
+async function deliverToProfile(storage, profile, text, options = {}, { dedupKeys = [], companyId = null } = {}) {
+    try {
+        if (options.dryRun) {
+            const { channel, address } = resolveRecipient(profile);
+            logger.info(`[DRY RUN] Уведомление (${channel}, ${address}) не отправлено:\n${text}`);
+            return;
+        }
+        const rows = await enqueueNotification(storage, profile, text, { dedupKeys, companyId });
+        await sendQueuedMessages(storage, rows);
+    } catch (error) {
+        logger.error(`Ошибка отправки уведомления профилю ${profile.id}:`, error.message);
     }
-    const url = `https://api.telegram.org/bot${token}/sendMessage`;
+}
+
+/**
+ * Загружает получателей уведомлений о вакансиях компании (см. loadCompanyRecipients). При ошибке возвращает null.
+ * @param {string} companyId - ID компании на hh.ru
+ * @param {object} storage - Хранилище данных
+ * @returns {Promise<Array<{profile: object, scope: object}>|null>}
+ */
+async function loadRecipients(companyId, storage) {
     try {
-        const payload = {
-            chat_id: chatId,
-            text: text,
-            parse_mode: 'HTML',
-            disable_web_page_preview: true
-        };
-        await axios.post(url, payload, { httpsAgent });
+        return await loadCompanyRecipients(storage, companyId);
     } catch (error) {
-        console.error(`===== ПОДРОБНАЯ ОШИБКА AXIOS ПРИ ОТПРАВКЕ В ЧАТ ${chatId} =====`);
-        console.error(error);
-        console.error(`===== КОНЕЦ ПОДРОБНОЙ ОШИБКИ AXIOS =====`);
+        logger.error("Ошибка получения профилей для уведомления:", error.message);
+        return null;
     }
 }
 
 /**
  * Формирует и отправляет сгруппированное уведомление со списком проблемных вакансий.
+ * Участник организации получает только назначенные ему вакансии.
+ * О вакансии, о которой пользователю уже сообщалось (например, в прерванном запуске), повторно не сообщается.
  * @param {string} companyId - ID компании на hh.ru
- * @param {Array} allFlawedVacancies - Массив всех новых проблемных вакансий
- * @param {object} supabase - Клиент Supabase
+ * @param {Array<{hh_vacancy_id: number, raw_title: string, normalized_title: string|null, area_id: number, url: string, issues: Array<string>}>} allFlawedVacancies
+ *   - Новые проблемные вакансии (issues — идентификаторы нарушенных правил качества)
+ * @param {object} storage - Хранилище данных
+ * @param {object} [options] - Параметры запуска (dryRun — только вывести сообщения в лог)
  */
-async function sendGroupedNotifications(companyId, allFlawedVacancies, supabase) {
+async function sendGroupedNotifications(companyId, allFlawedVacancies, storage, options = {}) {
     if (allFlawedVacancies.length === 0) {
         return;
     }
 
-    const { data: profiles, error } = await supabase
-        .from('profiles')
-        .select('telegram_chat_id, notify_no_salary, notify_no_skills, notify_no_contacts')
-        .eq('company_hh_id', companyId)
-        .not('telegram_chat_id', 'is', null);
+    const recipients = await loadRecipients(companyId, storage);
+    if (!recipients) return;
 
-    if (error || !profiles) {
-        console.error("Ошибка получения профилей для уведомления:", error?.message);
-        return;
-    }
+    const dedupKey = (profile, vacancy) => `new_vacancy:${profile.id}:${vacancy.hh_vacancy_id}`;
+    const usedKeys = await findUsedDedupKeys(storage,
+        recipients.flatMap(({ profile }) => allFlawedVacancies.map(vacancy => dedupKey(profile, vacancy))));
 
-    for (const profile of profiles) {
-        const userSpecificVacancies = allFlawedVacancies.filter(vacancy => {
-            // Эта логика остается без изменений
-            const hasNoSalary = vacancy.issues.includes('Не указана зарплата') && profile.notify_no_salary;
-            const hasNoSkills = vacancy.issues.includes('Отсутствуют ключевые навыки') && profile.notify_no_skills;
-            const hasNoContacts = vacancy.issues.includes('Скрыты контакты') && profile.notify_no_contacts;
-            return hasNoSalary || hasNoSkills || hasNoContacts;
-        });
+    for (const { profile, scope } of recipients) {
+        // Каждому пользователю показываются только его вакансии и проблемы, на которые он подписан
+        const userSpecificVacancies = allFlawedVacancies
+            .filter(vacancy => isVacancyInScope(scope, vacancy) && !usedKeys.has(dedupKey(profile, vacancy)))
+            .map(vacancy => ({ ...vacancy, issues: vacancy.issues.filter(issue => isIssueWanted(issue, profile)) }))
+            .filter(vacancy => vacancy.issues.length > 0);
 
         if (userSpecificVacancies.length > 0) {
             let messageText;
@@ -72,18 +116,69 @@ async function sendGroupedNotifications(companyId, allFlawedVacancies, supabase)
 
             // 2. Формируем список без точек
             userSpecificVacancies.forEach(vacancy => {
-                const issuesText = vacancy.issues.join(', ').toLowerCase();
-                messageText += `<a href="${vacancy.url}">${vacancy.raw_title}</a>\n`;
+                const issuesText = describeIssues(vacancy.issues).join(', ').toLowerCase();
+                messageText += `<a href="${escapeHtml(vacancy.url)}">${escapeHtml(vacancy.raw_title)}</a>\n`;
                 messageText += `<i>(${issuesText})</i>\n\n`;
             });
             
             // --- КОНЕЦ ИЗМЕНЕНИЙ ---
 
-            await sendTelegramMessage(profile.telegram_chat_id, messageText);
+            await deliverToProfile(storage, profile, messageText, options, {
+                dedupKeys: userSpecificVacancies.map(vacancy => dedupKey(profile, vacancy)),
+                companyId,
+            });
+        }
+    }
+}
+
+/**
+ * Отправляет уведомление об исправленных и новых проблемах в уже существующих вакансиях.
+ * Каждый пользователь получает только свои вакансии и те проблемы, на которые подписан.
+ * @param {string} companyId - ID компании на hh.ru
+ * @param {Array<{raw_title: string, normalized_title: string|null, area_id: number, url: string, resolved: Array<string>, introduced: Array<string>}>} qualityChanges
+ *   - Изменения качества вакансий (resolved и introduced — идентификаторы правил качества)
+ * @param {object} storage - Хранилище данных
+ * @param {object} [options] - Параметры запуска (dryRun — только вывести сообщения в лог)
+ */
+async function sendQualityChangeNotifications(companyId, qualityChanges, storage, options = {}) {
+    if (qualityChanges.length === 0) {
+        return;
+    }
+
+    const recipients = await loadRecipients(companyId, storage);
+    if (!recipients) return;
+
+    for (const { profile, scope } of recipients) {
+        let messageText = '';
+        let vacanciesCount = 0;
+
+        for (const change of qualityChanges.filter(c => isVacancyInScope(scope, c))) {
+            const resolved = change.resolved.filter(issue => isIssueWanted(issue, profile));
+            const introduced = change.introduced.filter(issue => isIssueWanted(issue, profile));
+            if (resolved.length === 0 && introduced.length === 0) continue;
+
+            vacanciesCount++;
+            messageText += `<a href="${escapeHtml(change.url)}">${escapeHtml(change.raw_title)}</a>\n`;
+            if (resolved.length > 0) {
+                messageText += `<i>исправлено: ${describeIssues(resolved).join(', ').toLowerCase()}</i>\n`;
+            }
+            if (introduced.length > 0) {
+                messageText += `<i>новая проблема: ${describeIssues(introduced).join(', ').toLowerCase()}</i>\n`;
+            }
+            messageText += '\n';
+        }
+
+        if (vacanciesCount > 0) {
+            const header = vacanciesCount === 1 ? '<b>Изменения в вакансии:</b>\n\n' : '<b>Изменения в вакансиях:</b>\n\n';
+            await deliverToProfile(storage, profile, header + messageText, options, { companyId });
         }
     }
 }
 
 module.exports = {
-    sendGroupedNotifications
+    loadRecipients,
+    deliverToProfile,
+    sendTelegramDocument,
+    sendGroupedNotifications,
+    sendQualityChangeNotifications
 };
\ No newline at end of file
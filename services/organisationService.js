@@ -0,0 +1,319 @@
+const { logger } = require('./logger');
+
+// Роли участников организации (см. migrations/018_organisations.sql)
+const ROLE_TITLES = {
+    admin: 'администратор',
+    member: 'участник',
+};
+const EMPLOYER_ID_PATTERN = /^\d+$/;
+
+// Доступ ко всем вакансиям компании: у компании своего профиля и у администратора организации
+const FULL_SCOPE = { all: true, areaIds: [], titles: [] };
+
+/**
+ * Доступ участника организации к вакансиям ее работодателей.
+ * @param {object} member - Строка organisation_members.
+ * @returns {{all: boolean, areaIds: Array<string>, titles: Array<string>}} - areaIds и titles — назначение
+ *   участника с ролью member (названия в нижнем регистре).
+ */
+function memberScope(member) {
+    if (member.role === 'admin') return FULL_SCOPE;
+    return {
+        all: false,
+        areaIds: (member.area_ids || []).map(String),
+        titles: (member.normalized_titles || []).map(title => title.toLowerCase()),
+    };
+}
+
+/**
+ * Объединяет доступы одного профиля к компании (через свой профиль и несколько организаций).
+ * @param {object|null} scope - Уже найденный доступ.
+ * @param {object} other - Еще один доступ.
+ * @returns {object}
+ */
+function mergeScopes(scope, other) {
+    if (!scope) return other;
+    if (scope.all || other.all) return FULL_SCOPE;
+    return {
+        all: false,
+        areaIds: [...new Set([...scope.areaIds, ...other.areaIds])],
+        titles: [...new Set([...scope.titles, ...other.titles])],
+    };
+}
+
+/**
+ * Проверяет, видна ли вакансия при данном доступе. Название сравнивается с нормализованным, а пока
+ * вакансия не нормализована (новые вакансии в уведомлениях синхронизации) — с исходным.
+ * @param {object} scope - Доступ (см. memberScope).
+ * @param {object} vacancy - Вакансия с area_id, normalized_title и raw_title.
+ * @returns {boolean}
+ */
+function isVacancyInScope(scope, vacancy) {
+    if (scope.all) return true;
+    if (vacancy.area_id != null && scope.areaIds.includes(String(vacancy.area_id))) return true;
+    const title = (vacancy.normalized_title || vacancy.raw_title || '').toLowerCase();
+    return scope.titles.includes(title);
+}
+
+/**
+ * Компании, за которыми следят пользователи: компании из профилей и работодатели организаций.
+ * @param {object} storage - Хранилище данных.
+ * @returns {Promise<Array<string>>}
+ */
+async function listFollowedCompanyIds(storage) {
+    const companyIds = [
+        ...await storage.profiles.listCompanyIds(),
+        ...await storage.organisationEmployers.listCompanyIds(),
+    ];
+    return [...new Set(companyIds.map(String))];
+}
+
+/**
+ * Компании, доступные профилю, с доступом к каждой: компания профиля — целиком, работодатели
+ * организаций — по роли и назначению участника. Работодатель организации профиля доступен только
+ * по назначению, даже если он же выбран компанией профиля.
+ * @param {object} storage - Хранилище данных.
+ * @param {object} profile - Профиль.
+ * @returns {Promise<Map<string, object>>} - ID компании на hh.ru -> доступ (см. memberScope).
+ */
+async function loadProfileAccess(storage, profile) {
+    const memberships = await storage.organisationMembers.listByProfile(profile.id);
+    const employers = await storage.organisationEmployers.listByOrganisations(memberships.map(m => m.organisation_id));
+    const managedCompanyIds = new Set(employers.map(employer => String(employer.company_hh_id)));
+
+    const access = new Map();
+    if (profile.company_hh_id && !managedCompanyIds.has(String(profile.company_hh_id))) {
+        access.set(String(profile.company_hh_id), FULL_SCOPE);
+    }
+    for (const employer of employers) {
+        const member = memberships.find(m => m.organisation_id === employer.organisation_id);
+        const companyId = String(employer.company_hh_id);
+        access.set(companyId, mergeScopes(access.get(companyId) || null, memberScope(member)));
+    }
+    return access;
+}
+
+/**
+ * Вакансии всех компаний, доступных профилю, с учетом назначения участника организации.
+ * @param {object} storage - Хранилище данных.
+ * @param {Map<string, object>} access - Доступ профиля (см. loadProfileAccess).
+ * @returns {Promise<Array>}
+ */
+async function listAccessibleVacancies(storage, access) {
+    const vacancies = [];
+    for (const [companyId, scope] of access) {
+        vacancies.push(...(await storage.vacancies.listByCompany(companyId)).filter(v => isVacancyInScope(scope, v)));
+    }
+    return vacancies;
+}
+
+/**
+ * Получатели уведомлений о вакансиях компании: профили, у которых это компания профиля, и участники
+ * организаций, следящих за ней. Участник такой организации получает только назначенные ему вакансии,
+ * даже если компания выбрана и в его профиле (см. loadProfileAccess).
+ * Учитываются только профили с адресом хотя бы в одном канале.
+ * @param {object} storage - Хранилище данных.
+ * @param {string} companyId - ID компании на hh.ru.
+ * @returns {Promise<Array<{profile: object, scope: object}>>} - По одному получателю на профиль.
+ */
+async function loadCompanyRecipients(storage, companyId) {
+    const employers = await storage.organisationEmployers.listByCompany(companyId);
+    const members = await storage.organisationMembers.listByOrganisations(employers.map(e => e.organisation_id));
+    const memberProfileIds = new Set(members.map(m => m.profile_id));
+
+    const recipients = new Map();
+    for (const profile of await storage.profiles.listSubscribers(companyId)) {
+        if (!memberProfileIds.has(profile.id)) recipients.set(profile.id, { profile, scope: FULL_SCOPE });
+    }
+    for (const profile of await storage.profiles.listSubscribersByIds([...memberProfileIds])) {
+        const scope = members
+            .filter(m => m.profile_id === profile.id)
+            .reduce((acc, member) => mergeScopes(acc, memberScope(member)), null);
+        recipients.set(profile.id, { profile, scope });
+    }
+    return [...recipients.values()];
+}
+
+/**
+ * Состоит ли профиль в организации с ролью member. Доступ такого профиля задает администратор
+ * организации, поэтому сменить компанию профиля (/company в боте) он не может.
+ * @param {object} storage - Хранилище данных.
+ * @param {string} profileId - ID профиля.
+ * @returns {Promise<boolean>}
+ */
+async function hasScopedMembership(storage, profileId) {
+    const memberships = await storage.organisationMembers.listByProfile(profileId);
+    return memberships.some(member => member.role !== 'admin');
+}
+
+/**
+ * Описывает назначение участника: «регионы 1, 2; названия: Токарь» или «все вакансии».
+ * @param {object} member - Строка organisation_members.
+ * @returns {string}
+ */
+function describeAssignment(member) {
+    if (member.role === 'admin') return 'все вакансии';
+    const parts = [];
+    if ((member.area_ids || []).length > 0) parts.push(`регионы ${member.area_ids.join(', ')}`);
+    if ((member.normalized_titles || []).length > 0) parts.push(`названия: ${member.normalized_titles.join(', ')}`);
+    return parts.length > 0 ? parts.join('; ') : 'вакансии не назначены';
+}
+
+/**
+ * Разбирает список через запятую из параметра командной строки.
+ * @param {string|undefined} value - Значение параметра.
+ * @returns {Array<string>}
+ */
+function parseList(value) {
+    return (value || '').split(',').map(item => item.trim()).filter(item => item);
+}
+
+/**
+ * Находит организацию по ID или выбрасывает ошибку.
+ * @param {object} storage - Хранилище данных.
+ * @param {string} organisationId - ID организации.
+ * @returns {Promise<object>}
+ */
+async function findOrganisation(storage, organisationId) {
+    const organisation = await storage.organisations.findById(organisationId);
+    if (!organisation) throw new Error(`Организация ${organisationId} не найдена`);
+    return organisation;
+}
+
+/**
+ * Создает организацию (команда org-create).
+ * @param {object} storage - Хранилище данных.
+ * @param {object} options - Параметры запуска: name.
+ * @returns {Promise<string>} - ID организации.
+ */
+async function createOrganisation(storage, { name }) {
+    if (!name.trim()) throw new Error('Укажите название организации');
+    const { id } = await storage.organisations.create({ name: name.trim() });
+    logger.info(`Создана организация ${id} "${name.trim()}". Добавьте работодателей (org-employer-add) и участников (org-member-add).`);
+    return id;
+}
+
+/**
+ * Добавляет работодателя в организацию (команда org-employer-add). Его вакансии начнут синхронизироваться
+ * со следующего запуска sync.
+ * @param {object} storage - Хранилище данных.
+ * @param {object} options - Параметры запуска: organisationId, employerId.
+ */
+async function addOrganisationEmployer(storage, { organisationId, employerId }) {
+    if (!EMPLOYER_ID_PATTERN.test(employerId)) throw new Error(`ID работодателя должен быть числом: ${employerId}`);
+    const organisation = await findOrganisation(storage, organisationId);
+    const employers = await storage.organisationEmployers.listByOrganisations([organisationId]);
+    if (employers.some(e => String(e.company_hh_id) === employerId)) {
+        logger.info(`Работодатель ${employerId} уже есть в организации "${organisation.name}".`);
+        return;
+    }
+    await storage.organisationEmployers.create({ organisation_id: organisationId, company_hh_id: employerId });
+    logger.info(`Работодатель ${employerId} добавлен в организацию "${organisation.name}". Вакансии появятся после следующей синхронизации.`);
+}
+
+/**
+ * Убирает работодателя из организации (команда org-employer-remove). Если за ним больше никто не следит,
+ * его вакансии закроет этап archive.
+ * @param {object} storage - Хранилище данных.
+ * @param {object} options - Параметры запуска: organisationId, employerId.
+ */
+async function removeOrganisationEmployer(storage, { organisationId, employerId }) {
+    const organisation = await findOrganisation(storage, organisationId);
+    const employers = await storage.organisationEmployers.listByOrganisations([organisationId]);
+    const employer = employers.find(e => String(e.company_hh_id) === employerId);
+    if (!employer) throw new Error(`Работодателя ${employerId} нет в организации "${organisation.name}"`);
+    await storage.organisationEmployers.remove(employer.id);
+    logger.info(`Работодатель ${employerId} убран из организации "${organisation.name}".`);
+}
+
+/**
+ * Добавляет профиль в организацию или меняет роль и назначение участника (команда org-member-add).
+ * Назначение (--areas, --titles) задается только участнику с ролью member и заменяет прежнее.
+ * @param {object} storage - Хранилище данных.
+ * @param {object} options - Параметры запуска: organisationId, profileId, role, areas, titles.
+ */
+async function setOrganisationMember(storage, { organisationId, profileId, role = 'member', areas, titles }) {
+    if (!ROLE_TITLES[role]) {
+        throw new Error(`Неизвестная роль: ${role}. Допустимые: ${Object.keys(ROLE_TITLES).join(', ')}`);
+    }
+    const areaIds = parseList(areas).map(area => {
+        const areaId = Number(area);
+        if (!(Number.isInteger(areaId) && areaId > 0)) throw new Error(`Регион должен быть положительным целым числом: ${area}`);
+        return areaId;
+    });
+    const normalizedTitles = parseList(titles);
+    if (role === 'admin' && (areaIds.length > 0 || normalizedTitles.length > 0)) {
+        throw new Error('Администратор видит все вакансии организации: --areas и --titles задаются только для роли member');
+    }
+
+    const organisation = await findOrganisation(storage, organisationId);
+    const profile = await storage.profiles.findById(profileId);
+    if (!profile) throw new Error(`Профиль ${profileId} не найден`);
+
+    const fields = { role, area_ids: areaIds, normalized_titles: normalizedTitles };
+    const members = await storage.organisationMembers.listByOrganisations([organisationId]);
+    const existing = members.find(m => m.profile_id === profileId);
+    if (existing) {
+        await storage.organisationMembers.update(existing.id, fields);
+    } else {
+        await storage.organisationMembers.create({ organisation_id: organisationId, profile_id: profileId, ...fields });
+    }
+    logger.info(`Профиль ${profileId} в организации "${organisation.name}": ${ROLE_TITLES[role]}, ${describeAssignment(fields)}.`);
+    if (role === 'member' && areaIds.length === 0 && normalizedTitles.length === 0) {
+        logger.warn('Участнику не назначены вакансии: он не будет получать уведомления, пока не заданы --areas или --titles.');
+    }
+}
+
+/**
+ * Убирает профиль из организации (команда org-member-remove).
+ * @param {object} storage - Хранилище данных.
+ * @param {object} options - Параметры запуска: organisationId, profileId.
+ */
+async function removeOrganisationMember(storage, { organisationId, profileId }) {
+    const organisation = await findOrganisation(storage, organisationId);
+    const members = await storage.organisationMembers.listByOrganisations([organisationId]);
+    const member = members.find(m => m.profile_id === profileId);
+    if (!member) throw new Error(`Профиля ${profileId} нет в организации "${organisation.name}"`);
+    await storage.organisationMembers.remove(member.id);
+    logger.info(`Профиль ${profileId} убран из организации "${organisation.name}".`);
+}
+
+/**
+ * Выводит организации с работодателями и участниками (команда orgs).
+ * @param {object} storage - Хранилище данных.
+ */
+async function printOrganisations(storage) {
+    logger.info('\n--- ОРГАНИЗАЦИИ ---');
+    const organisations = await storage.organisations.listAll();
+    if (organisations.length === 0) {
+        logger.info('Организаций нет.');
+        return;
+    }
+    const organisationIds = organisations.map(o => o.id);
+    const employers = await storage.organisationEmployers.listByOrganisations(organisationIds);
+    const members = await storage.organisationMembers.listByOrganisations(organisationIds);
+
+    for (const organisation of organisations) {
+        const companyIds = employers.filter(e => e.organisation_id === organisation.id).map(e => e.company_hh_id);
+        logger.info(`${organisation.id} ${organisation.name}: работодатели ${companyIds.length > 0 ? companyIds.join(', ') : 'не добавлены'}`);
+        for (const member of members.filter(m => m.organisation_id === organisation.id)) {
+            logger.info(`  ${member.profile_id}: ${ROLE_TITLES[member.role] || member.role}, ${describeAssignment(member)}`);
+        }
+    }
+}
+
+module.exports = {
+    ROLE_TITLES,
+    isVacancyInScope,
+    listFollowedCompanyIds,
+    loadProfileAccess,
+    listAccessibleVacancies,
+    loadCompanyRecipients,
+    hasScopedMembership,
+    createOrganisation,
+    addOrganisationEmployer,
+    removeOrganisationEmployer,
+    setOrganisationMember,
+    removeOrganisationMember,
+    printOrganisations
+};
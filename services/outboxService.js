@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+const { logger } = require('./logger');
+const { metrics } = require('./metrics');
+const { splitMessage, stripHtml } = require('./utils');
+const { resolveRecipient, getNotifier } = require('../notifiers');
+
+// Сколько раз сообщение пытаются отправить, прежде чем пометить failed
+const MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS) || 5;
+// Пауза перед первым повтором, дальше она удваивается
+const RETRY_BASE_DELAY = 5 * 60 * 1000;
+const DEFAULT_SUBJECT = 'Уведомление о вакансиях';
+
+/**
+ * Тема сообщения (для писем): первая строка текста без разметки и двоеточия в конце.
+ * @param {string} text - Текст сообщения (HTML).
+ * @returns {string}
+ */
+function messageSubject(text) {
+    const firstLine = stripHtml(text.split('\n')[0]).trim().replace(/:$/, '');
+    return firstLine || DEFAULT_SUBJECT;
+}
+
+/**
+ * Ставит сообщение для пользователя в очередь notification_outbox. Сообщение длиннее, чем допускает
+ * канал пользователя, записывается несколькими частями с общим message_id.
+ * @param {object} storage - Хранилище данных.
+ * @param {object} profile - Профиль получателя.
+ * @param {string} text - Текст сообщения (HTML).
+ * @param {object} [options]
+ * @param {Array<string>} [options.dedupKeys] - Ключи того, о чем сообщение (см. findUsedDedupKeys).
+ * @param {string} [options.companyId] - Компания, о вакансиях которой сообщение (по умолчанию компания профиля).
+ * @returns {Promise<Array>} - Записанные строки очереди; пустой массив, если у пользователя нет адреса.
+ */
+async function enqueueNotification(storage, profile, text, { dedupKeys = [], companyId = null } = {}) {
+    const { channel, address, maxLength } = resolveRecipient(profile);
+    if (!address) {
+        logger.warn(`У профиля ${profile.id} не указан адрес для канала ${channel}. Уведомление не поставлено в очередь.`);
+        return [];
+    }
+
+    const messageId = crypto.randomUUID();
+    const subject = messageSubject(text);
+    const now = new Date().toISOString();
+    const rows = splitMessage(text, maxLength).map((part, index) => ({
+        message_id: messageId,
+        part_index: index,
+        profile_id: profile.id || null,
+        company_hh_id: companyId || profile.company_hh_id || null,
+        channel,
+        address,
+        subject,
+        text: part,
+        dedup_keys: index === 0 ? dedupKeys : [],
+        status: 'pending',
+        attempts: 0,
+        next_attempt_at: now,
+    }));
+    return storage.notificationOutbox.insertMany(rows);
+}
+
+/**
+ * Отправляет части одного сообщения по порядку. Если часть не ушла, она и все следующие части
+ * откладываются до следующей попытки, чтобы получатель не увидел их вперемешку.
+ * Часть, исчерпавшая попытки, помечается failed, а следующие за ней отправляются.
+ * @param {object} storage - Хранилище данных.
+ * @param {Array} parts - Строки очереди одного сообщения, по возрастанию part_index.
+ * @returns {Promise<boolean>} - true, если все части обработаны (отправлены или помечены failed).
+ */
+async function sendMessageParts(storage, parts) {
+    for (let i = 0; i < parts.length; i++) {
+        const part = parts[i];
+        const attempts = part.attempts + 1;
+        try {
+            await getNotifier(part.channel).send(part.address, part);
+            metrics.increment('notifications_sent', part.channel);
+            await storage.notificationOutbox.update(part.id, {
+                status: 'sent',
+                attempts,
+                last_error: null,
+                sent_at: new Date().toISOString(),
+            });
+        } catch (error) {
+            if (attempts >= MAX_ATTEMPTS) {
+                metrics.increment('notifications_failed', part.channel);
+                logger.error(`Уведомление ${part.id} (${part.channel}, ${part.address}) не доставлено за ${attempts} попыток: ${error.message}`);
+                await storage.notificationOutbox.update(part.id, { status: 'failed', attempts, last_error: error.message });
+                continue;
+            }
+
+            const nextAttemptAt = new Date(Date.now() + RETRY_BASE_DELAY * (2 ** (attempts - 1))).toISOString();
+            logger.warn(`Не удалось отправить уведомление (${part.channel}, ${part.address}), попытка ${attempts} из ${MAX_ATTEMPTS}: ${error.message}. Повтор после ${nextAttemptAt}.`);
+            await storage.notificationOutbox.update(part.id, { attempts, last_error: error.message, next_attempt_at: nextAttemptAt });
+            for (const rest of parts.slice(i + 1)) {
+                await storage.notificationOutbox.update(rest.id, { next_attempt_at: nextAttemptAt });
+            }
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Отправляет сообщения из очереди, группируя строки по message_id.
+ * @param {object} storage - Хранилище данных.
+ * @param {Array} rows - Строки notification_outbox в порядке отправки.
+ * @returns {Promise<{delivered: number, postponed: number}>} - Число обработанных и отложенных сообщений.
+ */
+async function sendQueuedMessages(storage, rows) {
+    const messages = new Map();
+    for (const row of rows) {
+        if (!messages.has(row.message_id)) messages.set(row.message_id, []);
+        messages.get(row.message_id).push(row);
+    }
+
+    let delivered = 0;
+    for (const parts of messages.values()) {
+        parts.sort((a, b) => a.part_index - b.part_index);
+        if (await sendMessageParts(storage, parts)) delivered++;
+    }
+    return { delivered, postponed: messages.size - delivered };
+}
+
+/**
+ * Находит ключи, о которых уже сообщалось: они есть в очереди, в каком бы статусе ни было сообщение.
+ * @param {object} storage - Хранилище данных.
+ * @param {Array<string>} dedupKeys - Проверяемые ключи.
+ * @returns {Promise<Set<string>>}
+ */
+async function findUsedDedupKeys(storage, dedupKeys) {
+    if (dedupKeys.length === 0) return new Set();
+    const wanted = new Set(dedupKeys);
+    const rows = await storage.notificationOutbox.listByDedupKeys(dedupKeys);
+    return new Set(rows.flatMap(row => row.dedup_keys).filter(key => wanted.has(key)));
+}
+
+/**
+ * Повторяет отправку уведомлений, которые не удалось отправить раньше и у которых подошло время попытки.
+ * @param {object} storage - Хранилище данных.
+ * @param {object} [options] - Параметры запуска (companyId — только уведомления одной компании, dryRun).
+ */
+async function deliverPendingNotifications(storage, options = {}) {
+    logger.info('\n--- ПОВТОРНАЯ ОТПРАВКА УВЕДОМЛЕНИЙ ---');
+    let due = await storage.notificationOutbox.listDue(new Date().toISOString());
+    if (options.companyId) {
+        due = due.filter(row => String(row.company_hh_id) === String(options.companyId));
+    }
+    if (due.length === 0) {
+        logger.info('Неотправленных уведомлений нет.');
+        return;
+    }
+    if (options.dryRun) {
+        logger.info(`[DRY RUN] В очереди ${due.length} неотправленных частей уведомлений, они не отправлены.`);
+        return;
+    }
+
+    const { delivered, postponed } = await sendQueuedMessages(storage, due);
+    logger.info(`Обработано уведомлений из очереди: ${delivered}, снова отложено: ${postponed}.`);
+}
+
+module.exports = {
+    enqueueNotification,
+    sendQueuedMessages,
+    findUsedDedupKeys,
+    deliverPendingNotifications
+};
@@ -0,0 +1,97 @@
+// Результат замера позиции вакансии (position_reports.position_status)
+const POSITION_FOUND = 'found';
+const POSITION_NOT_FOUND = 'not_found';
+const POSITION_ERROR = 'error';
+
+// Значения старой текстовой колонки position. Она заполняется и дальше для тех, кто читает таблицу напрямую
+const LEGACY_NOT_FOUND = 'Не найдено';
+const LEGACY_ERROR = 'Ошибка';
+
+/**
+ * Поля position_reports для вакансии, найденной в выдаче.
+ * @param {number} rank - Позиция в выдаче (с 1).
+ * @param {number} searchedDepth - Сколько позиций просмотрено.
+ * @returns {object}
+ */
+function foundPosition(rank, searchedDepth) {
+    return {
+        position: rank, is_found: true,
+        position_rank: rank, position_status: POSITION_FOUND, searched_depth: searchedDepth, search_exhausted: false,
+    };
+}
+
+/**
+ * Поля position_reports для вакансии, которой нет в просмотренной части выдачи.
+ * @param {number} searchedDepth - Сколько позиций просмотрено.
+ * @param {boolean} exhausted - Выдача закончилась раньше лимита глубины: вакансии в ней нет совсем.
+ *   Иначе известно только, что она находится глубже просмотренных позиций.
+ * @returns {object}
+ */
+function notFoundPosition(searchedDepth, exhausted) {
+    return {
+        position: exhausted ? LEGACY_NOT_FOUND : searchedDepth, is_found: false,
+        position_rank: null, position_status: POSITION_NOT_FOUND, searched_depth: searchedDepth, search_exhausted: exhausted,
+    };
+}
+
+/**
+ * Поля position_reports для замера, который не удался.
+ * @returns {object}
+ */
+function errorPosition() {
+    return {
+        position: LEGACY_ERROR, is_found: false,
+        position_rank: null, position_status: POSITION_ERROR, searched_depth: null, search_exhausted: false,
+    };
+}
+
+/**
+ * Читает замер позиции из строки position_reports. Строки, записанные до появления типизированных колонок,
+ * разбираются по старой колонке position.
+ * @param {object} row - Строка position_reports.
+ * @returns {{position_rank: number|null, position_status: string, searched_depth: number|null, search_exhausted: boolean}}
+ */
+function readPosition(row) {
+    if (row.position_status) {
+        return {
+            position_rank: row.position_rank === undefined ? null : row.position_rank,
+            position_status: row.position_status,
+            searched_depth: row.searched_depth === undefined ? null : row.searched_depth,
+            search_exhausted: Boolean(row.search_exhausted),
+        };
+    }
+    if (row.error_message || row.position === LEGACY_ERROR) {
+        return { position_rank: null, position_status: POSITION_ERROR, searched_depth: null, search_exhausted: false };
+    }
+    if (row.is_found) {
+        return { position_rank: Number(row.position), position_status: POSITION_FOUND, searched_depth: null, search_exhausted: false };
+    }
+    if (row.position === LEGACY_NOT_FOUND) {
+        return { position_rank: null, position_status: POSITION_NOT_FOUND, searched_depth: null, search_exhausted: true };
+    }
+    return { position_rank: null, position_status: POSITION_NOT_FOUND, searched_depth: Number(row.position), search_exhausted: false };
+}
+
+/**
+ * Описывает замер позиции для уведомлений и ответов бота.
+ * @param {object} row - Строка position_reports.
+ * @returns {string}
+ */
+function describePosition(row) {
+    const measurement = readPosition(row);
+    if (measurement.position_status === POSITION_FOUND) return `${measurement.position_rank} место из ${row.competitors_count}`;
+    if (measurement.position_status === POSITION_ERROR) return 'ошибка поиска';
+    if (measurement.search_exhausted || measurement.searched_depth === null) return 'нет в выдаче';
+    return `дальше ${measurement.searched_depth}-й позиции`;
+}
+
+module.exports = {
+    POSITION_FOUND,
+    POSITION_NOT_FOUND,
+    POSITION_ERROR,
+    foundPosition,
+    notFoundPosition,
+    errorPosition,
+    readPosition,
+    describePosition
+};
@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const { logger } = require('./logger');
+const { getQualityRules, isIssueWanted } = require('./qualityService');
+
+// Сколько часов действует код привязки Telegram
+const LINK_CODE_TTL_HOURS = parseInt(process.env.TELEGRAM_LINK_CODE_TTL_HOURS) || 24;
+// Настройки уведомлений о недостатках вакансий хранятся в quality_notifications, их ключи — quality:<id правила>
+const QUALITY_SETTING_PREFIX = 'quality:';
+
+// Флаги профиля, которые пользователь переключает сам. Пока флаг не задан, он считается включенным
+const PROFILE_FLAGS = [
+    { key: 'notify_weekly_digest', title: 'Недельная сводка' },
+    { key: 'alert_on_depth_exit', title: 'Вакансия выпала из просматриваемой выдачи' },
+    { key: 'alert_on_salary_position', title: 'Зарплата сместилась относительно рынка' },
+];
+
+/**
+ * Настройки уведомлений профиля: по одной на каждое правило качества и на каждый флаг PROFILE_FLAGS.
+ * @param {object} profile - Профиль пользователя.
+ * @returns {Array<{key: string, title: string, enabled: boolean}>}
+ */
+function getProfileSettings(profile) {
+    return [
+        ...getQualityRules().map(rule => ({
+            key: `${QUALITY_SETTING_PREFIX}${rule.id}`,
+            title: rule.title,
+            enabled: isIssueWanted(rule.id, profile),
+        })),
+        ...PROFILE_FLAGS.map(flag => ({ key: flag.key, title: flag.title, enabled: profile[flag.key] !== false })),
+    ];
+}
+
+/**
+ * Переключает настройку уведомлений профиля.
+ * @param {object} storage - Хранилище данных.
+ * @param {object} profile - Профиль пользователя.
+ * @param {string} key - Ключ настройки (см. getProfileSettings).
+ * @returns {Promise<object>} - Профиль с новым значением настройки.
+ */
+async function toggleProfileSetting(storage, profile, key) {
+    const setting = getProfileSettings(profile).find(s => s.key === key);
+    if (!setting) throw new Error(`Неизвестная настройка: ${key}`);
+
+    const patch = key.startsWith(QUALITY_SETTING_PREFIX)
+        ? {
+            quality_notifications: {
+                ...profile.quality_notifications,
+                [key.slice(QUALITY_SETTING_PREFIX.length)]: !setting.enabled,
+            },
+        }
+        : { [key]: !setting.enabled };
+    await storage.profiles.update(profile.id, patch);
+    return { ...profile, ...patch };
+}
+
+/**
+ * Привязывает профиль к работодателю hh.ru: уведомления и отчеты будут приходить по его вакансиям.
+ * @param {object} storage - Хранилище данных.
+ * @param {object} profile - Профиль пользователя.
+ * @param {string} companyId - ID работодателя на hh.ru.
+ * @returns {Promise<object>} - Обновленный профиль.
+ */
+async function setProfileCompany(storage, profile, companyId) {
+    await storage.profiles.update(profile.id, { company_hh_id: companyId });
+    logger.info(`Профиль ${profile.id} привязан к компании ${companyId}.`);
+    return { ...profile, company_hh_id: companyId };
+}
+
+/**
+ * Создает одноразовый код, по которому Telegram-бот привяжет чат к профилю.
+ * Если задан TELEGRAM_BOT_USERNAME, выводит и ссылку, открывающую бота сразу с кодом.
+ * @param {object} storage - Хранилище данных.
+ * @param {object} options
+ * @param {string} options.profileId - ID профиля.
+ * @returns {Promise<string>} - Код привязки.
+ */
+async function createLinkCode(storage, { profileId }) {
+    const profile = await storage.profiles.findById(profileId);
+    if (!profile) throw new Error(`Профиль ${profileId} не найден`);
+
+    const code = crypto.randomBytes(5).toString('hex');
+    const expiresAt = new Date(Date.now() + LINK_CODE_TTL_HOURS * 60 * 60 * 1000).toISOString();
+    await storage.telegramLinkCodes.create({ code, profile_id: profileId, expires_at: expiresAt });
+
+    logger.info(`Код привязки Telegram для профиля ${profileId}: ${code} (действует до ${expiresAt}).`);
+    logger.info(`Отправьте боту команду /link ${code}`);
+    if (process.env.TELEGRAM_BOT_USERNAME) {
+        logger.info(`или откройте ссылку https://t.me/${process.env.TELEGRAM_BOT_USERNAME}?start=${code}`);
+    }
+    return code;
+}
+
+/**
+ * Привязывает чат Telegram к профилю по одноразовому коду. Если чат был привязан к другому профилю,
+ * та привязка снимается: уведомления в чат приходят только по одному профилю.
+ * @param {object} storage - Хранилище данных.
+ * @param {string} code - Код привязки.
+ * @param {number} chatId - ID чата Telegram.
+ * @returns {Promise<object|null>} - Привязанный профиль или null, если код неизвестен, использован или истек.
+ */
+async function linkTelegramChat(storage, code, chatId) {
+    const linkCode = await storage.telegramLinkCodes.findByCode(code);
+    if (!linkCode || linkCode.used_at || new Date(linkCode.expires_at) < new Date()) return null;
+
+    const previous = await storage.profiles.findByTelegramChatId(chatId);
+    if (previous && previous.id !== linkCode.profile_id) {
+        await storage.profiles.update(previous.id, { telegram_chat_id: null });
+    }
+    await storage.profiles.update(linkCode.profile_id, { telegram_chat_id: chatId });
+    await storage.telegramLinkCodes.update(code, { used_at: new Date().toISOString(), telegram_chat_id: chatId });
+    logger.info(`Чат ${chatId} привязан к профилю ${linkCode.profile_id}.`);
+    return storage.profiles.findById(linkCode.profile_id);
+}
+
+module.exports = {
+    getProfileSettings,
+    toggleProfileSetting,
+    setProfileCompany,
+    createLinkCode,
+    linkTelegramChat
+};
@@ -0,0 +1,267 @@
+const fs = require('fs');
+const { logger } = require('./logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_QUALITY_SCORE = 100;
+
+// Идентификаторы правил. По ним хранятся настройки уведомлений в profiles.quality_notifications.
+const RULE_NO_SALARY = 'no_salary';
+const RULE_NO_SKILLS = 'no_skills';
+const RULE_HIDDEN_CONTACTS = 'hidden_contacts';
+const RULE_TITLE_LENGTH = 'title_length';
+const RULE_WIDE_SALARY_RANGE = 'wide_salary_range';
+const RULE_NO_DESCRIPTION = 'no_description';
+const RULE_NO_EXPERIENCE = 'no_experience';
+const RULE_STALE_PUBLICATION = 'stale_publication';
+
+/**
+ * Правила проверки качества вакансии.
+ *  - id: идентификатор правила
+ *  - title: текст проблемы, который выводится пользователю в уведомлениях
+ *  - severity: critical, major или minor
+ *  - weight: сколько баллов из 100 снимает проблема
+ *  - requires: поля, которые бывают неизвестны (null — например, детали вакансии не загружались);
+ *    пока они неизвестны, правило не проверяется
+ *  - params: пороги правила
+ *  - notifyByDefault: уведомлять ли о проблеме, если пользователь не настроил это правило
+ *  - predicate(vacancy, params, context): true, если у вакансии есть проблема
+ */
+const DEFAULT_RULES = [
+    {
+        id: RULE_NO_SALARY,
+        title: 'Не указана зарплата',
+        severity: 'critical',
+        weight: 30,
+        requires: [],
+        params: {},
+        notifyByDefault: true,
+        // Зарплата указана, если задана хотя бы одна граница. Прежний флаг notify_no_salary срабатывал
+        // и на вакансии только с верхней границей («до 100 000»), теперь о них не уведомляем (см. миграцию 010).
+        predicate: vacancy => vacancy.salary_from == null && vacancy.salary_to == null,
+    },
+    {
+        id: RULE_NO_SKILLS,
+        title: 'Отсутствуют ключевые навыки',
+        severity: 'major',
+        weight: 15,
+        requires: ['key_skills'],
+        params: {},
+        notifyByDefault: true,
+        predicate: vacancy => vacancy.key_skills.length === 0,
+    },
+    {
+        id: RULE_HIDDEN_CONTACTS,
+        title: 'Скрыты контакты',
+        severity: 'major',
+        weight: 15,
+        requires: [],
+        params: {},
+        notifyByDefault: true,
+        predicate: vacancy => vacancy.show_contacts !== true,
+    },
+    {
+        id: RULE_TITLE_LENGTH,
+        title: 'Слишком длинное или короткое название',
+        severity: 'minor',
+        weight: 5,
+        requires: [],
+        params: { minLength: 4, maxLength: 60 },
+        notifyByDefault: false,
+        predicate: (vacancy, params) => (vacancy.raw_title || '').length < params.minLength
+            || (vacancy.raw_title || '').length > params.maxLength,
+    },
+    {
+        id: RULE_WIDE_SALARY_RANGE,
+        title: 'Слишком широкая вилка зарплаты',
+        severity: 'minor',
+        weight: 5,
+        requires: [],
+        params: { maxRatio: 2 },
+        notifyByDefault: false,
+        predicate: (vacancy, params) => vacancy.salary_from != null && vacancy.salary_to != null
+            && vacancy.salary_to > vacancy.salary_from * params.maxRatio,
+    },
+    {
+        id: RULE_NO_DESCRIPTION,
+        title: 'Нет описания или оно слишком короткое',
+        severity: 'major',
+        weight: 15,
+        requires: ['description_length'],
+        params: { minLength: 200 },
+        notifyByDefault: false,
+        predicate: (vacancy, params) => vacancy.description_length < params.minLength,
+    },
+    {
+        id: RULE_NO_EXPERIENCE,
+        title: 'Не указан требуемый опыт',
+        severity: 'minor',
+        weight: 5,
+        requires: [],
+        params: {},
+        notifyByDefault: false,
+        predicate: vacancy => vacancy.experience_id == null,
+    },
+    {
+        id: RULE_STALE_PUBLICATION,
+        title: 'Публикация давно не обновлялась',
+        severity: 'minor',
+        weight: 10,
+        requires: [],
+        params: { maxAgeDays: 30 },
+        notifyByDefault: false,
+        predicate: (vacancy, params, context) => {
+            const publishedAt = vacancy.last_published_at || vacancy.published_at;
+            return Boolean(publishedAt) && context.now - new Date(publishedAt) > params.maxAgeDays * DAY_MS;
+        },
+    },
+];
+
+let rules = null;
+
+/**
+ * Возвращает правила с учетом настроек из JSON-файла QUALITY_RULES_CONFIG (если он задан).
+ * Файл имеет вид { "id_правила": { "enabled": false, "weight": 10, "severity": "minor", "params": {...} } }.
+ * @returns {Array<object>}
+ */
+function getQualityRules() {
+    if (rules) return rules;
+
+    let overrides = {};
+    if (process.env.QUALITY_RULES_CONFIG) {
+        try {
+            overrides = JSON.parse(fs.readFileSync(process.env.QUALITY_RULES_CONFIG, 'utf8'));
+        } catch (error) {
+            logger.error(`Не удалось прочитать настройки правил качества ${process.env.QUALITY_RULES_CONFIG}: ${error.message}`);
+        }
+    }
+
+    rules = DEFAULT_RULES
+        .filter(rule => !overrides[rule.id] || overrides[rule.id].enabled !== false)
+        .map(rule => {
+            const override = overrides[rule.id] || {};
+            return {
+                ...rule,
+                severity: override.severity || rule.severity,
+                weight: override.weight !== undefined ? override.weight : rule.weight,
+                params: { ...rule.params, ...override.params },
+            };
+        });
+    return rules;
+}
+
+/**
+ * Правило по идентификатору.
+ * @param {string} ruleId
+ * @returns {object|undefined}
+ */
+function findRule(ruleId) {
+    return getQualityRules().find(rule => rule.id === ruleId);
+}
+
+/**
+ * Можно ли проверить правило: все нужные ему поля вакансии известны.
+ * @param {object} rule
+ * @param {object} vacancy
+ * @returns {boolean}
+ */
+function isRuleApplicable(rule, vacancy) {
+    return rule.requires.every(field => vacancy[field] !== null && vacancy[field] !== undefined);
+}
+
+/**
+ * Проверяет вакансию на недостатки.
+ * Правила, для которых не хватает данных (например, key_skills еще не загружались), пропускаются.
+ * @param {object} vacancy - Строка вакансии (поля таблицы vacancies).
+ * @param {object} [context]
+ * @param {Date} [context.now] - Текущий момент (для правил, зависящих от времени).
+ * @returns {Array<string>} - Идентификаторы нарушенных правил.
+ */
+function detectVacancyIssues(vacancy, { now = new Date() } = {}) {
+    return getQualityRules()
+        .filter(rule => isRuleApplicable(rule, vacancy) && rule.predicate(vacancy, rule.params, { now }))
+        .map(rule => rule.id);
+}
+
+/**
+ * Оценивает качество вакансии: 100 баллов минус веса нарушенных правил, но не меньше 0.
+ * @param {object} vacancy - Строка вакансии.
+ * @param {object} [context] - См. detectVacancyIssues.
+ * @returns {{quality_score: number, quality_issues: Array<string>}} - Поля для таблицы vacancies.
+ */
+function evaluateVacancyQuality(vacancy, context) {
+    const issues = detectVacancyIssues(vacancy, context);
+    const penalty = issues.reduce((sum, ruleId) => sum + findRule(ruleId).weight, 0);
+    return { quality_score: Math.max(0, MAX_QUALITY_SCORE - penalty), quality_issues: issues };
+}
+
+/**
+ * Сравнивает проблемы вакансии до и после изменения. Проблемы «до» берутся из сохраненной оценки
+ * (quality_issues), поэтому проблема правила, зависящего от времени, сообщается один раз — когда появилась.
+ * Не считаются ни исправлением, ни новой проблемой:
+ *  - правило, которое до изменения нельзя было проверить (данные были неизвестны);
+ *  - правило, результат которого изменило только первое заполнение полей, появившихся в базе позже (backfilled):
+ *    вакансию при этом никто не редактировал.
+ * @param {object} before - Вакансия до изменения (строка из БД).
+ * @param {object} after - Вакансия после изменения.
+ * @param {object} [options]
+ * @param {object} [options.backfilled] - Впервые заполненные поля: { поле: значение }.
+ * @param {Date} [options.now] - См. detectVacancyIssues.
+ * @returns {{resolved: Array<string>, introduced: Array<string>}} - Идентификаторы исправленных и новых проблем.
+ */
+function compareVacancyIssues(before, after, { backfilled = {}, now = new Date() } = {}) {
+    const context = { now };
+    const current = detectVacancyIssues(before, context);
+    const issuesBefore = (Array.isArray(before.quality_issues) ? before.quality_issues : current).filter(findRule);
+    const issuesAfter = detectVacancyIssues(after, context);
+
+    const withBackfill = detectVacancyIssues({ ...before, ...backfilled }, context);
+    const backfillRules = new Set([
+        ...current.filter(ruleId => !withBackfill.includes(ruleId)),
+        ...withBackfill.filter(ruleId => !current.includes(ruleId)),
+    ]);
+    return {
+        resolved: issuesBefore.filter(ruleId => !issuesAfter.includes(ruleId) && !backfillRules.has(ruleId)),
+        introduced: issuesAfter.filter(ruleId => !issuesBefore.includes(ruleId) && !backfillRules.has(ruleId)
+            && isRuleApplicable(findRule(ruleId), before)),
+    };
+}
+
+/**
+ * Проверяет, подписан ли пользователь на уведомления о проблеме.
+ * Настройки хранятся в profiles.quality_notifications: { id_правила: true/false }.
+ * @param {string} ruleId - Идентификатор правила.
+ * @param {object} profile - Профиль пользователя.
+ * @returns {boolean}
+ */
+function isIssueWanted(ruleId, profile) {
+    const rule = findRule(ruleId);
+    if (!rule) return false;
+    const preferences = profile.quality_notifications || {};
+    return preferences[ruleId] === undefined ? rule.notifyByDefault : Boolean(preferences[ruleId]);
+}
+
+/**
+ * Тексты проблем для уведомлений.
+ * @param {Array<string>} ruleIds - Идентификаторы правил.
+ * @returns {Array<string>}
+ */
+function describeIssues(ruleIds) {
+    return ruleIds.map(ruleId => (findRule(ruleId) || { title: ruleId }).title);
+}
+
+module.exports = {
+    RULE_NO_SALARY,
+    RULE_NO_SKILLS,
+    RULE_HIDDEN_CONTACTS,
+    RULE_TITLE_LENGTH,
+    RULE_WIDE_SALARY_RANGE,
+    RULE_NO_DESCRIPTION,
+    RULE_NO_EXPERIENCE,
+    RULE_STALE_PUBLICATION,
+    getQualityRules,
+    detectVacancyIssues,
+    evaluateVacancyQuality,
+    compareVacancyIssues,
+    isIssueWanted,
+    describeIssues
+};
@@ -0,0 +1,208 @@
+const { logger } = require('./logger');
+const { listFollowedCompanyIds } = require('./organisationService');
+
+// Сортировки выдачи hh.ru (параметр order_by)
+const ORDER_BY_TITLES = {
+    relevance: 'по соответствию',
+    publication_time: 'по дате',
+    salary_desc: 'по убыванию зарплаты',
+    salary_asc: 'по возрастанию зарплаты',
+};
+// Значения фильтра опыта hh.ru (параметр experience)
+const EXPERIENCE_TITLES = {
+    noExperience: 'без опыта',
+    between1And3: 'опыт 1–3 года',
+    between3And6: 'опыт 3–6 лет',
+    moreThan6: 'опыт от 6 лет',
+};
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Параметры поискового запроса hh.ru для вакансии группы: основной запрос (text = normalized_title,
+ * сортировка по соответствию) или его вариант.
+ * @param {object} representative - Вакансия, по параметрам которой строится запрос.
+ * @param {object|null} variant - Строка query_variants; null — основной запрос.
+ * @returns {object}
+ */
+function buildSearchParams(representative, variant) {
+    const params = {
+        text: representative.normalized_title, area: representative.area_id,
+        schedule: representative.schedule_id, order_by: 'relevance',
+    };
+    if (!variant) return params;
+
+    if (variant.extra_keywords) params.text = `${params.text} ${variant.extra_keywords}`;
+    if (variant.order_by) params.order_by = variant.order_by;
+    if (variant.salary != null) {
+        params.salary = variant.salary;
+        params.only_with_salary = true;
+    }
+    if (variant.experience) params.experience = variant.experience;
+    return params;
+}
+
+/**
+ * Ключ параметров варианта: одинаковые варианты разных компаний в одной группе ищутся одним запросом.
+ * @param {object} variant - Строка query_variants.
+ * @returns {string}
+ */
+function variantSearchKey(variant) {
+    return [variant.extra_keywords || '', variant.order_by || 'relevance', variant.salary != null ? variant.salary : '', variant.experience || ''].join('_');
+}
+
+/**
+ * Относится ли вариант к вакансии: вариант задан для нее самой или для ее нормализованного названия в той же компании.
+ * @param {object} variant - Строка query_variants.
+ * @param {object} vacancy - Вакансия.
+ * @returns {boolean}
+ */
+function variantAppliesTo(variant, vacancy) {
+    if (String(variant.company_hh_id) !== String(vacancy.company_hh_id)) return false;
+    if (variant.vacancy_id) return variant.vacancy_id === vacancy.id;
+    return Boolean(vacancy.normalized_title)
+        && variant.normalized_title.trim().toLowerCase() === vacancy.normalized_title.trim().toLowerCase();
+}
+
+/**
+ * Описывает параметры варианта: «+ЧПУ, по дате, от 80000 ₽».
+ * @param {object} variant - Строка query_variants или параметры нового варианта.
+ * @returns {string}
+ */
+function describeQueryVariant(variant) {
+    const parts = [];
+    if (variant.extra_keywords) parts.push(`+${variant.extra_keywords}`);
+    if (variant.order_by && variant.order_by !== 'relevance') parts.push(ORDER_BY_TITLES[variant.order_by]);
+    if (variant.salary != null) parts.push(`от ${variant.salary} ₽`);
+    if (variant.experience) parts.push(EXPERIENCE_TITLES[variant.experience]);
+    return parts.length > 0 ? parts.join(', ') : 'основной запрос';
+}
+
+/**
+ * Подпись замера: основной запрос или вариант.
+ * @param {object} row - Строка position_reports.
+ * @param {Map<string, object>} variantsById - Варианты запроса по id.
+ * @returns {string}
+ */
+function queryVariantLabel(row, variantsById) {
+    if (!row.query_variant_id) return 'основной запрос';
+    const variant = variantsById.get(row.query_variant_id);
+    return variant ? variant.label : 'удаленный вариант';
+}
+
+/**
+ * Загружает варианты запроса, на которые ссылаются замеры.
+ * @param {object} storage - Хранилище данных.
+ * @param {Array} rows - Строки position_reports.
+ * @returns {Promise<Map<string, object>>} - Варианты по id.
+ */
+async function loadQueryVariantsForRows(storage, rows) {
+    const ids = [...new Set(rows.map(row => row.query_variant_id).filter(id => id))];
+    if (ids.length === 0) return new Map();
+    return new Map((await storage.queryVariants.listByIds(ids)).map(variant => [variant.id, variant]));
+}
+
+/**
+ * Замер по основному запросу (а не по его варианту). Сравнения позиций между отчетами,
+ * оповещения и сводки строятся только по основному запросу.
+ * @param {object} row - Строка position_reports.
+ * @returns {boolean}
+ */
+function isBaseQuery(row) {
+    return !row.query_variant_id;
+}
+
+/**
+ * Добавляет вариант поискового запроса (команда variant-add).
+ * Цель — UUID вакансии или нормализованное название вакансий компании.
+ * @param {object} storage - Хранилище данных.
+ * @param {object} options - Параметры запуска: companyId, target, keywords, orderBy, salary, experience, label.
+ * @returns {Promise<string>} - ID варианта.
+ */
+async function createQueryVariant(storage, options) {
+    if (!options.companyId) throw new Error('Для варианта запроса нужно указать компанию (--company)');
+    const orderBy = options.orderBy || 'relevance';
+    if (!ORDER_BY_TITLES[orderBy]) {
+        throw new Error(`Неизвестная сортировка: ${orderBy}. Допустимые: ${Object.keys(ORDER_BY_TITLES).join(', ')}`);
+    }
+    if (options.experience && !EXPERIENCE_TITLES[options.experience]) {
+        throw new Error(`Неизвестный опыт: ${options.experience}. Допустимые: ${Object.keys(EXPERIENCE_TITLES).join(', ')}`);
+    }
+    const salary = options.salary === undefined ? null : Number(options.salary);
+    if (salary !== null && !(Number.isInteger(salary) && salary > 0)) {
+        throw new Error(`Зарплата должна быть положительным целым числом: ${options.salary}`);
+    }
+
+    const fields = {
+        company_hh_id: String(options.companyId),
+        vacancy_id: null,
+        normalized_title: null,
+        extra_keywords: options.keywords ? options.keywords.trim() : null,
+        order_by: orderBy,
+        salary,
+        experience: options.experience || null,
+    };
+    if (!fields.extra_keywords && orderBy === 'relevance' && salary === null && !fields.experience) {
+        throw new Error('Вариант совпадает с основным запросом: укажите --keywords, --order-by, --salary или --experience');
+    }
+
+    if (UUID_PATTERN.test(options.target)) {
+        const [vacancy] = await storage.vacancies.listByIds([options.target]);
+        if (!vacancy || String(vacancy.company_hh_id) !== fields.company_hh_id) {
+            throw new Error(`Вакансия ${options.target} не найдена у компании ${options.companyId}`);
+        }
+        fields.vacancy_id = vacancy.id;
+    } else {
+        fields.normalized_title = options.target.trim();
+    }
+    fields.label = options.label || describeQueryVariant(fields);
+
+    const { id } = await storage.queryVariants.create(fields);
+    logger.info(`Добавлен вариант запроса ${id} "${fields.label}" для ${fields.vacancy_id ? `вакансии ${fields.vacancy_id}` : `названия "${fields.normalized_title}"`}.`);
+    return id;
+}
+
+/**
+ * Отключает вариант поискового запроса (команда variant-disable). Замеры по нему сохраняются.
+ * @param {object} storage - Хранилище данных.
+ * @param {object} options - Параметры запуска: variantId.
+ */
+async function disableQueryVariant(storage, { variantId }) {
+    const [variant] = await storage.queryVariants.listByIds([variantId]);
+    if (!variant) throw new Error(`Вариант запроса ${variantId} не найден`);
+    await storage.queryVariants.update(variantId, { enabled: false });
+    logger.info(`Вариант запроса ${variantId} "${variant.label}" отключен.`);
+}
+
+/**
+ * Выводит варианты запроса одной компании (options.companyId) или всех компаний из профилей и организаций (команда variants).
+ * @param {object} storage - Хранилище данных.
+ * @param {object} [options] - Параметры запуска (companyId).
+ */
+async function printQueryVariants(storage, options = {}) {
+    logger.info('\n--- ВАРИАНТЫ ПОИСКОВЫХ ЗАПРОСОВ ---');
+    const companyIds = options.companyId ? [options.companyId] : await listFollowedCompanyIds(storage);
+
+    for (const companyId of companyIds) {
+        const variants = await storage.queryVariants.listByCompany(companyId);
+        logger.info(`\nКомпания ${companyId}: вариантов ${variants.length}`);
+        for (const variant of variants) {
+            const target = variant.vacancy_id ? `вакансия ${variant.vacancy_id}` : `"${variant.normalized_title}"`;
+            logger.info(`  ${variant.id} ${target}: ${variant.label} (${describeQueryVariant(variant)})${variant.enabled === false ? ' [отключен]' : ''}`);
+        }
+    }
+}
+
+module.exports = {
+    ORDER_BY_TITLES,
+    EXPERIENCE_TITLES,
+    buildSearchParams,
+    variantSearchKey,
+    variantAppliesTo,
+    describeQueryVariant,
+    queryVariantLabel,
+    loadQueryVariantsForRows,
+    isBaseQuery,
+    createQueryVariant,
+    disableQueryVariant,
+    printQueryVariants
+};
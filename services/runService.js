@@ -0,0 +1,157 @@
+const { logger } = require('./logger');
+
+// Запуск старше стольких часов не продолжается: данные его завершенных этапов (синхронизация,
+// нормализация) уже устарели. Совпадает со сроком, после которого брошенный отчет закрывается (STALE_REPORT_HOURS)
+const RUN_RESUME_HOURS = parseInt(process.env.RUN_RESUME_HOURS) || 6;
+
+/**
+ * Создает трекер запуска поверх строки pipeline_runs. Состояние хранится в поле state:
+ * { [этап]: { status: 'running' | 'completed', done: [ключи обработанных компаний/групп], ...данные этапа } }
+ * и сохраняется в БД после каждого изменения, чтобы прерванный запуск можно было продолжить.
+ * @param {object} storage - Хранилище данных.
+ * @param {object} runRow - Строка pipeline_runs.
+ * @returns {object} - Трекер запуска.
+ */
+function createRunTracker(storage, runRow) {
+    const state = runRow.state || {};
+    // Сводки метрик процессов, которые уже выполняли этот запуск (см. metrics.summary)
+    const metricsHistory = runRow.metrics || [];
+    const stageState = stage => {
+        if (!state[stage]) state[stage] = { status: 'running', done: [] };
+        if (!state[stage].done) state[stage].done = [];
+        return state[stage];
+    };
+    const persist = (extra = {}) => storage.pipelineRuns.update(runRow.id, {
+        state,
+        updated_at: new Date().toISOString(),
+        ...extra,
+    });
+
+    return {
+        id: runRow.id,
+
+        isStageCompleted(stage) {
+            return Boolean(state[stage] && state[stage].status === 'completed');
+        },
+
+        async startStage(stage) {
+            stageState(stage).status = 'running';
+            await persist({ current_stage: stage });
+        },
+
+        async completeStage(stage) {
+            stageState(stage).status = 'completed';
+            await persist();
+        },
+
+        /** Данные этапа, сохраненные ранее через setStageData. */
+        getStageData(stage) {
+            return stageState(stage);
+        },
+
+        async setStageData(stage, data) {
+            Object.assign(stageState(stage), data);
+            await persist();
+        },
+
+        /** Обработан ли уже элемент этапа (компания, поисковая группа). */
+        isDone(stage, key) {
+            return stageState(stage).done.includes(String(key));
+        },
+
+        /** Отмечает элементы этапа обработанными; data дописывается в данные этапа тем же сохранением. */
+        async markDone(stage, keys, data = {}) {
+            const current = stageState(stage);
+            current.done.push(...keys.map(String));
+            Object.assign(current, data);
+            await persist();
+        },
+
+        /**
+         * Завершает запуск.
+         * @param {string} status - completed или failed.
+         * @param {string|null} [errorMessage] - Текст ошибки, из-за которой запуск упал.
+         * @param {object|null} [metricsSummary] - Метрики этого процесса: дописываются к метрикам запуска.
+         */
+        async finish(status, errorMessage = null, metricsSummary = null) {
+            await persist({
+                status,
+                error_message: errorMessage,
+                finished_at: new Date().toISOString(),
+                ...(metricsSummary ? { metrics: [...metricsHistory, metricsSummary] } : {}),
+            });
+        },
+    };
+}
+
+// Заглушка для вызова этапов без запуска (например, из других скриптов): ничего не сохраняет
+const NO_CHECKPOINT = {
+    id: null,
+    isStageCompleted: () => false,
+    startStage: async () => {},
+    completeStage: async () => {},
+    getStageData: () => ({ done: [] }),
+    setStageData: async () => {},
+    isDone: () => false,
+    markDone: async () => {},
+    finish: async () => {},
+};
+
+/**
+ * Начинает новый запуск конвейера или продолжает последний незавершенный (упавший или оборванный) запуск той же команды,
+ * если он начат не раньше RUN_RESUME_HOURS назад и прервался до завершения этапов сбора данных. Запуск, упавший
+ * уже после них (при отправке оповещений), не продолжается: иначе следующий запуск по расписанию пропустил бы
+ * синхронизацию и замер позиций и только повторил бы отправку. Остальные незавершенные запуски той же команды
+ * помечаются как брошенные.
+ * @param {object} storage - Хранилище данных.
+ * @param {object} params
+ * @param {string} params.command - Команда CLI.
+ * @param {Array<string>} params.stages - Этапы запуска.
+ * @param {Array<string>} [params.dataStages] - Этапы сбора данных (по умолчанию — все этапы). Если их нет,
+ *   как у команд только с отправкой, запуск продолжается без этого условия.
+ * @param {string} [params.companyId] - Фильтр по компании.
+ * @param {boolean} [params.fresh] - Не продолжать прерванный запуск, а начать новый.
+ * @returns {Promise<object>} - Трекер запуска.
+ */
+async function startOrResumeRun(storage, { command, stages, dataStages = stages, companyId = null, fresh = false }) {
+    const unfinished = (await storage.pipelineRuns.listUnfinished()).filter(run => run.command === command
+        && String(run.company_hh_id || '') === String(companyId || ''));
+    const resumeAfter = Date.now() - RUN_RESUME_HOURS * 60 * 60 * 1000;
+    const dataCollected = run => dataStages.length > 0
+        && dataStages.every(stage => run.state && run.state[stage] && run.state[stage].status === 'completed');
+    const latest = unfinished[0];
+    const resumable = !fresh && latest && Date.parse(latest.started_at) >= resumeAfter && !dataCollected(latest) ? latest : null;
+
+    for (const run of unfinished.filter(r => r !== resumable)) {
+        let reason = '';
+        if (Date.parse(run.started_at) < resumeAfter) reason = `, старше ${RUN_RESUME_HOURS} ч.`;
+        else if (dataCollected(run)) reason = ', упал после сбора данных';
+        logger.warn(`Незавершенный запуск ${run.id} (${run.command}, начат ${run.started_at}${reason}) помечен как брошенный.`);
+        await storage.pipelineRuns.update(run.id, { status: 'abandoned', finished_at: new Date().toISOString() });
+    }
+
+    if (resumable) {
+        logger.info(`Продолжение прерванного запуска ${resumable.id} (начат ${resumable.started_at}, этап ${resumable.current_stage || '—'}).`);
+        await storage.pipelineRuns.update(resumable.id, { status: 'running', error_message: null, finished_at: null });
+        return createRunTracker(storage, resumable);
+    }
+
+    const now = new Date().toISOString();
+    const runRow = {
+        command,
+        stages,
+        company_hh_id: companyId,
+        status: 'running',
+        state: {},
+        started_at: now,
+        updated_at: now,
+    };
+    const created = await storage.pipelineRuns.create(runRow);
+    logger.info(`Запуск ${created.id} начат.`);
+    return createRunTracker(storage, { ...runRow, id: created.id });
+}
+
+module.exports = {
+    NO_CHECKPOINT,
+    startOrResumeRun
+};
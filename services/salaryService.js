@@ -0,0 +1,140 @@
+const { hhClient } = require('./hhService');
+const { logger } = require('./logger');
+
+// Все зарплаты приводятся к рублям «на руки»
+const BASE_CURRENCY = 'RUR';
+// НДФЛ, на который зарплата «до вычета налогов» больше зарплаты «на руки»
+const NDFL_RATE = 0.13;
+
+// Положение зарплаты вакансии относительно рынка (значения salary_position в position_reports)
+const SALARY_BELOW = 'below';
+const SALARY_WITHIN = 'within';
+const SALARY_ABOVE = 'above';
+
+// Подписи положений для уведомлений
+const SALARY_POSITION_LABELS = {
+    [SALARY_BELOW]: 'ниже рынка',
+    [SALARY_WITHIN]: 'в рынке',
+    [SALARY_ABOVE]: 'выше рынка',
+};
+
+let currencyRatesPromise = null;
+
+/**
+ * Загружает курсы валют из справочника hh.ru: rate — сколько единиц валюты в одном рубле.
+ * Справочник загружается один раз за процесс. Если загрузить его не удалось,
+ * учитываются только зарплаты в рублях.
+ * @returns {Promise<object>} - { код валюты: курс }.
+ */
+function loadCurrencyRates() {
+    if (!currencyRatesPromise) {
+        currencyRatesPromise = hhClient.getDictionaries()
+            .then(dictionaries => Object.fromEntries(dictionaries.currency.map(c => [c.code, c.rate])))
+            .catch(error => {
+                logger.warn(`Не удалось загрузить курсы валют hh.ru (${error.message}). Учитываются только зарплаты в рублях.`);
+                return { [BASE_CURRENCY]: 1 };
+            });
+    }
+    return currencyRatesPromise;
+}
+
+/**
+ * Сводит зарплату к одному числу в рублях «на руки»: середина вилки или ее единственная граница.
+ * @param {{from: number|null, to: number|null, currency: string|null, gross: boolean|null}|null} salary - Зарплата в формате hh.ru.
+ * @param {object} rates - Курсы валют (см. loadCurrencyRates).
+ * @returns {number|null} - Зарплата или null, если она не указана или валюта неизвестна.
+ */
+function toNetBaseSalary(salary, rates) {
+    if (!salary || (salary.from == null && salary.to == null)) return null;
+    const rate = rates[salary.currency || BASE_CURRENCY];
+    if (!rate) return null;
+
+    const amount = salary.from != null && salary.to != null
+        ? (salary.from + salary.to) / 2
+        : (salary.from != null ? salary.from : salary.to);
+    const net = salary.gross ? amount * (1 - NDFL_RATE) : amount;
+    return Math.round(net / rate);
+}
+
+/**
+ * Квантиль отсортированного массива с линейной интерполяцией.
+ * @param {Array<number>} sorted - Отсортированные по возрастанию значения.
+ * @param {number} q - Квантиль от 0 до 1.
+ * @returns {number}
+ */
+function quantile(sorted, q) {
+    const position = (sorted.length - 1) * q;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return Math.round(sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower));
+}
+
+/**
+ * Считает статистику зарплат вакансий-конкурентов.
+ * @param {Array} competitors - Вакансии из поисковой выдачи hh.ru (с полем salary).
+ * @param {object} rates - Курсы валют.
+ * @returns {{sample_size: number, with_salary_count: number, salary_share: number,
+ *   salary_q1: number|null, salary_median: number|null, salary_q3: number|null, currency: string}}
+ */
+function computeSalaryStats(competitors, rates) {
+    const salaries = competitors
+        .map(item => toNetBaseSalary(item.salary, rates))
+        .filter(value => value !== null)
+        .sort((a, b) => a - b);
+    const hasSalaries = salaries.length > 0;
+
+    return {
+        sample_size: competitors.length,
+        with_salary_count: salaries.length,
+        salary_share: competitors.length > 0 ? Math.round(salaries.length / competitors.length * 100) / 100 : 0,
+        salary_q1: hasSalaries ? quantile(salaries, 0.25) : null,
+        salary_median: hasSalaries ? quantile(salaries, 0.5) : null,
+        salary_q3: hasSalaries ? quantile(salaries, 0.75) : null,
+        currency: BASE_CURRENCY,
+    };
+}
+
+/**
+ * Определяет, где зарплата вакансии находится относительно рынка: ниже первого квартиля,
+ * между квартилями или выше третьего.
+ * @param {number|null} salary - Зарплата вакансии в рублях «на руки».
+ * @param {object|null} stats - Результат computeSalaryStats.
+ * @returns {string|null} - SALARY_BELOW, SALARY_WITHIN, SALARY_ABOVE или null, если сравнить не с чем.
+ */
+function classifySalary(salary, stats) {
+    if (salary === null || !stats || stats.salary_median === null) return null;
+    if (salary < stats.salary_q1) return SALARY_BELOW;
+    if (salary > stats.salary_q3) return SALARY_ABOVE;
+    return SALARY_WITHIN;
+}
+
+/**
+ * Зарплата вакансии из нашей базы в формате hh.ru (для toNetBaseSalary).
+ * @param {object} vacancy - Строка таблицы vacancies.
+ * @returns {object}
+ */
+function vacancySalary(vacancy) {
+    return { from: vacancy.salary_from, to: vacancy.salary_to, currency: vacancy.salary_currency, gross: vacancy.salary_gross };
+}
+
+/**
+ * Форматирует сумму в рублях для уведомлений.
+ * @param {number} amount - Сумма.
+ * @returns {string}
+ */
+function formatSalary(amount) {
+    return `${amount.toLocaleString('ru-RU')} ₽`;
+}
+
+module.exports = {
+    SALARY_POSITION_LABELS,
+    SALARY_BELOW,
+    SALARY_WITHIN,
+    SALARY_ABOVE,
+    loadCurrencyRates,
+    toNetBaseSalary,
+    computeSalaryStats,
+    classifySalary,
+    vacancySalary,
+    formatSalary
+};
@@ -1,59 +1,219 @@
-const { fetchAllVacanciesForCompany } = require('./hhService');
-const { sendGroupedNotifications } = require('./notificationService');
-const { sleep, makeRequestWithRetries } = require('./utils');
-
-const USER_AGENT = process.env.HH_USER_AGENT || 'analyzer-script/1.0';
+const { hhClient } = require('./hhService');
+const { sendGroupedNotifications, sendQualityChangeNotifications } = require('./notificationService');
+const { evaluateVacancyQuality, compareVacancyIssues } = require('./qualityService');
+const { logger, withLogContext } = require('./logger');
+const { NO_CHECKPOINT } = require('./runService');
+const { profileCompanyTarget, targetKey, buildTargetSearchParams } = require('./trackingTargetService');
+const { listFollowedCompanyIds } = require('./organisationService');
+const { lifetimeDays, findRepostSources } = require('./lifecycleService');
+const { mapWithConcurrency } = require('./utils');
+
+// Поля вакансии, изменения которых отслеживаются и записываются в vacancy_changes.
+// area_name обновляется вместе с area_id, но в историю отдельно не пишется.
+const TRACKED_FIELDS = [
+    'raw_title', 'salary_from', 'salary_to', 'salary_currency', 'salary_gross',
+    'schedule_id', 'area_id', 'show_contacts', 'key_skills', 'experience_id',
+];
+// Поля, которые появились в базе позже остальных: если в БД они еще не заполнены (null),
+// первое значение записывается без записи в историю.
+const BACKFILLED_FIELDS = ['key_skills', 'experience_id'];
+// Поля, которые обновляются без записи в историю. null в свежих данных означает, что детали не загрузились.
+const SILENT_FIELDS = ['description_length', 'last_published_at', 'details_checked_at'];
+// Детали активной вакансии, которая по краткой информации не менялась, перезагружаются не чаще раза в столько часов:
+// навыки и описание видны только в деталях, а запрос деталей — отдельный запрос к hh.ru на каждую вакансию
+const DETAILS_REFRESH_HOURS = parseInt(process.env.DETAILS_REFRESH_HOURS) || 24;
+// Сколько обновлений отдельных вакансий отправляется в хранилище одновременно
+const UPDATE_CONCURRENCY = 10;
 
 /**
- * Получает ВСЕ записи из таблицы Supabase, обходя ограничение в 1000 строк.
- * @param {object} query - Начальный запрос Supabase (e.g., supabase.from('...').select('...')).
- * @returns {Promise<Array>} - Полный массив данных.
+ * Параллельно (в пределах лимитов клиента hh.ru) загружает детали вакансий.
+ * Для вакансий, детали которых получить не удалось, возвращает null.
+ * @param {Array<string>} hhVacancyIds - ID вакансий на hh.ru.
+ * @returns {Promise<Array<object|null>>} - Детали в том же порядке.
  */
-async function fetchAllSupabasePages(query) {
-    let allData = [];
-    let page = 0;
-    const pageSize = 1000; // Стандартный лимит Supabase на один запрос
+function fetchVacancyDetailsBatch(hhVacancyIds) {
+    return Promise.all(hhVacancyIds.map(id => hhClient.getVacancy(id).catch(() => {
+        logger.error(`Не удалось получить детали для вакансии ${id} после всех попыток.`, { vacancyId: id });
+        return null;
+    })));
+}
 
-    while (true) {
-        const { data, error } = await query.range(page * pageSize, (page + 1) * pageSize - 1);
+/**
+ * Собирает строку таблицы vacancies из краткой информации о вакансии из поиска и ее деталей.
+ * У вакансий из цели-поиска company_hh_id не заполняется, а работодатель записывается в employer_hh_id и employer_name.
+ * @param {object} target - Цель отслеживания, из которой пришла вакансия (см. trackingTargetService).
+ * @param {object} summary - Вакансия из списка вакансий работодателя или из выдачи поиска.
+ * @param {object|null} details - Детальная информация. Если null, key_skills и description_length неизвестны и остаются null.
+ * @returns {object}
+ */
+function buildVacancyRow(target, summary, details) {
+    const row = {
+        company_hh_id: target.kind === 'employer' ? target.company_hh_id : null,
+        hh_vacancy_id: parseInt(summary.id),
+        raw_title: summary.name,
+        area_name: summary.area.name,
+        area_id: parseInt(summary.area.id),
+        schedule_id: summary.schedule.id,
+        url: summary.alternate_url,
+        status: 'active',
+        published_at: summary.published_at,
+        salary_from: summary.salary ? summary.salary.from : null,
+        salary_to: summary.salary ? summary.salary.to : null,
+        salary_currency: summary.salary ? summary.salary.currency : null,
+        salary_gross: summary.salary ? summary.salary.gross : null,
+        show_contacts: summary.show_contacts === true,
+        key_skills: details ? details.key_skills.map(s => s.name) : null,
+        experience_id: summary.experience ? summary.experience.id : null,
+        // Длина описания без HTML-разметки: самого описания в базе не храним
+        description_length: details ? (details.description || '').replace(/<[^>]*>/g, '').trim().length : null,
+        last_published_at: summary.published_at,
+        details_checked_at: details ? new Date().toISOString() : null,
+    };
+    if (target.id) row.source_target_id = target.id;
+    if (target.kind === 'search') {
+        row.employer_hh_id = summary.employer ? summary.employer.id : null;
+        row.employer_name = summary.employer ? summary.employer.name : null;
+    }
+    return { ...row, ...evaluateVacancyQuality(row) };
+}
 
-        if (error) {
-            console.error("Ошибка при постраничной загрузке из Supabase:", error.message);
-            throw error;
+/**
+ * Сравнивает отслеживаемые поля вакансии из БД с актуальными данными hh.ru.
+ * Если key_skills или experience_id в БД еще неизвестны (null), они заполняются без записи в историю.
+ * @param {object} existing - Строка вакансии из БД.
+ * @param {object} fresh - Строка, собранная buildVacancyRow.
+ * @returns {{patch: object, changes: Array<{field: string, old_value: any, new_value: any}>, backfilled: object}}
+ *   backfilled — впервые заполненные поля из BACKFILLED_FIELDS.
+ */
+function diffVacancy(existing, fresh) {
+    const patch = {};
+    const changes = [];
+    const backfilled = {};
+    for (const field of TRACKED_FIELDS) {
+        const oldValue = existing[field] === undefined ? null : existing[field];
+        const newValue = fresh[field];
+        if (field === 'key_skills') {
+            if (newValue === null) continue; // Детали не загрузились — навыки сравнить не с чем
+            if (oldValue !== null && JSON.stringify([...oldValue].sort()) === JSON.stringify([...newValue].sort())) continue;
+        } else if (oldValue === newValue) {
+            continue;
         }
 
-        if (data && data.length > 0) {
-            allData.push(...data);
+        patch[field] = newValue;
+        if (BACKFILLED_FIELDS.includes(field) && oldValue === null) {
+            backfilled[field] = newValue;
+            continue;
         }
+        changes.push({ field, old_value: oldValue, new_value: newValue });
+    }
 
-        // Если данных вернулось меньше, чем мы запрашивали, это последняя страница
-        if (!data || data.length < pageSize) {
-            break;
+    for (const field of SILENT_FIELDS) {
+        if (fresh[field] !== null && fresh[field] !== undefined && fresh[field] !== existing[field]) {
+            patch[field] = fresh[field];
         }
+    }
 
-        page++;
+    if ('area_id' in patch) patch.area_name = fresh.area_name;
+    if ('raw_title' in patch) {
+        // Новое название нужно нормализовать заново, в том числе если старое не удалось нормализовать
+        Object.assign(patch, { normalized_title: null, normalization_failed: false, normalization_error: null });
     }
-    return allData;
+    return { patch, changes, backfilled };
 }
 
+/**
+ * Нужно ли загрузить детали активной вакансии: они еще не загружались, вакансия изменилась
+ * по краткой информации из списка (в том числе дата публикации) или подошел срок DETAILS_REFRESH_HOURS.
+ * @param {object} existing - Строка вакансии из БД.
+ * @param {object} summaryRow - Строка, собранная buildVacancyRow без деталей.
+ * @param {number} refreshBefore - Детали, загруженные раньше этого времени (мс), устарели.
+ * @returns {boolean}
+ */
+function needsVacancyDetails(existing, summaryRow, refreshBefore) {
+    if (existing.key_skills == null || existing.description_length == null || !existing.details_checked_at) return true;
+    if (Date.parse(existing.details_checked_at) < refreshBefore) return true;
+    return Object.keys(diffVacancy(existing, summaryRow).patch).length > 0;
+}
 
 /**
- * Синхронизирует вакансии: добавляет новые (с уведомлениями), реактивирует старые,
- * закрывает отсутствующие и проверяет изменения в названиях.
- * @param {object} supabase - Клиент Supabase.
- * @param {string} companyId - ID компании на hh.ru.
- * @param {Array} fetchedVacancies - Массив вакансий, полученных с hh.ru.
+ * Готовит записи истории о смене статуса вакансий.
+ * @param {Array<string>} vacancyIds - ID вакансий в БД.
+ * @param {string|null} oldStatus - Прежний статус (null — вакансия только что открыта).
+ * @param {string} newStatus - Новый статус.
+ * @param {string} [changedAt] - Время смены статуса.
+ * @returns {Array<object>} - Строки для vacancy_changes.
+ */
+function buildStatusChanges(vacancyIds, oldStatus, newStatus, changedAt = new Date().toISOString()) {
+    return vacancyIds.map(id => ({ vacancy_id: id, field: 'status', old_value: oldStatus, new_value: newStatus, changed_at: changedAt }));
+}
+
+/**
+ * Добавляет новые вакансии и записывает их открытие в историю.
+ * @param {object} storage - Хранилище данных.
+ * @param {Array<object>} rows - Строки, собранные buildVacancyRow.
+ */
+async function insertVacancies(storage, rows) {
+    // В пробном запуске хранилище ничего не добавляет и не возвращает
+    const inserted = await storage.vacancies.insertMany(rows) || [];
+    if (inserted.length > 0) {
+        await storage.vacancyChanges.insertMany(buildStatusChanges(inserted.map(v => v.id), null, 'active'));
+    }
+}
+
+/**
+ * Закрывает вакансии: записывает время закрытия, срок жизни и смену статуса в историю.
+ * @param {object} storage - Хранилище данных.
+ * @param {Array<object>} vacancies - Активные вакансии из БД.
  */
-async function syncVacanciesInDB(supabase, companyId, fetchedVacancies) {
-    // 1. Получаем ВСЕ вакансии компании из нашей БД с помощью пагинации
-    console.log(`Получение всех существующих вакансий из БД для компании ${companyId}...`);
-    const query = supabase
-        .from('vacancies')
-        .select('id, hh_vacancy_id, raw_title, status')
-        .eq('company_hh_id', companyId);
+async function closeVacancies(storage, vacancies) {
+    if (vacancies.length === 0) return;
+    const closedAt = new Date().toISOString();
+    // Срок жизни у каждой вакансии свой, поэтому обновляются они по одной
+    await mapWithConcurrency(vacancies, UPDATE_CONCURRENCY, v => storage.vacancies.update(v.id, {
+        status: 'closed',
+        closed_at: closedAt,
+        lifetime_days: lifetimeDays(v.published_at, closedAt),
+    }));
+    await storage.vacancyChanges.insertMany(buildStatusChanges(vacancies.map(v => v.id), 'active', 'closed', closedAt));
+}
 
-    const allExistingVacancies = await fetchAllSupabasePages(query);
-    console.log(`Всего в базе найдено ${allExistingVacancies.length} записей для этой компании.`);
+/**
+ * Связывает новые вакансии с закрытыми, повторной публикацией которых они являются (reposted_from_id).
+ * @param {Array<object>} rows - Строки новых вакансий; дополняются reposted_from_id.
+ * @param {Array<object>} existingVacancies - Вакансии цели из БД.
+ * @param {Set<string>} closingIds - ID вакансий, которые закрываются в этой синхронизации.
+ */
+function linkReposts(rows, existingVacancies, closingIds) {
+    const sources = findRepostSources(rows, existingVacancies, { closingIds });
+    for (const row of rows) {
+        const source = sources.get(row.hh_vacancy_id);
+        if (!source) continue;
+        row.reposted_from_id = source.id;
+        logger.info(` -> Вакансия ${row.hh_vacancy_id} "${row.raw_title}" — повторная публикация вакансии ${source.hh_vacancy_id}`);
+    }
+}
+
+/**
+ * Синхронизирует вакансии цели отслеживания: добавляет новые (с уведомлениями), реактивирует старые,
+ * закрывает отсутствующие и обновляет изменившиеся поля активных вакансий с записью в историю.
+ * Для вакансий из цели-поиска детали не загружаются (за синхронизацию их может быть до 2000) и уведомления
+ * не отправляются: это вакансии рынка, а не компаний пользователей.
+ * @param {object} storage - Хранилище данных.
+ * @param {object} target - Цель отслеживания (см. trackingTargetService).
+ * @param {{vacancies: Array, complete: boolean}} fetched - Вакансии, полученные с hh.ru; complete = false,
+ *   если hh.ru отдал не все найденные вакансии (выдача поиска глубже 2000 позиций).
+ * @param {object} [options] - Параметры запуска (dryRun).
+ */
+async function syncTargetVacancies(storage, target, { vacancies: fetchedVacancies, complete }, options = {}) {
+    const companyId = target.company_hh_id;
+    const detailed = target.kind === 'employer';
+
+    // 1. Получаем ВСЕ вакансии цели из нашей БД с помощью пагинации
+    logger.info(`Получение всех существующих вакансий из БД (${target.label})...`);
+    const allExistingVacancies = detailed
+        ? await storage.vacancies.listByCompany(companyId)
+        : await storage.vacancies.listByTarget(target.id);
+    logger.info(`Всего в базе найдено ${allExistingVacancies.length} записей для этой цели.`);
 
 
     // 2. Определяем, является ли синхронизация начальной (нет активных вакансий в базе)
@@ -61,11 +221,16 @@ async function syncVacanciesInDB(supabase, companyId, fetchedVacancies) {
     const isInitialSync = !hasActiveVacanciesInDB;
 
     if (isInitialSync) {
-        console.log(`[Начальная синхронизация] для компании ${companyId}. Уведомления отключены для этой партии.`);
+        logger.info(`[Начальная синхронизация] ${target.label}. Уведомления отключены для этой партии.`);
     }
 
-    const existingVacanciesMap = new Map(allExistingVacancies.map(v => [v.hh_vacancy_id, { id: v.id, raw_title: v.raw_title, status: v.status }]));
+    const existingVacanciesMap = new Map(allExistingVacancies.map(v => [v.hh_vacancy_id, v]));
     const fetchedVacancyIds = new Set(fetchedVacancies.map(v => parseInt(v.id)));
+    // Вакансии, которых больше нет на hh.ru. Если список неполный, их отсутствие ничего не значит.
+    const closedVacancies = complete
+        ? allExistingVacancies.filter(v => v.status === 'active' && !fetchedVacancyIds.has(v.hh_vacancy_id))
+        : [];
+    const closingIds = new Set(closedVacancies.map(v => v.id));
 
     // 3. Обработка НОВЫХ вакансий
     const newVacanciesSummaries = fetchedVacancies.filter(v => !existingVacanciesMap.has(parseInt(v.id)));
@@ -73,101 +238,64 @@ async function syncVacanciesInDB(supabase, companyId, fetchedVacancies) {
     if (newVacanciesSummaries.length > 0) {
         if (isInitialSync) {
             // --- РЕЖИМ НАЧАЛЬНОЙ СИНХРОНИЗАЦИИ (БЕЗ УВЕДОМЛЕНИЙ) ---
-            console.log(`Добавление ${newVacanciesSummaries.length} стартовых вакансий...`);
-            const initialVacanciesToInsert = newVacanciesSummaries.map(summary => ({
-                company_hh_id: companyId,
-                hh_vacancy_id: parseInt(summary.id),
-                raw_title: summary.name,
-                area_name: summary.area.name,
-                area_id: parseInt(summary.area.id),
-                schedule_id: summary.schedule.id,
-                url: summary.alternate_url,
-                status: 'active',
-                published_at: summary.published_at,
-                salary_from: summary.salary ? summary.salary.from : null,
-                salary_to: summary.salary ? summary.salary.to : null,
-                salary_currency: summary.salary ? summary.salary.currency : null,
-                salary_gross: summary.salary ? summary.salary.gross : null,
-                show_contacts: summary.show_contacts === true,
-                key_skills: [],
-            }));
-            const { error } = await supabase.from('vacancies').insert(initialVacanciesToInsert);
-            if (error) console.error('Ошибка добавления стартовых вакансий:', error.message);
+            logger.info(`Добавление ${newVacanciesSummaries.length} стартовых вакансий...`);
+            // Детали при начальной синхронизации не загружаются, поэтому key_skills пока неизвестны (null)
+            const initialVacanciesToInsert = newVacanciesSummaries.map(summary => buildVacancyRow(target, summary, null));
+            linkReposts(initialVacanciesToInsert, allExistingVacancies, closingIds);
+            try {
+                await insertVacancies(storage, initialVacanciesToInsert);
+            } catch (error) {
+                logger.error('Ошибка добавления стартовых вакансий:', error.message);
+            }
         } else {
             // --- СТАНДАРТНЫЙ РЕЖИМ (С УВЕДОМЛЕНИЯМИ) ---
-            console.log(`Обнаружено ${newVacanciesSummaries.length} новых вакансий. Проверка и сбор...`);
+            logger.info(`Обнаружено ${newVacanciesSummaries.length} новых вакансий. Проверка и сбор...`);
             const vacanciesToInsert = [];
             const flawedVacanciesForGrouping = [];
 
-            for (const summary of newVacanciesSummaries) {
-                try {
-                    const response = await makeRequestWithRetries({
-                        method: 'get',
-                        url: `https://api.hh.ru/vacancies/${summary.id}`,
-                        headers: { 'User-Agent': USER_AGENT }
+            const newVacanciesDetails = detailed
+                ? await fetchVacancyDetailsBatch(newVacanciesSummaries.map(v => v.id))
+                : newVacanciesSummaries.map(() => null);
+
+            newVacanciesSummaries.forEach((summary, index) => {
+                const details = newVacanciesDetails[index];
+                if (!details && detailed) return; // Без деталей вакансия будет добавлена при следующей синхронизации
+
+                const fullVacancyData = buildVacancyRow(target, summary, details);
+                vacanciesToInsert.push(fullVacancyData);
+
+                // Недостатки уже найдены правилами качества при сборке строки; собираем их для группового уведомления
+                if (detailed && fullVacancyData.quality_issues.length > 0) {
+                    flawedVacanciesForGrouping.push({
+                        hh_vacancy_id: fullVacancyData.hh_vacancy_id,
+                        raw_title: fullVacancyData.raw_title,
+                        normalized_title: null,
+                        area_id: fullVacancyData.area_id,
+                        url: fullVacancyData.url,
+                        issues: fullVacancyData.quality_issues
                     });
-                    const details = response.data;
-
-                    const fullVacancyData = {
-                        company_hh_id: companyId,
-                        hh_vacancy_id: parseInt(summary.id),
-                        raw_title: summary.name,
-                        area_name: summary.area.name,
-                        area_id: parseInt(summary.area.id),
-                        schedule_id: summary.schedule.id,
-                        url: summary.alternate_url,
-                        status: 'active',
-                        published_at: summary.published_at,
-                        salary_from: summary.salary ? summary.salary.from : null,
-                        salary_to: summary.salary ? summary.salary.to : null,
-                        salary_currency: summary.salary ? summary.salary.currency : null,
-                        salary_gross: summary.salary ? summary.salary.gross : null,
-                        show_contacts: summary.show_contacts === true,
-                        key_skills: details.key_skills.map(s => s.name),
-                    };
-
-                    vacanciesToInsert.push(fullVacancyData);
-
-                    // Проверяем вакансию на недостатки и собираем информацию для группового уведомления
-                    const issues = [];
-                    if (fullVacancyData.salary_from === null) {
-                        issues.push('Не указана зарплата');
-                    }
-                    if (!fullVacancyData.key_skills || fullVacancyData.key_skills.length === 0) {
-                        issues.push('Отсутствуют ключевые навыки');
-                    }
-                    if (fullVacancyData.show_contacts !== true) {
-                        issues.push('Скрыты контакты');
-                    }
-
-                    if (issues.length > 0) {
-                        flawedVacanciesForGrouping.push({
-                            raw_title: fullVacancyData.raw_title,
-                            url: fullVacancyData.url,
-                            issues: issues // Сохраняем список проблем
-                        });
-                    }
-
-                    await sleep(550);
-                } catch (e) {
-                    console.error(`Не удалось получить детали для вакансии ${summary.id} после всех попыток. Пропускаем.`);
                 }
-            }
+            });
+
+            linkReposts(vacanciesToInsert, allExistingVacancies, closingIds);
 
             // После цикла отправляем одно сгруппированное уведомление, если есть что отправлять
             if (flawedVacanciesForGrouping.length > 0) {
-                console.log(`Собрано ${flawedVacanciesForGrouping.length} проблемных вакансий. Отправка группового уведомления...`);
-                await sendGroupedNotifications(companyId, flawedVacanciesForGrouping, supabase);
+                logger.info(`Собрано ${flawedVacanciesForGrouping.length} проблемных вакансий. Отправка группового уведомления...`);
+                await sendGroupedNotifications(companyId, flawedVacanciesForGrouping, storage, options);
             }
 
             // И вставляем все новые вакансии в базу данных
             if (vacanciesToInsert.length > 0) {
-                const { error } = await supabase.from('vacancies').insert(vacanciesToInsert);
-                if (error) console.error('Ошибка добавления новых вакансий:', error.message);
+                try {
+                    await insertVacancies(storage, vacanciesToInsert);
+                } catch (error) {
+                    logger.error('Ошибка добавления новых вакансий:', error.message);
+                }
             }
         }
     } else {
-        console.log('Новых вакансий для добавления нет.');
+        logger.info('Новых вакансий для добавления нет.');
     }
 
     // 4. Поиск вакансий для РЕАКТИВАЦИИ
@@ -176,121 +304,257 @@ async function syncVacanciesInDB(supabase, companyId, fetchedVacancies) {
         .map(v => v.id);
 
     if (vacanciesToReactivateIds.length > 0) {
-        console.log(`Реактивация ${vacanciesToReactivateIds.length} ранее закрытых вакансий...`);
-        const { error } = await supabase.from('vacancies').update({ status: 'active' }).in('id', vacanciesToReactivateIds);
-        if (error) console.error('Ошибка реактивации вакансий:', error.message);
+        logger.info(`Реактивация ${vacanciesToReactivateIds.length} ранее закрытых вакансий...`);
+        try {
+            await storage.vacancies.updateMany(vacanciesToReactivateIds, { status: 'active', closed_at: null, lifetime_days: null });
+            await storage.vacancyChanges.insertMany(buildStatusChanges(vacanciesToReactivateIds, 'closed', 'active'));
+        } catch (error) {
+            logger.error('Ошибка реактивации вакансий:', error.message);
+        }
     }
 
-    // 5. Поиск ЗАКРЫТЫХ вакансий
-    const closedVacancyIds = allExistingVacancies
-        .filter(v => v.status === 'active' && !fetchedVacancyIds.has(v.hh_vacancy_id))
-        .map(v => v.hh_vacancy_id);
-
-    if (closedVacancyIds.length > 0) {
-        console.log(`Обновление ${closedVacancyIds.length} закрытых вакансий...`);
-        const { error } = await supabase.from('vacancies').update({ status: 'closed' }).in('hh_vacancy_id', closedVacancyIds);
-        if (error) console.error('Ошибка обновления статуса закрытых вакансий:', error.message);
+    // 5. Закрытие вакансий, которых больше нет на hh.ru
+    if (!complete) {
+        // Вакансий глубже выдачи hh.ru не видно: их отсутствие в списке не значит, что они закрыты
+        logger.warn(`hh.ru отдал не все найденные вакансии (${target.label}). Закрытие вакансий пропущено.`);
+    } else if (closedVacancies.length > 0) {
+        logger.info(`Обновление ${closedVacancies.length} закрытых вакансий...`);
+        try {
+            await closeVacancies(storage, closedVacancies);
+        } catch (error) {
+            logger.error('Ошибка обновления статуса закрытых вакансий:', error.message);
+        }
     } else {
-        console.log('Активных вакансий для закрытия нет.');
+        logger.info('Активных вакансий для закрытия нет.');
     }
 
-    // 6. Проверка изменений в названии
-    const vacanciesWithChangedTitle = [];
-    for (const fetchedV of fetchedVacancies) {
-        const hhId = parseInt(fetchedV.id);
-        if (existingVacanciesMap.has(hhId)) {
-            const existingV = existingVacanciesMap.get(hhId);
-            if (existingV.status === 'active' && existingV.raw_title !== fetchedV.name) {
-                console.log(` -> Название изменено: было "${existingV.raw_title}", стало "${fetchedV.name}"`);
-                vacanciesWithChangedTitle.push({
-                    id: existingV.id,
-                    raw_title: fetchedV.name,
-                    normalized_title: null
-                });
-            }
+    // 6. Проверка изменений в активных вакансиях (название, зарплата, график, регион, контакты, навыки, опыт)
+    //    и пересчет их оценки качества
+    const vacancyUpdates = [];
+    const changeHistory = [];
+    const qualityChanges = [];
+    const changedAt = new Date().toISOString();
+    const activeFetchedVacancies = fetchedVacancies.filter(fetchedV => {
+        const existingV = existingVacanciesMap.get(parseInt(fetchedV.id));
+        return existingV && existingV.status === 'active';
+    });
+    // Детали загружаются только для вакансий, которые изменились или давно не проверялись (см. needsVacancyDetails).
+    // Если детали не загрузились или не запрашивались, навыки этой вакансии в этот раз не сравниваются
+    const refreshBefore = Date.now() - DETAILS_REFRESH_HOURS * 60 * 60 * 1000;
+    const detailsToFetch = detailed
+        ? activeFetchedVacancies.filter(fetchedV => needsVacancyDetails(
+            existingVacanciesMap.get(parseInt(fetchedV.id)), buildVacancyRow(target, fetchedV, null), refreshBefore))
+        : [];
+    const fetchedDetails = await fetchVacancyDetailsBatch(detailsToFetch.map(v => v.id));
+    const detailsById = new Map(detailsToFetch.map((fetchedV, index) => [fetchedV.id, fetchedDetails[index]]));
+    if (detailed) {
+        logger.info(`Загрузка деталей ${detailsToFetch.length} из ${activeFetchedVacancies.length} активных вакансий.`);
+    }
+
+    for (const fetchedV of activeFetchedVacancies) {
+        const existingV = existingVacanciesMap.get(parseInt(fetchedV.id));
+        const details = detailsById.get(fetchedV.id) || null;
+
+        const { patch, changes, backfilled } = diffVacancy(existingV, buildVacancyRow(target, fetchedV, details));
+        // Оценка пересчитывается и без изменений в полях: часть правил зависит от времени
+        const quality = evaluateVacancyQuality({ ...existingV, ...patch });
+        if (quality.quality_score !== existingV.quality_score
+            || JSON.stringify(quality.quality_issues) !== JSON.stringify(existingV.quality_issues)) {
+            Object.assign(patch, quality);
+        }
+        if (Object.keys(patch).length === 0) continue;
+
+        for (const change of changes) {
+            logger.info(` -> Вакансия ${fetchedV.id}: поле ${change.field} изменено: было ${JSON.stringify(change.old_value)}, стало ${JSON.stringify(change.new_value)}`);
+            changeHistory.push({ vacancy_id: existingV.id, ...change, changed_at: changedAt });
+        }
+        vacancyUpdates.push({ id: existingV.id, patch });
+
+        // Проблемы, которые появились или исчезли только из-за времени, сообщаются один раз: оценка сохраняется в patch
+        const { resolved, introduced } = compareVacancyIssues(existingV, { ...existingV, ...patch }, { backfilled });
+        if (detailed && (resolved.length > 0 || introduced.length > 0)) {
+            const updated = { ...existingV, ...patch };
+            qualityChanges.push({
+                raw_title: updated.raw_title,
+                normalized_title: updated.normalized_title,
+                area_id: updated.area_id,
+                url: existingV.url,
+                resolved,
+                introduced,
+            });
         }
     }
 
-    if (vacanciesWithChangedTitle.length > 0) {
-        console.log(`Обнаружено ${vacanciesWithChangedTitle.length} вакансий с измененным названием. Сброс для нормализации...`);
-        const updatePromises = vacanciesWithChangedTitle.map(v =>
-            supabase.from('vacancies')
-            .update({ raw_title: v.raw_title, normalized_title: v.normalized_title })
-            .eq('id', v.id)
-        );
-        await Promise.all(updatePromises);
+    if (vacancyUpdates.length > 0) {
+        logger.info(`Обнаружено ${vacancyUpdates.length} вакансий с изменениями. Обновление...`);
+        try {
+            await mapWithConcurrency(vacancyUpdates, UPDATE_CONCURRENCY, v => storage.vacancies.update(v.id, v.patch));
+            await storage.vacancyChanges.insertMany(changeHistory);
+        } catch (error) {
+            logger.error('Ошибка обновления измененных вакансий:', error.message);
+        }
     } else {
-        console.log('Изменений в названиях активных вакансий не найдено.');
+        logger.info('Изменений в активных вакансиях не найдено.');
+    }
+
+    if (qualityChanges.length > 0) {
+        logger.info(`У ${qualityChanges.length} вакансий изменился набор недостатков. Отправка уведомлений...`);
+        await sendQualityChangeNotifications(companyId, qualityChanges, storage, options);
     }
 }
 
 
 /**
- * Находит и архивирует вакансии компаний, которые были удалены из профилей.
- * @param {object} supabase - Клиент Supabase.
+ * Синхронизирует вакансии компании из профилей (см. syncTargetVacancies).
+ * @param {object} storage - Хранилище данных.
+ * @param {string} companyId - ID компании на hh.ru.
+ * @param {Array} fetchedVacancies - Все активные вакансии компании, полученные с hh.ru.
+ * @param {object} [options] - Параметры запуска (dryRun).
  */
-async function archiveOrphanedVacancies(supabase) {
-    console.log('\n--- ЗАПУСК ОЧИСТКИ "ОСИРОТЕВШИХ" ВАКАНСИЙ ---');
-
-    const { data: profiles, error: profilesError } = await supabase
-        .from('profiles')
-        .select('company_hh_id')
-        .not('company_hh_id', 'is', null);
-    if (profilesError) throw profilesError;
-    const validCompanyIds = new Set(profiles.map(p => p.company_hh_id));
-    console.log(`Найдено ${validCompanyIds.size} актуальных компаний в профилях.`);
-
-    const { data: activeVacancyCompanies, error: vacanciesError } = await supabase
-        .from('vacancies')
-        .select('company_hh_id')
-        .eq('status', 'active');
-    if (vacanciesError) throw vacanciesError;
-    const trackedCompanyIds = new Set(activeVacancyCompanies.map(v => v.company_hh_id));
-    console.log(`Найдено ${trackedCompanyIds.size} компаний с активными вакансиями в базе.`);
-
-    const orphanedCompanyIds = [...trackedCompanyIds].filter(id => !validCompanyIds.has(id));
+async function syncVacanciesInDB(storage, companyId, fetchedVacancies, options = {}) {
+    await syncTargetVacancies(storage, profileCompanyTarget(companyId), { vacancies: fetchedVacancies, complete: true }, options);
+}
+
+/**
+ * Находит и архивирует вакансии компаний, за которыми больше никто не следит (их нет ни в профилях,
+ * ни среди работодателей организаций, ни в целях-работодателях), и вакансии отключенных целей-поисков.
+ * @param {object} storage - Хранилище данных.
+ * @param {object} [options] - Параметры запуска (companyId — ограничить очистку одной компанией;
+ *   вакансии целей-поисков тогда не архивируются, так как не относятся ни к одной компании).
+ */
+async function archiveOrphanedVacancies(storage, options = {}) {
+    logger.info('\n--- ЗАПУСК ОЧИСТКИ "ОСИРОТЕВШИХ" ВАКАНСИЙ ---');
+
+    const targets = await storage.trackingTargets.listAll();
+    const enabledTargets = targets.filter(target => target.enabled !== false);
+    const validCompanyIds = new Set([
+        ...await listFollowedCompanyIds(storage),
+        ...enabledTargets.filter(target => target.kind === 'employer').map(target => target.company_hh_id),
+    ].map(String));
+    logger.info(`Найдено ${validCompanyIds.size} актуальных компаний в профилях, организациях и целях отслеживания.`);
+
+    const trackedCompanyIds = new Set(await storage.vacancies.listActiveCompanyIds());
+    logger.info(`Найдено ${trackedCompanyIds.size} компаний с активными вакансиями в базе.`);
+
+    const orphanedCompanyIds = [...trackedCompanyIds]
+        .filter(id => !validCompanyIds.has(String(id)))
+        .filter(id => !options.companyId || String(id) === String(options.companyId));
 
     if (orphanedCompanyIds.length > 0) {
-        console.log(`Обнаружено ${orphanedCompanyIds.length} удаленных компаний. Архивируем их вакансии...`);
-        const { error: updateError } = await supabase
-            .from('vacancies')
-            .update({ status: 'closed' })
-            .in('company_hh_id', orphanedCompanyIds)
-            .eq('status', 'active');
-
-        if (updateError) {
-            console.error('Ошибка при архивации осиротевших вакансий:', updateError.message);
-        } else {
-            console.log('Осиротевшие вакансии успешно заархивированы.');
+        logger.info(`Обнаружено ${orphanedCompanyIds.length} компаний, за которыми больше никто не следит. Архивируем их вакансии...`);
+        try {
+            const vacancies = await Promise.all(orphanedCompanyIds.map(id => storage.vacancies.listByCompany(id)));
+            await closeVacancies(storage, vacancies.flat().filter(v => v.status === 'active'));
+            logger.info('Осиротевшие вакансии успешно заархивированы.');
+        } catch (updateError) {
+            logger.error('Ошибка при архивации осиротевших вакансий:', updateError.message);
         }
     } else {
-        console.log('Удаленных компаний с активными вакансиями не найдено. Очистка не требуется.');
+        logger.info('Удаленных компаний с активными вакансиями не найдено. Очистка не требуется.');
+    }
+
+    if (options.companyId) return;
+
+    // Вакансии целей-работодателей архивируются выше, вместе с вакансиями их компании
+    const employerTargetIds = new Set(targets.filter(target => target.kind === 'employer').map(target => target.id));
+    const enabledSearchIds = new Set(enabledTargets.filter(target => target.kind === 'search').map(target => target.id));
+    const orphanedTargetIds = (await storage.vacancies.listActiveTargetIds())
+        .filter(id => !employerTargetIds.has(id) && !enabledSearchIds.has(id));
+
+    if (orphanedTargetIds.length > 0) {
+        logger.info(`Обнаружено ${orphanedTargetIds.length} отключенных поисков с активными вакансиями. Архивируем их вакансии...`);
+        try {
+            const vacancies = await Promise.all(orphanedTargetIds.map(id => storage.vacancies.listByTarget(id)));
+            await closeVacancies(storage, vacancies.flat().filter(v => v.status === 'active'));
+        } catch (updateError) {
+            logger.error('Ошибка при архивации вакансий отключенных поисков:', updateError.message);
+        }
     }
 }
 
 /**
- * Запускает процесс синхронизации для всех компаний из профилей.
- * @param {object} supabase - Клиент Supabase.
+ * Цели синхронизации: компании из профилей и организаций и включенные цели из tracking_targets.
+ * Цель-работодатель, за компанией которой уже следят пользователи, пропускается: ее вакансии
+ * синхронизируются как вакансии этой компании.
+ * @param {object} storage - Хранилище данных.
+ * @param {object} [options] - Параметры запуска (companyId — только цели-работодатели этой компании
+ *   или эта компания, даже если ее нет в профилях).
+ * @returns {Promise<Array<object>>}
  */
-async function syncAllCompanies(supabase) {
-    console.log('\n--- НАЧАЛО ШАГА 1: СИНХРОНИЗАЦИЯ ВАКАНСИЙ ---');
-    const { data: profiles, error: profilesError } = await supabase.from('profiles').select('company_hh_id').not('company_hh_id', 'is', null);
-    if (profilesError) throw profilesError;
-
-    const companyIds = [...new Set(profiles.map(p => p.company_hh_id).filter(id => id))];
-    console.log(`Найдено ${companyIds.length} уникальных компаний для синхронизации.`);
-
-    if (companyIds.length > 0) {
-        for (const companyId of companyIds) {
-            console.log(`\nСинхронизация для компании с ID: ${companyId}`);
-            const fetchedVacancies = await fetchAllVacanciesForCompany(companyId);
-            console.log(`С HH.ru получено ${fetchedVacancies.length} активных вакансий.`);
-            await syncVacanciesInDB(supabase, companyId, fetchedVacancies);
+async function listSyncTargets(storage, options = {}) {
+    const profileCompanyIds = await listFollowedCompanyIds(storage);
+    const employerTargets = [];
+    const searchTargets = [];
+    for (const target of await storage.trackingTargets.listEnabled()) {
+        if (target.kind === 'search') {
+            searchTargets.push(target);
+        } else if (profileCompanyIds.includes(String(target.company_hh_id))) {
+            logger.info(`Цель ${target.id} (${target.label}): компания уже есть в профилях или организациях, отдельно не синхронизируется.`);
+        } else {
+            employerTargets.push(target);
         }
     }
+
+    const targets = [...profileCompanyIds.map(profileCompanyTarget), ...employerTargets, ...searchTargets];
+    if (!options.companyId) return targets;
+    const companyTargets = targets.filter(target => target.kind === 'employer'
+        && String(target.company_hh_id) === String(options.companyId));
+    return companyTargets.length > 0 ? companyTargets : [profileCompanyTarget(options.companyId)];
+}
+
+/**
+ * Загружает вакансии цели с hh.ru. При ошибке выбрасывает исключение, а не возвращает неполный список.
+ * complete = false, если hh.ru отдал не все найденные вакансии (больше 2000 у работодателя или в поиске).
+ * @param {object} target - Цель отслеживания.
+ * @returns {Promise<{vacancies: Array, complete: boolean}>}
+ */
+async function fetchTargetVacancies(target) {
+    const { items, found } = target.kind === 'employer'
+        ? await hhClient.fetchEmployerVacancies(target.company_hh_id)
+        : await hhClient.fetchSearchVacancies(buildTargetSearchParams(target));
+    return { vacancies: items, complete: items.length >= found };
+}
+
+/**
+ * Запускает процесс синхронизации для всех компаний из профилей и целей отслеживания.
+ * Цели, уже синхронизированные в рамках продолжаемого запуска (options.run), пропускаются.
+ * @param {object} storage - Хранилище данных.
+ * @param {object} [options] - Параметры запуска (companyId — синхронизировать только одну компанию, dryRun, run).
+ */
+async function syncAllCompanies(storage, options = {}) {
+    logger.info('\n--- НАЧАЛО ШАГА 1: СИНХРОНИЗАЦИЯ ВАКАНСИЙ ---');
+    const run = options.run || NO_CHECKPOINT;
+    const targets = await listSyncTargets(storage, options);
+    logger.info(`Найдено ${targets.length} целей для синхронизации (компаний из профилей и целей отслеживания).`);
+
+    for (const target of targets) {
+        const key = targetKey(target);
+        if (run.isDone('sync', key)) {
+            logger.info(`\nЦель "${target.label}" уже синхронизирована в этом запуске. Пропускаем.`);
+            continue;
+        }
+        const logContext = target.id ? { targetId: target.id } : {};
+        if (target.company_hh_id) logContext.companyId = target.company_hh_id;
+        await withLogContext(logContext, async () => {
+            logger.info(`\nСинхронизация: ${target.label}`);
+            let fetched;
+            try {
+                fetched = await fetchTargetVacancies(target);
+            } catch (error) {
+                // С неполным списком нельзя синхронизироваться: вакансии были бы ошибочно закрыты
+                logger.error(`Не удалось получить вакансии (${target.label}) с hh.ru: ${error.message}. Цель пропущена.`);
+                return;
+            }
+            logger.info(`С HH.ru получено ${fetched.vacancies.length} активных вакансий.`);
+            await syncTargetVacancies(storage, target, fetched, options);
+            await run.markDone('sync', [key]);
+        });
+    }
 }
 
 module.exports = {
+    syncVacanciesInDB,
+    syncTargetVacancies,
     syncAllCompanies,
     archiveOrphanedVacancies
 };
\ No newline at end of file
@@ -0,0 +1,49 @@
+const axios = require('axios');
+const https = require('https');
+const { metrics } = require('./metrics');
+
+const REQUEST_TIMEOUT = 15000;
+
+const httpsAgent = new https.Agent({
+    family: 4
+});
+
+/**
+ * Создает клиент Telegram Bot API на токене TELEGRAM_BOT_TOKEN.
+ * TELEGRAM_API_URL позволяет направить запросы на другой сервер Bot API (по умолчанию api.telegram.org).
+ * @returns {{call: Function}}
+ */
+function createTelegramClient() {
+    const token = process.env.TELEGRAM_BOT_TOKEN;
+    if (!token) {
+        throw new Error('Переменная окружения TELEGRAM_BOT_TOKEN не задана.');
+    }
+    const apiUrl = process.env.TELEGRAM_API_URL || 'https://api.telegram.org';
+
+    return {
+        /**
+         * Вызывает метод Bot API.
+         * @param {string} method - Имя метода (sendMessage, getUpdates...).
+         * @param {object|FormData} params - Параметры метода.
+         * @param {object} [options]
+         * @param {number} [options.timeout] - Таймаут запроса в мс (для long polling он больше обычного).
+         * @returns {Promise<any>} - Поле result ответа.
+         */
+        async call(method, params, { timeout = REQUEST_TIMEOUT } = {}) {
+            metrics.increment('api_calls', `telegram ${method}`);
+            try {
+                const response = await axios.post(`${apiUrl}/bot${token}/${method}`, params, { httpsAgent, timeout });
+                return response.data.result;
+            } catch (error) {
+                metrics.increment('api_errors', `telegram ${method}`);
+                // Telegram объясняет причину отказа в поле description ответа
+                const description = error.response && error.response.data && error.response.data.description;
+                throw new Error(`Telegram ${method}: ${description || error.message}`);
+            }
+        },
+    };
+}
+
+module.exports = {
+    createTelegramClient
+};
@@ -1,125 +1,355 @@
-const { makeRequestWithRetries, sleep } = require('./utils');
+const crypto = require('crypto');
+const { mapWithConcurrency } = require('./utils');
+const { hhClient } = require('./hhService');
+const { logger } = require('./logger');
+const { NO_CHECKPOINT } = require('./runService');
+const { loadCurrencyRates, toNetBaseSalary, computeSalaryStats, classifySalary, vacancySalary } = require('./salaryService');
+const { searchGroupKey, collectGroupEmployers, saveCompetitorSnapshot } = require('./competitorService');
+const { foundPosition, notFoundPosition, errorPosition, describePosition } = require('./positionModel');
+const { buildSearchParams, variantSearchKey, variantAppliesTo, isBaseQuery } = require('./queryVariantService');
 
-const HH_API_URL = 'https://api.hh.ru/vacancies';
-const USER_AGENT = process.env.HH_USER_AGENT || 'analyzer-script/1.0';
+const PER_PAGE = 100;
+// hh.ru не отдает результаты поиска глубже 2000 позиций (page * per_page < 2000)
+const MAX_SEARCH_DEPTH = 2000;
+const SEARCH_DEPTH = Math.min(parseInt(process.env.HH_SEARCH_DEPTH) || 500, MAX_SEARCH_DEPTH);
+// Сколько строк position_reports копится перед записью в базу
+const POSITION_REPORTS_CHUNK_SIZE = 200;
+// Через сколько часов отчет в статусе pending считается брошенным
+const STALE_REPORT_HOURS = parseInt(process.env.STALE_REPORT_HOURS) || 6;
+
+/**
+ * Постранично ищет вакансии группы в выдаче hh.ru, пока не найдены все вакансии группы,
+ * не закончилась выдача или не достигнута глубина поиска.
+ * @param {object} searchParams - Параметры поискового запроса (см. queryVariantService.buildSearchParams).
+ * @param {Set<number>} targetIds - hh_vacancy_id вакансий группы.
+ * @param {number} depth - Максимальное количество просматриваемых позиций.
+ * @returns {Promise<{found: number, positionMap: Map<number, number>, searchedDepth: number, exhausted: boolean, firstPage: Array}>}
+ *   firstPage — вакансии первой страницы выдачи (для статистики зарплат и работодателей-конкурентов).
+ */
+async function searchGroupPositions(searchParams, targetIds, depth) {
+    const positionMap = new Map();
+    const totalPages = Math.ceil(depth / PER_PAGE);
+    let found = 0;
+    let searchedDepth = 0;
+    let exhausted = false;
+    let firstPage = [];
+
+    for (let page = 0; page < totalPages; page++) {
+        const data = await hhClient.searchVacancies({ ...searchParams, per_page: PER_PAGE, page: page });
+
+        if (page === 0) {
+            found = data.found;
+            firstPage = data.items;
+        }
+
+        // Если глубина не кратна размеру страницы, последняя страница выходит за нее: эти позиции не засчитываются
+        data.items.forEach((item, index) => {
+            const hhId = parseInt(item.id);
+            const rank = page * PER_PAGE + index + 1;
+            if (rank <= depth && targetIds.has(hhId) && !positionMap.has(hhId)) {
+                positionMap.set(hhId, rank);
+            }
+        });
+        const pageEnd = page * PER_PAGE + data.items.length;
+        searchedDepth = Math.min(pageEnd, depth);
+
+        if (data.items.length === 0 || page + 1 >= data.pages) {
+            // Выдача закончилась в пределах глубины поиска, а не за ней
+            exhausted = pageEnd <= depth;
+            break;
+        }
+        if (positionMap.size === targetIds.size) {
+            break;
+        }
+    }
+
+    return { found, positionMap, searchedDepth, exhausted, firstPage };
+}
+
+/**
+ * Определяет позиции всех вакансий одной поисковой группы, считает статистику зарплат конкурентов
+ * и собирает работодателей, занимающих верхние позиции.
+ * При ошибке поиска возвращает для вакансий группы строки с position_status = error и без статистики.
+ * @param {Array} vacancyGroup - Вакансии с одинаковыми названием, регионом и графиком.
+ * @param {string} reportId - ID текущего отчета.
+ * @param {string} groupLabel - Подпись группы для лога.
+ * @param {object} rates - Курсы валют (см. salaryService.loadCurrencyRates).
+ * @returns {Promise<{rows: Array, benchmark: object|null, employers: Array}>} - Строки для position_reports,
+ *   salary_benchmarks и group_competitors.
+ */
+async function trackGroup(vacancyGroup, reportId, groupLabel, rates) {
+    const representative = vacancyGroup[0];
+    try {
+        const targetIds = new Set(vacancyGroup.map(v => v.hh_vacancy_id));
+        const { found: competitors_count, positionMap, searchedDepth, exhausted, firstPage } =
+            await searchGroupPositions(buildSearchParams(representative, null), targetIds, SEARCH_DEPTH);
+        const competitors = firstPage.filter(item => !targetIds.has(parseInt(item.id)));
+        logger.info(`${groupLabel} "${representative.normalized_title}" (вакансий в группе: ${vacancyGroup.length}) -> Найдено конкурентов: ${competitors_count}, просмотрено позиций: ${searchedDepth}`);
+
+        // id задается здесь, чтобы строки позиций могли сослаться на статистику до ее записи
+        const benchmark = {
+            id: crypto.randomUUID(), report_id: reportId,
+            normalized_title: representative.normalized_title,
+            area_id: representative.area_id, schedule_id: representative.schedule_id,
+            ...computeSalaryStats(competitors, rates),
+        };
+        const employers = collectGroupEmployers(firstPage).map(employer => ({
+            report_id: reportId, group_key: searchGroupKey(representative),
+            normalized_title: representative.normalized_title,
+            area_id: representative.area_id, schedule_id: representative.schedule_id,
+            ...employer,
+        }));
+
+        const rows = vacancyGroup.map(vacancy => {
+            const measurement = positionMap.has(vacancy.hh_vacancy_id)
+                ? foundPosition(positionMap.get(vacancy.hh_vacancy_id), searchedDepth)
+                : notFoundPosition(searchedDepth, exhausted);
+
+            logger.debug(`  - Вакансия ${vacancy.hh_vacancy_id}: Позиция ${describePosition({ ...measurement, competitors_count })}`,
+                { vacancyId: vacancy.hh_vacancy_id });
+
+            return {
+                report_id: reportId, vacancy_id: vacancy.id,
+                ...measurement, competitors_count: competitors_count,
+                salary_benchmark_id: benchmark.id,
+                salary_position: classifySalary(toNetBaseSalary(vacancySalary(vacancy), rates), benchmark),
+            };
+        });
+        return { rows, benchmark, employers };
+    } catch (searchError) {
+        logger.error(`${groupLabel} !!! Ошибка поиска для группы "${representative.normalized_title}". Пропускаем группу.`, searchError);
+        const rows = vacancyGroup.map(vacancy => ({
+            report_id: reportId, vacancy_id: vacancy.id,
+            ...errorPosition(), competitors_count: 0,
+            error_message: `Не удалось получить данные для группы после всех попыток.`
+        }));
+        return { rows, benchmark: null, employers: [] };
+    }
+}
+
+/**
+ * Определяет позиции вакансий группы по варианту поискового запроса. Статистика зарплат и конкуренты
+ * по вариантам не собираются: они относятся к основному запросу.
+ * @param {object} task - Поиск по варианту (см. buildSearchTasks).
+ * @param {string} reportId - ID текущего отчета.
+ * @param {string} groupLabel - Подпись поиска для лога.
+ * @returns {Promise<{rows: Array, benchmark: null, employers: Array}>} - Строки для position_reports,
+ *   по одной на каждую пару вакансии и варианта.
+ */
+async function trackVariant(task, reportId, groupLabel) {
+    const representative = task.vacancies[0];
+    const toRows = measure => task.vacancies.flatMap(vacancy => task.variantIdsByVacancy.get(vacancy.id)
+        .map(variantId => ({ report_id: reportId, vacancy_id: vacancy.id, query_variant_id: variantId, ...measure(vacancy) })));
+    try {
+        const targetIds = new Set(task.vacancies.map(v => v.hh_vacancy_id));
+        const { found: competitors_count, positionMap, searchedDepth, exhausted } =
+            await searchGroupPositions(buildSearchParams(representative, task.variant), targetIds, SEARCH_DEPTH);
+        logger.info(`${groupLabel} "${representative.normalized_title}", вариант "${task.variant.label}" (вакансий: ${task.vacancies.length}) -> Найдено конкурентов: ${competitors_count}, просмотрено позиций: ${searchedDepth}`);
+
+        return {
+            rows: toRows(vacancy => ({
+                ...(positionMap.has(vacancy.hh_vacancy_id)
+                    ? foundPosition(positionMap.get(vacancy.hh_vacancy_id), searchedDepth)
+                    : notFoundPosition(searchedDepth, exhausted)),
+                competitors_count: competitors_count,
+            })),
+            benchmark: null,
+            employers: [],
+        };
+    } catch (searchError) {
+        logger.error(`${groupLabel} !!! Ошибка поиска для группы "${representative.normalized_title}", вариант "${task.variant.label}". Пропускаем.`, searchError);
+        return {
+            rows: toRows(() => ({
+                ...errorPosition(), competitors_count: 0,
+                error_message: `Не удалось получить данные по варианту запроса после всех попыток.`
+            })),
+            benchmark: null,
+            employers: [],
+        };
+    }
+}
+
+/**
+ * Составляет список поисков отчета: основной запрос для каждой группы и по одному поиску на каждый
+ * набор параметров вариантов, относящихся к вакансиям группы.
+ * @param {Map<string, Array>} groupedVacancies - Вакансии по ключам поисковых групп.
+ * @param {Array} variants - Включенные варианты запроса (query_variants).
+ * @returns {Array<{key: string, vacancies: Array, variant: object|null, variantIdsByVacancy: Map<string, Array<string>>|null}>}
+ *   key — ключ для контрольной точки; у основного запроса он совпадает с ключом группы.
+ */
+function buildSearchTasks(groupedVacancies, variants) {
+    const tasks = [];
+    for (const [groupKey, vacancyGroup] of groupedVacancies) {
+        tasks.push({ key: groupKey, vacancies: vacancyGroup, variant: null, variantIdsByVacancy: null });
+
+        const variantTasks = new Map();
+        for (const variant of variants) {
+            const targets = vacancyGroup.filter(vacancy => variantAppliesTo(variant, vacancy));
+            if (targets.length === 0) continue;
+
+            const searchKey = variantSearchKey(variant);
+            if (!variantTasks.has(searchKey)) {
+                variantTasks.set(searchKey, { key: `${groupKey}|${searchKey}`, vacancies: [], variant, variantIdsByVacancy: new Map() });
+            }
+            const task = variantTasks.get(searchKey);
+            for (const vacancy of targets) {
+                if (!task.variantIdsByVacancy.has(vacancy.id)) {
+                    task.vacancies.push(vacancy);
+                    task.variantIdsByVacancy.set(vacancy.id, []);
+                }
+                task.variantIdsByVacancy.get(vacancy.id).push(variant.id);
+            }
+        }
+        tasks.push(...variantTasks.values());
+    }
+    return tasks;
+}
+
+/**
+ * Закрывает отчеты, которые слишком долго висят в статусе pending (процесс был прерван).
+ * @param {object} storage - Хранилище данных.
+ * @param {string|null} keepReportId - Отчет продолжаемого запуска, его закрывать нельзя.
+ */
+async function closeStaleReports(storage, keepReportId) {
+    const staleBefore = new Date(Date.now() - STALE_REPORT_HOURS * 60 * 60 * 1000).toISOString();
+    const staleReports = (await storage.reports.listPending())
+        .filter(report => report.id !== keepReportId && report.created_at < staleBefore);
+
+    for (const report of staleReports) {
+        logger.warn(`Отчет ${report.id} висит в статусе pending с ${report.created_at}. Отмечаем как "failed".`);
+        await storage.reports.update(report.id, {
+            status: 'failed',
+            error_message: 'Запуск был прерван, отчет не был завершен.',
+            completed_at: new Date().toISOString(),
+        });
+    }
+}
 
 /**
  * Отслеживает позиции вакансий, группируя запросы для повышения эффективности.
- * @param {object} supabase - Клиент Supabase.
+ * Кроме основного запроса, позиции замеряются по включенным вариантам запроса (query_variants):
+ * каждый замер пишется отдельной строкой position_reports с query_variant_id.
+ * Результаты пишутся в position_reports частями по мере обработки групп, а обработанные группы
+ * отмечаются в запуске (options.run), поэтому прерванное отслеживание продолжается с того же места.
+ * @param {object} storage - Хранилище данных.
+ * @param {object} [options] - Параметры запуска (companyId — отслеживать вакансии только одной компании, run — трекер запуска).
  */
-async function trackPositionsAndCompetitorsTransactional(supabase) {
-    console.log('\n--- НАЧАЛО ШАГА 3: ОТСЛЕЖИВАНИЕ ПОЗИЦИЙ (ОПТИМИЗИРОВАННЫЙ РЕЖИМ) ---');
+async function trackPositionsAndCompetitorsTransactional(storage, options = {}) {
+    logger.info('\n--- НАЧАЛО ШАГА 3: ОТСЛЕЖИВАНИЕ ПОЗИЦИЙ (ОПТИМИЗИРОВАННЫЙ РЕЖИМ) ---');
     
-    const { data: vacancies, error: vacanciesError } = await supabase
-        .from('vacancies')
-        .select('id, hh_vacancy_id, normalized_title, area_id, schedule_id')
-        .not('normalized_title', 'is', null)
-        .eq('status', 'active');
-
-    if (vacanciesError) throw vacanciesError;
+    const vacancies = await storage.vacancies.listTrackable({ companyId: options.companyId });
     if (!vacancies || vacancies.length === 0) {
-        console.log('Нет активных вакансий для отслеживания.');
+        logger.info('Нет активных вакансий для отслеживания.');
         return;
     }
 
     const groupedVacancies = new Map();
     for (const vacancy of vacancies) {
-        const groupKey = `${vacancy.normalized_title}_${vacancy.area_id}_${vacancy.schedule_id}`;
+        const groupKey = searchGroupKey(vacancy);
         if (!groupedVacancies.has(groupKey)) {
             groupedVacancies.set(groupKey, []);
         }
         groupedVacancies.get(groupKey).push(vacancy);
     }
-    console.log(`Сформировано ${groupedVacancies.size} уникальных поисковых групп из ${vacancies.length} вакансий.`);
+    const variants = await storage.queryVariants.listEnabled({ companyId: options.companyId });
+    const searchTasks = buildSearchTasks(groupedVacancies, variants);
+    logger.info(`Сформировано ${groupedVacancies.size} уникальных поисковых групп из ${vacancies.length} вакансий, поисков по вариантам запроса: ${searchTasks.length - groupedVacancies.size}.`);
 
-    const { data: reportData, error: reportError } = await supabase
-        .from('reports')
-        .insert({ status: 'pending', total_vacancies: vacancies.length })
-        .select('id').single();
+    const run = options.run || NO_CHECKPOINT;
+    const stageData = run.getStageData('track');
+    let currentReportId = null;
+    if (stageData.reportId) {
+        const savedReport = await storage.reports.findById(stageData.reportId);
+        // Отчет продолжается, только если он снимался по тем же вакансиям
+        const sameScope = savedReport && String(savedReport.company_hh_id || '') === String(options.companyId || '');
+        if (sameScope && savedReport.status === 'pending') currentReportId = savedReport.id;
+    }
 
-    if (reportError) throw new Error(`Не удалось создать запись отчета: ${reportError.message}`);
-    const currentReportId = reportData.id;
-    console.log(`Отчет создан с ID: ${currentReportId}. Начинаю обработку групп...`);
+    await closeStaleReports(storage, currentReportId);
 
-    const allPositionReports = [];
-    let processedCount = 0;
+    if (currentReportId) {
+        logger.info(`Продолжение отчета ${currentReportId}: уже обработано поисков: ${stageData.done.length}.`);
+    } else {
+        let reportData;
+        try {
+            // Отчет по одной компании помечается ею, чтобы не сравниваться с полными отчетами
+            reportData = await storage.reports.create({
+                status: 'pending', total_vacancies: vacancies.length, company_hh_id: options.companyId || null,
+            });
+        } catch (reportError) {
+            throw new Error(`Не удалось создать запись отчета: ${reportError.message}`);
+        }
+        currentReportId = reportData.id;
+        // Группы прошлой попытки относились к другому отчету
+        await run.setStageData('track', { reportId: currentReportId, done: [], processedCount: 0 });
+        logger.info(`Отчет создан с ID: ${currentReportId}. Начинаю обработку групп...`);
+    }
 
-    try {
-        let groupIndex = 0;
-        for (const vacancyGroup of groupedVacancies.values()) {
-            groupIndex++;
-            const representative = vacancyGroup[0];
-            
-            console.log(`\n[Группа ${groupIndex}/${groupedVacancies.size}] Поиск для "${representative.normalized_title}" (вакансий в группе: ${vacancyGroup.length})`);
-
-            const axiosConfig = {
-                method: 'get', url: HH_API_URL,
-                params: {
-                    text: representative.normalized_title, area: representative.area_id,
-                    schedule: representative.schedule_id, order_by: 'relevance',
-                    per_page: 100, page: 0,
-                },
-                headers: { 'User-Agent': USER_AGENT },
-            };
+    const rates = await loadCurrencyRates();
+    let processedCount = stageData.processedCount || 0;
+    const pendingRows = [];
+    const pendingBenchmarks = [];
+    const pendingEmployers = [];
+    const pendingGroupKeys = [];
+    let writeQueue = Promise.resolve();
 
+    // Записывает накопленные строки и отмечает их поиски обработанными. Записи идут строго по очереди.
+    const flushPositionReports = () => {
+        const rows = pendingRows.splice(0);
+        const benchmarks = pendingBenchmarks.splice(0);
+        const employers = pendingEmployers.splice(0);
+        const groupKeys = pendingGroupKeys.splice(0);
+        if (rows.length === 0) return writeQueue;
+        writeQueue = writeQueue.then(async () => {
             try {
-                const response = await makeRequestWithRetries(axiosConfig);
-                const competitors_count = response.data.found;
-                console.log(` -> Найдено конкурентов: ${competitors_count}`);
-
-                const positionMap = new Map(response.data.items.map((item, index) => [parseInt(item.id), index + 1]));
-
-                for (const vacancy of vacancyGroup) {
-                    let position;
-                    if (positionMap.has(vacancy.hh_vacancy_id)) {
-                        position = positionMap.get(vacancy.hh_vacancy_id);
-                    } else {
-                        position = response.data.pages > 0 ? 100 : 'Не найдено';
-                    }
-                    
-                    console.log(`  - Вакансия ${vacancy.hh_vacancy_id}: Позиция ${position}`);
-                    
-                    allPositionReports.push({
-                        report_id: currentReportId, vacancy_id: vacancy.id,
-                        position: position, competitors_count: competitors_count,
-                    });
-                }
-            } catch (searchError) {
-                console.error(` -> !!! Ошибка поиска для группы "${representative.normalized_title}". Пропускаем группу.`);
-                for (const vacancy of vacancyGroup) {
-                    allPositionReports.push({
-                        report_id: currentReportId, vacancy_id: vacancy.id,
-                        position: 'Ошибка', competitors_count: 0,
-                        error_message: `Не удалось получить данные для группы после всех попыток.`
-                    });
-                }
+                await storage.salaryBenchmarks.insertMany(benchmarks);
+                await storage.groupCompetitors.insertMany(employers);
+                await storage.positionReports.insertMany(rows);
+            } catch (insertError) {
+                throw new Error(`Ошибка сохранения отчетов о позициях: ${insertError.message}`);
             }
-            
-            if (groupIndex < groupedVacancies.size) await sleep(500); 
-        }
-        
-        processedCount = allPositionReports.length;
-        console.log(`\nОбработка всех групп завершена. Сохранение ${processedCount} отчетов в базу...`);
-        
-        if (allPositionReports.length > 0) {
-            const { error: insertError } = await supabase.from('position_reports').insert(allPositionReports);
-            if (insertError) throw new Error(`Ошибка массового сохранения отчетов о позициях: ${insertError.message}`);
-        }
+            // Счетчик отчета считает вакансии, поэтому замеры по вариантам в него не входят
+            processedCount += rows.filter(isBaseQuery).length;
+            await storage.reports.update(currentReportId, { processed_vacancies: processedCount });
+            await run.markDone('track', groupKeys, { processedCount });
+            logger.info(`Сохранено ${processedCount} отчетов о позициях.`);
+        });
+        return writeQueue;
+    };
+
+    try {
+        // Поиски обрабатываются параллельно; частоту запросов к hh.ru ограничивает общий клиент
+        const tasks = searchTasks.filter(task => !run.isDone('track', task.key));
+        await mapWithConcurrency(tasks, hhClient.concurrency, async (task, index) => {
+            const groupLabel = `[Поиск ${index + 1}/${tasks.length}]`;
+            const { rows, benchmark, employers } = task.variant
+                ? await trackVariant(task, currentReportId, groupLabel)
+                : await trackGroup(task.vacancies, currentReportId, groupLabel, rates);
+            pendingRows.push(...rows);
+            pendingEmployers.push(...employers);
+            if (benchmark) pendingBenchmarks.push(benchmark);
+            pendingGroupKeys.push(task.key);
+            if (pendingRows.length >= POSITION_REPORTS_CHUNK_SIZE) {
+                await flushPositionReports();
+            }
+        });
+        await flushPositionReports();
 
-        await supabase
-            .from('reports')
-            .update({ status: 'completed', processed_vacancies: processedCount, completed_at: new Date().toISOString() })
-            .eq('id', currentReportId);
+        logger.info(`\nОбработка всех поисков завершена. Всего сохранено ${processedCount} отчетов о позициях.`);
+        await saveCompetitorSnapshot(storage, currentReportId);
+
+        await storage.reports.update(currentReportId, { status: 'completed', processed_vacancies: processedCount, completed_at: new Date().toISOString() });
         
-        console.log('Отчет успешно завершен!');
+        logger.info('Отчет успешно завершен!');
 
     } catch (error) {
-        console.error('\n!!! Произошла критическая ошибка во время обработки. Отмечаем отчет как "failed"...');
-        console.error('Текст ошибки:', error.message);
-        await supabase
-            .from('reports')
-            .update({ status: 'failed', processed_vacancies: processedCount, error_message: error.message, completed_at: new Date().toISOString() })
-            .eq('id', currentReportId);
+        // В запуске с контрольными точками отчет остается pending: следующий запуск допишет его
+        if (run.id) {
+            logger.error(`\n!!! Произошла критическая ошибка во время обработки. Отчет ${currentReportId} будет продолжен при следующем запуске.`, error);
+            throw error;
+        }
+        logger.error('\n!!! Произошла критическая ошибка во время обработки. Отмечаем отчет как "failed"...', error);
+        await storage.reports.update(currentReportId, { status: 'failed', processed_vacancies: processedCount, error_message: error.message, completed_at: new Date().toISOString() });
         throw error;
     }
 }
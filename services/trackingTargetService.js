@@ -0,0 +1,159 @@
+const { logger } = require('./logger');
+const { EXPERIENCE_TITLES } = require('./queryVariantService');
+
+// Значения фильтра графика hh.ru (параметр schedule)
+const SCHEDULE_TITLES = {
+    fullDay: 'полный день',
+    shift: 'сменный график',
+    flexible: 'гибкий график',
+    remote: 'удаленная работа',
+    flyInFlyOut: 'вахта',
+};
+const EMPLOYER_ID_PATTERN = /^\d+$/;
+
+/**
+ * Цель отслеживания для компании из профилей. Ее вакансии синхронизируются без source_target_id,
+ * как до появления tracking_targets.
+ * @param {string} companyId - ID компании на hh.ru.
+ * @returns {object}
+ */
+function profileCompanyTarget(companyId) {
+    return { id: null, kind: 'employer', company_hh_id: String(companyId), label: `компания ${companyId}` };
+}
+
+/**
+ * Ключ цели в контрольных точках этапа sync. У компаний из профилей это их ID, как и раньше.
+ * @param {object} target - Цель отслеживания.
+ * @returns {string}
+ */
+function targetKey(target) {
+    return target.id ? `target:${target.id}` : String(target.company_hh_id);
+}
+
+/**
+ * Параметры поиска hh.ru для цели-поиска.
+ * @param {object} target - Строка tracking_targets с kind = 'search'.
+ * @returns {object}
+ */
+function buildTargetSearchParams(target) {
+    const params = { text: target.search_text };
+    if (target.area_id != null) params.area = target.area_id;
+    if (target.schedule_id) params.schedule = target.schedule_id;
+    if (target.experience) params.experience = target.experience;
+    if (target.salary != null) {
+        params.salary = target.salary;
+        params.only_with_salary = true;
+    }
+    return params;
+}
+
+/**
+ * Описывает цель: «работодатель 5001» или «поиск "Токарь", регион 1, полный день».
+ * @param {object} target - Строка tracking_targets или параметры новой цели.
+ * @returns {string}
+ */
+function describeTrackingTarget(target) {
+    if (target.kind === 'employer') return `работодатель ${target.company_hh_id}`;
+    const parts = [`поиск "${target.search_text}"`];
+    if (target.area_id != null) parts.push(`регион ${target.area_id}`);
+    if (target.schedule_id) parts.push(SCHEDULE_TITLES[target.schedule_id] || target.schedule_id);
+    if (target.experience) parts.push(EXPERIENCE_TITLES[target.experience] || target.experience);
+    if (target.salary != null) parts.push(`от ${target.salary} ₽`);
+    return parts.join(', ');
+}
+
+/**
+ * Разбирает положительное целое число из параметра командной строки.
+ * @param {string|undefined} value - Значение параметра.
+ * @param {string} name - Название параметра для текста ошибки.
+ * @returns {number|null}
+ */
+function parsePositiveInteger(value, name) {
+    if (value === undefined) return null;
+    const number = Number(value);
+    if (!(Number.isInteger(number) && number > 0)) {
+        throw new Error(`${name} должен быть положительным целым числом: ${value}`);
+    }
+    return number;
+}
+
+/**
+ * Добавляет цель отслеживания (команда target-add): работодателя, если цель — числовой ID на hh.ru,
+ * иначе поиск с этим текстом и фильтрами --area, --schedule, --experience, --salary.
+ * @param {object} storage - Хранилище данных.
+ * @param {object} options - Параметры запуска: target, area, schedule, experience, salary, label.
+ * @returns {Promise<string>} - ID цели.
+ */
+async function createTrackingTarget(storage, options) {
+    const target = options.target.trim();
+    if (!target) throw new Error('Укажите ID работодателя или текст поиска');
+    const hasFilters = [options.area, options.schedule, options.experience, options.salary].some(value => value !== undefined);
+
+    let fields;
+    if (EMPLOYER_ID_PATTERN.test(target)) {
+        if (hasFilters) throw new Error('Фильтры --area, --schedule, --experience и --salary задаются только для поиска');
+        fields = { kind: 'employer', company_hh_id: target };
+    } else {
+        if (options.schedule && !SCHEDULE_TITLES[options.schedule]) {
+            throw new Error(`Неизвестный график: ${options.schedule}. Допустимые: ${Object.keys(SCHEDULE_TITLES).join(', ')}`);
+        }
+        if (options.experience && !EXPERIENCE_TITLES[options.experience]) {
+            throw new Error(`Неизвестный опыт: ${options.experience}. Допустимые: ${Object.keys(EXPERIENCE_TITLES).join(', ')}`);
+        }
+        fields = {
+            kind: 'search',
+            search_text: target,
+            area_id: parsePositiveInteger(options.area, 'Регион'),
+            schedule_id: options.schedule || null,
+            experience: options.experience || null,
+            salary: parsePositiveInteger(options.salary, 'Зарплата'),
+        };
+    }
+    fields.label = options.label || describeTrackingTarget(fields);
+
+    const { id } = await storage.trackingTargets.create(fields);
+    logger.info(`Добавлена цель отслеживания ${id}: ${fields.label}. Вакансии появятся после следующей синхронизации.`);
+    return id;
+}
+
+/**
+ * Отключает цель отслеживания (команда target-disable). Ее активные вакансии закроет этап archive.
+ * @param {object} storage - Хранилище данных.
+ * @param {object} options - Параметры запуска: targetId.
+ */
+async function disableTrackingTarget(storage, { targetId }) {
+    const [target] = await storage.trackingTargets.listByIds([targetId]);
+    if (!target) throw new Error(`Цель отслеживания ${targetId} не найдена`);
+    await storage.trackingTargets.update(targetId, { enabled: false });
+    logger.info(`Цель отслеживания ${targetId} "${target.label}" отключена.`);
+}
+
+/**
+ * Выводит цели отслеживания с числом их активных вакансий (команда targets).
+ * @param {object} storage - Хранилище данных.
+ */
+async function printTrackingTargets(storage) {
+    logger.info('\n--- ЦЕЛИ ОТСЛЕЖИВАНИЯ ---');
+    const targets = await storage.trackingTargets.listAll();
+    if (targets.length === 0) {
+        logger.info('Целей, кроме компаний из профилей, нет.');
+        return;
+    }
+    for (const target of targets) {
+        const activeCount = (await storage.vacancies.listByTarget(target.id)).filter(v => v.status === 'active').length;
+        const description = describeTrackingTarget(target);
+        const title = target.label === description ? description : `${target.label} (${description})`;
+        logger.info(`  ${target.id} ${title}: активных вакансий ${activeCount}${target.enabled === false ? ' [отключена]' : ''}`);
+    }
+}
+
+module.exports = {
+    SCHEDULE_TITLES,
+    profileCompanyTarget,
+    targetKey,
+    buildTargetSearchParams,
+    describeTrackingTarget,
+    createTrackingTarget,
+    disableTrackingTarget,
+    printTrackingTargets
+};
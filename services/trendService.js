@@ -0,0 +1,206 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+const { toCsv } = require('./csv');
+const { POSITION_FOUND, POSITION_ERROR, readPosition } = require('./positionModel');
+const { queryVariantLabel, loadQueryVariantsForRows } = require('./queryVariantService');
+const { listFollowedCompanyIds } = require('./organisationService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SHORT_WINDOW_DAYS = 7;
+const LONG_WINDOW_DAYS = 30;
+// Часовой пояс, в котором считается время суток замера
+const REPORT_TIME_ZONE = process.env.REPORT_TIME_ZONE || 'Europe/Moscow';
+const EXPORT_OUTPUT_DIR = process.env.EXPORT_OUTPUT_DIR || path.join(__dirname, '..', 'exports');
+
+const SERIES_COLUMNS = [
+    'measured_at', 'report_id', 'vacancy_id', 'hh_vacancy_id', 'raw_title', 'normalized_title',
+    'query_variant_id', 'query_variant_label', 'position_rank', 'position_status', 'searched_depth', 'search_exhausted', 'competitors_count',
+];
+const TREND_COLUMNS = [
+    'vacancy_id', 'hh_vacancy_id', 'raw_title', 'normalized_title', 'query_variant_id', 'query_variant_label', 'measurements', 'found_share',
+    'avg_position_7d', 'avg_position_30d', 'volatility_30d', 'best_hour',
+];
+
+const hourFormat = new Intl.DateTimeFormat('ru-RU', { hour: 'numeric', hourCycle: 'h23', timeZone: REPORT_TIME_ZONE });
+
+/**
+ * Час суток замера в часовом поясе REPORT_TIME_ZONE.
+ * @param {string} isoDate
+ * @returns {number}
+ */
+function hourOfDay(isoDate) {
+    return parseInt(hourFormat.format(new Date(isoDate)));
+}
+
+/**
+ * Округляет до одного знака после запятой; null остается null.
+ * @param {number|null} value
+ * @returns {number|null}
+ */
+function round1(value) {
+    return value === null ? null : Math.round(value * 10) / 10;
+}
+
+/**
+ * Среднее значение.
+ * @param {Array<number>} values
+ * @returns {number|null} - null для пустого массива.
+ */
+function average(values) {
+    return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+}
+
+/**
+ * Стандартное отклонение позиции: насколько позиция вакансии «скачет» от замера к замеру.
+ * @param {Array<number>} values
+ * @returns {number|null} - null, если замеров меньше двух.
+ */
+function standardDeviation(values) {
+    if (values.length < 2) return null;
+    const mean = average(values);
+    return Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length);
+}
+
+/**
+ * Загружает временной ряд позиций вакансий компании по завершенным отчетам за период:
+ * замеры по основному запросу и по вариантам запроса (query_variant_id null — основной запрос).
+ * @param {object} storage - Хранилище данных.
+ * @param {string} companyId - ID компании на hh.ru.
+ * @param {object} [options]
+ * @param {number} [options.days] - Длина периода в днях.
+ * @param {Date} [options.now] - Конец периода.
+ * @returns {Promise<Array<object>>} - Замеры (колонки SERIES_COLUMNS) по времени, затем по названию вакансии.
+ */
+async function loadPositionSeries(storage, companyId, { days = LONG_WINDOW_DAYS, now = new Date() } = {}) {
+    const vacancies = await storage.vacancies.listByCompany(companyId);
+    const vacanciesById = new Map(vacancies.map(v => [v.id, v]));
+    const reports = await storage.reports.listCompletedBetween(
+        new Date(now.getTime() - days * DAY_MS).toISOString(), now.toISOString(), { companyId });
+    const reportsById = new Map(reports.map(r => [r.id, r]));
+    const rows = await storage.positionReports.listByReports(reports.map(r => r.id), vacancies.map(v => v.id));
+    const variantsById = await loadQueryVariantsForRows(storage, rows);
+
+    return rows
+        .map(row => {
+            const vacancy = vacanciesById.get(row.vacancy_id);
+            return {
+                measured_at: reportsById.get(row.report_id).created_at,
+                report_id: row.report_id,
+                vacancy_id: row.vacancy_id,
+                hh_vacancy_id: vacancy.hh_vacancy_id,
+                raw_title: vacancy.raw_title,
+                normalized_title: vacancy.normalized_title,
+                query_variant_id: row.query_variant_id || null,
+                query_variant_label: queryVariantLabel(row, variantsById),
+                ...readPosition(row),
+                competitors_count: row.competitors_count,
+            };
+        })
+        .sort((a, b) => a.measured_at.localeCompare(b.measured_at) || a.raw_title.localeCompare(b.raw_title));
+}
+
+/**
+ * Считает тренд позиции одной вакансии по ее замерам. Средние и волатильность считаются
+ * только по замерам, в которых вакансия найдена; ошибочные замеры не учитываются вовсе.
+ * @param {Array<object>} points - Замеры вакансии (см. loadPositionSeries).
+ * @param {Date} now - Момент, от которого отсчитываются окна 7 и 30 дней.
+ * @returns {object} - measurements, found_share, avg_position_7d, avg_position_30d, volatility_30d,
+ *   best_hour (час с лучшей средней позицией) и hourly: [{ hour, avg_position, measurements }].
+ */
+function computeVacancyTrend(points, now) {
+    const measured = points.filter(p => p.position_status !== POSITION_ERROR);
+    const found = measured.filter(p => p.position_status === POSITION_FOUND);
+    const ranksWithin = days => found
+        .filter(p => now - new Date(p.measured_at) <= days * DAY_MS)
+        .map(p => p.position_rank);
+    const longWindowRanks = ranksWithin(LONG_WINDOW_DAYS);
+
+    const ranksByHour = new Map();
+    for (const point of found) {
+        const hour = hourOfDay(point.measured_at);
+        if (!ranksByHour.has(hour)) ranksByHour.set(hour, []);
+        ranksByHour.get(hour).push(point.position_rank);
+    }
+    const hourly = [...ranksByHour]
+        .map(([hour, ranks]) => ({ hour, avg_position: round1(average(ranks)), measurements: ranks.length }))
+        .sort((a, b) => a.hour - b.hour);
+    const best = hourly.reduce((acc, h) => (acc === null || h.avg_position < acc.avg_position ? h : acc), null);
+
+    return {
+        measurements: measured.length,
+        found_share: measured.length > 0 ? Math.round(found.length / measured.length * 100) / 100 : null,
+        avg_position_7d: round1(average(ranksWithin(SHORT_WINDOW_DAYS))),
+        avg_position_30d: round1(average(longWindowRanks)),
+        volatility_30d: round1(standardDeviation(longWindowRanks)),
+        best_hour: best ? best.hour : null,
+        hourly,
+    };
+}
+
+/**
+ * Считает тренды позиций всех вакансий компании за последние 30 дней, отдельно по основному запросу
+ * и по каждому варианту запроса.
+ * @param {object} storage - Хранилище данных.
+ * @param {string} companyId - ID компании на hh.ru.
+ * @param {object} [options]
+ * @param {Date} [options.now] - Конец периода.
+ * @returns {Promise<Array<object>>} - По строке на пару вакансии и запроса (колонки TREND_COLUMNS и hourly),
+ *   от лучшей средней позиции за 7 дней к худшей.
+ */
+async function computeCompanyTrends(storage, companyId, { now = new Date() } = {}) {
+    const series = await loadPositionSeries(storage, companyId, { days: LONG_WINDOW_DAYS, now });
+    const pointsByVacancy = new Map();
+    for (const point of series) {
+        const key = `${point.vacancy_id}_${point.query_variant_id || ''}`;
+        if (!pointsByVacancy.has(key)) pointsByVacancy.set(key, []);
+        pointsByVacancy.get(key).push(point);
+    }
+
+    const byAverage = value => (value === null ? Infinity : value);
+    return [...pointsByVacancy.values()]
+        .map(points => ({
+            vacancy_id: points[0].vacancy_id,
+            hh_vacancy_id: points[0].hh_vacancy_id,
+            raw_title: points[0].raw_title,
+            normalized_title: points[0].normalized_title,
+            query_variant_id: points[0].query_variant_id,
+            query_variant_label: points[0].query_variant_label,
+            ...computeVacancyTrend(points, now),
+        }))
+        .sort((a, b) => byAverage(a.avg_position_7d) - byAverage(b.avg_position_7d) || a.raw_title.localeCompare(b.raw_title));
+}
+
+/**
+ * Выгружает временные ряды позиций и тренды в файлы (CSV и JSON) для одной компании (options.companyId)
+ * или для всех компаний из профилей и организаций. Файлы пишутся в EXPORT_OUTPUT_DIR.
+ * @param {object} storage - Хранилище данных.
+ * @param {object} [options] - Параметры запуска (companyId).
+ */
+async function exportPositionTrends(storage, options = {}) {
+    logger.info('\n--- ВЫГРУЗКА ПОЗИЦИЙ И ТРЕНДОВ ---');
+    const companyIds = options.companyId ? [options.companyId] : await listFollowedCompanyIds(storage);
+    fs.mkdirSync(EXPORT_OUTPUT_DIR, { recursive: true });
+    const date = new Date().toISOString().slice(0, 10);
+
+    for (const companyId of companyIds) {
+        const series = await loadPositionSeries(storage, companyId);
+        const trends = await computeCompanyTrends(storage, companyId);
+        const baseName = path.join(EXPORT_OUTPUT_DIR, `${companyId}-${date}`);
+
+        fs.writeFileSync(`${baseName}-positions.csv`, toCsv(series, SERIES_COLUMNS));
+        fs.writeFileSync(`${baseName}-positions.json`, JSON.stringify(series, null, 2));
+        fs.writeFileSync(`${baseName}-trends.csv`, toCsv(trends, TREND_COLUMNS));
+        fs.writeFileSync(`${baseName}-trends.json`, JSON.stringify(trends, null, 2));
+        logger.info(`Компания ${companyId}: замеров ${series.length}, вакансий ${trends.length}. Файлы: ${baseName}-*.csv, *.json`);
+    }
+}
+
+module.exports = {
+    SERIES_COLUMNS,
+    TREND_COLUMNS,
+    loadPositionSeries,
+    computeVacancyTrend,
+    computeCompanyTrends,
+    exportPositionTrends
+};
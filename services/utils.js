@@ -1,47 +1,124 @@
-const axios = require('axios');
-
 /**
  * Функция-пауза.
  * @param {number} ms - Время в миллисекундах.
  */
-function sleep(ms) { 
-    return new Promise(resolve => setTimeout(resolve, ms)); 
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Обрабатывает элементы массива параллельно, но не более limit одновременно.
+ * Порядок результатов совпадает с порядком элементов.
+ * @param {Array} items - Элементы для обработки.
+ * @param {number} limit - Максимум одновременно обрабатываемых элементов.
+ * @param {Function} fn - Асинхронная функция (item, index) => результат.
+ * @returns {Promise<Array>} - Результаты обработки.
+ */
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+    const worker = async () => {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
+/**
+ * Экранирует текст для вставки в HTML (в том числе в сообщения Telegram с parse_mode HTML).
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Превращает HTML сообщения в простой текст: убирает теги и раскрывает экранирование escapeHtml.
+ * @param {string} html
+ * @returns {string}
+ */
+function stripHtml(html) {
+    return String(html)
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<[^>]*>/g, '')
+        .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&amp;/g, '&');
 }
 
+// Теги, HTML-сущности и отдельные символы: сообщение режется только между ними
+const HTML_TOKEN = /<[^>]*>|&#?[a-z0-9]+;|[^<&]|[<&]/gi;
+
 /**
- * Выполняет axios-запрос с несколькими попытками в случае сбоя.
- * @param {object} axiosConfig - Конфигурация для запроса axios.
- * @param {number} retries - Количество попыток.
- * @param {number} baseDelay - Начальная задержка перед повтором.
- * @returns {Promise<object>} - Ответ от сервера.
+ * Режет строку длиннее maxLength так, чтобы не разорвать тег или сущность. Элементы, открытые
+ * в месте разреза, закрываются в конце части и открываются заново в начале следующей.
+ * @param {string} line
+ * @param {number} maxLength
+ * @returns {Array<string>}
  */
-async function makeRequestWithRetries(axiosConfig, retries = 5, baseDelay = 2000) {
-    for (let attempt = 1; attempt <= retries; attempt++) {
-        try {
-            const response = await axios(axiosConfig);
-            return response;
-        } catch (error) {
-            const isRetryable = error.response && [403, 429, 500, 502, 503, 504].includes(error.response.status);
-            if (isRetryable && attempt < retries) {
-                const delay = baseDelay * (2 ** (attempt - 1));
-                console.warn(` -> Попытка ${attempt} не удалась (${error.response.status}). Повтор через ${delay / 1000} сек...`);
-                await sleep(delay);
-            } else {
-                console.error(` -> Финальная ошибка после ${attempt} попыток для URL: ${axiosConfig.url}`);
-                if (error.response) {
-                    console.error(` -> Статус ответа: ${error.response.status}`);
-                    console.error(` -> Тело ответа:`, error.response.data);
-                } else {
-                    console.error(` -> Ошибка без ответа от сервера: ${error.message}`);
-                }
-                throw error;
-            }
+function splitLongLine(line, maxLength) {
+    const parts = [];
+    const openTags = [];
+    const closingTags = () => openTags.map(tag => `</${tag.name}>`).reverse().join('');
+    let prefix = '';
+    let current = '';
+    for (const token of line.match(HTML_TOKEN) || []) {
+        if (current.length > prefix.length && current.length + token.length + closingTags().length > maxLength) {
+            parts.push(current + closingTags());
+            prefix = openTags.map(tag => tag.html).join('');
+            current = prefix;
+        }
+        current += token;
+        const tag = token.match(/^<(\/?)([a-z]+)/i);
+        if (tag && tag[1]) openTags.pop();
+        else if (tag) openTags.push({ name: tag[2], html: token });
+    }
+    if (current.length > prefix.length) parts.push(current);
+    return parts;
+}
+
+/**
+ * Делит длинное сообщение на части не длиннее maxLength. Текст режется по пустым строкам
+ * (границам записей списка), а блок, который не помещается целиком, — по строкам; теги
+ * не разрываются, поэтому каждая часть остается корректным HTML для Telegram.
+ * @param {string} text - Текст сообщения.
+ * @param {number|null} maxLength - Максимальная длина части; null — без ограничения.
+ * @returns {Array<string>}
+ */
+function splitMessage(text, maxLength) {
+    if (!maxLength || text.length <= maxLength) return [text];
+
+    const pieces = [];
+    for (const block of text.split(/(?<=\n\n)/)) {
+        if (block.length <= maxLength) {
+            pieces.push(block);
+            continue;
+        }
+        for (const line of block.split(/(?<=\n)/)) {
+            if (line.length <= maxLength) pieces.push(line);
+            else pieces.push(...splitLongLine(line, maxLength));
+        }
+    }
+
+    const parts = [];
+    let current = '';
+    for (const piece of pieces) {
+        if (current.length + piece.length > maxLength) {
+            parts.push(current.trimEnd());
+            current = '';
         }
+        current += piece;
     }
+    if (current.trim()) parts.push(current.trimEnd());
+    return parts;
 }
 
-// Убедитесь, что обе функции экспортируются
 module.exports = {
     sleep,
-    makeRequestWithRetries
-};
\ No newline at end of file
+    mapWithConcurrency,
+    escapeHtml,
+    stripHtml,
+    splitMessage
+};
@@ -0,0 +1,45 @@
+const { logger } = require('../services/logger');
+
+// Методы чтения выполняются как обычно, все остальные считаются записью
+const READ_METHOD = /^(list|find|get|count)/;
+
+/**
+ * Описывает аргументы метода записи для лога, не выводя целиком большие массивы.
+ * @param {Array} args - Аргументы вызова.
+ * @returns {string}
+ */
+function describeArgs(args) {
+    return args
+        .map(arg => (Array.isArray(arg) ? `[${arg.length} записей]` : JSON.stringify(arg)))
+        .join(', ');
+}
+
+/**
+ * Оборачивает хранилище так, что чтение проходит насквозь, а запись только логируется.
+ * @param {object} storage - Исходное хранилище.
+ * @returns {object} - Хранилище для пробного запуска (--dry-run).
+ */
+function createDryRunStorage(storage) {
+    const wrapped = {};
+    for (const [repositoryName, repository] of Object.entries(storage)) {
+        wrapped[repositoryName] = {};
+        for (const [methodName, method] of Object.entries(repository)) {
+            if (READ_METHOD.test(methodName)) {
+                wrapped[repositoryName][methodName] = method.bind(repository);
+                continue;
+            }
+            wrapped[repositoryName][methodName] = async (...args) => {
+                logger.info(`[DRY RUN] ${repositoryName}.${methodName}(${describeArgs(args)})`);
+                // create() должен вернуть строку с id, чтобы код дальше мог на нее ссылаться
+                if (methodName === 'create') return { id: 'dry-run' };
+                return undefined;
+            };
+        }
+    }
+    return wrapped;
+}
+
+module.exports = {
+    READ_METHOD,
+    createDryRunStorage
+};
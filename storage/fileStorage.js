@@ -0,0 +1,492 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const TABLES = [
+    'vacancies', 'profiles', 'reports', 'position_reports', 'salary_benchmarks',
+    'group_competitors', 'competitor_snapshots', 'vacancy_changes', 'pipeline_runs', 'title_mappings',
+    'notification_outbox', 'telegram_link_codes', 'api_keys', 'query_variants', 'tracking_targets',
+    'organisations', 'organisation_employers', 'organisation_members',
+];
+
+/**
+ * Сравнивает идентификаторы hh.ru, которые в JSON могут храниться и числом, и строкой.
+ */
+function sameId(a, b) {
+    return a != null && b != null && String(a) === String(b);
+}
+
+/**
+ * Покрывает ли отчет компанию: полный отчет (company_hh_id null) покрывает все компании,
+ * отчет по одной компании — только ее. Без компании подходят только полные отчеты.
+ */
+function coversCompany(report, companyId) {
+    return report.company_hh_id == null || (companyId != null && sameId(report.company_hh_id, companyId));
+}
+
+/**
+ * Загружает базу из JSON-файла. Если файла нет, создает пустую базу.
+ * @param {string} filePath - Путь к JSON-файлу.
+ * @returns {object} - Объект вида { имя_таблицы: [строки] }.
+ */
+function loadDatabase(filePath) {
+    const db = fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : {};
+    for (const table of TABLES) {
+        if (!Array.isArray(db[table])) db[table] = [];
+    }
+    return db;
+}
+
+/**
+ * Атомарно сохраняет базу на диск (через временный файл).
+ * @param {string} filePath - Путь к JSON-файлу.
+ * @param {object} db - Содержимое базы.
+ */
+function saveDatabase(filePath, db) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(db, null, 2));
+    fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Создает локальное файловое хранилище с тем же интерфейсом, что и Supabase-хранилище.
+ * Все таблицы держатся в памяти и сбрасываются в один JSON-файл после каждой записи.
+ * @param {string} filePath - Путь к JSON-файлу базы.
+ * @returns {object} - Репозитории таблиц (см. storage/index.js).
+ */
+function createFileStorage(filePath) {
+    const db = loadDatabase(filePath);
+    const persist = () => saveDatabase(filePath, db);
+
+    // Наружу отдаются копии строк, чтобы изменения вызывающего кода не попадали в базу мимо persist()
+    const selectRows = (table, predicate) => db[table].filter(predicate).map(row => structuredClone(row));
+
+    const insertRows = (table, rows) => {
+        const now = new Date().toISOString();
+        const inserted = rows.map(row => ({ id: crypto.randomUUID(), created_at: now, ...row }));
+        db[table].push(...inserted);
+        persist();
+        return inserted;
+    };
+
+    const updateRows = (table, predicate, patch) => {
+        for (const row of db[table]) {
+            if (predicate(row)) Object.assign(row, patch);
+        }
+        persist();
+    };
+
+    const deleteRows = (table, predicate) => {
+        db[table] = db[table].filter(row => !predicate(row));
+        persist();
+    };
+
+    const vacancies = {
+        async listByCompany(companyId) {
+            return selectRows('vacancies', v => sameId(v.company_hh_id, companyId));
+        },
+
+        async listPageByCompany(companyId, { status, normalizedTitle, offset = 0, limit = null } = {}) {
+            const rows = selectRows('vacancies', v => sameId(v.company_hh_id, companyId)
+                && (!status || v.status === status)
+                && (!normalizedTitle || (v.normalized_title || '').toLowerCase() === normalizedTitle.toLowerCase()))
+                .sort((a, b) => (a.raw_title || '').localeCompare(b.raw_title || ''));
+            return { rows: rows.slice(offset, limit === null ? undefined : offset + limit), total: rows.length };
+        },
+
+        async listByTarget(targetId) {
+            return selectRows('vacancies', v => v.source_target_id === targetId);
+        },
+
+        async listPendingNormalization({ companyId, includeFailed = false } = {}) {
+            return selectRows('vacancies', v => v.status === 'active' && v.normalized_title == null
+                && (includeFailed || !v.normalization_failed)
+                && (!companyId || sameId(v.company_hh_id, companyId)));
+        },
+
+        async listTrackable({ companyId } = {}) {
+            return selectRows('vacancies', v => v.status === 'active' && v.normalized_title != null && v.company_hh_id != null
+                && (!companyId || sameId(v.company_hh_id, companyId)));
+        },
+
+        async listByIds(ids) {
+            const idSet = new Set(ids);
+            return selectRows('vacancies', v => idSet.has(v.id));
+        },
+
+        async listActiveCompanyIds() {
+            return [...new Set(db.vacancies.filter(v => v.status === 'active' && v.company_hh_id != null).map(v => v.company_hh_id))];
+        },
+
+        async listActiveTargetIds() {
+            return [...new Set(db.vacancies.filter(v => v.status === 'active' && v.source_target_id != null).map(v => v.source_target_id))];
+        },
+
+        async insertMany(rows) {
+            if (rows.length === 0) return [];
+            return insertRows('vacancies', rows).map(v => ({ id: v.id, hh_vacancy_id: v.hh_vacancy_id }));
+        },
+
+        async update(id, patch) {
+            updateRows('vacancies', v => v.id === id, patch);
+        },
+
+        async updateMany(ids, patch) {
+            const idSet = new Set(ids);
+            updateRows('vacancies', v => idSet.has(v.id), patch);
+        },
+
+        async updateByRawTitle(rawTitle, patch) {
+            updateRows('vacancies', v => v.raw_title === rawTitle, patch);
+        },
+    };
+
+    const profiles = {
+        async listCompanyIds() {
+            return [...new Set(db.profiles.map(p => p.company_hh_id).filter(id => id))];
+        },
+
+        async listSubscribers(companyId) {
+            return selectRows('profiles', p => sameId(p.company_hh_id, companyId)
+                && (p.telegram_chat_id != null || p.email != null || p.webhook_url != null));
+        },
+
+        async listSubscribersByIds(ids) {
+            const idSet = new Set(ids);
+            return selectRows('profiles', p => idSet.has(p.id)
+                && (p.telegram_chat_id != null || p.email != null || p.webhook_url != null));
+        },
+
+        async findById(id) {
+            return selectRows('profiles', p => p.id === id)[0] || null;
+        },
+
+        async findByTelegramChatId(chatId) {
+            return selectRows('profiles', p => sameId(p.telegram_chat_id, chatId))[0] || null;
+        },
+
+        async update(id, patch) {
+            updateRows('profiles', p => p.id === id, patch);
+        },
+    };
+
+    const reports = {
+        async findById(id) {
+            return selectRows('reports', r => r.id === id)[0] || null;
+        },
+
+        async listByIds(ids) {
+            const idSet = new Set(ids);
+            return selectRows('reports', r => idSet.has(r.id));
+        },
+
+        async listPending() {
+            const pending = selectRows('reports', r => r.status === 'pending');
+            return pending.sort((a, b) => a.created_at.localeCompare(b.created_at));
+        },
+
+        async listCompletedBetween(from, to, { companyId } = {}) {
+            const completed = selectRows('reports', r => r.status === 'completed' && r.created_at >= from && r.created_at < to
+                && coversCompany(r, companyId));
+            return completed.sort((a, b) => a.created_at.localeCompare(b.created_at));
+        },
+
+        async findLatestCompleted({ before, companyId } = {}) {
+            const completed = selectRows('reports', r => r.status === 'completed' && (!before || r.created_at < before)
+                && coversCompany(r, companyId));
+            completed.sort((a, b) => b.created_at.localeCompare(a.created_at));
+            return completed[0] || null;
+        },
+
+        async create(fields) {
+            const [report] = insertRows('reports', [fields]);
+            return { id: report.id };
+        },
+
+        async update(id, patch) {
+            updateRows('reports', r => r.id === id, patch);
+        },
+    };
+
+    const positionReports = {
+        async listByReport(reportId) {
+            return selectRows('position_reports', pr => pr.report_id === reportId);
+        },
+
+        async listByReports(reportIds, vacancyIds) {
+            const reportSet = new Set(reportIds);
+            const vacancySet = new Set(vacancyIds);
+            return selectRows('position_reports', pr => reportSet.has(pr.report_id) && vacancySet.has(pr.vacancy_id));
+        },
+
+        async listByVacancy(vacancyId) {
+            return selectRows('position_reports', pr => pr.vacancy_id === vacancyId);
+        },
+
+        async insertMany(rows) {
+            if (rows.length === 0) return;
+            insertRows('position_reports', rows);
+        },
+    };
+
+    const vacancyChanges = {
+        async listByVacancies(vacancyIds, { field, since } = {}) {
+            const vacancySet = new Set(vacancyIds);
+            return selectRows('vacancy_changes', c => vacancySet.has(c.vacancy_id)
+                && (!field || c.field === field)
+                && (!since || c.changed_at >= since));
+        },
+
+        async insertMany(rows) {
+            if (rows.length === 0) return;
+            insertRows('vacancy_changes', rows);
+        },
+    };
+
+    const salaryBenchmarks = {
+        async listByReport(reportId) {
+            return selectRows('salary_benchmarks', b => b.report_id === reportId);
+        },
+
+        async insertMany(rows) {
+            if (rows.length === 0) return;
+            insertRows('salary_benchmarks', rows);
+        },
+    };
+
+    const groupCompetitors = {
+        async listByReport(reportId) {
+            return selectRows('group_competitors', c => c.report_id === reportId);
+        },
+
+        async insertMany(rows) {
+            if (rows.length === 0) return;
+            insertRows('group_competitors', rows);
+        },
+    };
+
+    const competitorSnapshots = {
+        async listByReport(reportId) {
+            return selectRows('competitor_snapshots', c => c.report_id === reportId);
+        },
+
+        async insertMany(rows) {
+            if (rows.length === 0) return;
+            insertRows('competitor_snapshots', rows);
+        },
+    };
+
+    const pipelineRuns = {
+        async listUnfinished() {
+            const unfinished = selectRows('pipeline_runs', r => r.status === 'running' || r.status === 'failed');
+            return unfinished.sort((a, b) => b.started_at.localeCompare(a.started_at));
+        },
+
+        async create(fields) {
+            const [run] = insertRows('pipeline_runs', [fields]);
+            return { id: run.id };
+        },
+
+        async update(id, patch) {
+            updateRows('pipeline_runs', r => r.id === id, patch);
+        },
+    };
+
+    const titleMappings = {
+        async listByRawTitles(rawTitles) {
+            const titleSet = new Set(rawTitles);
+            return selectRows('title_mappings', m => titleSet.has(m.raw_title));
+        },
+
+        async insertMany(rows) {
+            const existing = new Set(db.title_mappings.map(m => m.raw_title));
+            const fresh = rows.filter(row => !existing.has(row.raw_title));
+            if (fresh.length === 0) return;
+            insertRows('title_mappings', fresh);
+        },
+
+        async upsert(row) {
+            if (db.title_mappings.some(m => m.raw_title === row.raw_title)) {
+                updateRows('title_mappings', m => m.raw_title === row.raw_title, row);
+            } else {
+                insertRows('title_mappings', [row]);
+            }
+        },
+    };
+
+    const notificationOutbox = {
+        async listDue(now) {
+            const due = selectRows('notification_outbox', m => m.status === 'pending' && m.next_attempt_at <= now);
+            return due.sort((a, b) => a.created_at.localeCompare(b.created_at)
+                || a.message_id.localeCompare(b.message_id)
+                || a.part_index - b.part_index);
+        },
+
+        async listByDedupKeys(dedupKeys) {
+            const keySet = new Set(dedupKeys);
+            return selectRows('notification_outbox', m => (m.dedup_keys || []).some(key => keySet.has(key)));
+        },
+
+        async insertMany(rows) {
+            if (rows.length === 0) return [];
+            return insertRows('notification_outbox', rows).map(row => structuredClone(row));
+        },
+
+        async update(id, patch) {
+            updateRows('notification_outbox', m => m.id === id, patch);
+        },
+    };
+
+    const telegramLinkCodes = {
+        async findByCode(code) {
+            return selectRows('telegram_link_codes', c => c.code === code)[0] || null;
+        },
+
+        async create(fields) {
+            const [row] = insertRows('telegram_link_codes', [fields]);
+            return { code: row.code };
+        },
+
+        async update(code, patch) {
+            updateRows('telegram_link_codes', c => c.code === code, patch);
+        },
+    };
+
+    const apiKeys = {
+        async findByHash(keyHash) {
+            return selectRows('api_keys', k => k.key_hash === keyHash)[0] || null;
+        },
+
+        async create(fields) {
+            const [key] = insertRows('api_keys', [fields]);
+            return { id: key.id };
+        },
+
+        async update(id, patch) {
+            updateRows('api_keys', k => k.id === id, patch);
+        },
+    };
+
+    const queryVariants = {
+        async listEnabled({ companyId } = {}) {
+            return selectRows('query_variants', q => q.enabled !== false
+                && (!companyId || sameId(q.company_hh_id, companyId)));
+        },
+
+        async listByCompany(companyId) {
+            return selectRows('query_variants', q => sameId(q.company_hh_id, companyId));
+        },
+
+        async listByIds(ids) {
+            const idSet = new Set(ids);
+            return selectRows('query_variants', q => idSet.has(q.id));
+        },
+
+        async create(fields) {
+            const [variant] = insertRows('query_variants', [{ enabled: true, order_by: 'relevance', ...fields }]);
+            return { id: variant.id };
+        },
+
+        async update(id, patch) {
+            updateRows('query_variants', q => q.id === id, patch);
+        },
+    };
+
+    const trackingTargets = {
+        async listEnabled() {
+            return selectRows('tracking_targets', t => t.enabled !== false);
+        },
+
+        async listAll() {
+            return selectRows('tracking_targets', () => true);
+        },
+
+        async listByIds(ids) {
+            const idSet = new Set(ids);
+            return selectRows('tracking_targets', t => idSet.has(t.id));
+        },
+
+        async create(fields) {
+            const [target] = insertRows('tracking_targets', [{ enabled: true, ...fields }]);
+            return { id: target.id };
+        },
+
+        async update(id, patch) {
+            updateRows('tracking_targets', t => t.id === id, patch);
+        },
+    };
+
+    const organisations = {
+        async listAll() {
+            return selectRows('organisations', () => true);
+        },
+
+        async findById(id) {
+            return selectRows('organisations', o => o.id === id)[0] || null;
+        },
+
+        async create(fields) {
+            const [organisation] = insertRows('organisations', [fields]);
+            return { id: organisation.id };
+        },
+    };
+
+    const organisationEmployers = {
+        async listCompanyIds() {
+            return [...new Set(db.organisation_employers.map(e => e.company_hh_id))];
+        },
+
+        async listByCompany(companyId) {
+            return selectRows('organisation_employers', e => sameId(e.company_hh_id, companyId));
+        },
+
+        async listByOrganisations(organisationIds) {
+            const idSet = new Set(organisationIds);
+            return selectRows('organisation_employers', e => idSet.has(e.organisation_id));
+        },
+
+        async create(fields) {
+            const [employer] = insertRows('organisation_employers', [fields]);
+            return { id: employer.id };
+        },
+
+        async remove(id) {
+            deleteRows('organisation_employers', e => e.id === id);
+        },
+    };
+
+    const organisationMembers = {
+        async listByProfile(profileId) {
+            return selectRows('organisation_members', m => m.profile_id === profileId);
+        },
+
+        async listByOrganisations(organisationIds) {
+            const idSet = new Set(organisationIds);
+            return selectRows('organisation_members', m => idSet.has(m.organisation_id));
+        },
+
+        async create(fields) {
+            const [member] = insertRows('organisation_members', [{ role: 'member', area_ids: [], normalized_titles: [], ...fields }]);
+            return { id: member.id };
+        },
+
+        async update(id, patch) {
+            updateRows('organisation_members', m => m.id === id, patch);
+        },
+
+        async remove(id) {
+            deleteRows('organisation_members', m => m.id === id);
+        },
+    };
+
+    return {
+        vacancies, profiles, reports, positionReports, salaryBenchmarks, groupCompetitors, competitorSnapshots,
+        vacancyChanges, pipelineRuns, titleMappings, notificationOutbox, telegramLinkCodes, apiKeys, queryVariants,
+        trackingTargets, organisations, organisationEmployers, organisationMembers,
+    };
+}
+
+module.exports = {
+    createFileStorage
+};
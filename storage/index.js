@@ -0,0 +1,69 @@
+const path = require('path');
+const { createClient } = require('@supabase/supabase-js');
+const { createSupabaseStorage } = require('./supabaseStorage');
+const { createFileStorage } = require('./fileStorage');
+const { createDryRunStorage } = require('./dryRunStorage');
+const { createMeteredStorage } = require('./meteredStorage');
+
+const DEFAULT_LOCAL_PATH = path.join(__dirname, '..', 'data', 'local-db.json');
+
+/**
+ * Создает хранилище данных. Все сервисы работают только через него, а не напрямую с Supabase.
+ *
+ * Интерфейс хранилища:
+ *  - vacancies: listByCompany, listPageByCompany(companyId, { status, normalizedTitle, offset, limit })
+ *               (страница вакансий компании по raw_title и общее число: { rows, total }),
+ *               listByTarget, listPendingNormalization({ companyId, includeFailed }),
+ *               listTrackable({ companyId }) (только вакансии компаний, без вакансий из поисков), listByIds,
+ *               listActiveCompanyIds, listActiveTargetIds, insertMany (возвращает id и hh_vacancy_id), update,
+ *               updateMany, updateByRawTitle
+ *  - profiles: listCompanyIds, listSubscribers (профили компании с адресом хотя бы в одном канале),
+ *              listSubscribersByIds, findById, findByTelegramChatId, update
+ *  - reports: findById, listByIds, findLatestCompleted({ before, companyId }), listPending,
+ *             listCompletedBetween(from, to, { companyId }), create, update
+ *             (с companyId — полные отчеты и отчеты по этой компании, без него — только полные)
+ *  - positionReports: listByReport, listByReports(reportIds, vacancyIds), listByVacancy, insertMany
+ *  - salaryBenchmarks: listByReport, insertMany
+ *  - groupCompetitors: listByReport, insertMany
+ *  - competitorSnapshots: listByReport, insertMany
+ *  - vacancyChanges: listByVacancies(vacancyIds, { field, since }), insertMany
+ *  - pipelineRuns: listUnfinished (запуски в статусе running или failed), create, update
+ *  - titleMappings: listByRawTitles, insertMany (существующие соответствия не перезаписывает), upsert
+ *  - notificationOutbox: listDue(now) (ожидающие отправки, по порядку), listByDedupKeys, insertMany (возвращает строки),
+ *                        update
+ *  - telegramLinkCodes: findByCode, create, update(code, patch)
+ *  - apiKeys: findByHash, create, update
+ *  - queryVariants: listEnabled({ companyId }), listByCompany, listByIds, create, update
+ *  - trackingTargets: listEnabled, listAll, listByIds, create, update
+ *  - organisations: listAll, findById, create
+ *  - organisationEmployers: listCompanyIds, listByCompany, listByOrganisations, create, remove
+ *  - organisationMembers: listByProfile, listByOrganisations, create, update, remove
+ *
+ * Методы асинхронные и выбрасывают ошибку, если запись или чтение не удались.
+ * Методы чтения называются с list/find/get/count — на этом соглашении построены createDryRunStorage
+ * и createMeteredStorage.
+ *
+ * @param {object} [options]
+ * @param {string} [options.backend] - 'supabase' (по умолчанию) или 'local'. По умолчанию берется из STORAGE_BACKEND.
+ * @param {string} [options.localPath] - Путь к JSON-файлу локального хранилища. По умолчанию LOCAL_STORAGE_PATH.
+ * @returns {object} - Хранилище.
+ */
+function createStorage(options = {}) {
+    const backend = options.backend || process.env.STORAGE_BACKEND || 'supabase';
+
+    if (backend === 'supabase') {
+        const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+        return createSupabaseStorage(supabase);
+    }
+    if (backend === 'local') {
+        const localPath = options.localPath || process.env.LOCAL_STORAGE_PATH || DEFAULT_LOCAL_PATH;
+        return createFileStorage(localPath);
+    }
+    throw new Error(`Неизвестный тип хранилища: ${backend}`);
+}
+
+module.exports = {
+    createStorage,
+    createDryRunStorage,
+    createMeteredStorage
+};
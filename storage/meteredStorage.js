@@ -0,0 +1,33 @@
+const { READ_METHOD } = require('./dryRunStorage');
+const { metrics } = require('../services/metrics');
+
+/**
+ * Оборачивает хранилище так, что каждая запись учитывается в метриках запуска:
+ * db_writes — число операций записи, db_rows — число записанных строк (для массива — его длина).
+ * @param {object} storage - Исходное хранилище.
+ * @returns {object} - Хранилище с учетом записи.
+ */
+function createMeteredStorage(storage) {
+    const wrapped = {};
+    for (const [repositoryName, repository] of Object.entries(storage)) {
+        wrapped[repositoryName] = {};
+        for (const [methodName, method] of Object.entries(repository)) {
+            if (READ_METHOD.test(methodName)) {
+                wrapped[repositoryName][methodName] = method.bind(repository);
+                continue;
+            }
+            const key = `${repositoryName}.${methodName}`;
+            wrapped[repositoryName][methodName] = async (...args) => {
+                const result = await method.apply(repository, args);
+                metrics.increment('db_writes', key);
+                metrics.increment('db_rows', key, Array.isArray(args[0]) ? args[0].length : 1);
+                return result;
+            };
+        }
+    }
+    return wrapped;
+}
+
+module.exports = {
+    createMeteredStorage
+};
@@ -0,0 +1,598 @@
+const PAGE_SIZE = 1000; // Стандартный лимит Supabase на один запрос
+const IN_CHUNK_SIZE = 200; // Чтобы длинный фильтр .in() не превысил допустимую длину URL
+
+/**
+ * Разворачивает ответ Supabase: возвращает данные или выбрасывает ошибку.
+ * @param {{data: any, error: object}} response - Ответ клиента Supabase.
+ * @returns {any} - Поле data ответа.
+ */
+function unwrap({ data, error }) {
+    if (error) throw new Error(error.message);
+    return data;
+}
+
+/**
+ * Получает ВСЕ записи из таблицы Supabase, обходя ограничение в 1000 строк.
+ * @param {Function} buildQuery - Функция, возвращающая новый запрос Supabase (e.g., () => supabase.from('...').select('...')).
+ * @returns {Promise<Array>} - Полный массив данных.
+ */
+async function fetchAllPages(buildQuery) {
+    const allData = [];
+    let page = 0;
+
+    while (true) {
+        const data = unwrap(await buildQuery().range(page * PAGE_SIZE, (page + 1) * PAGE_SIZE - 1));
+
+        if (data && data.length > 0) {
+            allData.push(...data);
+        }
+
+        // Если данных вернулось меньше, чем мы запрашивали, это последняя страница
+        if (!data || data.length < PAGE_SIZE) {
+            break;
+        }
+
+        page++;
+    }
+    return allData;
+}
+
+/**
+ * Загружает записи по списку значений, разбивая фильтр .in() на части.
+ * @param {Array} values - Значения для фильтра.
+ * @param {Function} buildQuery - Функция (chunk) => запрос Supabase.
+ * @returns {Promise<Array>}
+ */
+async function fetchInChunks(values, buildQuery) {
+    const allData = [];
+    for (let i = 0; i < values.length; i += IN_CHUNK_SIZE) {
+        const chunk = values.slice(i, i + IN_CHUNK_SIZE);
+        allData.push(...await fetchAllPages(() => buildQuery(chunk)));
+    }
+    return allData;
+}
+
+/**
+ * Экранирует спецсимволы шаблона like/ilike, чтобы значение сравнивалось целиком.
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeLikePattern(value) {
+    return String(value).replace(/[\\%_]/g, '\\$&');
+}
+
+/**
+ * Ограничивает запрос одной компанией, если она указана.
+ * @param {object} query - Запрос Supabase.
+ * @param {string} [companyId] - ID компании на hh.ru.
+ * @returns {object} - Запрос Supabase.
+ */
+function filterByCompany(query, companyId) {
+    return companyId ? query.eq('company_hh_id', companyId) : query;
+}
+
+/**
+ * Оставляет отчеты, покрывающие компанию: полные (company_hh_id null) и снятые по ней одной.
+ * Без компании — только полные отчеты.
+ * @param {object} query - Запрос Supabase к reports.
+ * @param {string} [companyId] - ID компании на hh.ru.
+ * @returns {object} - Запрос Supabase.
+ */
+function withReportScope(query, companyId) {
+    return companyId
+        ? query.or(`company_hh_id.is.null,company_hh_id.eq.${companyId}`)
+        : query.is('company_hh_id', null);
+}
+
+/**
+ * Создает хранилище поверх Supabase.
+ * @param {object} supabase - Клиент Supabase.
+ * @returns {object} - Репозитории таблиц (см. storage/index.js).
+ */
+function createSupabaseStorage(supabase) {
+    const vacancies = {
+        async listByCompany(companyId) {
+            return fetchAllPages(() => supabase
+                .from('vacancies')
+                .select('*')
+                .eq('company_hh_id', companyId)
+                .order('id'));
+        },
+
+        async listPageByCompany(companyId, { status, normalizedTitle, offset = 0, limit = null } = {}) {
+            const buildQuery = selectOptions => {
+                let query = supabase
+                    .from('vacancies')
+                    .select('*', selectOptions)
+                    .eq('company_hh_id', companyId);
+                if (status) query = query.eq('status', status);
+                if (normalizedTitle) query = query.ilike('normalized_title', escapeLikePattern(normalizedTitle));
+                return query.order('raw_title').order('id');
+            };
+            if (limit === null) {
+                const rows = await fetchAllPages(() => buildQuery());
+                return { rows: rows.slice(offset), total: rows.length };
+            }
+            const { data, count, error } = await buildQuery({ count: 'exact' }).range(offset, offset + limit - 1);
+            if (error) throw new Error(error.message);
+            return { rows: data, total: count };
+        },
+
+        async listByTarget(targetId) {
+            return fetchAllPages(() => supabase
+                .from('vacancies')
+                .select('*')
+                .eq('source_target_id', targetId)
+                .order('id'));
+        },
+
+        async listPendingNormalization({ companyId, includeFailed = false } = {}) {
+            return fetchAllPages(() => {
+                let query = filterByCompany(supabase
+                    .from('vacancies')
+                    .select('id, raw_title')
+                    .is('normalized_title', null)
+                    .eq('status', 'active'), companyId);
+                if (!includeFailed) query = query.eq('normalization_failed', false);
+                return query.order('id');
+            });
+        },
+
+        async listTrackable({ companyId } = {}) {
+            return fetchAllPages(() => filterByCompany(supabase
+                .from('vacancies')
+                .select('id, company_hh_id, hh_vacancy_id, normalized_title, area_id, schedule_id, salary_from, salary_to, salary_currency, salary_gross')
+                .not('normalized_title', 'is', null)
+                .not('company_hh_id', 'is', null)
+                .eq('status', 'active'), companyId)
+                .order('id'));
+        },
+
+        async listByIds(ids) {
+            return fetchInChunks(ids, chunk => supabase
+                .from('vacancies')
+                .select('*')
+                .in('id', chunk)
+                .order('id'));
+        },
+
+        async listActiveCompanyIds() {
+            const rows = await fetchAllPages(() => supabase
+                .from('vacancies')
+                .select('company_hh_id')
+                .eq('status', 'active')
+                .not('company_hh_id', 'is', null)
+                .order('id'));
+            return [...new Set(rows.map(v => v.company_hh_id))];
+        },
+
+        async listActiveTargetIds() {
+            const rows = await fetchAllPages(() => supabase
+                .from('vacancies')
+                .select('source_target_id')
+                .eq('status', 'active')
+                .not('source_target_id', 'is', null)
+                .order('id'));
+            return [...new Set(rows.map(v => v.source_target_id))];
+        },
+
+        async insertMany(rows) {
+            if (rows.length === 0) return [];
+            return unwrap(await supabase.from('vacancies').insert(rows).select('id, hh_vacancy_id'));
+        },
+
+        async update(id, patch) {
+            unwrap(await supabase.from('vacancies').update(patch).eq('id', id));
+        },
+
+        async updateMany(ids, patch) {
+            if (ids.length === 0) return;
+            unwrap(await supabase.from('vacancies').update(patch).in('id', ids));
+        },
+
+        async updateByRawTitle(rawTitle, patch) {
+            unwrap(await supabase.from('vacancies').update(patch).eq('raw_title', rawTitle));
+        },
+    };
+
+    const profiles = {
+        async listCompanyIds() {
+            const rows = unwrap(await supabase
+                .from('profiles')
+                .select('company_hh_id')
+                .not('company_hh_id', 'is', null));
+            return [...new Set(rows.map(p => p.company_hh_id).filter(id => id))];
+        },
+
+        async listSubscribers(companyId) {
+            return unwrap(await supabase
+                .from('profiles')
+                .select('*')
+                .eq('company_hh_id', companyId)
+                .or('telegram_chat_id.not.is.null,email.not.is.null,webhook_url.not.is.null'));
+        },
+
+        async listSubscribersByIds(ids) {
+            return fetchInChunks(ids, chunk => supabase
+                .from('profiles')
+                .select('*')
+                .in('id', chunk)
+                .or('telegram_chat_id.not.is.null,email.not.is.null,webhook_url.not.is.null')
+                .order('id'));
+        },
+
+        async findById(id) {
+            return unwrap(await supabase.from('profiles').select('*').eq('id', id).maybeSingle());
+        },
+
+        async findByTelegramChatId(chatId) {
+            const rows = unwrap(await supabase.from('profiles').select('*').eq('telegram_chat_id', chatId).limit(1));
+            return rows[0] || null;
+        },
+
+        async update(id, patch) {
+            unwrap(await supabase.from('profiles').update(patch).eq('id', id));
+        },
+    };
+
+    const reports = {
+        async findById(id) {
+            return unwrap(await supabase.from('reports').select('*').eq('id', id).maybeSingle());
+        },
+
+        async listByIds(ids) {
+            return fetchInChunks(ids, chunk => supabase
+                .from('reports')
+                .select('*')
+                .in('id', chunk)
+                .order('id'));
+        },
+
+        async listPending() {
+            return unwrap(await supabase.from('reports').select('*').eq('status', 'pending').order('created_at'));
+        },
+
+        async listCompletedBetween(from, to, { companyId } = {}) {
+            return unwrap(await withReportScope(supabase
+                .from('reports')
+                .select('*')
+                .eq('status', 'completed')
+                .gte('created_at', from)
+                .lt('created_at', to), companyId)
+                .order('created_at'));
+        },
+
+        async findLatestCompleted({ before, companyId } = {}) {
+            let query = withReportScope(supabase.from('reports').select('*').eq('status', 'completed'), companyId);
+            if (before) query = query.lt('created_at', before);
+            const rows = unwrap(await query.order('created_at', { ascending: false }).limit(1));
+            return rows[0] || null;
+        },
+
+        async create(fields) {
+            return unwrap(await supabase.from('reports').insert(fields).select('id').single());
+        },
+
+        async update(id, patch) {
+            unwrap(await supabase.from('reports').update(patch).eq('id', id));
+        },
+    };
+
+    const positionReports = {
+        async listByReport(reportId) {
+            return fetchAllPages(() => supabase
+                .from('position_reports')
+                .select('*')
+                .eq('report_id', reportId)
+                .order('id'));
+        },
+
+        async listByReports(reportIds, vacancyIds) {
+            if (reportIds.length === 0) return [];
+            return fetchInChunks(vacancyIds, chunk => supabase
+                .from('position_reports')
+                .select('*')
+                .in('report_id', reportIds)
+                .in('vacancy_id', chunk)
+                .order('id'));
+        },
+
+        async listByVacancy(vacancyId) {
+            return fetchAllPages(() => supabase
+                .from('position_reports')
+                .select('*')
+                .eq('vacancy_id', vacancyId)
+                .order('id'));
+        },
+
+        async insertMany(rows) {
+            if (rows.length === 0) return;
+            unwrap(await supabase.from('position_reports').insert(rows));
+        },
+    };
+
+    const vacancyChanges = {
+        async listByVacancies(vacancyIds, { field, since } = {}) {
+            return fetchInChunks(vacancyIds, chunk => {
+                let query = supabase.from('vacancy_changes').select('*').in('vacancy_id', chunk);
+                if (field) query = query.eq('field', field);
+                if (since) query = query.gte('changed_at', since);
+                return query.order('id');
+            });
+        },
+
+        async insertMany(rows) {
+            if (rows.length === 0) return;
+            unwrap(await supabase.from('vacancy_changes').insert(rows));
+        },
+    };
+
+    const salaryBenchmarks = {
+        async listByReport(reportId) {
+            return fetchAllPages(() => supabase
+                .from('salary_benchmarks')
+                .select('*')
+                .eq('report_id', reportId)
+                .order('id'));
+        },
+
+        async insertMany(rows) {
+            if (rows.length === 0) return;
+            unwrap(await supabase.from('salary_benchmarks').insert(rows));
+        },
+    };
+
+    const groupCompetitors = {
+        async listByReport(reportId) {
+            return fetchAllPages(() => supabase
+                .from('group_competitors')
+                .select('*')
+                .eq('report_id', reportId)
+                .order('id'));
+        },
+
+        async insertMany(rows) {
+            if (rows.length === 0) return;
+            unwrap(await supabase.from('group_competitors').insert(rows));
+        },
+    };
+
+    const competitorSnapshots = {
+        async listByReport(reportId) {
+            return fetchAllPages(() => supabase
+                .from('competitor_snapshots')
+                .select('*')
+                .eq('report_id', reportId)
+                .order('id'));
+        },
+
+        async insertMany(rows) {
+            if (rows.length === 0) return;
+            unwrap(await supabase.from('competitor_snapshots').insert(rows));
+        },
+    };
+
+    const pipelineRuns = {
+        async listUnfinished() {
+            return unwrap(await supabase
+                .from('pipeline_runs')
+                .select('*')
+                .in('status', ['running', 'failed'])
+                .order('started_at', { ascending: false }));
+        },
+
+        async create(fields) {
+            return unwrap(await supabase.from('pipeline_runs').insert(fields).select('id').single());
+        },
+
+        async update(id, patch) {
+            unwrap(await supabase.from('pipeline_runs').update(patch).eq('id', id));
+        },
+    };
+
+    const titleMappings = {
+        async listByRawTitles(rawTitles) {
+            return fetchInChunks(rawTitles, chunk => supabase
+                .from('title_mappings')
+                .select('*')
+                .in('raw_title', chunk)
+                .order('raw_title'));
+        },
+
+        // Уже существующие соответствия (в том числе ручные) не перезаписываются
+        async insertMany(rows) {
+            if (rows.length === 0) return;
+            unwrap(await supabase
+                .from('title_mappings')
+                .upsert(rows, { onConflict: 'raw_title', ignoreDuplicates: true }));
+        },
+
+        async upsert(row) {
+            unwrap(await supabase.from('title_mappings').upsert(row, { onConflict: 'raw_title' }));
+        },
+    };
+
+    const notificationOutbox = {
+        async listDue(now) {
+            return fetchAllPages(() => supabase
+                .from('notification_outbox')
+                .select('*')
+                .eq('status', 'pending')
+                .lte('next_attempt_at', now)
+                .order('created_at')
+                .order('message_id')
+                .order('part_index'));
+        },
+
+        async listByDedupKeys(dedupKeys) {
+            return fetchInChunks(dedupKeys, chunk => supabase
+                .from('notification_outbox')
+                .select('id, dedup_keys')
+                .overlaps('dedup_keys', chunk)
+                .order('id'));
+        },
+
+        async insertMany(rows) {
+            if (rows.length === 0) return [];
+            return unwrap(await supabase.from('notification_outbox').insert(rows).select('*'));
+        },
+
+        async update(id, patch) {
+            unwrap(await supabase.from('notification_outbox').update(patch).eq('id', id));
+        },
+    };
+
+    const telegramLinkCodes = {
+        async findByCode(code) {
+            return unwrap(await supabase.from('telegram_link_codes').select('*').eq('code', code).maybeSingle());
+        },
+
+        async create(fields) {
+            return unwrap(await supabase.from('telegram_link_codes').insert(fields).select('code').single());
+        },
+
+        async update(code, patch) {
+            unwrap(await supabase.from('telegram_link_codes').update(patch).eq('code', code));
+        },
+    };
+
+    const apiKeys = {
+        async findByHash(keyHash) {
+            return unwrap(await supabase.from('api_keys').select('*').eq('key_hash', keyHash).maybeSingle());
+        },
+
+        async create(fields) {
+            return unwrap(await supabase.from('api_keys').insert(fields).select('id').single());
+        },
+
+        async update(id, patch) {
+            unwrap(await supabase.from('api_keys').update(patch).eq('id', id));
+        },
+    };
+
+    const queryVariants = {
+        async listEnabled({ companyId } = {}) {
+            return unwrap(await filterByCompany(supabase.from('query_variants').select('*').eq('enabled', true), companyId)
+                .order('created_at'));
+        },
+
+        async listByCompany(companyId) {
+            return unwrap(await supabase
+                .from('query_variants')
+                .select('*')
+                .eq('company_hh_id', companyId)
+                .order('created_at'));
+        },
+
+        async listByIds(ids) {
+            return fetchInChunks(ids, chunk => supabase.from('query_variants').select('*').in('id', chunk));
+        },
+
+        async create(fields) {
+            return unwrap(await supabase.from('query_variants').insert(fields).select('id').single());
+        },
+
+        async update(id, patch) {
+            unwrap(await supabase.from('query_variants').update(patch).eq('id', id));
+        },
+    };
+
+    const trackingTargets = {
+        async listEnabled() {
+            return unwrap(await supabase.from('tracking_targets').select('*').eq('enabled', true).order('created_at'));
+        },
+
+        async listAll() {
+            return unwrap(await supabase.from('tracking_targets').select('*').order('created_at'));
+        },
+
+        async listByIds(ids) {
+            return fetchInChunks(ids, chunk => supabase.from('tracking_targets').select('*').in('id', chunk));
+        },
+
+        async create(fields) {
+            return unwrap(await supabase.from('tracking_targets').insert(fields).select('id').single());
+        },
+
+        async update(id, patch) {
+            unwrap(await supabase.from('tracking_targets').update(patch).eq('id', id));
+        },
+    };
+
+    const organisations = {
+        async listAll() {
+            return unwrap(await supabase.from('organisations').select('*').order('created_at'));
+        },
+
+        async findById(id) {
+            return unwrap(await supabase.from('organisations').select('*').eq('id', id).maybeSingle());
+        },
+
+        async create(fields) {
+            return unwrap(await supabase.from('organisations').insert(fields).select('id').single());
+        },
+    };
+
+    const organisationEmployers = {
+        async listCompanyIds() {
+            const rows = unwrap(await supabase.from('organisation_employers').select('company_hh_id'));
+            return [...new Set(rows.map(e => e.company_hh_id))];
+        },
+
+        async listByCompany(companyId) {
+            return unwrap(await supabase.from('organisation_employers').select('*').eq('company_hh_id', companyId));
+        },
+
+        async listByOrganisations(organisationIds) {
+            return fetchInChunks(organisationIds, chunk => supabase
+                .from('organisation_employers')
+                .select('*')
+                .in('organisation_id', chunk)
+                .order('id'));
+        },
+
+        async create(fields) {
+            return unwrap(await supabase.from('organisation_employers').insert(fields).select('id').single());
+        },
+
+        async remove(id) {
+            unwrap(await supabase.from('organisation_employers').delete().eq('id', id));
+        },
+    };
+
+    const organisationMembers = {
+        async listByProfile(profileId) {
+            return unwrap(await supabase.from('organisation_members').select('*').eq('profile_id', profileId));
+        },
+
+        async listByOrganisations(organisationIds) {
+            return fetchInChunks(organisationIds, chunk => supabase
+                .from('organisation_members')
+                .select('*')
+                .in('organisation_id', chunk)
+                .order('id'));
+        },
+
+        async create(fields) {
+            return unwrap(await supabase.from('organisation_members').insert(fields).select('id').single());
+        },
+
+        async update(id, patch) {
+            unwrap(await supabase.from('organisation_members').update(patch).eq('id', id));
+        },
+
+        async remove(id) {
+            unwrap(await supabase.from('organisation_members').delete().eq('id', id));
+        },
+    };
+
+    return {
+        vacancies, profiles, reports, positionReports, salaryBenchmarks, groupCompetitors, competitorSnapshots,
+        vacancyChanges, pipelineRuns, titleMappings, notificationOutbox, telegramLinkCodes, apiKeys, queryVariants,
+        trackingTargets, organisations, organisationEmployers, organisationMembers,
+    };
+}
+
+module.exports = {
+    createSupabaseStorage
+};
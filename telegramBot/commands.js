@@ -0,0 +1,271 @@
+const { hhClient } = require('../services/hhService');
+const { escapeHtml, splitMessage } = require('../services/utils');
+const { TELEGRAM_MAX_LENGTH } = require('../notifiers/telegramNotifier');
+const { describePosition } = require('../services/positionModel');
+const { isBaseQuery, queryVariantLabel, loadQueryVariantsForRows } = require('../services/queryVariantService');
+const {
+    isVacancyInScope,
+    loadProfileAccess,
+    listAccessibleVacancies,
+    hasScopedMembership
+} = require('../services/organisationService');
+const {
+    getProfileSettings,
+    toggleProfileSetting,
+    setProfileCompany,
+    linkTelegramChat
+} = require('../services/profileService');
+
+const TOGGLE_PREFIX = 'toggle:';
+
+const HELP_TEXT = `<b>Команды бота</b>
+/link &lt;код&gt; — привязать этот чат к профилю
+/status — число активных вакансий и время последнего отчета
+/positions — позиции вакансий в поиске по последнему отчету
+/settings — включить или выключить уведомления
+/company &lt;id&gt; — отслеживать работодателя hh.ru с этим ID
+/help — эта справка`;
+
+const NOT_LINKED_TEXT = 'Этот чат еще не привязан к профилю. Получите код привязки и отправьте /link &lt;код&gt;.';
+
+/**
+ * Отправляет ответ в чат. Длинный ответ делится на несколько сообщений.
+ * @param {object} context - Контекст бота ({ storage, client }).
+ * @param {number} chatId - ID чата.
+ * @param {string} text - Текст (HTML).
+ * @param {object} [extra] - Дополнительные параметры sendMessage (например, reply_markup).
+ */
+async function reply(context, chatId, text, extra = {}) {
+    for (const part of splitMessage(text, TELEGRAM_MAX_LENGTH)) {
+        await context.client.call('sendMessage', {
+            chat_id: chatId,
+            text: part,
+            parse_mode: 'HTML',
+            disable_web_page_preview: true,
+            ...extra,
+        });
+    }
+}
+
+/**
+ * Форматирует дату отчета для сообщений.
+ * @param {string} isoDate
+ * @returns {string}
+ */
+function formatDate(isoDate) {
+    return `${isoDate.slice(0, 16).replace('T', ' ')} UTC`;
+}
+
+/**
+ * Клавиатура настроек: по кнопке на каждую настройку, нажатие переключает ее.
+ * @param {object} profile - Профиль пользователя.
+ * @returns {object} - reply_markup для Telegram.
+ */
+function settingsKeyboard(profile) {
+    return {
+        inline_keyboard: getProfileSettings(profile).map(setting => [{
+            text: `${setting.enabled ? '✅' : '❌'} ${setting.title}`,
+            callback_data: `${TOGGLE_PREFIX}${setting.key}`,
+        }]),
+    };
+}
+
+/**
+ * /link <код> и /start <код>: привязывает чат к профилю по одноразовому коду.
+ */
+async function handleLink(context, chatId, code) {
+    if (!code) {
+        await reply(context, chatId, 'Укажите код привязки: /link &lt;код&gt;');
+        return;
+    }
+    const profile = await linkTelegramChat(context.storage, code, chatId);
+    if (!profile) {
+        await reply(context, chatId, 'Код не найден, уже использован или истек. Получите новый код привязки.');
+        return;
+    }
+    const company = profile.company_hh_id
+        ? `Отслеживается компания ${escapeHtml(profile.company_hh_id)}.`
+        : 'Компания еще не выбрана: отправьте /company &lt;id&gt;.';
+    await reply(context, chatId, `Чат привязан к профилю. ${company}\n\n${HELP_TEXT}`);
+}
+
+/**
+ * /status: число активных вакансий каждой доступной компании и время последнего полного отчета.
+ * Участнику организации с ролью member считаются только назначенные ему вакансии.
+ */
+async function handleStatus(context, chatId, access) {
+    const report = await context.storage.reports.findLatestCompleted();
+    let text = '';
+    for (const [companyId, scope] of access) {
+        const vacancies = (await context.storage.vacancies.listByCompany(companyId)).filter(v => isVacancyInScope(scope, v));
+        text += `<b>Компания ${escapeHtml(companyId)}</b>\n`;
+        text += `Активных вакансий${scope.all ? '' : ' (назначенных вам)'}: ${vacancies.filter(v => v.status === 'active').length}\n`;
+    }
+    text += `Последний отчет о позициях: ${report ? formatDate(report.created_at) : 'еще не было'}`;
+    await reply(context, chatId, text);
+}
+
+/**
+ * /positions: позиции доступных активных вакансий по последнему завершенному полному отчету
+ * (отчет по одной компании не покрывает вакансии остальных).
+ */
+async function handlePositions(context, chatId, access) {
+    const report = await context.storage.reports.findLatestCompleted();
+    if (!report) {
+        await reply(context, chatId, 'Отчетов о позициях еще нет.');
+        return;
+    }
+    const vacancies = (await listAccessibleVacancies(context.storage, access))
+        .filter(v => v.status === 'active')
+        .sort((a, b) => a.raw_title.localeCompare(b.raw_title));
+    const rows = await context.storage.positionReports.listByReports([report.id], vacancies.map(v => v.id));
+    const rowByVacancy = new Map(rows.filter(isBaseQuery).map(row => [row.vacancy_id, row]));
+    const variantsById = await loadQueryVariantsForRows(context.storage, rows);
+
+    let text = `<b>Позиции вакансий</b> (отчет от ${formatDate(report.created_at)})\n\n`;
+    const tracked = vacancies.filter(v => rowByVacancy.has(v.id));
+    if (tracked.length === 0) {
+        await reply(context, chatId, `${text}В отчете нет ваших вакансий.`);
+        return;
+    }
+    for (const vacancy of tracked) {
+        text += `<a href="${escapeHtml(vacancy.url)}">${escapeHtml(vacancy.raw_title)}</a>\n`;
+        text += `<i>${describePosition(rowByVacancy.get(vacancy.id))}</i>\n`;
+        // Замеры по вариантам запроса — под основным
+        for (const row of rows.filter(r => r.vacancy_id === vacancy.id && !isBaseQuery(r))) {
+            text += `  ${escapeHtml(queryVariantLabel(row, variantsById))}: ${describePosition(row)}\n`;
+        }
+        text += '\n';
+    }
+    await reply(context, chatId, text);
+}
+
+/**
+ * /settings: настройки уведомлений с кнопками-переключателями.
+ */
+async function handleSettings(context, chatId, profile) {
+    await reply(context, chatId, '<b>Уведомления</b>\nНажмите на настройку, чтобы включить или выключить ее.', {
+        reply_markup: settingsKeyboard(profile),
+    });
+}
+
+/**
+ * /company <id>: привязывает профиль к работодателю, предварительно проверив, что он есть на hh.ru.
+ * Участнику организации с ролью member команда недоступна: его вакансии назначает администратор.
+ */
+async function handleCompany(context, chatId, profile, companyId) {
+    if (await hasScopedMembership(context.storage, profile.id)) {
+        await reply(context, chatId, 'Вы участник организации: доступные вам вакансии назначает ее администратор.');
+        return;
+    }
+    if (!/^\d+$/.test(companyId || '')) {
+        await reply(context, chatId, 'Укажите числовой ID работодателя на hh.ru: /company &lt;id&gt;');
+        return;
+    }
+    let employer;
+    try {
+        employer = await hhClient.getEmployer(companyId);
+    } catch (error) {
+        await reply(context, chatId, `Работодатель ${companyId} не найден на hh.ru.`);
+        return;
+    }
+    await setProfileCompany(context.storage, profile, companyId);
+    await reply(context, chatId, `Теперь отслеживается компания <b>${escapeHtml(employer.name)}</b> (${companyId}). `
+        + 'Вакансии появятся после следующей синхронизации.');
+}
+
+/**
+ * Обрабатывает текстовое сообщение с командой.
+ * @param {object} context - Контекст бота ({ storage, client }).
+ * @param {object} message - Объект Message из Telegram.
+ */
+async function handleMessage(context, message) {
+    if (!message.text) return;
+    const chatId = message.chat.id;
+    // Команда может быть адресована боту явно: /status@имя_бота
+    const [command, ...args] = message.text.trim().split(/\s+/);
+    const name = command.split('@')[0].toLowerCase();
+
+    if (name === '/start' && args[0]) {
+        await handleLink(context, chatId, args[0]);
+        return;
+    }
+    if (name === '/link') {
+        await handleLink(context, chatId, args[0]);
+        return;
+    }
+
+    const profile = await context.storage.profiles.findByTelegramChatId(chatId);
+    if (!profile) {
+        await reply(context, chatId, NOT_LINKED_TEXT);
+        return;
+    }
+    if (name === '/settings') {
+        await handleSettings(context, chatId, profile);
+        return;
+    }
+    if (name === '/company') {
+        await handleCompany(context, chatId, profile, args[0]);
+        return;
+    }
+    if (name === '/status' || name === '/positions') {
+        const access = await loadProfileAccess(context.storage, profile);
+        if (access.size === 0) {
+            await reply(context, chatId, 'Компания еще не выбрана: отправьте /company &lt;id&gt; '
+                + 'или попросите администратора организации добавить вас в нее.');
+        } else if (name === '/status') {
+            await handleStatus(context, chatId, access);
+        } else {
+            await handlePositions(context, chatId, access);
+        }
+        return;
+    }
+    await reply(context, chatId, HELP_TEXT);
+}
+
+/**
+ * Обрабатывает нажатие кнопки настроек: переключает настройку и обновляет клавиатуру.
+ * @param {object} context - Контекст бота ({ storage, client }).
+ * @param {object} query - Объект CallbackQuery из Telegram.
+ */
+async function handleCallbackQuery(context, query) {
+    const answer = text => context.client.call('answerCallbackQuery', { callback_query_id: query.id, text });
+    if (!query.message || !(query.data || '').startsWith(TOGGLE_PREFIX)) {
+        await answer();
+        return;
+    }
+
+    const chatId = query.message.chat.id;
+    const profile = await context.storage.profiles.findByTelegramChatId(chatId);
+    if (!profile) {
+        await answer('Чат не привязан к профилю');
+        return;
+    }
+
+    const key = query.data.slice(TOGGLE_PREFIX.length);
+    const updated = await toggleProfileSetting(context.storage, profile, key);
+    const setting = getProfileSettings(updated).find(s => s.key === key);
+    await context.client.call('editMessageReplyMarkup', {
+        chat_id: chatId,
+        message_id: query.message.message_id,
+        reply_markup: settingsKeyboard(updated),
+    });
+    await answer(`${setting.title}: ${setting.enabled ? 'включено' : 'выключено'}`);
+}
+
+/**
+ * Обрабатывает одно обновление Telegram (сообщение или нажатие кнопки).
+ * @param {object} context - Контекст бота ({ storage, client }).
+ * @param {object} update - Объект Update из getUpdates.
+ */
+async function handleUpdate(context, update) {
+    if (update.message) {
+        await handleMessage(context, update.message);
+    } else if (update.callback_query) {
+        await handleCallbackQuery(context, update.callback_query);
+    }
+}
+
+module.exports = {
+    handleUpdate
+};
@@ -0,0 +1,52 @@
+const { logger } = require('../services/logger');
+const { sleep } = require('../services/utils');
+const { createTelegramClient } = require('../services/telegramClient');
+const { handleUpdate } = require('./commands');
+
+// Сколько секунд Telegram держит запрос getUpdates, если новых обновлений нет
+const POLL_TIMEOUT_SECONDS = 30;
+const ERROR_PAUSE = 5000;
+
+/**
+ * Запускает Telegram-бота в режиме long polling. Работает, пока shouldStop() не вернет true
+ * (проверяется после каждого запроса getUpdates).
+ * Ошибка обработки одного обновления логируется и не останавливает бота.
+ * @param {object} storage - Хранилище данных.
+ * @param {object} [options]
+ * @param {Function} [options.shouldStop] - Признак остановки бота.
+ */
+async function runBot(storage, { shouldStop = () => false } = {}) {
+    const context = { storage, client: createTelegramClient() };
+    let offset = 0;
+    logger.info('Telegram-бот запущен. Ожидание команд...');
+
+    while (!shouldStop()) {
+        let updates;
+        try {
+            updates = await context.client.call('getUpdates', {
+                offset,
+                timeout: POLL_TIMEOUT_SECONDS,
+                allowed_updates: ['message', 'callback_query'],
+            }, { timeout: (POLL_TIMEOUT_SECONDS + 10) * 1000 });
+        } catch (error) {
+            logger.error(`Не удалось получить обновления Telegram: ${error.message}. Повтор через ${ERROR_PAUSE / 1000} сек...`);
+            await sleep(ERROR_PAUSE);
+            continue;
+        }
+
+        for (const update of updates) {
+            // Следующий getUpdates подтверждает обработанные обновления, и Telegram их больше не присылает
+            offset = update.update_id + 1;
+            try {
+                await handleUpdate(context, update);
+            } catch (error) {
+                logger.error(`Ошибка обработки обновления ${update.update_id}:`, error.message);
+            }
+        }
+    }
+    logger.info('Telegram-бот остановлен.');
+}
+
+module.exports = {
+    runBot
+};
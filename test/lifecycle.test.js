@@ -0,0 +1,163 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness, createTestStorage } = require('./support/harness');
+const { loadHhFixture } = require('./support/fakeHhServer');
+
+const COMPANY_ID = '5001';
+const PROFILE = { id: 'a0000000-0000-4000-8000-000000000001', company_hh_id: COMPANY_ID, telegram_chat_id: 42 };
+const NOW = new Date('2026-10-15T12:00:00Z');
+
+let harness;
+let syncService;
+let lifecycleService;
+let ROUTES;
+
+before(async () => {
+    harness = await startHarness();
+    syncService = require('../services/syncService');
+    lifecycleService = require('../services/lifecycleService');
+    ({ ROUTES } = require('../httpApi/routes'));
+});
+after(() => harness.close());
+beforeEach(() => {
+    harness.hh.requests.length = 0;
+    harness.telegram.requests.length = 0;
+});
+
+// Вакансии работодателя из записанного ответа hh.ru, по id
+const fetched = (...ids) => loadHhFixture('employer-vacancies').items.filter(item => ids.includes(item.id));
+const vacancyByHhId = (db, hhId) => db.vacancies.find(v => v.hh_vacancy_id === hhId);
+const daysAgo = (days, from = NOW) => new Date(from.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+
+describe('повторные публикации при синхронизации', () => {
+    it('связывает новую вакансию с закрываемой вакансией с тем же названием и регионом', async () => {
+        const { storage, db } = createTestStorage({ profiles: [PROFILE] });
+        await syncService.syncVacanciesInDB(storage, COMPANY_ID, fetched('101', '102'));
+        // Работодатель снял «Фрезеровщика» (102) и опубликовал его заново под ID 104
+        const [original] = fetched('102');
+        const repost = { ...original, id: '104', alternate_url: 'https://hh.ru/vacancy/104' };
+        harness.hh.setVacancyDetails('104', { ...loadHhFixture('vacancy-102'), id: '104' });
+
+        await syncService.syncVacanciesInDB(storage, COMPANY_ID, [...fetched('101', '103'), repost]);
+
+        assert.equal(vacancyByHhId(db, 102).status, 'closed');
+        assert.equal(vacancyByHhId(db, 104).reposted_from_id, vacancyByHhId(db, 102).id);
+        // «Слесарь» из другого региона — новая вакансия, а не повторная публикация
+        assert.equal(vacancyByHhId(db, 103).reposted_from_id, undefined);
+        assert.deepEqual(db.vacancy_changes.filter(c => c.vacancy_id === vacancyByHhId(db, 104).id).map(c => c.new_value), ['active']);
+    });
+});
+
+describe('findRepostSources', () => {
+    const existing = [
+        { id: 'v1', hh_vacancy_id: 1, raw_title: 'Токарь', area_id: 1, status: 'closed', closed_at: daysAgo(30) },
+        { id: 'v2', hh_vacancy_id: 2, raw_title: 'Токарь', area_id: 1, status: 'closed', closed_at: daysAgo(5) },
+        { id: 'v3', hh_vacancy_id: 3, raw_title: 'Токарь', area_id: 1, status: 'active' },
+    ];
+
+    it('берет сначала закрываемую сейчас вакансию, затем закрытую последней и не старше окна', () => {
+        const newRows = [
+            { hh_vacancy_id: 10, raw_title: 'токарь ', area_id: 1 },
+            { hh_vacancy_id: 11, raw_title: 'Токарь', area_id: 1 },
+            { hh_vacancy_id: 12, raw_title: 'Токарь', area_id: 1 },
+            { hh_vacancy_id: 13, raw_title: 'Токарь', area_id: 2 },
+        ];
+
+        const sources = lifecycleService.findRepostSources(newRows, existing, { closingIds: new Set(['v3']), now: NOW });
+
+        assert.deepEqual([...sources].map(([hhId, source]) => [hhId, source.id]), [[10, 'v3'], [11, 'v2']]);
+    });
+});
+
+describe('computeLifecycleReport', () => {
+    it('считает время до заполнения только по вакансиям, закрытым без повторной публикации', () => {
+        const vacancies = [
+            // Токарь: закрыта и опубликована заново, повторная публикация закрыта окончательно
+            { id: 'v1', hh_vacancy_id: 1, raw_title: 'Токарь-универсал', normalized_title: 'Токарь', status: 'closed',
+                published_at: daysAgo(40), closed_at: daysAgo(30), lifetime_days: 10 },
+            { id: 'v2', hh_vacancy_id: 2, raw_title: 'Токарь-универсал', normalized_title: 'Токарь', status: 'closed',
+                published_at: daysAgo(30), closed_at: daysAgo(10), lifetime_days: 20, reposted_from_id: 'v1' },
+            // Фрезеровщик: закрыт сам по себе, еще один открыт
+            { id: 'v3', hh_vacancy_id: 3, raw_title: 'Фрезеровщик', normalized_title: null, status: 'closed',
+                published_at: daysAgo(20), closed_at: daysAgo(15), lifetime_days: 5 },
+            { id: 'v4', hh_vacancy_id: 4, raw_title: 'Фрезеровщик', normalized_title: null, status: 'active', published_at: daysAgo(2) },
+            // За пределами периода
+            { id: 'v5', hh_vacancy_id: 5, raw_title: 'Слесарь', normalized_title: 'Слесарь', status: 'closed',
+                published_at: daysAgo(200), closed_at: daysAgo(150), lifetime_days: 50 },
+        ];
+
+        const { summary, titles, reposts } = lifecycleService.computeLifecycleReport(vacancies, { days: 90, now: NOW });
+
+        assert.deepEqual(summary, {
+            period_days: 90, opened: 4, reposts: 1, repost_share: 0.25, closed: 3, filled: 2,
+            avg_time_to_fill_days: 12.5, median_time_to_fill_days: 12.5,
+        });
+        assert.deepEqual(titles.map(t => [t.normalized_title, t.opened, t.reposts, t.filled, t.avg_time_to_fill_days]), [
+            ['Токарь', 2, 1, 1, 20],
+            ['Фрезеровщик', 2, 0, 1, 5],
+        ]);
+        assert.deepEqual(reposts.map(r => [r.hh_vacancy_id, r.reposted_from_hh_vacancy_id, r.previous_lifetime_days]), [[2, 1, 10]]);
+    });
+});
+
+describe('жизненный цикл в архивации и API', () => {
+    // Архивация и API считают сроки от текущего времени
+    it('архивация записывает время закрытия, срок жизни и смену статуса', async () => {
+        const { storage, db } = createTestStorage({
+            vacancies: [{ company_hh_id: '6000', hh_vacancy_id: 601, status: 'active', published_at: daysAgo(10, new Date()) }],
+        });
+
+        await syncService.archiveOrphanedVacancies(storage);
+
+        const [vacancy] = db.vacancies;
+        assert.equal(vacancy.status, 'closed');
+        assert.ok(vacancy.closed_at);
+        assert.ok(vacancy.lifetime_days >= 10);
+        assert.deepEqual(db.vacancy_changes.map(c => [c.vacancy_id, c.old_value, c.new_value]), [[vacancy.id, 'active', 'closed']]);
+    });
+
+    it('архивация большого числа вакансий обновляет их ограниченным числом одновременных запросов', async () => {
+        const { storage, db } = createTestStorage({
+            vacancies: Array.from({ length: 40 }, (_, index) => ({ company_hh_id: '6000', hh_vacancy_id: 600 + index, status: 'active' })),
+        });
+        const update = storage.vacancies.update;
+        let inFlight = 0;
+        let maxInFlight = 0;
+        storage.vacancies.update = async (...args) => {
+            maxInFlight = Math.max(maxInFlight, ++inFlight);
+            try {
+                return await update(...args);
+            } finally {
+                inFlight--;
+            }
+        };
+
+        await syncService.archiveOrphanedVacancies(storage);
+
+        assert.ok(db.vacancies.every(v => v.status === 'closed'));
+        assert.ok(maxInFlight <= 10, `одновременных обновлений: ${maxInFlight}`);
+    });
+
+    it('отдает отчет о жизненном цикле доступной компании', async () => {
+        const { storage } = createTestStorage({
+            profiles: [PROFILE],
+            vacancies: [
+                { company_hh_id: COMPANY_ID, hh_vacancy_id: 101, raw_title: 'Токарь', normalized_title: 'Токарь', status: 'closed',
+                    published_at: daysAgo(10, new Date()), closed_at: daysAgo(3, new Date()), lifetime_days: 7 },
+                { company_hh_id: '6000', hh_vacancy_id: 601, raw_title: 'Слесарь', status: 'active', published_at: daysAgo(1, new Date()) },
+            ],
+        });
+        const [route] = ROUTES.filter(r => r.pattern.test(`/companies/${COMPANY_ID}/lifecycle`));
+        const call = (companyId, query = '') => route.handler(
+            { storage, profile: PROFILE, query: new URLSearchParams(query) },
+            `/companies/${companyId}/lifecycle`.match(route.pattern).slice(1),
+        );
+
+        const result = await call(COMPANY_ID);
+
+        assert.deepEqual(result.items.map(t => [t.normalized_title, t.filled]), [['Токарь', 1]]);
+        assert.equal(result.extra.summary.avg_time_to_fill_days, 7);
+        await assert.rejects(call('6000'), { status: 403 });
+        await assert.rejects(call(COMPANY_ID, 'days=0'), { status: 400 });
+    });
+});
@@ -0,0 +1,74 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness, createTestStorage } = require('./support/harness');
+
+let harness;
+let normalizationService;
+let createNormalizer;
+
+before(async () => {
+    harness = await startHarness();
+    // Повторы нормализатора ждут паузу Gemini (20 секунд); в тестах хватает одной попытки
+    process.env.NORMALIZATION_MAX_ATTEMPTS = '1';
+    normalizationService = require('../services/normalizationService');
+    ({ createNormalizer } = require('../normalizers'));
+});
+after(() => harness.close());
+beforeEach(() => {
+    harness.gemini.requests.length = 0;
+});
+
+const pendingVacancy = rawTitle => ({ company_hh_id: '5001', status: 'active', raw_title: rawTitle, normalized_title: null });
+
+describe('normalizeAllPending', () => {
+    it('нормализует названия через Gemini и запоминает их в словаре', async () => {
+        const { storage, db } = createTestStorage({
+            vacancies: [pendingVacancy('Токарь-универсал'), pendingVacancy('Токарь-универсал'), pendingVacancy('Слесарь МСР')],
+        });
+
+        await normalizationService.normalizeAllPending(storage, () => createNormalizer());
+
+        assert.deepEqual(db.vacancies.map(v => v.normalized_title), ['Токарь', 'Токарь', 'Слесарь']);
+        // Одинаковые названия отправляются модели один раз
+        assert.equal(harness.gemini.requests.length, 1);
+        assert.equal((harness.gemini.prompts()[0].match(/Токарь-универсал/g) || []).length, 1);
+        assert.deepEqual(db.title_mappings.map(m => [m.raw_title, m.normalized_title, m.source]).sort(),
+            [['Слесарь МСР', 'Слесарь', 'gemini'], ['Токарь-универсал', 'Токарь', 'gemini']]);
+    });
+
+    it('берет известные названия из словаря, не обращаясь к модели', async () => {
+        const { storage, db } = createTestStorage({
+            vacancies: [pendingVacancy('Токарь-универсал')],
+            title_mappings: [{ raw_title: 'Токарь-универсал', normalized_title: 'Токарь-универсал', source: 'manual' }],
+        });
+
+        await normalizationService.normalizeAllPending(storage, () => createNormalizer());
+
+        assert.equal(db.vacancies[0].normalized_title, 'Токарь-универсал');
+        assert.equal(harness.gemini.requests.length, 0);
+    });
+
+    it('отмечает названия normalization_failed, если ответ модели не разобран', async () => {
+        const { storage, db } = createTestStorage({ vacancies: [pendingVacancy('Фрезеровщик')] });
+        harness.gemini.respondOnceWith('Извините, не могу помочь.');
+
+        await normalizationService.normalizeAllPending(storage, () => createNormalizer());
+
+        assert.equal(db.vacancies[0].normalized_title, null);
+        assert.equal(db.vacancies[0].normalization_failed, true);
+        assert.match(db.vacancies[0].normalization_error, /JSON/);
+    });
+
+    it('при недоступности модели оставляет названия ожидающими, а не normalization_failed', async () => {
+        const { storage, db } = createTestStorage({ vacancies: [pendingVacancy('Фрезеровщик')] });
+        harness.gemini.failOnceWith(503);
+
+        await normalizationService.normalizeAllPending(storage, () => createNormalizer());
+
+        assert.equal(db.vacancies[0].normalized_title, null);
+        assert.equal(db.vacancies[0].normalization_failed, false);
+
+        await normalizationService.normalizeAllPending(storage, () => createNormalizer());
+        assert.equal(db.vacancies[0].normalized_title, 'Фрезеровщик');
+    });
+});
@@ -0,0 +1,194 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness, createTestStorage } = require('./support/harness');
+
+let harness;
+let loggerModule;
+let metrics;
+let createHhClient;
+let createMeteredStorage;
+let runService;
+let normalizationService;
+let createNormalizer;
+
+before(async () => {
+    harness = await startHarness();
+    process.env.NORMALIZATION_MAX_ATTEMPTS = '1';
+    loggerModule = require('../services/logger');
+    ({ metrics } = require('../services/metrics'));
+    ({ createHhClient } = require('../services/hhService'));
+    ({ createMeteredStorage } = require('../storage'));
+    runService = require('../services/runService');
+    normalizationService = require('../services/normalizationService');
+    ({ createNormalizer } = require('../normalizers'));
+});
+after(() => harness.close());
+beforeEach(() => {
+    metrics.reset();
+    harness.hh.requests.length = 0;
+});
+
+describe('logger', () => {
+    let lines;
+    const originalLog = console.log;
+    const originalError = console.error;
+
+    beforeEach(() => {
+        lines = [];
+        console.log = line => lines.push(line);
+        console.error = line => lines.push(line);
+        loggerModule.setLevel('info');
+        loggerModule.setFormat('json');
+    });
+    afterEach(() => {
+        console.log = originalLog;
+        console.error = originalError;
+        loggerModule.setLevel('silent');
+    });
+
+    const records = () => lines.map(line => JSON.parse(line));
+
+    it('пишет JSON-строки с полями контекста запуска', async () => {
+        const { logger, withLogContext } = loggerModule;
+
+        await withLogContext({ runId: 'run-1', stage: 'sync' }, async () => {
+            await withLogContext({ companyId: '5001' }, async () => {
+                await Promise.resolve();
+                logger.warn('\nВакансия не найдена', { vacancyId: 101 });
+            });
+            logger.info('Этап завершен');
+        });
+
+        const [warning, info] = records();
+        assert.equal(warning.level, 'warn');
+        assert.equal(warning.msg, 'Вакансия не найдена');
+        assert.equal(warning.runId, 'run-1');
+        assert.equal(warning.stage, 'sync');
+        assert.equal(warning.companyId, '5001');
+        assert.equal(warning.vacancyId, 101);
+        assert.ok(warning.time);
+        assert.equal(info.companyId, undefined);
+        assert.equal(info.stage, 'sync');
+    });
+
+    it('выводит из ошибки только описание, без запроса и его заголовков', () => {
+        const error = new Error('Request failed with status code 400');
+        Object.assign(error, {
+            code: 'ERR_BAD_REQUEST',
+            response: { status: 400 },
+            config: { url: 'https://api.telegram.org/bot123456:SECRET-token/sendMessage', headers: { 'X-Api-Key': 'secret' } },
+        });
+
+        loggerModule.logger.error('Ошибка отправки:', error);
+
+        const [record] = records();
+        assert.equal(record.msg, 'Ошибка отправки: Request failed with status code 400');
+        assert.equal(record.error.status, 400);
+        assert.equal(record.error.code, 'ERR_BAD_REQUEST');
+        assert.equal(record.error.config, undefined);
+        assert.doesNotMatch(lines[0], /SECRET-token/);
+    });
+
+    it('вырезает секреты из окружения, адресов и заголовков', () => {
+        loggerModule.logger.error(
+            `токен ${process.env.TELEGRAM_BOT_TOKEN}`,
+            'https://api.telegram.org/bot123456:AAH-secret_part/getUpdates',
+            'https://example.com/models?key=AIzaSecretKey&alt=json',
+            { header: 'Authorization: Bearer sk-secret-value' },
+        );
+
+        assert.doesNotMatch(lines[0], /test-token|AAH-secret_part|AIzaSecretKey|sk-secret-value/);
+        assert.match(lines[0], /\/bot\[REDACTED\]\/getUpdates/);
+        assert.match(lines[0], /key=\[REDACTED\]&alt=json/);
+    });
+
+    it('в текстовом формате выводит сообщение без служебных полей', () => {
+        loggerModule.setFormat('text');
+
+        loggerModule.withLogContext({ runId: 'run-1' }, () => loggerModule.logger.info('\nСинхронизация', { companyId: '5001' }));
+
+        assert.deepEqual(lines, ['\nСинхронизация {"companyId":"5001"}']);
+    });
+});
+
+describe('метрики запуска', () => {
+    it('считает запросы к hh.ru, повторы и окончательные ошибки по адресам', async () => {
+        const client = createHhClient({ baseUrl: harness.hh.url, retries: 2, baseDelay: 1 });
+        harness.hh.failPath('/vacancies/555', 503);
+        try {
+            await client.getVacancy(101);
+            await client.getVacancy(102);
+            await assert.rejects(client.getVacancy(555));
+        } finally {
+            harness.hh.failPath('/vacancies/555', null);
+        }
+
+        const summary = metrics.summary();
+        assert.deepEqual(summary.api_calls, { 'hh GET /vacancies/:id': 4 });
+        assert.deepEqual(summary.retries, { 'hh GET /vacancies/:id': 1 });
+        assert.deepEqual(summary.api_errors, { 'hh GET /vacancies/:id': 1 });
+    });
+
+    it('не ждет Retry-After длиннее допустимой паузы', { timeout: 5000 }, async () => {
+        const client = createHhClient({ baseUrl: harness.hh.url, retries: 2, baseDelay: 1 });
+        harness.hh.failPath('/vacancies/556', 429, { 'Retry-After': '86400' });
+        try {
+            await assert.rejects(client.getVacancy(556));
+        } finally {
+            harness.hh.failPath('/vacancies/556', null);
+        }
+
+        assert.equal(harness.hh.requestsTo('/vacancies/556').length, 2);
+    });
+
+    it('считает партии и токены нормализатора', async () => {
+        const { storage } = createTestStorage({
+            vacancies: [{ company_hh_id: '5001', status: 'active', raw_title: 'Токарь-универсал', normalized_title: null }],
+        });
+
+        await normalizationService.normalizeAllPending(storage, () => createNormalizer());
+
+        const summary = metrics.summary();
+        assert.equal(summary.api_calls['gemini generateContent'], 1);
+        assert.equal(summary.normalizer['gemini.batches'], 1);
+        assert.ok(summary.normalizer['gemini.prompt_tokens'] > 0);
+        assert.ok(summary.normalizer['gemini.output_tokens'] > 0);
+    });
+
+    it('считает операции записи и записанные строки, но не чтение', async () => {
+        const { storage: baseStorage } = createTestStorage();
+        const storage = createMeteredStorage(baseStorage);
+
+        await storage.vacancyChanges.insertMany([{ field: 'raw_title' }, { field: 'salary_from' }]);
+        await storage.pipelineRuns.create({ command: 'sync', stages: ['sync'] });
+        await storage.pipelineRuns.listUnfinished();
+
+        const summary = metrics.summary();
+        assert.deepEqual(summary.db_writes, { 'vacancyChanges.insertMany': 1, 'pipelineRuns.create': 1 });
+        assert.deepEqual(summary.db_rows, { 'vacancyChanges.insertMany': 2, 'pipelineRuns.create': 1 });
+    });
+
+    it('записывает длительности этапов', () => {
+        metrics.startStage('sync');
+        metrics.finishStage('sync', 'completed');
+        metrics.startStage('track');
+        metrics.finishStage('track', 'failed');
+
+        const { stages } = metrics.summary();
+        assert.equal(stages.sync.status, 'completed');
+        assert.equal(stages.track.status, 'failed');
+        assert.ok(stages.sync.duration_ms >= 0);
+    });
+
+    it('дописывает сводку каждого процесса к метрикам продолженного запуска', async () => {
+        const { storage, db } = createTestStorage();
+        const startRun = () => runService.startOrResumeRun(storage, { command: 'sync', stages: ['sync'] });
+
+        await (await startRun()).finish('failed', 'hh.ru недоступен', { duration_ms: 10 });
+        await (await startRun()).finish('completed', null, { duration_ms: 20 });
+
+        assert.equal(db.pipeline_runs.length, 1);
+        assert.equal(db.pipeline_runs[0].status, 'completed');
+        assert.deepEqual(db.pipeline_runs[0].metrics.map(m => m.duration_ms), [10, 20]);
+    });
+});
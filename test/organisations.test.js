@@ -0,0 +1,187 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness, createTestStorage } = require('./support/harness');
+const { loadHhFixture } = require('./support/fakeHhServer');
+
+const COMPANY_ID = '5001';
+const ORGANISATION = { id: 'b0000000-0000-4000-8000-000000000001', name: 'Кадровое агентство' };
+const OWN_PROFILE = { id: 'a0000000-0000-4000-8000-000000000001', company_hh_id: COMPANY_ID, telegram_chat_id: 42 };
+const ADMIN = { id: 'a0000000-0000-4000-8000-000000000002', company_hh_id: '6000', telegram_chat_id: 10 };
+const AREA_MEMBER = { id: 'a0000000-0000-4000-8000-000000000003', telegram_chat_id: 11 };
+const TITLE_MEMBER = { id: 'a0000000-0000-4000-8000-000000000004', telegram_chat_id: 12 };
+
+// Организация следит за работодателем 5001; участникам назначены регион 2 (Слесарь) и название «Фрезеровщик»
+const organisationTables = () => ({
+    profiles: [OWN_PROFILE, ADMIN, AREA_MEMBER, TITLE_MEMBER],
+    organisations: [ORGANISATION],
+    organisation_employers: [{ organisation_id: ORGANISATION.id, company_hh_id: COMPANY_ID }],
+    organisation_members: [
+        { organisation_id: ORGANISATION.id, profile_id: ADMIN.id, role: 'admin' },
+        { organisation_id: ORGANISATION.id, profile_id: AREA_MEMBER.id, area_ids: [2] },
+        { organisation_id: ORGANISATION.id, profile_id: TITLE_MEMBER.id, normalized_titles: ['фрезеровщик'] },
+    ],
+});
+
+let harness;
+let syncService;
+let organisationService;
+let ROUTES;
+let handleUpdate;
+
+before(async () => {
+    harness = await startHarness();
+    syncService = require('../services/syncService');
+    organisationService = require('../services/organisationService');
+    ({ ROUTES } = require('../httpApi/routes'));
+    ({ handleUpdate } = require('../telegramBot/commands'));
+});
+after(() => harness.close());
+beforeEach(() => {
+    harness.hh.requests.length = 0;
+    harness.telegram.requests.length = 0;
+});
+
+// Вакансии работодателя из записанного ответа hh.ru, по id
+const fetched = (...ids) => loadHhFixture('employer-vacancies').items.filter(item => ids.includes(item.id));
+
+describe('уведомления участникам организаций', () => {
+    it('отправляет новую вакансию компании профиля, администратору и участнику, которому она назначена', async () => {
+        const { storage, db } = createTestStorage(organisationTables());
+        await syncService.syncVacanciesInDB(storage, COMPANY_ID, fetched('101'));
+
+        await syncService.syncVacanciesInDB(storage, COMPANY_ID, fetched('101', '102', '103'));
+
+        // О недостатках уведомляется только вакансия 102 «Фрезеровщик» из региона 1
+        const messages = harness.telegram.sentMessages();
+        assert.deepEqual(messages.map(m => String(m.chat_id)).sort(), ['10', '12', '42']);
+        assert.ok(messages.every(m => /Фрезеровщик/.test(m.text)));
+        assert.ok(db.notification_outbox.every(row => row.company_hh_id === COMPANY_ID));
+    });
+});
+
+describe('доступ к данным по ролям', () => {
+    const callRoute = (path, context) => {
+        for (const route of ROUTES) {
+            const match = path.match(route.pattern);
+            if (match) return route.handler({ query: new URLSearchParams(), ...context }, match.slice(1));
+        }
+        throw new Error(`Нет маршрута ${path}`);
+    };
+
+    it('дает профилю доступ к компании профиля и к работодателям его организаций', async () => {
+        const { storage } = createTestStorage(organisationTables());
+
+        const access = await organisationService.loadProfileAccess(storage, ADMIN);
+
+        assert.deepEqual([...access.keys()], ['6000', COMPANY_ID]);
+        assert.ok([...access.values()].every(scope => scope.all));
+    });
+
+    it('показывает участнику с ролью member только назначенные вакансии', async () => {
+        const { storage, db } = createTestStorage(organisationTables());
+        await syncService.syncVacanciesInDB(storage, COMPANY_ID, fetched('101', '102', '103'));
+        const vacancyId = hhId => db.vacancies.find(v => v.hh_vacancy_id === hhId).id;
+
+        const admin = await callRoute(`/companies/${COMPANY_ID}/vacancies`, { storage, profile: ADMIN });
+        const member = await callRoute(`/companies/${COMPANY_ID}/vacancies`, { storage, profile: AREA_MEMBER });
+
+        assert.deepEqual(admin.items.map(v => v.hh_vacancy_id).sort(), [101, 102, 103]);
+        assert.deepEqual(member.items.map(v => v.hh_vacancy_id), [103]);
+        await callRoute(`/vacancies/${vacancyId(103)}/positions`, { storage, profile: AREA_MEMBER });
+        await assert.rejects(callRoute(`/vacancies/${vacancyId(101)}/positions`, { storage, profile: AREA_MEMBER }), { status: 404 });
+        await assert.rejects(callRoute('/companies/6000/vacancies', { storage, profile: AREA_MEMBER }), { status: 403 });
+    });
+
+    it('выбирает страницу и фильтры вакансий в хранилище', async () => {
+        const { storage, db } = createTestStorage(organisationTables());
+        await syncService.syncVacanciesInDB(storage, COMPANY_ID, fetched('101', '102', '103'));
+        db.vacancies.forEach(v => { v.normalized_title = v.raw_title.split(/[- ]/)[0]; });
+        const listByCompany = storage.vacancies.listByCompany;
+        storage.vacancies.listByCompany = () => assert.fail('список вакансий не должен загружаться целиком');
+
+        const page = await callRoute(`/companies/${COMPANY_ID}/vacancies`, { storage, profile: ADMIN, pagination: { offset: 1, limit: 1 } });
+        const byTitle = title => callRoute(`/companies/${COMPANY_ID}/vacancies`,
+            { storage, profile: ADMIN, query: new URLSearchParams({ status: 'active', normalized_title: title }) });
+
+        assert.equal(page.total, 3);
+        assert.deepEqual(page.items.map(v => v.raw_title), ['Токарь-универсал']);
+        assert.deepEqual((await byTitle('токарь')).items.map(v => v.hh_vacancy_id), [101]);
+        // Название сравнивается целиком, а не как шаблон
+        assert.equal((await byTitle('%')).total, 0);
+        storage.vacancies.listByCompany = listByCompany;
+    });
+
+    it('отдает отчет по одной компании только тем, у кого есть доступ к ней', async () => {
+        const fullReport = { id: 'c0000000-0000-4000-8000-000000000001', status: 'completed', company_hh_id: null };
+        const companyReport = { id: 'c0000000-0000-4000-8000-000000000002', status: 'completed', company_hh_id: '6000' };
+        const { storage } = createTestStorage({ ...organisationTables(), reports: [fullReport, companyReport] });
+
+        await callRoute(`/reports/${fullReport.id}`, { storage, profile: OWN_PROFILE });
+        await callRoute(`/reports/${companyReport.id}`, { storage, profile: ADMIN });
+        await assert.rejects(callRoute(`/reports/${companyReport.id}`, { storage, profile: OWN_PROFILE }), { status: 404 });
+    });
+
+    it('не расширяет доступ участника, выбравшего работодателя организации компанией профиля', async () => {
+        const { storage, db } = createTestStorage(organisationTables());
+        const replies = [];
+        const context = { storage, client: { call: async (method, params) => replies.push(params.text) } };
+
+        await handleUpdate(context, { message: { chat: { id: AREA_MEMBER.telegram_chat_id }, text: `/company ${COMPANY_ID}` } });
+
+        assert.match(replies[0], /назначает ее администратор/);
+        assert.equal(db.profiles.find(p => p.id === AREA_MEMBER.id).company_hh_id, undefined);
+        assert.equal(harness.hh.requests.length, 0);
+
+        // Компания, выбранная в профиле до вступления в организацию, тоже не дает полного доступа
+        const profile = { ...AREA_MEMBER, company_hh_id: COMPANY_ID };
+        db.profiles.find(p => p.id === AREA_MEMBER.id).company_hh_id = COMPANY_ID;
+        const access = await organisationService.loadProfileAccess(storage, profile);
+        assert.deepEqual(access.get(COMPANY_ID), { all: false, areaIds: ['2'], titles: [] });
+        const recipients = await organisationService.loadCompanyRecipients(storage, COMPANY_ID);
+        assert.equal(recipients.find(r => r.profile.id === AREA_MEMBER.id).scope.all, false);
+    });
+});
+
+describe('работодатели организаций в синхронизации и архивации', () => {
+    it('синхронизирует работодателя организации и архивирует его вакансии, когда за ним больше никто не следит', async () => {
+        harness.hh.setEmployerVacancies(COMPANY_ID, fetched('101', '102'));
+        const { storage, db } = createTestStorage({
+            organisations: [ORGANISATION],
+            organisation_employers: [{ organisation_id: ORGANISATION.id, company_hh_id: COMPANY_ID }],
+        });
+
+        await syncService.syncAllCompanies(storage);
+        await syncService.archiveOrphanedVacancies(storage);
+        assert.deepEqual(db.vacancies.map(v => v.status), ['active', 'active']);
+
+        await organisationService.removeOrganisationEmployer(storage, { organisationId: ORGANISATION.id, employerId: COMPANY_ID });
+        await syncService.archiveOrphanedVacancies(storage);
+        assert.deepEqual(db.vacancies.map(v => v.status), ['closed', 'closed']);
+    });
+});
+
+describe('setOrganisationMember', () => {
+    it('добавляет участника и заменяет его роль и назначение при повторном вызове', async () => {
+        const { storage, db } = createTestStorage({ profiles: [AREA_MEMBER], organisations: [ORGANISATION] });
+        const options = { organisationId: ORGANISATION.id, profileId: AREA_MEMBER.id };
+
+        await organisationService.setOrganisationMember(storage, { ...options, areas: '1, 2', titles: 'Токарь' });
+        await organisationService.setOrganisationMember(storage, { ...options, titles: 'Слесарь,Фрезеровщик' });
+
+        assert.equal(db.organisation_members.length, 1);
+        assert.deepEqual(db.organisation_members[0].area_ids, []);
+        assert.deepEqual(db.organisation_members[0].normalized_titles, ['Слесарь', 'Фрезеровщик']);
+
+        await organisationService.setOrganisationMember(storage, { ...options, role: 'admin' });
+        assert.equal(db.organisation_members[0].role, 'admin');
+    });
+
+    it('отклоняет неизвестную роль и назначение администратору', async () => {
+        const { storage } = createTestStorage({ profiles: [AREA_MEMBER], organisations: [ORGANISATION] });
+        const options = { organisationId: ORGANISATION.id, profileId: AREA_MEMBER.id };
+
+        await assert.rejects(organisationService.setOrganisationMember(storage, { ...options, role: 'owner' }), /Неизвестная роль/);
+        await assert.rejects(organisationService.setOrganisationMember(storage, { ...options, role: 'admin', areas: '1' }), /только для роли member/);
+        await assert.rejects(organisationService.setOrganisationMember(storage, { ...options, areas: 'Москва' }), /Регион/);
+    });
+});
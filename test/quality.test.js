@@ -0,0 +1,38 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const qualityService = require('../services/qualityService');
+
+// Вакансия без недостатков, кроме проверяемых в тесте
+const vacancy = fields => ({
+    raw_title: 'Токарь-универсал',
+    salary_from: 90000,
+    salary_to: 120000,
+    key_skills: ['Токарные работы'],
+    show_contacts: true,
+    description_length: 1000,
+    experience_id: 'between1And3',
+    published_at: new Date().toISOString(),
+    ...fields,
+});
+
+describe('правило no_salary', () => {
+    it('считает зарплату не указанной, только когда нет обеих границ', () => {
+        const issues = fields => qualityService.detectVacancyIssues(vacancy(fields));
+
+        assert.deepEqual(issues({ salary_from: null, salary_to: null }), [qualityService.RULE_NO_SALARY]);
+        assert.deepEqual(issues({ salary_to: null }), []);
+        // Старый notify_no_salary срабатывал без нижней границы; правило — нет (см. миграцию 010)
+        assert.deepEqual(issues({ salary_from: null }), []);
+    });
+
+    it('уведомляет подписчиков, перенесенных из notify_no_salary, только о вакансиях без зарплаты', () => {
+        const subscriber = { quality_notifications: { no_salary: true, no_skills: false, hidden_contacts: false } };
+        const unsubscribed = { quality_notifications: { no_salary: false, no_skills: false, hidden_contacts: false } };
+        const wanted = (fields, profile) => qualityService.detectVacancyIssues(vacancy(fields))
+            .filter(ruleId => qualityService.isIssueWanted(ruleId, profile));
+
+        assert.deepEqual(wanted({ salary_from: null, salary_to: null }, subscriber), [qualityService.RULE_NO_SALARY]);
+        assert.deepEqual(wanted({ salary_from: null }, subscriber), []);
+        assert.deepEqual(wanted({ salary_from: null, salary_to: null }, unsubscribed), []);
+    });
+});
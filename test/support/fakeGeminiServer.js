@@ -0,0 +1,60 @@
+const { startJsonServer } = require('./jsonServer');
+
+/**
+ * Поддельный Gemini API (POST /<версия>/models/<модель>:generateContent). Достает из запроса список названий
+ * (см. normalizers/prompt.js) и отвечает JSON-массивом, нормализованным функцией теста.
+ * @returns {Promise<object>} - Сервер с url, requests, close и методами настройки ответов.
+ */
+async function startFakeGeminiServer() {
+    // По умолчанию название «нормализуется» до первого слова
+    let normalize = title => title.split(/[\s(/,-]/)[0];
+    const rawResponses = [];
+    const failures = [];
+
+    const server = await startJsonServer(request => {
+        if (!request.path.endsWith(':generateContent')) return { status: 404, body: { error: { message: 'Not found' } } };
+        if (failures.length > 0) return { status: failures.shift(), body: { error: { message: 'Service unavailable' } } };
+
+        const prompt = request.body.contents[0].parts[0].text;
+        let text;
+        if (rawResponses.length > 0) {
+            text = rawResponses.shift();
+        } else {
+            const items = JSON.parse(prompt.slice(prompt.lastIndexOf('Вот список: ') + 'Вот список: '.length));
+            text = `\`\`\`json\n${JSON.stringify(items.map(item => ({ id: item.id, title: normalize(item.title) })))}\n\`\`\``;
+        }
+        return {
+            candidates: [{ content: { role: 'model', parts: [{ text }] }, finishReason: 'STOP', index: 0 }],
+            // Настоящий API считает токены, заглушке хватает длины текста
+            usageMetadata: { promptTokenCount: prompt.length, candidatesTokenCount: text.length, totalTokenCount: prompt.length + text.length },
+        };
+    });
+
+    return {
+        ...server,
+
+        /** Задает функцию нормализации (исходное название) => нормализованное. */
+        setNormalizer(fn) {
+            normalize = fn;
+        },
+
+        /** Ближайший ответ модели будет этим текстом (например, невалидным JSON). */
+        respondOnceWith(text) {
+            rawResponses.push(text);
+        },
+
+        /** Ближайший запрос завершится ошибкой с этим HTTP-статусом (например, 429 или 503). */
+        failOnceWith(status) {
+            failures.push(status);
+        },
+
+        /** Тексты запросов к модели. */
+        prompts() {
+            return server.requests.map(request => request.body.contents[0].parts[0].text);
+        },
+    };
+}
+
+module.exports = {
+    startFakeGeminiServer
+};
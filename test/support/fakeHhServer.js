@@ -0,0 +1,123 @@
+const fs = require('fs');
+const path = require('path');
+const { startJsonServer } = require('./jsonServer');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'hh');
+// hh.ru не отдает результаты поиска глубже 2000 позиций
+const MAX_SEARCH_DEPTH = 2000;
+
+/**
+ * Читает записанный ответ hh.ru из test/fixtures/hh.
+ * @param {string} name - Имя файла без расширения.
+ * @returns {object} - Новая копия ответа (тест может ее менять).
+ */
+function loadHhFixture(name) {
+    return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${name}.json`), 'utf8'));
+}
+
+/**
+ * Отдает страницу списка в формате ответа hh.ru.
+ * @param {Array} items - Весь список.
+ * @param {object} query - Параметры запроса (page, per_page).
+ * @param {number} [maxDepth] - Сколько элементов hh.ru позволяет пролистать.
+ * @returns {{items: Array, found: number, pages: number, page: number, per_page: number}}
+ */
+function paginate(items, query, maxDepth = Infinity) {
+    const perPage = parseInt(query.per_page) || 20;
+    const page = parseInt(query.page) || 0;
+    const reachable = Math.min(items.length, maxDepth);
+    return {
+        items: items.slice(page * perPage, Math.min((page + 1) * perPage, reachable)),
+        found: items.length,
+        pages: Math.ceil(reachable / perPage),
+        page,
+        per_page: perPage,
+    };
+}
+
+/**
+ * Поддельный API hh.ru: отдает вакансии работодателя (GET /vacancies?employer_id=...), выдачу поиска
+ * (GET /vacancies?text=...), детали вакансии (GET /vacancies/:id), справочники и работодателей.
+ * По умолчанию данные берутся из записанных ответов test/fixtures/hh, тест может заменить любой из них.
+ * @returns {Promise<object>} - Сервер с url, requests, close и методами настройки ответов.
+ */
+async function startFakeHhServer() {
+    const employerVacancies = new Map([['5001', loadHhFixture('employer-vacancies').items]]);
+    const vacancyDetails = new Map(['101', '102', '103'].map(id => [id, loadHhFixture(`vacancy-${id}`)]));
+    const employers = new Map([['5001', loadHhFixture('employer-5001')]]);
+    // Ответы с ошибкой: путь -> { status, headers }
+    const failures = new Map();
+    let searchResults = () => [];
+
+    const server = await startJsonServer(request => {
+        if (failures.has(request.path)) {
+            return { ...failures.get(request.path), body: { errors: [{ type: 'fake_failure' }] } };
+        }
+        if (request.path === '/dictionaries') return loadHhFixture('dictionaries');
+        if (request.path === '/vacancies') {
+            if (request.query.employer_id) {
+                return paginate(employerVacancies.get(request.query.employer_id) || [], request.query, MAX_SEARCH_DEPTH);
+            }
+            return paginate(searchResults(request.query), request.query, MAX_SEARCH_DEPTH);
+        }
+
+        const vacancyMatch = request.path.match(/^\/vacancies\/(\d+)$/);
+        if (vacancyMatch && vacancyDetails.has(vacancyMatch[1])) return vacancyDetails.get(vacancyMatch[1]);
+        const employerMatch = request.path.match(/^\/employers\/(\d+)$/);
+        if (employerMatch && employers.has(employerMatch[1])) return employers.get(employerMatch[1]);
+        return { status: 404, body: { errors: [{ type: 'not_found' }] } };
+    });
+
+    return {
+        ...server,
+
+        /** Задает активные вакансии работодателя (элементы выдачи hh.ru). */
+        setEmployerVacancies(employerId, items) {
+            employerVacancies.set(String(employerId), items);
+        },
+
+        /** Задает детали вакансии (ответ GET /vacancies/:id). */
+        setVacancyDetails(vacancyId, details) {
+            vacancyDetails.set(String(vacancyId), details);
+        },
+
+        /**
+         * Задает выдачу поиска: массив вакансий по порядку позиций или функция (параметры запроса) => массив.
+         */
+        setSearchResults(results) {
+            searchResults = typeof results === 'function' ? results : () => results;
+        },
+
+        /** Заставляет путь отвечать ошибкой с указанным статусом и заголовками; null снимает ошибку. */
+        failPath(requestPath, status = 404, headers = {}) {
+            if (status === null) failures.delete(requestPath);
+            else failures.set(requestPath, { status, headers });
+        },
+
+        /** Запросы к пути (без учета параметров). */
+        requestsTo(requestPath) {
+            return server.requests.filter(request => request.path === requestPath);
+        },
+    };
+}
+
+/**
+ * Выдача поиска из n вакансий с id от startId; работодатели чередуются, чтобы в выдаче были конкуренты.
+ * @param {number} n - Длина выдачи.
+ * @param {number} [startId] - id первой вакансии.
+ * @returns {Array<object>}
+ */
+function buildSearchItems(n, startId = 900000) {
+    return Array.from({ length: n }, (_, index) => ({
+        id: String(startId + index),
+        name: `Вакансия ${index + 1}`,
+        salary: index % 3 === 0 ? null : { from: 60000 + index * 1000, to: null, currency: 'RUR', gross: false },
+        employer: { id: String(7000 + index % 5), name: `Конкурент ${index % 5}` },
+    }));
+}
+
+module.exports = {
+    loadHhFixture,
+    startFakeHhServer,
+    buildSearchItems
+};
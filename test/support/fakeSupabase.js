@@ -0,0 +1,339 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', '..', 'migrations');
+
+/**
+ * Делит текст по запятым, не входящим в скобки.
+ */
+function splitTopLevel(text) {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+    for (const char of text) {
+        if (char === '(') depth++;
+        if (char === ')') depth--;
+        if (char === ',' && depth === 0) {
+            parts.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    parts.push(current);
+    return parts;
+}
+
+/**
+ * Значение по умолчанию колонки из SQL в значение строки; функция — для значений, вычисляемых при вставке.
+ */
+function parseSqlDefault(expression, type) {
+    if (/^now\(\)$/i.test(expression)) return () => new Date().toISOString();
+    if (/^(true|false)$/i.test(expression)) return expression.toLowerCase() === 'true';
+    if (/^-?\d+(\.\d+)?$/.test(expression)) return Number(expression);
+    const literal = expression.match(/^'((?:[^']|'')*)'(?:::(\w+))?$/);
+    if (!literal) throw new Error(`fakeSupabase: значение по умолчанию ${expression} не поддерживается`);
+    const value = literal[1].replace(/''/g, "'");
+    if (literal[2] === 'jsonb' || literal[2] === 'json') return JSON.parse(value);
+    if (type.endsWith('[]')) return value === '{}' ? [] : value.slice(1, -1).split(',');
+    return value;
+}
+
+/**
+ * Значения по умолчанию колонок из migrations/*.sql (create table и alter table ... add column),
+ * кроме id и created_at, которые есть у всех таблиц. Так заглушка заполняет строку теми же колонками,
+ * что и настоящая схема, и не знает колонок, которых в схеме нет.
+ * @returns {object} - { имя_таблицы: () => значения по умолчанию }
+ */
+function loadTableDefaults() {
+    const defaults = {};
+    const files = fs.readdirSync(MIGRATIONS_DIR).filter(file => file.endsWith('.sql')).sort();
+    for (const file of files) {
+        const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8').replace(/--.*$/gm, '');
+        for (const statement of sql.split(';')) {
+            const create = statement.match(/^\s*create table (?:if not exists )?(\w+)\s*\(([\s\S]*)\)\s*$/i);
+            const alter = statement.match(/^\s*alter table (\w+)\s+(add column[\s\S]*)$/i);
+            if (!create && !alter) continue;
+            const [, table, body] = create || alter;
+
+            for (const definition of splitTopLevel(body)) {
+                const column = definition.trim()
+                    .match(/^(?:add column (?:if not exists )?)?(\w+)\s+(\w+(?:\[\])?)[\s\S]*?\bdefault\s+('(?:[^']|'')*'(?:::\w+)?|\w+\(\)|\S+)/i);
+                if (!column || ['id', 'created_at'].includes(column[1])) continue;
+                if (!defaults[table]) defaults[table] = {};
+                defaults[table][column[1]] = parseSqlDefault(column[3], column[2]);
+            }
+        }
+    }
+    return Object.fromEntries(Object.entries(defaults).map(([table, columns]) => [table, () => Object.fromEntries(
+        Object.entries(columns).map(([name, value]) => [name, typeof value === 'function' ? value() : structuredClone(value)]),
+    )]));
+}
+
+const TABLE_DEFAULTS = loadTableDefaults();
+
+/**
+ * Сравнивает значение колонки со значением фильтра так, как это делает PostgREST: значения фильтра
+ * передаются строкой, поэтому 5001 и '5001' равны.
+ */
+function sameValue(a, b) {
+    return a !== null && a !== undefined && b !== null && b !== undefined && String(a) === String(b);
+}
+
+function compareValues(a, b) {
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    return String(a).localeCompare(String(b));
+}
+
+/**
+ * Проверяет условие фильтра вида оператор/значение (eq, neq, gt, gte, lt, lte, is, in, ov, ilike).
+ */
+function matchOperator(value, operator, expected) {
+    switch (operator) {
+        case 'eq': return sameValue(value, expected);
+        case 'neq': return !sameValue(value, expected);
+        case 'gt': return value != null && compareValues(value, expected) > 0;
+        case 'gte': return value != null && compareValues(value, expected) >= 0;
+        case 'lt': return value != null && compareValues(value, expected) < 0;
+        case 'lte': return value != null && compareValues(value, expected) <= 0;
+        case 'is': return expected === null ? value === null || value === undefined : value === expected;
+        case 'in': return expected.some(item => sameValue(value, item));
+        case 'ov': return Array.isArray(value) && value.some(item => expected.includes(item));
+        case 'ilike': return value != null && likePattern(expected).test(String(value));
+        default: throw new Error(`fakeSupabase: оператор ${operator} не поддерживается`);
+    }
+}
+
+/**
+ * Шаблон like без учета регистра: % — любая строка, _ — любой символ, \\ экранирует следующий символ.
+ */
+function likePattern(pattern) {
+    const source = String(pattern).replace(/\\(.)|([%_])|([^\\%_]+)/g, (match, escaped, wildcard, text) => {
+        if (wildcard) return wildcard === '%' ? '.*' : '.';
+        return (escaped || text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    });
+    return new RegExp(`^${source}$`, 'is');
+}
+
+/**
+ * Разбирает фильтр .or() вида 'telegram_chat_id.not.is.null,email.eq.x' в список проверок строки.
+ */
+function parseOrFilter(expression) {
+    return expression.split(',').map(condition => {
+        const parts = condition.split('.');
+        const column = parts.shift();
+        const negate = parts[0] === 'not';
+        if (negate) parts.shift();
+        const operator = parts.shift();
+        const raw = parts.join('.');
+        const expected = raw === 'null' ? null : raw;
+        return row => matchOperator(row[column], operator, expected) !== negate;
+    });
+}
+
+/**
+ * Оставляет в строке только колонки из select('a, b'); '*' — все колонки.
+ */
+function projectRow(row, columns) {
+    if (!columns || columns.trim() === '*') return structuredClone(row);
+    return Object.fromEntries(columns.split(',').map(column => column.trim())
+        .map(column => [column, row[column] === undefined ? null : structuredClone(row[column])]));
+}
+
+/**
+ * In-memory заглушка клиента Supabase для тестов: поддерживает ту часть построителя запросов, которой
+ * пользуется storage/supabaseStorage.js (select с подсчетом count: 'exact', insert, update, upsert, delete,
+ * фильтры, order, range, limit, single и maybeSingle). Таблицы хранятся в tables и доступны тесту для подготовки данных и проверок.
+ * @param {object} [initialTables] - Начальные строки: { имя_таблицы: [строки] }.
+ * @returns {{from: Function, tables: object, failNext: Function}}
+ */
+function createFakeSupabase(initialTables = {}) {
+    const tables = {};
+    // Ошибки для ближайших запросов: 'таблица:операция' -> [сообщения]
+    const failures = new Map();
+
+    const tableRows = name => {
+        if (!tables[name]) tables[name] = [];
+        return tables[name];
+    };
+    const withDefaults = (table, row) => ({
+        id: crypto.randomUUID(),
+        created_at: new Date().toISOString(),
+        ...(TABLE_DEFAULTS[table] ? TABLE_DEFAULTS[table]() : {}),
+        ...structuredClone(row),
+    });
+    for (const [name, rows] of Object.entries(initialTables)) {
+        tables[name] = rows.map(row => withDefaults(name, row));
+    }
+
+    const from = table => {
+        const query = {
+            operation: 'select', columns: '*', payload: null, options: {},
+            filters: [], orders: [], rangeFrom: null, rangeTo: null, limitCount: null, countRows: false,
+            returning: false, singleMode: null,
+        };
+
+        const execute = () => {
+            const failureKey = `${table}:${query.operation}`;
+            if (failures.has(failureKey) && failures.get(failureKey).length > 0) {
+                return { data: null, error: { message: failures.get(failureKey).shift() } };
+            }
+
+            const rows = tableRows(table);
+            const matches = row => query.filters.every(filter => filter(row));
+            let affected;
+
+            if (query.operation === 'insert') {
+                affected = [].concat(query.payload).map(row => withDefaults(table, row));
+                rows.push(...affected);
+            } else if (query.operation === 'upsert') {
+                const conflictColumn = query.options.onConflict || 'id';
+                affected = [];
+                for (const row of [].concat(query.payload)) {
+                    const existing = rows.find(r => sameValue(r[conflictColumn], row[conflictColumn]));
+                    if (!existing) {
+                        const inserted = withDefaults(table, row);
+                        rows.push(inserted);
+                        affected.push(inserted);
+                    } else if (!query.options.ignoreDuplicates) {
+                        Object.assign(existing, structuredClone(row));
+                        affected.push(existing);
+                    }
+                }
+            } else if (query.operation === 'update') {
+                affected = rows.filter(matches);
+                for (const row of affected) Object.assign(row, structuredClone(query.payload));
+            } else if (query.operation === 'delete') {
+                affected = rows.filter(matches);
+                tables[table] = rows.filter(row => !matches(row));
+            } else {
+                affected = rows.filter(matches);
+            }
+
+            if (query.operation !== 'select' && !query.returning) return { data: null, error: null };
+
+            let result = [...affected];
+            const count = query.countRows ? result.length : null;
+            for (const { column, ascending } of [...query.orders].reverse()) {
+                result.sort((a, b) => {
+                    // Как в PostgreSQL: null в конце при сортировке по возрастанию и в начале при сортировке по убыванию
+                    if (a[column] == null || b[column] == null) {
+                        return ((a[column] == null) - (b[column] == null)) * (ascending ? 1 : -1);
+                    }
+                    return compareValues(a[column], b[column]) * (ascending ? 1 : -1);
+                });
+            }
+            if (query.rangeFrom !== null) result = result.slice(query.rangeFrom, query.rangeTo + 1);
+            if (query.limitCount !== null) result = result.slice(0, query.limitCount);
+            result = result.map(row => projectRow(row, query.columns));
+
+            if (query.singleMode === 'single' && result.length !== 1) {
+                return { data: null, error: { message: `JSON object requested, multiple (or no) rows returned (${result.length})` } };
+            }
+            if (query.singleMode) {
+                if (result.length > 1) return { data: null, error: { message: 'Results contain more than one row' } };
+                return { data: result[0] || null, error: null };
+            }
+            return { data: result, count, error: null };
+        };
+
+        const builder = {
+            select(columns = '*', { count } = {}) {
+                query.countRows = count === 'exact';
+                if (query.operation === 'select') query.columns = columns;
+                else {
+                    query.returning = true;
+                    query.columns = columns;
+                }
+                return builder;
+            },
+            insert(payload) {
+                Object.assign(query, { operation: 'insert', payload });
+                return builder;
+            },
+            upsert(payload, options = {}) {
+                Object.assign(query, { operation: 'upsert', payload, options });
+                return builder;
+            },
+            update(payload) {
+                Object.assign(query, { operation: 'update', payload });
+                return builder;
+            },
+            delete() {
+                query.operation = 'delete';
+                return builder;
+            },
+            eq: (column, value) => builder.filter(column, 'eq', value),
+            neq: (column, value) => builder.filter(column, 'neq', value),
+            gt: (column, value) => builder.filter(column, 'gt', value),
+            gte: (column, value) => builder.filter(column, 'gte', value),
+            lt: (column, value) => builder.filter(column, 'lt', value),
+            lte: (column, value) => builder.filter(column, 'lte', value),
+            is: (column, value) => builder.filter(column, 'is', value),
+            in: (column, values) => builder.filter(column, 'in', values),
+            ilike: (column, pattern) => builder.filter(column, 'ilike', pattern),
+            overlaps: (column, values) => builder.filter(column, 'ov', values),
+            not(column, operator, value) {
+                query.filters.push(row => !matchOperator(row[column], operator, value));
+                return builder;
+            },
+            or(expression) {
+                const conditions = parseOrFilter(expression);
+                query.filters.push(row => conditions.some(condition => condition(row)));
+                return builder;
+            },
+            filter(column, operator, value) {
+                query.filters.push(row => matchOperator(row[column], operator, value));
+                return builder;
+            },
+            order(column, { ascending = true } = {}) {
+                query.orders.push({ column, ascending });
+                return builder;
+            },
+            range(fromIndex, toIndex) {
+                query.rangeFrom = fromIndex;
+                query.rangeTo = toIndex;
+                return builder;
+            },
+            limit(count) {
+                query.limitCount = count;
+                return builder;
+            },
+            single() {
+                query.singleMode = 'single';
+                return builder;
+            },
+            maybeSingle() {
+                query.singleMode = 'maybeSingle';
+                return builder;
+            },
+            // Как и настоящий построитель запросов, заглушка выполняется при await
+            then(resolve, reject) {
+                return Promise.resolve().then(execute).then(resolve, reject);
+            },
+        };
+        return builder;
+    };
+
+    return {
+        from,
+        tables,
+
+        /**
+         * Ближайший запрос операции к таблице вернет ошибку (как ответ Supabase с error).
+         * @param {string} table - Имя таблицы.
+         * @param {string} operation - select, insert, update, upsert или delete.
+         * @param {string} [message] - Текст ошибки.
+         */
+        failNext(table, operation, message = 'fake supabase failure') {
+            const key = `${table}:${operation}`;
+            if (!failures.has(key)) failures.set(key, []);
+            failures.get(key).push(message);
+        },
+    };
+}
+
+module.exports = {
+    createFakeSupabase
+};
@@ -0,0 +1,58 @@
+const { startJsonServer } = require('./jsonServer');
+
+/**
+ * Поддельный Telegram Bot API (POST /bot<токен>/<метод>). Запоминает вызовы методов, отвечает { ok: true },
+ * а getUpdates отдает обновления, поставленные тестом в очередь.
+ * @returns {Promise<object>} - Сервер с url, requests, close и методами настройки ответов.
+ */
+async function startFakeTelegramServer() {
+    const updates = [];
+    // Ошибки для ближайших вызовов: метод -> [описания]
+    const failures = new Map();
+    let nextMessageId = 1;
+
+    const server = await startJsonServer(request => {
+        const method = request.path.split('/').pop();
+        const pending = failures.get(method);
+        if (pending && pending.length > 0) {
+            return { status: 400, body: { ok: false, error_code: 400, description: pending.shift() } };
+        }
+        if (method === 'getUpdates') {
+            const offset = Number(request.body.offset) || 0;
+            return { ok: true, result: updates.filter(update => update.update_id >= offset) };
+        }
+        if (method === 'sendMessage' || method === 'sendDocument') {
+            return { ok: true, result: { message_id: nextMessageId++, chat: { id: request.body.chat_id } } };
+        }
+        return { ok: true, result: true };
+    });
+
+    return {
+        ...server,
+
+        /** Вызовы метода Bot API с их параметрами. */
+        calls(method) {
+            return server.requests.filter(request => request.path.endsWith(`/${method}`)).map(request => request.body);
+        },
+
+        /** Отправленные сообщения: { chat_id, text, ... }. */
+        sentMessages() {
+            return this.calls('sendMessage');
+        },
+
+        /** Ставит обновление в очередь getUpdates. */
+        pushUpdate(update) {
+            updates.push(update);
+        },
+
+        /** Ближайший вызов метода завершится ошибкой с описанием description. */
+        failNext(method, description = 'Bad Request: fake failure') {
+            if (!failures.has(method)) failures.set(method, []);
+            failures.get(method).push(description);
+        },
+    };
+}
+
+module.exports = {
+    startFakeTelegramServer
+};
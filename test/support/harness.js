@@ -0,0 +1,54 @@
+const { startFakeHhServer } = require('./fakeHhServer');
+const { startFakeTelegramServer } = require('./fakeTelegramServer');
+const { startFakeGeminiServer } = require('./fakeGeminiServer');
+const { createFakeSupabase } = require('./fakeSupabase');
+
+/**
+ * Поднимает поддельные hh.ru, Telegram и Gemini и направляет на них сервисы через переменные окружения.
+ * Клиенты читают окружение при загрузке модулей, поэтому сервисы нужно подключать (require)
+ * только после запуска стенда — в before() тестового файла.
+ * @returns {Promise<{hh: object, telegram: object, gemini: object, close: Function}>}
+ */
+async function startHarness() {
+    const hh = await startFakeHhServer();
+    const telegram = await startFakeTelegramServer();
+    const gemini = await startFakeGeminiServer();
+
+    Object.assign(process.env, {
+        HH_API_URL: hh.url,
+        // Лимиты частоты рассчитаны на настоящий hh.ru, локальному серверу они только замедляют тесты
+        HH_REQUESTS_PER_SECOND: '1000',
+        TELEGRAM_API_URL: telegram.url,
+        TELEGRAM_BOT_TOKEN: 'test-token',
+        GEMINI_API_URL: gemini.url,
+        GEMINI_API_KEY: 'test-key',
+        LOG_LEVEL: process.env.LOG_LEVEL || 'silent',
+    });
+    // Ни одна переменная не должна уводить тесты к настоящим сервисам или внешним каналам
+    for (const name of ['NORMALIZER_PROVIDER', 'SMTP_HOST', 'WEBHOOK_SECRET', 'QUALITY_RULES_CONFIG']) {
+        delete process.env[name];
+    }
+
+    return {
+        hh,
+        telegram,
+        gemini,
+        close: () => Promise.all([hh.close(), telegram.close(), gemini.close()]),
+    };
+}
+
+/**
+ * Хранилище на Supabase-репозиториях поверх in-memory заглушки клиента.
+ * @param {object} [tables] - Начальные строки таблиц.
+ * @returns {{storage: object, db: object, supabase: object}} - db — таблицы заглушки для проверок.
+ */
+function createTestStorage(tables = {}) {
+    const { createSupabaseStorage } = require('../../storage/supabaseStorage');
+    const supabase = createFakeSupabase(tables);
+    return { storage: createSupabaseStorage(supabase), db: supabase.tables, supabase };
+}
+
+module.exports = {
+    startHarness,
+    createTestStorage
+};
@@ -0,0 +1,65 @@
+const http = require('http');
+
+/**
+ * Запускает локальный HTTP-сервер, отвечающий JSON, на свободном порту.
+ * Обработчик получает { method, path, query, body, headers } и возвращает { status, body, headers } или только тело ответа.
+ * Все запросы записываются в requests, чтобы тесты могли проверить, что и с какими параметрами запрашивалось.
+ * @param {Function} handler - Обработчик запроса.
+ * @returns {Promise<{url: string, requests: Array, close: Function}>}
+ */
+function startJsonServer(handler) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', async () => {
+            const url = new URL(req.url, 'http://localhost');
+            const rawBody = Buffer.concat(chunks).toString('utf8');
+            let body = rawBody;
+            if ((req.headers['content-type'] || '').includes('application/json') && rawBody) {
+                body = JSON.parse(rawBody);
+            }
+            const request = {
+                method: req.method,
+                path: url.pathname,
+                query: Object.fromEntries(url.searchParams),
+                body,
+                headers: req.headers,
+            };
+            requests.push(request);
+
+            let status = 200;
+            let responseBody;
+            let responseHeaders = {};
+            try {
+                const result = await handler(request);
+                if (result && result.status !== undefined) {
+                    status = result.status;
+                    responseBody = result.body;
+                    responseHeaders = result.headers || {};
+                } else {
+                    responseBody = result;
+                }
+            } catch (error) {
+                status = 500;
+                responseBody = { error: error.message };
+            }
+            res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...responseHeaders });
+            res.end(JSON.stringify(responseBody === undefined ? null : responseBody));
+        });
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}`,
+                requests,
+                close: () => new Promise(done => server.close(done)),
+            });
+        });
+    });
+}
+
+module.exports = {
+    startJsonServer
+};
@@ -0,0 +1,476 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness, createTestStorage } = require('./support/harness');
+const { loadHhFixture } = require('./support/fakeHhServer');
+
+const COMPANY_ID = '5001';
+const PROFILE = { id: 'a0000000-0000-4000-8000-000000000001', company_hh_id: COMPANY_ID, telegram_chat_id: 42 };
+
+let harness;
+let syncService;
+
+before(async () => {
+    harness = await startHarness();
+    syncService = require('../services/syncService');
+});
+after(() => harness.close());
+beforeEach(() => {
+    harness.hh.requests.length = 0;
+    harness.telegram.requests.length = 0;
+});
+
+describe('syncVacanciesInDB', () => {
+    // Вакансии работодателя из записанного ответа hh.ru, по id
+    const fetched = (...ids) => {
+        const items = loadHhFixture('employer-vacancies').items;
+        return ids.map(id => items.find(item => item.id === id));
+    };
+    const vacancyByHhId = (db, hhId) => db.vacancies.find(v => v.hh_vacancy_id === hhId);
+
+    // Начальная синхронизация: заполняет базу без загрузки деталей и без уведомлений
+    const seed = async (...ids) => {
+        const context = createTestStorage({ profiles: [PROFILE] });
+        await syncService.syncVacanciesInDB(context.storage, COMPANY_ID, fetched(...ids));
+        harness.hh.requests.length = 0;
+        harness.telegram.requests.length = 0;
+        return context;
+    };
+
+    it('при начальной синхронизации добавляет вакансии без деталей и без уведомлений', async () => {
+        const { storage, db } = createTestStorage({ profiles: [PROFILE] });
+
+        await syncService.syncVacanciesInDB(storage, COMPANY_ID, fetched('101', '102', '103'));
+
+        assert.equal(db.vacancies.length, 3);
+        for (const vacancy of db.vacancies) {
+            assert.equal(vacancy.status, 'active');
+            assert.equal(vacancy.key_skills, null);
+            assert.equal(vacancy.description_length, null);
+        }
+        assert.equal(vacancyByHhId(db, 102).quality_issues.includes('no_salary'), true);
+        assert.equal(harness.hh.requests.length, 0);
+        assert.equal(harness.telegram.sentMessages().length, 0);
+    });
+
+    it('загружает детали новой вакансии и сообщает о ее недостатках один раз', async () => {
+        const { storage, db } = await seed('101');
+
+        await syncService.syncVacanciesInDB(storage, COMPANY_ID, fetched('101', '102', '103'));
+
+        assert.deepEqual(vacancyByHhId(db, 102).key_skills, []);
+        assert.deepEqual(vacancyByHhId(db, 103).key_skills, ['Слесарные работы', 'Сборка узлов']);
+        assert.equal(harness.hh.requestsTo('/vacancies/102').length, 1);
+
+        const messages = harness.telegram.sentMessages();
+        assert.equal(messages.length, 1);
+        assert.equal(String(messages[0].chat_id), '42');
+        assert.match(messages[0].text, /Фрезеровщик/);
+        assert.match(messages[0].text, /не указана зарплата/i);
+        // У вакансии 103 только недостатки, о которых по умолчанию не уведомляют
+        assert.doesNotMatch(messages[0].text, /Слесарь/);
+        assert.deepEqual(db.notification_outbox[0].dedup_keys, [`new_vacancy:${PROFILE.id}:102`]);
+        assert.equal(db.notification_outbox[0].status, 'sent');
+
+        await syncService.syncVacanciesInDB(storage, COMPANY_ID, fetched('101', '102', '103'));
+        assert.equal(harness.telegram.sentMessages().length, 1);
+    });
+
+    it('экранирует название и ссылку вакансии в HTML уведомления', async () => {
+        const { storage } = await seed('101');
+        const [summary] = fetched('102');
+        harness.hh.setVacancyDetails('102', { ...loadHhFixture('vacancy-102'), name: 'Фрезеровщик <5 разряд> & наладчик' });
+
+        await syncService.syncVacanciesInDB(storage, COMPANY_ID, [...fetched('101'),
+            { ...summary, name: 'Фрезеровщик <5 разряд> & наладчик', alternate_url: 'https://hh.ru/vacancy/102?from="a"&b=1' }]);
+
+        const [message] = harness.telegram.sentMessages();
+        assert.match(message.text, /<a href="https:\/\/hh\.ru\/vacancy\/102\?from=&quot;a&quot;&amp;b=1">Фрезеровщик &lt;5 разряд&gt; &amp; наладчик<\/a>/);
+    });
+
+    it('не добавляет новую вакансию, детали которой не загрузились, до следующей синхронизации', async () => {
+        const { storage, db } = await seed('101');
+        harness.hh.failPath('/vacancies/102', 404);
+        try {
+            await syncService.syncVacanciesInDB(storage, COMPANY_ID, fetched('101', '102'));
+            assert.equal(vacancyByHhId(db, 102), undefined);
+        } finally {
+            harness.hh.failPath('/vacancies/102', null);
+        }
+
+        await syncService.syncVacanciesInDB(storage, COMPANY_ID, fetched('101', '102'));
+        assert.equal(vacancyByHhId(db, 102).status, 'active');
+    });
+
+    it('закрывает вакансии, которых больше нет на hh.ru, и пишет открытие и закрытие в историю', async () => {
+        const { storage, db } = await seed('101', '102');
+
+        await syncService.syncVacanciesInDB(storage, COMPANY_ID, fetched('101'));
+
+        const active = vacancyByHhId(db, 101);
+        const closed = vacancyByHhId(db, 102);
+        assert.equal(closed.status, 'closed');
+        assert.equal(active.status, 'active');
+        assert.deepEqual(db.vacancy_changes.map(c => [c.vacancy_id, c.field, c.old_value, c.new_value]), [
+            [active.id, 'status', null, 'active'],
+            [closed.id, 'status', null, 'active'],
+            [closed.id, 'status', 'active', 'closed'],
+        ]);
+        // Срок жизни считается от первой публикации на hh.ru
+        assert.equal(closed.closed_at, db.vacancy_changes[2].changed_at);
+        const expectedDays = (Date.parse(closed.closed_at) - Date.parse(closed.published_at)) / (24 * 60 * 60 * 1000);
+        assert.ok(Math.abs(closed.lifetime_days - expectedDays) <= 0.05);
+        assert.equal(active.closed_at, undefined);
+    });
+
+    it('реактивирует закрытую вакансию, которая снова появилась на hh.ru', async () => {
+        const { storage, db } = await seed('101', '102');
+        await syncService.syncVacanciesInDB(storage, COMPANY_ID, fetched('101'));
+
+        await syncService.syncVacanciesInDB(storage, COMPANY_ID, fetched('101', '102'));
+
+        const reactivated = vacancyByHhId(db, 102);
+        assert.equal(reactivated.status, 'active');
+        assert.equal(db.vacancies.length, 2);
+        assert.deepEqual(db.vacancy_changes.filter(c => c.vacancy_id === reactivated.id).map(c => c.new_value), ['active', 'closed', 'active']);
+        assert.equal(reactivated.closed_at, null);
+        assert.equal(reactivated.lifetime_days, null);
+    });
+
+    it('пишет изменение отслеживаемых полей в историю, а впервые загруженные навыки — без записи', async () => {
+        const { storage, db } = await seed('101');
+        const [changed] = fetched('101');
+        changed.salary.from = 100000;
+
+        await syncService.syncVacanciesInDB(storage, COMPANY_ID, [changed]);
+
+        const vacancy = vacancyByHhId(db, 101);
+        assert.equal(vacancy.salary_from, 100000);
+        assert.deepEqual(vacancy.key_skills, ['Токарные работы', 'Чтение чертежей']);
+        assert.ok(vacancy.description_length > 0);
+        assert.deepEqual(db.vacancy_changes.filter(c => c.field !== 'status').map(c => [c.field, c.old_value, c.new_value]),
+            [['salary_from', 90000, 100000]]);
+    });
+
+    it('загружает детали только у изменившихся и давно не проверявшихся вакансий', async () => {
+        const { storage, db } = await seed('101', '102');
+        await syncService.syncVacanciesInDB(storage, COMPANY_ID, fetched('101', '102'));
+        assert.equal(harness.hh.requests.filter(request => /^\/vacancies\/\d+$/.test(request.path)).length, 2);
+
+        harness.hh.requests.length = 0;
+        await syncService.syncVacanciesInDB(storage, COMPANY_ID, fetched('101', '102'));
+        assert.equal(harness.hh.requests.length, 0);
+
+        const [changed, unchanged] = fetched('101', '102');
+        changed.salary.from = 100000;
+        vacancyByHhId(db, 102).details_checked_at = new Date(Date.now() - 48 * 60 * 60 * 1000).toISOString();
+        await syncService.syncVacanciesInDB(storage, COMPANY_ID, [changed, unchanged]);
+        assert.deepEqual(harness.hh.requests.map(request => request.path).sort(), ['/vacancies/101', '/vacancies/102']);
+    });
+
+    it('при переименовании сбрасывает нормализацию названия', async () => {
+        const { storage, db } = await seed('101');
+        Object.assign(vacancyByHhId(db, 101), { normalized_title: 'Токарь', normalization_failed: true, normalization_error: 'timeout' });
+        const [renamed] = fetched('101');
+        renamed.name = 'Токарь 5 разряда';
+
+        await syncService.syncVacanciesInDB(storage, COMPANY_ID, [renamed]);
+
+        const vacancy = vacancyByHhId(db, 101);
+        assert.equal(vacancy.raw_title, 'Токарь 5 разряда');
+        assert.equal(vacancy.normalized_title, null);
+        assert.equal(vacancy.normalization_failed, false);
+        assert.equal(vacancy.normalization_error, null);
+        assert.deepEqual(db.vacancy_changes.filter(c => c.field !== 'status').map(c => [c.field, c.old_value, c.new_value]),
+            [['raw_title', 'Токарь-универсал', 'Токарь 5 разряда']]);
+    });
+
+    it('сообщает об исправленных недостатках вакансии', async () => {
+        const { storage, db } = await seed('102');
+        const [improved] = fetched('102');
+        improved.salary = { from: 80000, to: 100000, currency: 'RUR', gross: false };
+
+        await syncService.syncVacanciesInDB(storage, COMPANY_ID, [improved]);
+
+        assert.equal(vacancyByHhId(db, 102).quality_issues.includes('no_salary'), false);
+        const messages = harness.telegram.sentMessages();
+        assert.equal(messages.length, 1);
+        assert.match(messages[0].text, /Изменения в вакансии/);
+        assert.match(messages[0].text, /исправлено: не указана зарплата/);
+        // Навыки до загрузки деталей были неизвестны, поэтому их отсутствие — не новая проблема
+        assert.doesNotMatch(messages[0].text, /новая проблема/);
+    });
+
+    it('сообщает о давней публикации один раз и не сообщает о впервые заполненном опыте', async () => {
+        const profile = { ...PROFILE, quality_notifications: { stale_publication: true, no_experience: true } };
+        const { storage, db } = createTestStorage({ profiles: [profile] });
+        const [summary] = fetched('101');
+        summary.published_at = new Date(Date.now() - 60 * 24 * 60 * 60 * 1000).toISOString();
+        await syncService.syncVacanciesInDB(storage, COMPANY_ID, [summary]);
+        // Вакансия записана до появления experience_id и оценена, пока публикация была свежей
+        const vacancy = vacancyByHhId(db, 101);
+        vacancy.experience_id = null;
+        vacancy.quality_issues = [...vacancy.quality_issues.filter(id => id !== 'stale_publication'), 'no_experience'];
+
+        await syncService.syncVacanciesInDB(storage, COMPANY_ID, [summary]);
+
+        const messages = harness.telegram.sentMessages();
+        assert.equal(messages.length, 1);
+        assert.match(messages[0].text, /новая проблема: публикация давно не обновлялась/);
+        assert.doesNotMatch(messages[0].text, /опыт/);
+        assert.equal(vacancyByHhId(db, 101).experience_id, 'between1And3');
+
+        await syncService.syncVacanciesInDB(storage, COMPANY_ID, [summary]);
+        assert.equal(harness.telegram.sentMessages().length, 1);
+    });
+
+    it('продолжает синхронизацию, если новые вакансии не записались', async () => {
+        const { storage, db, supabase } = await seed('101', '102');
+        supabase.failNext('vacancies', 'insert');
+
+        await syncService.syncVacanciesInDB(storage, COMPANY_ID, fetched('101', '103'));
+
+        assert.equal(vacancyByHhId(db, 103), undefined);
+        assert.equal(vacancyByHhId(db, 102).status, 'closed');
+    });
+});
+
+describe('archiveOrphanedVacancies', () => {
+    const tables = () => ({
+        profiles: [PROFILE],
+        vacancies: [
+            { company_hh_id: COMPANY_ID, hh_vacancy_id: 101, status: 'active' },
+            { company_hh_id: '6002', hh_vacancy_id: 201, status: 'active' },
+            { company_hh_id: '6003', hh_vacancy_id: 301, status: 'active' },
+            { company_hh_id: '6003', hh_vacancy_id: 302, status: 'closed' },
+        ],
+    });
+
+    it('закрывает активные вакансии компаний, которых нет в профилях', async () => {
+        const { storage, db } = createTestStorage(tables());
+
+        await syncService.archiveOrphanedVacancies(storage);
+
+        assert.deepEqual(db.vacancies.map(v => [v.hh_vacancy_id, v.status]),
+            [[101, 'active'], [201, 'closed'], [301, 'closed'], [302, 'closed']]);
+    });
+
+    it('с фильтром компании закрывает вакансии только этой компании', async () => {
+        const { storage, db } = createTestStorage(tables());
+
+        await syncService.archiveOrphanedVacancies(storage, { companyId: '6003' });
+
+        assert.deepEqual(db.vacancies.map(v => [v.hh_vacancy_id, v.status]),
+            [[101, 'active'], [201, 'active'], [301, 'closed'], [302, 'closed']]);
+    });
+});
+
+describe('syncAllCompanies', () => {
+    it('загружает все страницы вакансий работодателя', async () => {
+        const [template] = loadHhFixture('employer-vacancies').items;
+        harness.hh.setEmployerVacancies('6100', Array.from({ length: 150 }, (_, index) => ({
+            ...template, id: String(10000 + index), alternate_url: `https://hh.ru/vacancy/${10000 + index}`,
+        })));
+        const { storage, db } = createTestStorage({ profiles: [{ company_hh_id: '6100' }] });
+
+        await syncService.syncAllCompanies(storage);
+
+        assert.equal(db.vacancies.length, 150);
+        assert.deepEqual(harness.hh.requestsTo('/vacancies').map(r => r.query.page), ['0', '1']);
+    });
+
+    it('не закрывает вакансии работодателя, список которого hh.ru отдал не полностью', async () => {
+        const [template] = loadHhFixture('employer-vacancies').items;
+        harness.hh.setEmployerVacancies('6200', Array.from({ length: 2050 }, (_, index) => ({
+            ...template, id: String(20000 + index), alternate_url: `https://hh.ru/vacancy/${20000 + index}`,
+        })));
+        const { storage, db } = createTestStorage({ profiles: [{ company_hh_id: '6200' }] });
+        await syncService.syncAllCompanies(storage);
+        // Детали уже проверены, чтобы повторная синхронизация не загружала их для 2000 вакансий
+        const checkedAt = new Date().toISOString();
+        db.vacancies.forEach(v => Object.assign(v, { key_skills: [], description_length: 0, details_checked_at: checkedAt }));
+        // Вакансия глубже 2000-й позиции, которой нет в полученном списке
+        db.vacancies.push({ ...db.vacancies[0], id: 'e0000000-0000-4000-8000-000000000001', hh_vacancy_id: 22049 });
+        harness.hh.requests.length = 0;
+
+        await syncService.syncAllCompanies(storage);
+
+        assert.equal(db.vacancies.length, 2001);
+        assert.ok(db.vacancies.every(v => v.status === 'active'));
+        assert.equal(harness.hh.requestsTo('/vacancies').length, 20);
+    });
+
+    it('пропускает компанию, вакансии которой не загрузились, и не закрывает ее вакансии', async () => {
+        const { storage, db } = createTestStorage({
+            profiles: [PROFILE],
+            vacancies: [{ company_hh_id: COMPANY_ID, hh_vacancy_id: 101, status: 'active' }],
+        });
+        harness.hh.failPath('/vacancies', 404);
+        try {
+            await syncService.syncAllCompanies(storage);
+        } finally {
+            harness.hh.failPath('/vacancies', null);
+        }
+
+        assert.equal(db.vacancies[0].status, 'active');
+        assert.equal(db.vacancy_changes, undefined);
+    });
+});
+
+describe('цели отслеживания', () => {
+    const SEARCH_TARGET = {
+        id: 'd0000000-0000-4000-8000-000000000001', kind: 'search', label: 'Токари Москвы',
+        search_text: 'Токарь', area_id: 1, salary: 80000,
+    };
+    const EMPLOYER_TARGET = { id: 'd0000000-0000-4000-8000-000000000002', kind: 'employer', label: 'Конкурент', company_hh_id: '7000' };
+
+    // Выдача поиска из вакансий разных работодателей в формате записанного ответа hh.ru
+    const marketItems = (...ids) => {
+        const [template] = loadHhFixture('employer-vacancies').items;
+        return ids.map(id => ({
+            ...template, id: String(id), alternate_url: `https://hh.ru/vacancy/${id}`,
+            employer: { id: String(7000 + id % 3), name: `Работодатель ${id % 3}` },
+        }));
+    };
+    const statusesOf = (db, targetId) => db.vacancies.filter(v => v.source_target_id === targetId)
+        .map(v => [v.hh_vacancy_id, v.status]).sort((a, b) => a[0] - b[0]);
+
+    it('синхронизирует вакансии поиска без компании, деталей и уведомлений', async () => {
+        harness.hh.setSearchResults(marketItems(201, 202, 203));
+        const { storage, db } = createTestStorage({ tracking_targets: [SEARCH_TARGET] });
+
+        await syncService.syncAllCompanies(storage);
+        await syncService.syncAllCompanies(storage);
+
+        assert.deepEqual(statusesOf(db, SEARCH_TARGET.id), [[201, 'active'], [202, 'active'], [203, 'active']]);
+        const vacancy = db.vacancies.find(v => v.hh_vacancy_id === 202);
+        assert.equal(vacancy.company_hh_id, null);
+        assert.equal(vacancy.employer_hh_id, '7001');
+        assert.equal(vacancy.employer_name, 'Работодатель 1');
+        const [search] = harness.hh.requestsTo('/vacancies').map(request => request.query);
+        assert.equal(search.text, 'Токарь');
+        assert.equal(search.area, '1');
+        assert.equal(search.salary, '80000');
+        assert.equal(search.only_with_salary, 'true');
+        assert.equal(harness.hh.requests.filter(request => /^\/vacancies\/\d+$/.test(request.path)).length, 0);
+        assert.equal(harness.telegram.sentMessages().length, 0);
+    });
+
+    it('закрывает и реактивирует вакансии поиска, не трогая вакансии компаний', async () => {
+        harness.hh.setSearchResults(marketItems(201, 202));
+        const { storage, db } = createTestStorage({
+            profiles: [PROFILE],
+            tracking_targets: [SEARCH_TARGET],
+            vacancies: [{ company_hh_id: COMPANY_ID, hh_vacancy_id: 999, status: 'active' }],
+        });
+        await syncService.syncAllCompanies(storage);
+
+        harness.hh.setSearchResults(marketItems(202));
+        await syncService.syncAllCompanies(storage);
+        assert.deepEqual(statusesOf(db, SEARCH_TARGET.id), [[201, 'closed'], [202, 'active']]);
+
+        harness.hh.setSearchResults(marketItems(201, 202));
+        await syncService.syncAllCompanies(storage);
+        assert.deepEqual(statusesOf(db, SEARCH_TARGET.id), [[201, 'active'], [202, 'active']]);
+        const reopened = db.vacancies.find(v => v.hh_vacancy_id === 201);
+        assert.deepEqual(db.vacancy_changes.filter(c => c.vacancy_id === reopened.id).map(c => c.new_value), ['active', 'closed', 'active']);
+        // Вакансии компании из профиля синхронизируются по ее собственному списку
+        assert.equal(db.vacancies.find(v => v.hh_vacancy_id === 999).status, 'closed');
+        assert.equal(db.vacancies.filter(v => v.company_hh_id === COMPANY_ID).length, 4);
+    });
+
+    it('не закрывает вакансии, если выдача поиска глубже, чем отдает hh.ru', async () => {
+        harness.hh.setSearchResults(marketItems(...Array.from({ length: 2100 }, (_, index) => 10000 + index)));
+        const { storage, db } = createTestStorage({
+            tracking_targets: [SEARCH_TARGET],
+            vacancies: [{ source_target_id: SEARCH_TARGET.id, company_hh_id: null, hh_vacancy_id: 12050, status: 'active' }],
+        });
+
+        await syncService.syncAllCompanies(storage);
+
+        assert.equal(db.vacancies.find(v => v.hh_vacancy_id === 12050).status, 'active');
+        assert.equal(db.vacancies.filter(v => v.status === 'active').length, 2001);
+    });
+
+    it('синхронизирует цель-работодателя, только если компании нет в профилях', async () => {
+        harness.hh.setEmployerVacancies('7000', marketItems(300, 303));
+        harness.hh.setEmployerVacancies(COMPANY_ID, fetchedEmployerItems());
+        const duplicate = { ...EMPLOYER_TARGET, id: 'd0000000-0000-4000-8000-000000000003', company_hh_id: COMPANY_ID };
+        const { storage, db } = createTestStorage({ profiles: [PROFILE], tracking_targets: [EMPLOYER_TARGET, duplicate] });
+
+        await syncService.syncAllCompanies(storage);
+
+        assert.deepEqual(statusesOf(db, EMPLOYER_TARGET.id), [[300, 'active'], [303, 'active']]);
+        assert.ok(db.vacancies.filter(v => v.source_target_id === EMPLOYER_TARGET.id).every(v => v.company_hh_id === '7000'));
+        assert.equal(statusesOf(db, duplicate.id).length, 0);
+        assert.equal(db.vacancies.filter(v => v.company_hh_id === COMPANY_ID && !v.source_target_id).length, 3);
+    });
+
+    it('архивирует вакансии отключенных поисков и не трогает вакансии целей-работодателей', async () => {
+        const { storage, db } = createTestStorage({
+            tracking_targets: [{ ...SEARCH_TARGET, enabled: false }, EMPLOYER_TARGET],
+            vacancies: [
+                { source_target_id: SEARCH_TARGET.id, company_hh_id: null, hh_vacancy_id: 201, status: 'active' },
+                { source_target_id: EMPLOYER_TARGET.id, company_hh_id: '7000', hh_vacancy_id: 300, status: 'active' },
+            ],
+        });
+
+        await syncService.archiveOrphanedVacancies(storage, { companyId: '7000' });
+        assert.equal(db.vacancies[0].status, 'active');
+
+        await syncService.archiveOrphanedVacancies(storage);
+        assert.deepEqual(db.vacancies.map(v => [v.hh_vacancy_id, v.status]), [[201, 'closed'], [300, 'active']]);
+    });
+
+    // Активные вакансии работодателя 5001 из записанного ответа hh.ru
+    function fetchedEmployerItems() {
+        return loadHhFixture('employer-vacancies').items;
+    }
+});
+
+describe('createTrackingTarget', () => {
+    let createTrackingTarget;
+    before(() => {
+        ({ createTrackingTarget } = require('../services/trackingTargetService'));
+    });
+
+    it('по числовому ID добавляет работодателя, по тексту — поиск с фильтрами', async () => {
+        const { storage, db } = createTestStorage();
+
+        await createTrackingTarget(storage, { target: '7000' });
+        await createTrackingTarget(storage, { target: 'Токарь ЧПУ', area: '1', schedule: 'shift', experience: 'between1And3' });
+
+        assert.deepEqual(db.tracking_targets.map(t => [t.kind, t.company_hh_id || t.search_text, t.label]), [
+            ['employer', '7000', 'работодатель 7000'],
+            ['search', 'Токарь ЧПУ', 'поиск "Токарь ЧПУ", регион 1, сменный график, опыт 1–3 года'],
+        ]);
+        assert.equal(db.tracking_targets[1].area_id, 1);
+    });
+
+    it('отклоняет фильтры у работодателя и неизвестные значения фильтров', async () => {
+        const { storage } = createTestStorage();
+
+        await assert.rejects(createTrackingTarget(storage, { target: '7000', area: '1' }), /только для поиска/);
+        await assert.rejects(createTrackingTarget(storage, { target: 'Токарь', schedule: 'night' }), /Неизвестный график/);
+        await assert.rejects(createTrackingTarget(storage, { target: 'Токарь', area: 'Москва' }), /Регион/);
+    });
+});
+
+describe('splitMessage', () => {
+    const { splitMessage } = require('../services/utils');
+
+    it('режет длинную строку, не разрывая теги и сущности, и переоткрывает незакрытые элементы', () => {
+        const line = `<b>${'Токарь &amp; фрезеровщик '.repeat(8)}</b> <a href="https://hh.ru/vacancy/1">ссылка</a>`;
+
+        const parts = splitMessage(`Заголовок\n\n${line}`, 60);
+
+        assert.ok(parts.every(part => part.length <= 60));
+        for (const part of parts) {
+            // Каждая часть — корректный HTML: теги закрыты, сущности целые
+            assert.equal((part.match(/<b>/g) || []).length, (part.match(/<\/b>/g) || []).length);
+            assert.equal((part.match(/<a /g) || []).length, (part.match(/<\/a>/g) || []).length);
+            assert.doesNotMatch(part, /&(?![a-z]+;)|&amp(?!;)/);
+        }
+        const plain = text => text.replace(/<\/?b>|\s/g, '');
+        assert.equal(plain(parts.join('')), plain(`Заголовок${line}`));
+    });
+});
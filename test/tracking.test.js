@@ -0,0 +1,315 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness, createTestStorage } = require('./support/harness');
+const { buildSearchItems } = require('./support/fakeHhServer');
+
+const COMPANY_ID = '5001';
+const HOUR_MS = 60 * 60 * 1000;
+
+let harness;
+let trackingService;
+let runService;
+let alertService;
+
+before(async () => {
+    // Глубина не кратна размеру страницы: последняя страница поиска выходит за нее
+    process.env.HH_SEARCH_DEPTH = '450';
+    harness = await startHarness();
+    trackingService = require('../services/trackingService');
+    runService = require('../services/runService');
+    alertService = require('../services/alertService');
+});
+after(() => harness.close());
+beforeEach(() => {
+    harness.hh.requests.length = 0;
+    harness.hh.failPath('/vacancies', null);
+});
+
+/**
+ * Вакансии двух поисковых групп: «Токарь» в Москве (101 и 150) и «Слесарь» в Петербурге (103).
+ */
+function trackableVacancies() {
+    const vacancy = (hhId, normalizedTitle, areaId) => ({
+        company_hh_id: COMPANY_ID, hh_vacancy_id: hhId, status: 'active', raw_title: normalizedTitle,
+        normalized_title: normalizedTitle, area_id: areaId, schedule_id: 'fullDay',
+        salary_from: 90000, salary_to: null, salary_currency: 'RUR', salary_gross: false,
+        url: `https://hh.ru/vacancy/${hhId}`,
+    });
+    return [vacancy(101, 'Токарь', 1), vacancy(150, 'Токарь', 1), vacancy(103, 'Слесарь', 2)];
+}
+
+/**
+ * Выдача поиска: по «Токарю» 300 вакансий, 101-я на 5-м месте, 150-й нет совсем;
+ * по «Слесарю» 600 вакансий, 103-я на 480-м месте (глубже лимита поиска).
+ */
+function searchResults(query) {
+    if (query.text === 'Токарь') {
+        const items = buildSearchItems(300);
+        items.splice(4, 0, { id: '101', employer: { id: COMPANY_ID, name: 'Завод Прогресс' } });
+        return items;
+    }
+    if (query.text === 'Слесарь') {
+        const items = buildSearchItems(600, 800000);
+        items.splice(479, 0, { id: '103', employer: { id: COMPANY_ID, name: 'Завод Прогресс' } });
+        return items;
+    }
+    return [];
+}
+
+const searchRequests = () => harness.hh.requestsTo('/vacancies').map(request => request.query);
+const rowOf = (db, hhId) => {
+    const vacancy = db.vacancies.find(v => v.hh_vacancy_id === hhId);
+    return db.position_reports.filter(row => row.vacancy_id === vacancy.id && !row.query_variant_id);
+};
+
+describe('trackPositionsAndCompetitorsTransactional', () => {
+    it('замеряет позиции, статистику зарплат и конкурентов и завершает отчет', async () => {
+        harness.hh.setSearchResults(searchResults);
+        const { storage, db } = createTestStorage({ vacancies: trackableVacancies() });
+
+        await trackingService.trackPositionsAndCompetitorsTransactional(storage);
+
+        assert.equal(db.reports.length, 1);
+        const [report] = db.reports;
+        assert.equal(report.status, 'completed');
+        assert.equal(report.total_vacancies, 3);
+        assert.equal(report.processed_vacancies, 3);
+
+        const [found] = rowOf(db, 101);
+        assert.equal(found.position_status, 'found');
+        assert.equal(found.position_rank, 5);
+        assert.equal(found.competitors_count, 301);
+        assert.ok(found.salary_benchmark_id);
+
+        const [missing] = rowOf(db, 150);
+        assert.equal(missing.position_status, 'not_found');
+        assert.equal(missing.search_exhausted, true);
+        assert.equal(missing.searched_depth, 301);
+
+        const [deep] = rowOf(db, 103);
+        assert.equal(deep.position_status, 'not_found');
+        assert.equal(deep.search_exhausted, false);
+        assert.equal(deep.position_rank, null);
+        assert.equal(deep.searched_depth, 450);
+
+        assert.equal(db.salary_benchmarks.length, 2);
+        assert.ok(db.group_competitors.some(row => row.employer_hh_id === '7000'));
+        assert.ok(db.competitor_snapshots.length > 0);
+
+        const turnerSearch = searchRequests().find(query => query.text === 'Токарь');
+        assert.equal(turnerSearch.area, '1');
+        assert.equal(turnerSearch.schedule, 'fullDay');
+        assert.equal(turnerSearch.order_by, 'relevance');
+    });
+
+    it('прекращает листать выдачу, когда найдены все вакансии группы', async () => {
+        harness.hh.setSearchResults(searchResults);
+        const { storage } = createTestStorage({ vacancies: trackableVacancies().slice(0, 1) });
+
+        await trackingService.trackPositionsAndCompetitorsTransactional(storage);
+
+        assert.deepEqual(searchRequests().map(query => query.page), ['0']);
+    });
+
+    it('при ошибке поиска пишет замеры с ошибкой и все равно завершает отчет', async () => {
+        harness.hh.failPath('/vacancies', 404);
+        const { storage, db } = createTestStorage({ vacancies: trackableVacancies() });
+
+        await trackingService.trackPositionsAndCompetitorsTransactional(storage);
+
+        assert.equal(db.reports[0].status, 'completed');
+        assert.equal(db.position_reports.length, 3);
+        for (const row of db.position_reports) {
+            assert.equal(row.position_status, 'error');
+            assert.ok(row.error_message);
+        }
+        assert.equal(db.salary_benchmarks, undefined);
+    });
+
+    it('не создает отчет, если отслеживать нечего', async () => {
+        const { storage, db } = createTestStorage({ vacancies: [{ ...trackableVacancies()[0], status: 'closed' }] });
+
+        await trackingService.trackPositionsAndCompetitorsTransactional(storage);
+
+        assert.equal(db.reports, undefined);
+        assert.equal(searchRequests().length, 0);
+    });
+
+    it('помечает отчет по одной компании, и он не считается последним полным отчетом', async () => {
+        harness.hh.setSearchResults(searchResults);
+        const fullReport = { status: 'completed', company_hh_id: null, created_at: new Date(Date.now() - HOUR_MS).toISOString() };
+        const { storage, db } = createTestStorage({ vacancies: trackableVacancies(), reports: [fullReport] });
+
+        await trackingService.trackPositionsAndCompetitorsTransactional(storage, { companyId: COMPANY_ID });
+
+        const [full, partial] = db.reports;
+        assert.equal(partial.company_hh_id, COMPANY_ID);
+        assert.equal((await storage.reports.findLatestCompleted()).id, full.id);
+        assert.equal((await storage.reports.findLatestCompleted({ companyId: COMPANY_ID })).id, partial.id);
+        assert.equal((await storage.reports.findLatestCompleted({ companyId: '6000' })).id, full.id);
+    });
+
+    it('закрывает брошенные отчеты в статусе pending', async () => {
+        harness.hh.setSearchResults(searchResults);
+        const staleAt = new Date(Date.now() - 10 * HOUR_MS).toISOString();
+        const { storage, db } = createTestStorage({
+            vacancies: trackableVacancies(),
+            reports: [{ status: 'pending', created_at: staleAt }],
+        });
+
+        await trackingService.trackPositionsAndCompetitorsTransactional(storage);
+
+        assert.deepEqual(db.reports.map(report => report.status), ['failed', 'completed']);
+    });
+
+    it('без контрольных точек отмечает отчет failed, если замеры не записались', async () => {
+        harness.hh.setSearchResults(searchResults);
+        const { storage, db, supabase } = createTestStorage({ vacancies: trackableVacancies() });
+        supabase.failNext('position_reports', 'insert', 'disk full');
+
+        await assert.rejects(trackingService.trackPositionsAndCompetitorsTransactional(storage), /disk full/);
+
+        assert.equal(db.reports[0].status, 'failed');
+        assert.match(db.reports[0].error_message, /disk full/);
+    });
+
+    it('в запуске с контрольными точками оставляет отчет pending и дописывает его при продолжении', async () => {
+        harness.hh.setSearchResults(searchResults);
+        const { storage, db, supabase } = createTestStorage({ vacancies: trackableVacancies() });
+        const startRun = () => runService.startOrResumeRun(storage, { command: 'track', stages: ['track'] });
+        supabase.failNext('position_reports', 'insert', 'disk full');
+
+        await assert.rejects(trackingService.trackPositionsAndCompetitorsTransactional(storage, { run: await startRun() }));
+        assert.equal(db.reports[0].status, 'pending');
+
+        await trackingService.trackPositionsAndCompetitorsTransactional(storage, { run: await startRun() });
+
+        assert.equal(db.reports.length, 1);
+        assert.equal(db.reports[0].status, 'completed');
+        assert.equal(db.position_reports.length, 3);
+        assert.equal(db.pipeline_runs.length, 1);
+    });
+
+    it('не продолжает запуск, начатый раньше RUN_RESUME_HOURS, и помечает его брошенным', async () => {
+        const { storage, db } = createTestStorage({
+            pipeline_runs: [{
+                command: 'all', company_hh_id: null, status: 'failed', stages: ['sync', 'track'],
+                started_at: new Date(Date.now() - 30 * HOUR_MS).toISOString(),
+                state: { sync: { status: 'completed', done: [] } },
+            }],
+        });
+
+        const run = await runService.startOrResumeRun(storage, { command: 'all', stages: ['sync', 'track'] });
+
+        assert.equal(run.isStageCompleted('sync'), false);
+        assert.deepEqual(db.pipeline_runs.map(row => row.status), ['abandoned', 'running']);
+    });
+
+    it('не продолжает запуск, упавший после сбора данных, а начинает новый с синхронизации', async () => {
+        const completed = { status: 'completed', done: [] };
+        const { storage, db } = createTestStorage({
+            pipeline_runs: [{
+                command: 'all', company_hh_id: null, status: 'failed', stages: ['sync', 'track', 'alert'],
+                started_at: new Date(Date.now() - HOUR_MS).toISOString(), current_stage: 'alert',
+                state: { sync: completed, track: completed, alert: { status: 'running', done: [] } },
+            }],
+        });
+        const start = () => runService.startOrResumeRun(storage, { command: 'all', stages: ['sync', 'track', 'alert'], dataStages: ['sync', 'track'] });
+
+        const run = await start();
+
+        assert.equal(run.isStageCompleted('sync'), false);
+        assert.deepEqual(db.pipeline_runs.map(row => row.status), ['abandoned', 'running']);
+
+        // Запуск, упавший при сборе данных, продолжается
+        await run.completeStage('sync');
+        await run.finish('failed', 'track');
+        const resumed = await start();
+        assert.equal(resumed.id, run.id);
+        assert.equal(resumed.isStageCompleted('sync'), true);
+    });
+
+    it('при продолжении пропускает группы, уже записанные в отчет', async () => {
+        harness.hh.setSearchResults(searchResults);
+        const { storage, db } = createTestStorage({
+            vacancies: trackableVacancies(),
+            reports: [{ id: 'b0000000-0000-4000-8000-000000000001', status: 'pending', total_vacancies: 3, processed_vacancies: 2 }],
+        });
+        const turnerIds = db.vacancies.filter(v => v.normalized_title === 'Токарь').map(v => v.id);
+        db.position_reports = turnerIds.map(vacancyId => ({
+            report_id: db.reports[0].id, vacancy_id: vacancyId, position_status: 'found', position_rank: 1,
+        }));
+        db.pipeline_runs = [{
+            id: 'c0000000-0000-4000-8000-000000000001', command: 'track', company_hh_id: null, status: 'failed',
+            stages: ['track'], started_at: new Date().toISOString(),
+            state: { track: { status: 'running', done: ['Токарь_1_fullDay'], reportId: db.reports[0].id, processedCount: 2 } },
+        }];
+
+        const run = await runService.startOrResumeRun(storage, { command: 'track', stages: ['track'] });
+        await trackingService.trackPositionsAndCompetitorsTransactional(storage, { run });
+
+        assert.deepEqual([...new Set(searchRequests().map(query => query.text))], ['Слесарь']);
+        assert.equal(db.reports.length, 1);
+        assert.equal(db.reports[0].status, 'completed');
+        assert.equal(db.reports[0].processed_vacancies, 3);
+        assert.equal(db.position_reports.length, 3);
+    });
+
+    it('замеряет позиции по вариантам запроса отдельными строками', async () => {
+        harness.hh.setSearchResults(query => (query.order_by === 'publication_time'
+            ? [{ id: '150' }, ...buildSearchItems(10)]
+            : searchResults(query)));
+        const variant = { company_hh_id: COMPANY_ID, normalized_title: 'токарь', label: 'по дате', order_by: 'publication_time' };
+        const { storage, db } = createTestStorage({
+            vacancies: trackableVacancies(),
+            query_variants: [
+                variant,
+                // Отключенный вариант не отслеживается
+                { ...variant, order_by: 'salary_desc', enabled: false },
+            ],
+        });
+
+        await trackingService.trackPositionsAndCompetitorsTransactional(storage);
+
+        const variantRows = db.position_reports.filter(row => row.query_variant_id);
+        assert.equal(variantRows.length, 2);
+        const byVacancy = new Map(db.vacancies.map(v => [v.id, v.hh_vacancy_id]));
+        assert.deepEqual(variantRows.map(row => [byVacancy.get(row.vacancy_id), row.position_status, row.position_rank]).sort(),
+            [[101, 'not_found', null], [150, 'found', 1]]);
+        assert.equal(searchRequests().filter(query => query.order_by === 'salary_desc').length, 0);
+        // Статистика зарплат и счетчик отчета — только по основному запросу
+        assert.equal(db.salary_benchmarks.length, 2);
+        assert.equal(db.reports[0].processed_vacancies, 3);
+    });
+});
+
+describe('sendPositionAlerts', () => {
+    it('не повторяет оповещения по полному отчету после запуска по одной компании', async () => {
+        harness.telegram.requests.length = 0;
+        const vacancies = [
+            { ...trackableVacancies()[0], id: 'd0000000-0000-4000-8000-000000000001' },
+            { ...trackableVacancies()[0], id: 'd0000000-0000-4000-8000-000000000002', company_hh_id: '6000', hh_vacancy_id: 601 },
+        ];
+        const reportAt = hoursAgo => ({ status: 'completed', company_hh_id: null, created_at: new Date(Date.now() - hoursAgo * HOUR_MS).toISOString() });
+        const { storage, db } = createTestStorage({
+            profiles: [
+                { id: 'a0000000-0000-4000-8000-000000000001', company_hh_id: COMPANY_ID, telegram_chat_id: 42 },
+                { id: 'a0000000-0000-4000-8000-000000000002', company_hh_id: '6000', telegram_chat_id: 43 },
+            ],
+            vacancies,
+            reports: [reportAt(3), reportAt(1)],
+        });
+        const [previous, current] = db.reports;
+        db.position_reports = vacancies.flatMap(vacancy => [
+            { report_id: previous.id, vacancy_id: vacancy.id, position_status: 'found', position_rank: 5, competitors_count: 100 },
+            { report_id: current.id, vacancy_id: vacancy.id, position_status: 'found', position_rank: 50, competitors_count: 100 },
+        ]);
+
+        await alertService.sendPositionAlerts(storage, { companyId: COMPANY_ID });
+        await alertService.sendPositionAlerts(storage);
+        await alertService.sendPositionAlerts(storage);
+
+        assert.deepEqual(harness.telegram.sentMessages().map(m => String(m.chat_id)), ['42', '43']);
+        assert.ok(db.reports[1].alerts_sent_at);
+    });
+});